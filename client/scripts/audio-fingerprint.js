@@ -0,0 +1,167 @@
+// audio-fingerprint.js - Acoustic fingerprints for finding the same recording in other files
+
+/**
+ * Audio Fingerprint
+ * One 32-bit value per frame: bit m is set when the energy difference between frequency
+ * bands m and m + 1 grew since the previous frame. That pattern survives re-encoding,
+ * other bitrates and volume changes, so copies of a recording end up with nearly the same
+ * bits. server/duplicate-finder.js compares them
+ */
+class AudioFingerprint {
+  // Decoding at a low sample rate keeps memory and FFTs small; the bands still fit below
+  // its Nyquist frequency
+  static SAMPLE_RATE = 5512;
+  static FRAME_SIZE = 2048;
+  static HOP_SIZE = 256;
+  static BANDS = 33;
+  static MIN_FREQUENCY = 300;
+  static MAX_FREQUENCY = 2000;
+
+  // Only the start of each track is fingerprinted, after any leading silence
+  static MAX_SECONDS = 60;
+  static SILENCE_LEVEL = 0.01;
+
+  /**
+   * Fingerprint encoded audio (the bytes of an audio file) as a Uint32Array
+   */
+  static async compute(audioData) {
+    // decodeAudioData resamples to the sample rate of its context
+    const context = new OfflineAudioContext(1, 1, AudioFingerprint.SAMPLE_RATE);
+    const buffer = await context.decodeAudioData(audioData);
+    return AudioFingerprint.fromSamples(AudioFingerprint.downmix(buffer));
+  }
+
+  /**
+   * Mono samples of an AudioBuffer from the first sound on, at most MAX_SECONDS long
+   */
+  static downmix(buffer) {
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+
+    let start = 0;
+    while (
+      start < buffer.length &&
+      channels.every((data) => Math.abs(data[start]) < AudioFingerprint.SILENCE_LEVEL)
+    ) {
+      start++;
+    }
+
+    const length = Math.min(
+      buffer.length - start,
+      AudioFingerprint.MAX_SECONDS * buffer.sampleRate
+    );
+    const samples = new Float32Array(length);
+    for (const data of channels) {
+      for (let i = 0; i < length; i++) {
+        samples[i] += data[start + i] / channels.length;
+      }
+    }
+    return samples;
+  }
+
+  /**
+   * Fingerprint mono samples at SAMPLE_RATE
+   */
+  static fromSamples(samples) {
+    const { FRAME_SIZE, HOP_SIZE, BANDS } = AudioFingerprint;
+    const frameCount = Math.floor((samples.length - FRAME_SIZE) / HOP_SIZE) + 1;
+    if (frameCount < 2) return new Uint32Array(0);
+
+    const window = new Float64Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+    }
+    const edges = AudioFingerprint.bandEdges();
+
+    const re = new Float64Array(FRAME_SIZE);
+    const im = new Float64Array(FRAME_SIZE);
+    let previous = null;
+    const fingerprint = new Uint32Array(frameCount - 1);
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const offset = frame * HOP_SIZE;
+      for (let i = 0; i < FRAME_SIZE; i++) {
+        re[i] = samples[offset + i] * window[i];
+        im[i] = 0;
+      }
+      AudioFingerprint.fft(re, im);
+
+      const energies = new Float64Array(BANDS);
+      for (let band = 0; band < BANDS; band++) {
+        for (let bin = edges[band]; bin < edges[band + 1]; bin++) {
+          energies[band] += re[bin] * re[bin] + im[bin] * im[bin];
+        }
+      }
+
+      if (previous) {
+        let bits = 0;
+        for (let m = 0; m < BANDS - 1; m++) {
+          const change = energies[m] - energies[m + 1] - (previous[m] - previous[m + 1]);
+          if (change > 0) bits |= 1 << m;
+        }
+        fingerprint[frame - 1] = bits >>> 0;
+      }
+      previous = energies;
+    }
+
+    return fingerprint;
+  }
+
+  /**
+   * FFT bins where each of the logarithmically spaced bands starts (BANDS + 1 values)
+   */
+  static bandEdges() {
+    const { SAMPLE_RATE, FRAME_SIZE, BANDS, MIN_FREQUENCY, MAX_FREQUENCY } = AudioFingerprint;
+    const edges = [];
+    for (let band = 0; band <= BANDS; band++) {
+      const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, band / BANDS);
+      edges.push(Math.round((frequency * FRAME_SIZE) / SAMPLE_RATE));
+    }
+    return edges;
+  }
+
+  /**
+   * In-place radix-2 FFT; the length of re and im must be a power of two
+   */
+  static fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) {
+        j ^= bit;
+      }
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const half = size >> 1;
+      const angle = (-2 * Math.PI) / size;
+      for (let k = 0; k < half; k++) {
+        const wRe = Math.cos(angle * k);
+        const wIm = Math.sin(angle * k);
+        for (let a = k; a < n; a += size) {
+          const b = a + half;
+          const tRe = re[b] * wRe - im[b] * wIm;
+          const tIm = re[b] * wIm + im[b] * wRe;
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+        }
+      }
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AudioFingerprint;
+} else if (typeof window !== 'undefined') {
+  window.AudioFingerprint = AudioFingerprint;
+}
@@ -13,12 +13,26 @@ class CoreAudio {
     this.volume = 1;
     this.duration = 0;
     this.currentTime = 0;
+    this.segment = null; // { start, end } in the audio file while a CUE sheet track plays
 
     this.shuffle = false;
     this.repeat = 'none'; // 'none', 'one', 'all'
     this.originalPlaylist = []; // Keep un-shuffled version
     this.saveStateTimeout = null;
 
+    // Volume normalization; the gain node sits in the Web Audio graph in front of the analyser
+    this.replayGain = { mode: 'off', preamp: 0 }; // mode: 'off', 'track', 'album'
+    this.replayGainNode = null;
+
+    // Seek bar waveform of the current track (see waveform.js), null while there is none
+    this.waveformPeaks = null;
+    this.waveformGenerating = false;
+
+    // Lyrics of the current track as { synced, lines } (see server/lyrics.js), null without
+    // any. lyricsLine is the synced line highlighted in the Now Playing view
+    this.lyrics = null;
+    this.lyricsLine = -1;
+
     // VISUALIZER PROPERTIES
     this.visualizerEnabled = false;
     this.visualizerType = 'bars'; // 'bars', 'wave', 'circular'
@@ -53,6 +67,11 @@ class CoreAudio {
     // Set initial volume
     this.audioPlayer.volume = this.volume;
 
+    this.loadReplayGainSettings();
+
+    // The waveform canvas follows the width of the player bar
+    window.addEventListener('resize', () => this.drawWaveform());
+
     this.app.logger.debug(' Audio engine initialized');
 
     // INITIALIZATION CALL for Favorites
@@ -70,16 +89,27 @@ class CoreAudio {
 
     // When track loads and we get duration
     audio.addEventListener('loadedmetadata', () => {
-      this.duration = audio.duration;
+      this.duration = this.segment
+        ? (this.segment.end ?? audio.duration) - this.segment.start
+        : audio.duration;
       this.updateTimeDisplay();
       console.log(`🎵 Track loaded: ${this.formatTime(this.duration)}`);
     });
 
     // Update progress as track plays
     audio.addEventListener('timeupdate', () => {
-      this.currentTime = audio.currentTime;
+      this.currentTime = audio.currentTime - (this.segment?.start || 0);
       this.updateTimeDisplay();
       this.updateProgressBar();
+      this.updateLyricsLine();
+
+      // A CUE sheet track ends where the next one in the same file starts. Pausing fires
+      // another timeupdate, hence the paused check
+      if (this.segment?.end != null && audio.currentTime >= this.segment.end && !audio.paused) {
+        audio.pause();
+        this.app.logger.debug(' CUE sheet track ended');
+        this.handleTrackEnd();
+      }
     });
 
     // When track ends
@@ -185,7 +215,12 @@ class CoreAudio {
       this.app.showNotification(`Playing: ${this.app.getBasename(songPath)}`, 'success');
     } catch (error) {
       this.app.logger.error('🎵 Error playing song:', error);
-      this.app.showNotification(`Failed to play: ${this.app.getBasename(songPath)}`, 'error');
+      this.app.showNotification(
+        error.unplayable
+          ? `${this.app.getBasename(songPath)}: ${error.message}`
+          : `Failed to play: ${this.app.getBasename(songPath)}`,
+        'error'
+      );
 
       // Try to recover by playing next track
       if (this.playlist.length > 1) {
@@ -228,11 +263,18 @@ class CoreAudio {
   // core-audio.js
 
   async loadTrack(songPath) {
+    await this.checkPlayable(songPath);
+    const { filePath, segment } = await this.resolveTrackSource(songPath);
+    await this.applyReplayGain(songPath);
+    this.loadWaveform(songPath);
+    this.loadLyrics(songPath);
+
     return new Promise((resolve, reject) => {
       this.currentTrack = songPath;
+      this.segment = segment;
 
       // FIXED: Proper URL encoding for file paths with special characters
-      const normalizedPath = songPath.replace(/\\/g, '/');
+      const normalizedPath = filePath.replace(/\\/g, '/');
 
       // Use a simpler, more reliable approach for file URLs
       // Preserve original spacing to match database paths exactly
@@ -258,6 +300,9 @@ class CoreAudio {
         this.audioPlayer.removeEventListener('canplay', onCanPlay);
         this.audioPlayer.removeEventListener('error', onError);
         this.audioPlayer.removeEventListener('loadstart', onLoadStart);
+        if (segment) {
+          this.audioPlayer.currentTime = segment.start;
+        }
         this.app.logger.debug(' Track ready to play');
         resolve();
       };
@@ -318,6 +363,48 @@ class CoreAudio {
     });
   }
 
+  // Formats Chromium cannot play (AIFF, APE, WavPack, WMA, ALAC, DSD) would only end in a
+  // media error; the scanner marks them, so say so up front. The error carries a message to show
+  async checkPlayable(songPath) {
+    let track = null;
+    try {
+      track = await window.queMusicAPI.database.getTrackByPath(songPath);
+    } catch (error) {
+      this.app.logger.debug(' Could not look up track before loading:', error);
+    }
+
+    if (track && track.playable === 0) {
+      const format = [track.format, track.codec].filter(Boolean).join(', ');
+      const error = new Error(`Cannot play this format${format ? ` (${format})` : ''}`);
+      error.unplayable = true;
+      throw error;
+    }
+  }
+
+  // Audio file and section to play for songPath. CUE sheet tracks ("Album.flac#03") get
+  // their offsets from the library; any other path plays the whole file
+  async resolveTrackSource(songPath) {
+    const match = String(songPath).match(/^(.+\.[^.\\/#]+)#(\d+)$/);
+    if (!match) {
+      return { filePath: songPath, segment: null };
+    }
+
+    try {
+      const track = await window.queMusicAPI.database.getTrackByPath(songPath);
+      if (track && track.source_path) {
+        return {
+          filePath: track.source_path,
+          segment: { start: track.start_offset || 0, end: track.end_offset ?? null },
+        };
+      }
+    } catch (error) {
+      this.app.logger.error('Error looking up CUE sheet track:', error);
+    }
+
+    // Not in the library (yet), play the whole album file
+    return { filePath: match[1], segment: null };
+  }
+
   async updateNowPlaying(songPath) {
     const titleEl = document.getElementById('currentTitle');
     const artistEl = document.getElementById('currentArtist');
@@ -595,11 +682,16 @@ class CoreAudio {
   seek(percent) {
     if (this.audioPlayer && this.duration > 0) {
       const newTime = (percent / 100) * this.duration;
-      this.audioPlayer.currentTime = newTime;
+      this.setTrackTime(newTime);
       // console.log(`🎵 Seeked to: ${this.formatTime(newTime)}`);
     }
   }
 
+  // Position within the current track; CUE sheet tracks start part-way into their file
+  setTrackTime(seconds) {
+    this.audioPlayer.currentTime = (this.segment?.start || 0) + seconds;
+  }
+
   setVolume(value) {
     this.volume = parseFloat(value);
     if (this.audioPlayer) {
@@ -721,7 +813,7 @@ class CoreAudio {
 
     if (this.repeat === 'one') {
       // Repeat current track
-      this.audioPlayer.currentTime = 0;
+      this.setTrackTime(0);
       this.audioPlayer.play();
       this.app.showNotification('Repeating track', 'info');
     } else if (this.playlist.length > 1) {
@@ -732,6 +824,68 @@ class CoreAudio {
     }
   }
 
+  // ========================================
+  // VOLUME NORMALIZATION (REPLAYGAIN)
+  // ========================================
+
+  async loadReplayGainSettings() {
+    try {
+      this.replayGain = await window.queMusicAPI.settings.getReplayGain();
+    } catch (error) {
+      this.app.logger.error('Error loading ReplayGain settings:', error);
+    }
+  }
+
+  // settings: { mode, preamp } as saved by the settings modal; applies to the current track
+  // right away
+  async setReplayGain(settings) {
+    this.replayGain = { ...this.replayGain, ...settings };
+    if (this.currentTrack) {
+      await this.applyReplayGain(this.currentTrack);
+    }
+  }
+
+  // Set the normalization gain for songPath: its track or album gain (falling back to the
+  // other one) plus the preamp, lowered where it would clip the loudest sample
+  async applyReplayGain(songPath) {
+    const { mode, preamp } = this.replayGain;
+    if (mode === 'off') {
+      if (this.replayGainNode) {
+        this.replayGainNode.gain.value = 1;
+      }
+      return;
+    }
+
+    // Normalization needs the Web Audio graph, also while the visualizer is off
+    if (!this.replayGainNode && !(await this.setupAudioContext())) {
+      return;
+    }
+
+    let linear = 1;
+    try {
+      const gains = await window.queMusicAPI.loudness.getGain(songPath);
+      const preferred = gains && (mode === 'album' ? gains.album : gains.track);
+      const fallback = gains && (mode === 'album' ? gains.track : gains.album);
+      const chosen = preferred?.gain != null ? preferred : fallback;
+
+      if (chosen?.gain != null) {
+        linear = Math.pow(10, (chosen.gain + preamp) / 20);
+        if (chosen.peak > 0) {
+          linear = Math.min(linear, 1 / chosen.peak);
+        }
+        this.app.logger.debug(
+          ` ReplayGain (${mode}): ${(20 * Math.log10(linear)).toFixed(2)} dB for ${songPath}`
+        );
+      }
+    } catch (error) {
+      this.app.logger.error('Error looking up ReplayGain:', error);
+    }
+
+    if (this.replayGainNode) {
+      this.replayGainNode.gain.value = linear;
+    }
+  }
+
   // ========================================
   // SHUFFLE & REPEAT
   // ========================================
@@ -874,6 +1028,7 @@ class CoreAudio {
 
       if (progressSlider) progressSlider.value = percent;
       if (progressFill) progressFill.style.width = `${percent}%`;
+      this.drawWaveform();
     }
   }
 
@@ -1063,7 +1218,7 @@ class CoreAudio {
       console.log(`▶️ Now playing: ${track.title || track.name}`);
     } catch (error) {
       this.app.logger.error('❌ Failed to play playlist track:', error);
-      this.app.showNotification('Failed to play track', 'error');
+      this.app.showNotification(error.unplayable ? error.message : 'Failed to play track', 'error');
     }
   }
 
@@ -1091,6 +1246,149 @@ class CoreAudio {
     // console.log(`📱 Updated now playing info: ${track.title || track.name}`);
   }
 
+  // ========================================
+  // WAVEFORM SEEK BAR
+  // ========================================
+
+  // Show the stored waveform of songPath in the seek bar. A track without one gets it
+  // generated in the background, one track at a time; until then the bar stays flat
+  async loadWaveform(songPath) {
+    this.waveformPeaks = null;
+    this.drawWaveform();
+
+    let waveform = null;
+    try {
+      waveform = await window.queMusicAPI.waveform.get(songPath);
+    } catch (error) {
+      this.app.logger.error('Error loading waveform:', error);
+    }
+    if (!waveform || songPath !== this.currentTrack) return;
+
+    if (waveform.peaks) {
+      this.waveformPeaks = waveform.peaks;
+      this.drawWaveform();
+      return;
+    }
+    if (!waveform.pending || this.waveformGenerating) return;
+
+    this.waveformGenerating = true;
+    try {
+      const data = await window.queMusicAPI.analysis.readAudio(waveform.trackId);
+      let peaks;
+      try {
+        peaks = await Waveform.compute(
+          data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+        );
+      } catch (error) {
+        this.app.logger.warn(`⚠️ Could not make a waveform of ${songPath}:`, error.message);
+        peaks = new Uint8Array(0);
+      }
+      await window.queMusicAPI.waveform.save(waveform.trackId, peaks);
+    } catch (error) {
+      this.app.logger.error('Error generating waveform:', error);
+      return;
+    } finally {
+      this.waveformGenerating = false;
+    }
+
+    // Shows the new waveform, or starts on the next track if playback moved on meanwhile
+    if (this.currentTrack) {
+      this.loadWaveform(this.currentTrack);
+    }
+  }
+
+  drawWaveform() {
+    const canvas = document.getElementById('progressWaveform');
+    if (!canvas) return;
+
+    canvas.parentElement.classList.toggle('has-waveform', Boolean(this.waveformPeaks));
+    if (this.waveformPeaks) {
+      const progress = this.duration > 0 ? this.currentTime / this.duration : 0;
+      Waveform.draw(canvas, this.waveformPeaks, Math.min(Math.max(progress, 0), 1));
+    }
+  }
+
+  // ========================================
+  // LYRICS
+  // ========================================
+
+  async loadLyrics(songPath) {
+    this.lyrics = null;
+    this.renderLyrics();
+
+    let lyrics = null;
+    try {
+      lyrics = await window.queMusicAPI.lyrics.get(songPath);
+    } catch (error) {
+      this.app.logger.error('Error loading lyrics:', error);
+    }
+    if (songPath !== this.currentTrack) return;
+
+    this.lyrics = lyrics;
+    this.renderLyrics();
+  }
+
+  // Fill the lyrics panel of the Now Playing view, when it is shown. Clicking a synced line
+  // plays from there
+  renderLyrics() {
+    const panel = document.getElementById('lyricsPanel');
+    if (!panel) return;
+
+    this.lyricsLine = -1;
+    panel.replaceChildren();
+    panel.scrollTop = 0;
+    panel.classList.toggle('synced', Boolean(this.lyrics?.synced));
+
+    if (!this.lyrics) {
+      const empty = document.createElement('div');
+      empty.className = 'lyrics-empty';
+      empty.textContent = 'No lyrics for this track';
+      panel.appendChild(empty);
+      return;
+    }
+
+    this.lyrics.lines.forEach((line) => {
+      const element = document.createElement('div');
+      element.className = 'lyrics-line';
+      // Synced lyrics mark instrumental breaks with empty lines
+      element.textContent = line.text || (this.lyrics.synced ? '♪' : '');
+      if (this.lyrics.synced) {
+        element.addEventListener('click', () => this.setTrackTime(line.time));
+      }
+      panel.appendChild(element);
+    });
+
+    this.updateLyricsLine();
+  }
+
+  // Highlight the synced line at the playback position and scroll it to the middle of the
+  // panel. Unsynced lyrics stay as they are
+  updateLyricsLine() {
+    if (!this.lyrics?.synced) return;
+    const panel = document.getElementById('lyricsPanel');
+    if (!panel) return;
+
+    // Lines are sorted by time: the last one that has started is being sung
+    const index = this.lyrics.lines.findLastIndex((line) => line.time <= this.currentTime);
+    if (index === this.lyricsLine) return;
+    this.lyricsLine = index;
+
+    const previous = panel.querySelector('.lyrics-line.current');
+    if (previous) {
+      previous.classList.remove('current');
+      previous.removeAttribute('aria-current');
+    }
+    const element = panel.children[index];
+    if (!element) return;
+
+    element.classList.add('current');
+    element.setAttribute('aria-current', 'true');
+    panel.scrollTo({
+      top: element.offsetTop - (panel.clientHeight - element.offsetHeight) / 2,
+      behavior: 'smooth',
+    });
+  }
+
   // ========================================
   // STATE PERSISTENCE
   // ========================================
@@ -1167,16 +1465,16 @@ class CoreAudio {
   // Keyboard shortcut helper methods
   seekForward() {
     if (this.audioPlayer && this.duration > 0) {
-      const newTime = Math.min(this.audioPlayer.currentTime + 10, this.duration);
-      this.audioPlayer.currentTime = newTime;
+      const newTime = Math.min(this.currentTime + 10, this.duration);
+      this.setTrackTime(newTime);
       this.app.showNotification('⏩ +10s', 'info');
     }
   }
 
   seekBackward() {
     if (this.audioPlayer) {
-      const newTime = Math.max(this.audioPlayer.currentTime - 10, 0);
-      this.audioPlayer.currentTime = newTime;
+      const newTime = Math.max(this.currentTime - 10, 0);
+      this.setTrackTime(newTime);
       this.app.showNotification('⏪ -10s', 'info');
     }
   }
@@ -1251,6 +1549,9 @@ class CoreAudio {
       this.analyser.minDecibels = -90;
       this.analyser.maxDecibels = -10;
 
+      this.replayGainNode = this.audioContext.createGain();
+      this.replayGainNode.connect(this.analyser);
+
       // console.log(
       //   `🎵 Analyser configured: FFT=${this.analyser.fftSize}, Bins=${this.analyser.frequencyBinCount}`
       // );
@@ -1265,7 +1566,7 @@ class CoreAudio {
         // Check if already connected
         if (!this.audioSource) {
           this.audioSource = this.audioContext.createMediaElementSource(this.audioPlayer);
-          this.audioSource.connect(this.analyser);
+          this.audioSource.connect(this.replayGainNode);
           this.analyser.connect(this.audioContext.destination);
           // this.app.logger.info(' Audio player connected to analyser');
         }
@@ -1793,6 +2094,7 @@ class CoreAudio {
 
       // Clear analyser
       this.analyser = null;
+      this.replayGainNode = null;
 
       console.log('🎨 Visualizer cleanup complete');
     } catch (error) {
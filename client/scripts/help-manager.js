@@ -44,9 +44,20 @@ class HelpManager {
 - **MP3** - MPEG Audio Layer 3
 - **FLAC** - Free Lossless Audio Codec
 - **WAV** - Waveform Audio Format
-- **M4A/AAC** - Advanced Audio Codec
+- **M4A/M4B/AAC** - Advanced Audio Codec, including audiobooks
 - **OGG** - Ogg Vorbis
-- **WMA** - Windows Media Audio`,
+- **OPUS** - Opus
+
+### Library Only
+
+These are scanned, tagged and listed, but cannot be played; the track lists mark them with **Can't play**:
+
+- **AIFF** (.aif, .aiff) - Audio Interchange File Format
+- **ALAC** - Apple Lossless, in .m4a or .alac files
+- **APE** - Monkey's Audio
+- **WV** - WavPack
+- **WMA** - Windows Media Audio
+- **DSD** (.dsf, .dff) - Direct Stream Digital`,
           order: 1,
         },
         {
@@ -69,13 +80,14 @@ The Que-Music interface consists of four main areas:
 - **Music Library** - Browse your complete music collection
 - **Favorites** - Quick access to your favorite tracks
 - **Recently Played** - Your listening history
+- **Saved Searches** - Searches you saved, listed below the views
 
 **Playlists Section:**
 - **Playlists** - View all your custom playlists
 - **Create Playlist** - Build new playlists
 
 **Tools Section:**
-- **Change Music Folder** - Switch to a different music directory
+- **Add Music Folder** - Add another music directory to the library
 - **Database Manager** - Advanced library management tools
 
 ### 3. **Content Area** (Center/Right)
@@ -100,8 +112,11 @@ The Que-Music interface consists of four main areas:
           content: `# 🎵 Music Library Management
 
 ## Folder Selection
-- Click **"Change Music Folder"** in the Tools section
+- Click **"Add Music Folder"** in the Tools section, or **➕ Add Folder** above the folder browser
 - Select any folder containing your music files
+- Add as many folders as you like, for example an internal disk and external drives; each one appears as its own top-level entry in the folder browser
+- Remove a folder with the **✕** next to its name; its tracks leave the library but the files stay on disk
+- Search, statistics and playlists cover all folders; playlists are saved in the first folder
 - The app supports nested folder structures
 - Multiple folder formats are automatically recognized
 
@@ -150,7 +165,7 @@ The app automatically:
 ### Additional Controls
 - **Volume Slider** 🔊 - Adjust playback volume (0-100%)
 - **Mute Button** 🔇 - Quickly mute/unmute audio
-- **Progress Bar** - Seek to any position in the current track
+- **Progress Bar** - Seek to any position in the current track; shows the track's waveform once it has one
 - **Time Display** - Current position and total duration
 
 ## Playing Music
@@ -209,6 +224,29 @@ The app automatically:
 - **Clear Tracks** - Remove all tracks (keeps playlist)
 - **Delete Playlist** - Remove playlist completely
 
+## Smart Playlists
+A smart playlist picks its tracks by rules instead of keeping a list. It is always up to date: each time it is opened or played it finds the tracks in your library that match now.
+
+### Creating a Smart Playlist
+1. Open **Playlists** and click **"Smart Playlist"**
+2. Add rules, such as:
+   - Genre is Jazz
+   - Play count is less than 3
+   - Last played is not in the last 6 months (tracks never played match too)
+   - Date added is in the last 30 days
+   - Rating is at least 4
+   - Duration is between 3:00 and 5:00
+3. Choose whether tracks match **all** or **any** of the rules
+4. Optionally limit the number of tracks and choose how they are sorted
+5. The dialog shows how many tracks match while you edit
+
+### Using Smart Playlists
+- Smart playlists are listed with your other playlists, marked **Smart**
+- Right-click → "Edit Rules", or the **Edit Rules** button above the tracks, to change them
+- Tracks can't be added or removed by hand; change the rules instead
+- **Duplicate** copies the rules
+- **Export Snapshot to M3U** saves the tracks that match right now; the file doesn't follow later changes
+
 ## M3U Export/Import
 ### Automatic Features
 - Playlists are automatically saved as M3U files in your music folder
@@ -231,23 +269,44 @@ The app automatically:
 ## Search Functionality
 ### Global Search
 - Click the **Search button** 🔍 in the header
-- Search across all metadata: title, artist, album, genre
+- Search across title, artist, album, genre, composer and file name
 - Results update in real-time as you type
-- Case-insensitive search with partial matching
+- Words match by their start and ignore case and accents: "cafe" finds "Café", "mil" finds "Miles"
+- Matched words are highlighted in the results
 
 ### Search Tips
 - Search by artist: "Beatles"
 - Search by album: "Abbey Road"
 - Search by genre: "Rock"
 - Combined search: "Beatles Help"
-- Use quotes for exact phrases: "Yesterday"
+- Use quotes for exact phrases: "Kind of Blue"
 
 ### Advanced Search
 - Multiple keywords are combined with AND logic
-- Search results are ranked by relevance
+- Search results are ranked by relevance: a match in the title counts more than one in the artist, album, composer, genre or file name
 - Special characters and Unicode are fully supported
 - Search history is maintained during the session
 
+### Search Fields
+Put a field name and a colon in front of a value to search just that field. Terms are combined with AND; **OR** combines the terms on both sides, **-** leaves out what follows and parentheses group terms:
+\`artist:"Miles Davis" year:1955..1965 genre:jazz -live rating:>=4\`
+
+- **Text**: \`title:\`, \`artist:\`, \`albumartist:\`, \`album:\`, \`genre:\`, \`composer:\`, \`filename:\`, \`path:\`, \`comment:\`, \`key:\`, \`format:\`, \`codec:\`. \`artist:miles\` finds words starting with "miles", \`artist:="Miles Davis"\` the whole name, also on tracks with several artists
+- **Numbers**: \`year:\`, \`rating:\` (1 to 5 stars, from the files' rating tags), \`plays:\`, \`bpm:\`, \`track:\`, \`disc:\`, \`bitrate:\` (kbps), \`samplerate:\`, \`bitdepth:\`, \`channels:\`, \`duration:\` (seconds or m:ss). Compare with \`>\`, \`>=\`, \`<\`, \`<=\` or give a range: \`duration:3:00..5:00\`, \`year:..1970\`
+- **Dates**: \`added:\` and \`played:\` take a date (\`added:2024-05\`, \`added:2023..2024\`) or an age: \`added:<30d\` was added in the last 30 days, \`played:>6m\` was last played more than 6 months ago (d, w, m, y). \`played:never\` finds tracks never played
+- **Flags**: \`is:favorite\`, \`is:lossless\`, \`is:lossy\`, \`is:compilation\`, \`is:playable\`, \`is:unplayable\`, \`has:lyrics\`, \`has:rating\`, \`has:key\`, \`has:bpm\`, \`has:replaygain\`, \`has:cue\`
+- Suggestions for field names and for the artists, albums, genres and other values in your library appear as you type; **Tab** takes one
+- A mistake in a query is pointed out under the search box, e.g. \`Unknown field "artst:", did you mean artist:?\`. Put text with a colon in quotes to search for it as is
+
+### Saved Searches
+Keep a search you use often instead of typing it again:
+
+- Click **Save Search** above the results of a search, or next to **Play All** after choosing a genre, year, decade, format, tempo or key in Discover
+- Give it a name and an order for its tracks: best match, title, artist, album, year, duration, BPM, key, recently added, recently played, most played, highest rated or random
+- Saved searches are listed under the Library views in the sidebar. Opening one runs the query again, so newly added or changed tracks show up in it
+- **Play All** plays the tracks of an open saved search; right-click one in the sidebar to play, edit or delete it
+- **Edit Saved Search** above its results changes the name, query or order
+
 ## Discovery Features
 ### Recently Played
 - Automatic tracking of your listening history
@@ -272,7 +331,8 @@ The app automatically:
 - **Artists**: Browse your complete artist collection
 - **Albums**: Visual album browsing with artwork
 - **Genres**: Discover music by musical style
-- **Years**: Explore music chronologically`,
+- **Years**: Explore music chronologically
+- **Tempo and Key**: BPM ranges and keys (in Camelot order) in the Genre Browser; track lists sort by BPM or key too`,
           order: 6,
         },
         {
@@ -316,6 +376,8 @@ The app automatically:
 ### Audio Settings
 - **Default Volume**: Starting volume level (0-100%)
 - **Crossfade Duration**: Smooth transitions between tracks (0-5 seconds)
+- **Volume Normalization**: Play tracks at the same loudness, per track or per album, using ReplayGain tags or a loudness analysis
+- **Normalization Preamp**: Extra gain on top of normalization, lowered where a track would clip
 - **Audio Buffer Size**: Adjust for performance (1024-8192 samples)
 
 ### Library Settings
@@ -386,6 +448,7 @@ Que-Music includes an integrated logging system:
 - **Esc** - Clear search / Close search
 - **Enter** - Play first search result
 - **↑ ↓** - Navigate search results
+- **Tab** - Take the highlighted (or first) field or value suggestion
 
 ## Selection Shortcuts
 - **Ctrl+A** - Select all tracks in current view
@@ -425,9 +488,34 @@ Access via **Tools** → **Database Manager** to perform maintenance tasks:
 - **Refresh Library** - Re-scan music folder for changes
 - **Update Track Durations** - Recalculate missing duration information
 - **Fix Missing Metadata** - Attempt to repair incomplete track information
-- **Clean Database** - Remove orphaned entries and optimize performance
+- **Clean Database** - Relink tracks whose files were moved and remove orphaned entries
+- **Find Duplicates** - List copies of the same recording, even in other formats or bitrates, and merge them
+- **Analyze Loudness** - Measure tracks without ReplayGain tags for volume normalization
+- **Detect Tempo & Key** - Find the BPM and musical key of tracks whose tags have none
+- **Generate Waveforms** - Make the seek bar waveforms of all tracks now instead of on first play
+- **Audit Quality** - Find lossless files that were made from MP3s or other lossy files
 - **Export Database** - Backup your library database
 
+### Duplicate Tracks
+- Pick the copy to keep in each group and click **Merge**
+- Favorites, playlist entries and play counts move to the kept track; the other files go to the trash
+
+### Loudness Analysis
+- ReplayGain and Opus R128 tags are read during scans; **Analyze Loudness** measures the other tracks
+- Turn on **Volume Normalization** in Settings → Audio to use them
+
+### Tempo and Key
+- BPM and key tags are read during scans; **Detect Tempo & Key** fills in the missing ones
+- Sort track lists by BPM or key, or browse them in Discover → Genre Browser
+
+### Quality Audit
+- **Audit Quality** looks for the frequency cutoff a lossy encoder leaves in lossless files
+- Suspicious files are listed with a spectrogram; the dashed line marks the cutoff
+
+### Scan Report
+- Lists unreadable files, tag parse failures and skipped folders from the last scan
+- **Export Report** saves it as CSV or JSON
+
 ### Troubleshooting Tools
 - **Rebuild Database** - Complete database reconstruction
 - **Reset Playlists** - Clear all playlist data
@@ -440,6 +528,8 @@ Access via **Tools** → **Database Manager** to perform maintenance tasks:
 - **macOS**: \`~/Library/Application Support/que-music/music-library.db\`
 - **Linux**: \`~/.config/que-music/music-library.db\`
 
+While the app is running, the latest changes are kept in \`music-library.db-wal\` next to the database and moved into it when the app closes. Copy the database only while the app is closed.
+
 ### Playlist Storage
 - **Primary**: SQLite database (fast queries)
 - **Backup**: M3U files in \`{Music Folder}/Playlists/\`
@@ -1,10 +1,16 @@
 // library-manager.js - Music library browsing, search, and database management
 
 class LibraryManager {
+  // searchTracks marks the words that matched with these, see renderMatch
+  static SEARCH_MATCH_START = '\u0002';
+  static SEARCH_MATCH_END = '\u0003';
+
   constructor(app) {
     this.app = app;
     this.currentSort = 'title'; // Default sort
     this.currentSearchResults = null; // Store current results for sorting
+    this.currentSearchQuery = null; // Query that finds the shown results again, for Save Search
+    this.currentSavedSearch = null; // Saved search the shown results come from
     this.currentFolderSongs = []; // Store songs for Play All button
 
     // Initialize search functionality
@@ -13,6 +19,9 @@ class LibraryManager {
     // Setup event delegation for Play All button
     this.setupPlayAllEventDelegation();
 
+    // Refresh the open folder view when the folder watcher updates the library
+    this.setupLibraryChangeListener();
+
     // DEBUG: Make duplicate check available globally for testing
     window.checkDuplicates = async () => {
       try {
@@ -57,7 +66,9 @@ class LibraryManager {
 
       const folderData = await window.queMusicAPI.files.selectMusicFolder();
 
-      if (folderData) {
+      if (folderData?.error) {
+        this.app.showNotification(folderData.error, 'error');
+      } else if (folderData) {
         this.app.logger.debug(' Folder selected:', folderData.path);
         this.app.showNotification(
           `Selected: ${folderData.name} (${folderData.totalFiles} songs)`,
@@ -80,7 +91,8 @@ class LibraryManager {
           await this.performInitialLibraryScan(folderData.path);
         } else {
           console.log(`📚 Found ${existingTracks.length} existing tracks in database`);
-          await this.loadMusicLibrary(folderData.path);
+          // The library already has other folders, only the new one needs reading
+          await this.performInitialLibraryScan(folderData.path);
         }
       } else {
         this.app.showNotification('No folder selected', 'info');
@@ -93,6 +105,55 @@ class LibraryManager {
     }
   }
 
+  // Add / remove buttons for library folders in the left pane header
+  setupLibraryFolderActions(leftPaneActions) {
+    if (!leftPaneActions) return;
+
+    leftPaneActions.innerHTML = `
+      <button class="btn-secondary btn-sm" id="addMusicFolderBtn" title="Add another music folder to the library">
+        ➕ Add Folder
+      </button>
+    `;
+
+    // Add event listener to avoid duplicate dialogs
+    const addFolderBtn = document.getElementById('addMusicFolderBtn');
+    if (addFolderBtn) {
+      addFolderBtn.addEventListener('click', () => this.selectMusicFolder());
+    }
+  }
+
+  async removeMusicFolder(folderPath) {
+    const confirmed = confirm(
+      `Remove "${this.app.getBasename(folderPath)}" from the library?\n\n` +
+        'Its tracks are removed from the library, favorites and playlists. ' +
+        'The files on disk are not touched.'
+    );
+    if (!confirmed) return;
+
+    try {
+      const result = await window.queMusicAPI.settings.removeMusicFolder(folderPath);
+
+      if (!result.success) {
+        this.app.showNotification(`Could not remove folder: ${result.error}`, 'error');
+        return;
+      }
+
+      this.app.showNotification(
+        `Removed ${this.app.getBasename(folderPath)} (${result.removedTracks} tracks)`,
+        'success'
+      );
+
+      if (this.app.currentView === 'library') {
+        await this.showLibraryView();
+      } else if (document.querySelector('.database-manager')) {
+        await this.openDatabaseManager();
+      }
+    } catch (error) {
+      this.app.logger.error('❌ Error removing music folder:', error);
+      this.app.showNotification('Failed to remove folder', 'error');
+    }
+  }
+
   async checkSavedMusicFolder() {
     try {
       const savedFolder = await window.queMusicAPI.settings.getMusicFolder();
@@ -155,13 +216,9 @@ class LibraryManager {
         `;
       }
 
-      // Get folder structure
-      const folderTree = await window.queMusicAPI.files.getFolderTree(folderPath);
-      this.app.logger.debug(' Folder tree loaded:', folderTree.length, 'folders');
-      console.log(
-        '🔍 DEBUG: First 5 folders:',
-        folderTree.slice(0, 5).map((f) => f.name)
-      );
+      // Get folder structure, one top-level node per library folder
+      const folderTree = await window.queMusicAPI.files.getLibraryTree();
+      this.app.logger.debug(' Library tree loaded:', folderTree.length, 'library folders');
 
       // Get all songs from database for folder counts
       const songs = await window.queMusicAPI.database.getAllTracks();
@@ -187,25 +244,13 @@ class LibraryManager {
     const leftPaneActions = document.getElementById('leftPaneActions');
 
     if (leftPaneTitle) {
-      leftPaneTitle.textContent = `📁 ${this.app.getBasename(folderPath)}`;
+      leftPaneTitle.textContent = 'Music Folders';
     }
 
-    if (leftPaneActions) {
-      leftPaneActions.innerHTML = `
-        <button class="btn-secondary btn-sm" id="changeFolderBtn">
-          📁 Change Folder
-        </button>
-      `;
-
-      // Add event listener to avoid duplicate dialogs
-      const changeFolderBtn = document.getElementById('changeFolderBtn');
-      if (changeFolderBtn) {
-        changeFolderBtn.addEventListener('click', () => this.selectMusicFolder());
-      }
-    }
+    this.setupLibraryFolderActions(leftPaneActions);
 
     if (leftPaneContent) {
-      const folderHTML = this.createFolderBrowserForLeftPane(folderTree, folderPath);
+      const folderHTML = this.createFolderBrowserForLeftPane(folderTree);
       leftPaneContent.innerHTML = folderHTML;
 
       // Setup folder click events
@@ -240,9 +285,9 @@ class LibraryManager {
         `;
       }
 
-      // Get folder structure
-      const folderTree = await window.queMusicAPI.files.getFolderTree(folderPath);
-      this.app.logger.debug(' Folder tree loaded:', folderTree.length, 'folders');
+      // Get folder structure, one top-level node per library folder
+      const folderTree = await window.queMusicAPI.files.getLibraryTree();
+      this.app.logger.debug(' Library tree loaded:', folderTree.length, 'library folders');
 
       // Create basic folder browser with empty right pane initially
       this.createFolderBrowser(folderTree, [], folderPath);
@@ -374,7 +419,7 @@ class LibraryManager {
             </div>
             <div class="song-metadata">
               ${song.format || 'Unknown'} • ${this.app.formatFileSize(song.filesize || song.size || 0)}
-              ${song.year ? ` • ${song.year}` : ''}
+              ${song.year ? ` • ${song.year}` : ''}${this.renderUnplayableBadge(song)}
             </div>
           </div>
         `
@@ -528,7 +573,7 @@ class LibraryManager {
           <div class="song-metadata">
             ${song.format} • ${this.app.formatFileSize(song.size)}
             ${song.year ? ` • ${song.year}` : ''}
-            ${song.genre ? ` • ${song.genre}` : ''}
+            ${song.genre ? ` • ${song.genre}` : ''}${this.renderUnplayableBadge(song)}
           </div>
         </div>
       `
@@ -880,10 +925,11 @@ class LibraryManager {
     try {
       this.app.logger.info(' showLibraryView called - SAFE VERSION');
 
-      const savedFolder = await window.queMusicAPI.settings.getMusicFolder();
+      const musicFolders = await window.queMusicAPI.settings.getMusicFolders();
 
-      if (savedFolder) {
-        this.app.logger.info(' Loading library for:', savedFolder);
+      if (musicFolders.length > 0) {
+        const savedFolder = musicFolders[0];
+        this.app.logger.info(' Loading library for:', musicFolders);
 
         // Get the dual pane elements
         const leftPaneContent = document.getElementById('leftPaneContent');
@@ -902,7 +948,7 @@ class LibraryManager {
         // Set titles
         if (leftPaneTitle) leftPaneTitle.textContent = 'Music Folders';
         if (rightPaneTitle) rightPaneTitle.textContent = 'Select a folder';
-        if (leftPaneActions) leftPaneActions.innerHTML = '';
+        this.setupLibraryFolderActions(leftPaneActions);
         if (rightPaneActions) rightPaneActions.innerHTML = '';
 
         // Show loading in left pane
@@ -915,13 +961,13 @@ class LibraryManager {
 
         // Get folder structure and songs
         try {
-          const folderTree = await window.queMusicAPI.files.getFolderTree(savedFolder);
+          const folderTree = await window.queMusicAPI.files.getLibraryTree();
           const songs = await window.queMusicAPI.files.getSongsInFolder(savedFolder);
 
-          console.log(`📁 Found ${folderTree.length} folders, ${songs.length} songs`);
+          console.log(`📁 Found ${folderTree.length} library folders, ${songs.length} songs`);
 
           // Create folder browser HTML for left pane
-          const folderHTML = this.createFolderBrowserForLeftPane(folderTree, savedFolder);
+          const folderHTML = this.createFolderBrowserForLeftPane(folderTree);
           leftPaneContent.innerHTML = folderHTML;
 
           // Setup folder click events
@@ -973,7 +1019,7 @@ class LibraryManager {
     }
 
     if (leftPaneTitle) leftPaneTitle.textContent = 'Music Folders';
-    if (leftPaneActions) leftPaneActions.innerHTML = '';
+    this.setupLibraryFolderActions(leftPaneActions);
 
     try {
       // Show loading state
@@ -984,16 +1030,16 @@ class LibraryManager {
       </div>
     `;
 
-      // Get folder structure
-      const folderTree = await window.queMusicAPI.files.getFolderTree(folderPath);
-      this.app.logger.debug(' Folder tree received:', folderTree.length, 'folders');
+      // Get folder structure, one top-level node per library folder
+      const folderTree = await window.queMusicAPI.files.getLibraryTree();
+      this.app.logger.debug(' Library tree received:', folderTree.length, 'library folders');
 
       // Get all songs from database instead of just root folder
       const songs = await window.queMusicAPI.database.getAllTracks();
       this.app.logger.debug(' All songs loaded from database:', songs.length, 'tracks');
 
       // Create folder browser HTML
-      const folderHTML = this.createFolderBrowserForLeftPane(folderTree, folderPath);
+      const folderHTML = this.createFolderBrowserForLeftPane(folderTree);
       console.log('🔨 Generated folder HTML length:', folderHTML.length);
 
       // Update left pane content
@@ -1018,14 +1064,14 @@ class LibraryManager {
     }
   }
 
-  createFolderBrowserForLeftPane(folderTree, currentPath) {
+  createFolderBrowserForLeftPane(folderTree) {
     // Filter out system folders that users don't need to see
     const filteredFolderTree = this.filterSystemFolders(folderTree);
 
     return `
     <div class="folder-browser-pane">
       <div class="folder-tree-pane">
-        <h4>📁 ${this.app.getBasename(currentPath)}</h4>
+        <h4>📁 ${folderTree.length} Library Folder${folderTree.length === 1 ? '' : 's'}</h4>
         <div class="tree-container">
           ${this.renderFolderTreeForLeftPane(filteredFolderTree)}
         </div>
@@ -1063,7 +1109,7 @@ class LibraryManager {
     // Mark system folders as disabled instead of filtering them out
     const processed = folders.map((folder) => ({
       ...folder,
-      isSystemFolder: systemFolders.includes(folder.name),
+      isSystemFolder: !folder.isRoot && systemFolders.includes(folder.name),
       children: folder.children ? this.filterSystemFolders(folder.children) : [],
     }));
 
@@ -1096,19 +1142,25 @@ class LibraryManager {
           ? 'opacity: 0.5; cursor: not-allowed;'
           : 'cursor: pointer;';
 
+        // Library folders start expanded and can be removed from the library
+        const isRoot = folder.isRoot === true;
+        const folderIcon = isSystemFolder ? '🔒' : isRoot ? '💽' : '📁';
+
         return `
-    <div class="tree-node ${systemClasses}" data-path="${folder.path}" data-is-system="${isSystemFolder}">
-      <div class="tree-item ${folder.children.length > 0 ? 'has-children' : ''}" style="padding-left: ${level * 16}px; ${systemStyle}">
-        ${folder.children.length > 0 ? '<span class="tree-toggle">▶</span>' : '<span class="tree-spacer"></span>'}
-        <span class="folder-icon">${isSystemFolder ? '🔒' : '📁'}</span>
+    <div class="tree-node ${systemClasses} ${isRoot ? 'library-root' : ''}" data-path="${folder.path}" data-is-system="${isSystemFolder}">
+      <div class="tree-item ${folder.children.length > 0 ? 'has-children' : ''}" style="padding-left: ${level * 16}px; ${systemStyle}" ${isRoot ? `title="${folder.path}"` : ''}>
+        ${folder.children.length > 0 ? `<span class="tree-toggle">${isRoot ? '▼' : '▶'}</span>` : '<span class="tree-spacer"></span>'}
+        <span class="folder-icon">${folderIcon}</span>
         <span class="folder-name">${folder.name}</span>
         <span class="song-count">${folder.songCount}</span>
         ${isSystemFolder ? '<span class="system-badge">System</span>' : ''}
+        ${folder.isMissing ? '<span class="system-badge">Offline</span>' : ''}
+        ${isRoot ? `<button class="remove-root-btn" data-path="${folder.path}" title="Remove from library">✕</button>` : ''}
       </div>
       ${
         folder.children.length > 0
           ? `
-        <div class="tree-children hidden">
+        <div class="tree-children ${isRoot ? '' : 'hidden'}">
           ${this.renderFolderTreeForLeftPane(folder.children, level + 1)}
         </div>
       `
@@ -1138,6 +1190,13 @@ class LibraryManager {
   setupLeftPaneFolderEvents() {
     // this.app.logger.debug(' Setting up left pane folder events');
 
+    document.querySelectorAll('.remove-root-btn').forEach((btn) => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        await this.removeMusicFolder(btn.dataset.path);
+      });
+    });
+
     document.querySelectorAll('.tree-item').forEach((item) => {
       item.addEventListener('click', async (e) => {
         e.stopPropagation();
@@ -1290,7 +1349,7 @@ class LibraryManager {
             </div>
             <div class="song-metadata">
               ${track.format || 'Unknown'} • ${this.app.formatFileSize(track.filesize || track.size || 0)}
-              ${track.year ? ` • ${track.year}` : ''}
+              ${track.year ? ` • ${track.year}` : ''}${this.renderUnplayableBadge(track)}
             </div>
           </div>
         `
@@ -1355,7 +1414,7 @@ class LibraryManager {
             </div>
             <div class="song-metadata">
               ${track.format || 'Unknown'} • ${this.app.formatFileSize(track.filesize || track.size || 0)}
-              ${track.year ? ` • ${track.year}` : ''}
+              ${track.year ? ` • ${track.year}` : ''}${this.renderUnplayableBadge(track)}
             </div>
           </div>
         `
@@ -1527,7 +1586,7 @@ class LibraryManager {
             </div>
             <div class="song-metadata">
               ${track.format || 'Unknown'} • ${this.app.formatFileSize(track.filesize || track.size || 0)}
-              ${track.year ? ` • ${track.year}` : ''}
+              ${track.year ? ` • ${track.year}` : ''}${this.renderUnplayableBadge(track)}
             </div>
           </div>
         `
@@ -1624,8 +1683,8 @@ class LibraryManager {
     console.log(`Showing library bulk menu for ${selectedSongs.length} songs`);
 
     try {
-      // Get available playlists
-      const playlists = await window.queMusicAPI.playlists.getAll();
+      // Get available playlists, leaving out smart playlists, whose rules choose their tracks
+      const playlists = (await window.queMusicAPI.playlists.getAll()).filter((p) => !p.rules);
 
       // Create bulk playlist menu
       const menuHTML = `
@@ -1816,6 +1875,7 @@ class LibraryManager {
   }
 
   showSongsInRightPane(songs, folderPath) {
+    this.currentRightPaneFolder = folderPath;
     const rightPaneTitle = document.getElementById('rightPaneTitle');
     const rightPaneContent = document.getElementById('rightPaneContent');
     const rightPaneActions = document.getElementById('rightPaneActions');
@@ -1882,6 +1942,41 @@ class LibraryManager {
     // console.log(`Displayed ${validSongs.length} valid songs with Select All functionality`);
   }
 
+  // ========================================
+  // FOLDER WATCHER UPDATES
+  // ========================================
+
+  setupLibraryChangeListener() {
+    if (!window.queMusicAPI?.scanner?.onLibraryChanged) return;
+
+    window.queMusicAPI.scanner.onLibraryChanged((changes) => {
+      this.handleLibraryChanged(changes).catch((error) => {
+        this.app.logger.error('❌ Error refreshing library after folder change:', error);
+      });
+    });
+  }
+
+  async handleLibraryChanged(changes) {
+    this.app.logger.info(' Library changed on disk:', {
+      added: changes.added.length,
+      updated: changes.updated.length,
+      removed: changes.removed.length,
+    });
+
+    if (this.app.currentView !== 'library') return;
+
+    // New or deleted folders change the tree itself, so rebuild the whole view
+    if (changes.foldersChanged) {
+      await this.showLibraryView();
+      return;
+    }
+
+    const openFolder = this.currentRightPaneFolder;
+    if (openFolder && changes.folders.includes(openFolder)) {
+      await this.loadSongsFromFolderForRightPane(openFolder);
+    }
+  }
+
   // ADD this new method:
   setupSongCardEvents() {
     const songCards = document.querySelectorAll('.song-card');
@@ -2070,6 +2165,35 @@ class LibraryManager {
     div.textContent = text;
     return div.innerHTML;
   }
+
+  // Tracks in a format the player cannot handle (see server/audio-formats.js) stay in the
+  // library but are marked, so a failed play does not come as a surprise
+  renderUnplayableBadge(track) {
+    if (track.playable !== 0) return '';
+    return ` • <span class="track-unplayable" title="This format cannot be played">Can't play</span>`;
+  }
+
+  // A track field as HTML, with the words the search matched highlighted when the track
+  // came from searchTracks
+  renderMatch(track, column, fallback = '') {
+    const text = track.highlights?.[column] || track[column] || fallback;
+    return this.escapeHtml(text)
+      .replaceAll(LibraryManager.SEARCH_MATCH_START, '<mark class="search-match">')
+      .replaceAll(LibraryManager.SEARCH_MATCH_END, '</mark>');
+  }
+
+  // Matches in fields the result card does not show otherwise, so it is clear why a track
+  // was found
+  renderMatchContext(track) {
+    const fields = { composer: 'Composer', genre: 'Genre', filename: 'File' };
+    return Object.entries(fields)
+      .filter(([column]) => track.highlights?.[column]?.includes(LibraryManager.SEARCH_MATCH_START))
+      .map(
+        ([column, label]) =>
+          ` • <span class="search-match-context">${label}: ${this.renderMatch(track, column)}</span>`
+      )
+      .join('');
+  }
   async showArtistTracks(artist) {
     try {
       const tracks = await window.queMusicAPI.database.getTracksByArtist(artist);
@@ -2107,7 +2231,17 @@ class LibraryManager {
     try {
       const tracks = await window.queMusicAPI.database.getTracksByAlbum(album, artist);
       if (tracks.length > 0) {
-        this.app.coreAudio.playSong(tracks[0].path);
+        // Queue the album in disc/track order. A compilation's tracks can span several
+        // folders, so the folder-based playlist playSong builds would miss some
+        this.app.coreAudio.clearPlaylist();
+        this.app.coreAudio.playlist = tracks.map((track) => ({
+          path: track.path,
+          name: this.app.getBasename(track.path),
+          title: track.title || track.filename,
+          artist: track.artist || 'Unknown Artist',
+        }));
+        this.app.coreAudio.currentTrackIndex = 0;
+        this.app.coreAudio.playSong(tracks[0].path, false);
         this.app.showNotification(`Playing ${album} (${tracks.length} tracks)`, 'success');
       }
     } catch (error) {
@@ -2212,6 +2346,7 @@ class LibraryManager {
         type="text" 
         id="searchInput" 
         placeholder="Search your music..." 
+        title='Words search everywhere. Narrow down with fields: artist:"Miles Davis" year:1955..1965 rating:>=4 -live'
         class="search-input"
         autocomplete="off"
         spellcheck="false"
@@ -2223,6 +2358,8 @@ class LibraryManager {
         </svg>
       </button>
     </div>
+    <div class="search-suggestions" id="searchSuggestions"></div>
+    <div class="search-query-error" id="searchQueryError"></div>
   `;
 
     // FIXED: Setup events immediately after DOM creation
@@ -2252,6 +2389,7 @@ class LibraryManager {
     searchInput.addEventListener('input', (e) => {
       const query = e.target.value.trim();
       // this.app.logger.debug(' Search input event:', query);
+      this.updateSearchSuggestions(searchInput);
 
       if (query.length >= 2) {
         // Simple debouncing
@@ -2266,11 +2404,14 @@ class LibraryManager {
 
     // Keydown events
     searchInput.addEventListener('keydown', (e) => {
+      if (this.handleSuggestionKey(e, searchInput)) return;
+
       if (e.key === 'Escape') {
         e.preventDefault();
         this.closeSearch();
       } else if (e.key === 'Enter') {
         e.preventDefault();
+        this.hideSearchSuggestions();
         const query = e.target.value.trim();
         if (query.length >= 2) {
           this.handleSearchInput(query);
@@ -2297,6 +2438,7 @@ class LibraryManager {
     searchInput.addEventListener('blur', () => {
       // this.app.logger.debug(' Search input blurred');
       searchInput.parentElement.classList.remove('focused');
+      this.hideSearchSuggestions();
     });
 
     this.app.logger.info(' Search input events setup');
@@ -2455,6 +2597,8 @@ class LibraryManager {
       searchInput.value = '';
       searchInput.blur();
     }
+    this.hideSearchSuggestions();
+    this.hideSearchQueryError();
 
     // DON'T clear search results - keep them visible for user interaction
     // this.clearSearchResults(); // REMOVED - results should persist
@@ -2487,12 +2631,19 @@ class LibraryManager {
         this.app.logger.error('❌ Error getting all tracks:', dbError);
       }
 
-      const results = await window.queMusicAPI.database.searchTracks(trimmedQuery);
+      // Bad syntax is pointed out under the search box; the last results stay
+      const response = await window.queMusicAPI.database.queryTracks(trimmedQuery);
+      if (!response.success) {
+        this.showSearchQueryError(trimmedQuery, response.error, response.position);
+        return;
+      }
+      this.hideSearchQueryError();
+      const results = response.tracks;
       // console.log(`🔍 API returned results:`, results);
       // console.log(`🔍 Search results: ${results.length} tracks found`);
 
       if (results.length > 0) {
-        this.displaySearchResults(results, trimmedQuery);
+        this.displaySearchResults(results, trimmedQuery, { searchQuery: trimmedQuery });
       } else {
         this.app.logger.debug(' No results found, showing empty state');
         this.displayNoResults(trimmedQuery);
@@ -2503,6 +2654,131 @@ class LibraryManager {
     }
   }
 
+  // ============================================================================
+  // SEARCH QUERY SUGGESTIONS AND ERRORS
+  // ============================================================================
+
+  // Field names, flags and library values for the term at the cursor (server/search-query.js)
+  async updateSearchSuggestions(searchInput) {
+    const request = (this.suggestionRequest = (this.suggestionRequest || 0) + 1);
+    let suggestions;
+    try {
+      suggestions = await window.queMusicAPI.database.getSearchSuggestions(
+        searchInput.value,
+        searchInput.selectionStart
+      );
+    } catch (error) {
+      this.app.logger.error('Error getting search suggestions:', error);
+      return;
+    }
+    // Typed on in the meantime
+    if (request !== this.suggestionRequest) return;
+
+    this.searchSuggestions = suggestions;
+    this.highlightedSuggestion = -1;
+    const list = document.getElementById('searchSuggestions');
+    if (!list) return;
+
+    list.innerHTML = suggestions.items
+      .map(
+        (item, index) => `
+        <div class="search-suggestion-item" data-index="${index}">
+          <span class="search-suggestion-text">${this.escapeHtml(item.label)}</span>
+          ${item.detail ? `<span class="search-suggestion-type">${this.escapeHtml(item.detail)}</span>` : ''}
+        </div>
+      `
+      )
+      .join('');
+    list.classList.toggle('show', suggestions.items.length > 0);
+
+    list.querySelectorAll('.search-suggestion-item').forEach((element) => {
+      // mousedown rather than click, so the input keeps its focus
+      element.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.acceptSearchSuggestion(searchInput, Number(element.dataset.index));
+      });
+    });
+  }
+
+  hideSearchSuggestions() {
+    this.suggestionRequest = (this.suggestionRequest || 0) + 1;
+    this.searchSuggestions = null;
+    document.getElementById('searchSuggestions')?.classList.remove('show');
+  }
+
+  // Arrow keys move through the suggestions, Tab takes the highlighted or first one, Enter
+  // the highlighted one, Escape closes them. Returns whether the key was used
+  handleSuggestionKey(e, searchInput) {
+    const count = this.searchSuggestions?.items.length || 0;
+    if (count === 0) return false;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      // -1 is the input itself, between the last suggestion and the first
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.highlightedSuggestion =
+        ((this.highlightedSuggestion + 1 + step + count + 1) % (count + 1)) - 1;
+      document
+        .querySelectorAll('#searchSuggestions .search-suggestion-item')
+        .forEach((element, index) => {
+          element.classList.toggle('highlighted', index === this.highlightedSuggestion);
+          if (index === this.highlightedSuggestion) element.scrollIntoView({ block: 'nearest' });
+        });
+      return true;
+    }
+    if (e.key === 'Tab' || (e.key === 'Enter' && this.highlightedSuggestion >= 0)) {
+      e.preventDefault();
+      this.acceptSearchSuggestion(searchInput, Math.max(this.highlightedSuggestion, 0));
+      return true;
+    }
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.hideSearchSuggestions();
+      return true;
+    }
+    return false;
+  }
+
+  // Put a suggestion in place of the term it completes. A field name goes on to suggest its
+  // values, a finished term runs the search
+  acceptSearchSuggestion(searchInput, index) {
+    const { from, to, items } = this.searchSuggestions;
+    const { text } = items[index];
+    const rest = searchInput.value.slice(to);
+    const separator = text.endsWith(':') || rest.startsWith(' ') ? '' : ' ';
+
+    searchInput.value = searchInput.value.slice(0, from) + text + separator + rest;
+    const cursor = from + text.length + separator.length;
+    searchInput.setSelectionRange(cursor, cursor);
+    this.hideSearchSuggestions();
+
+    if (text.endsWith(':')) {
+      this.updateSearchSuggestions(searchInput);
+    } else {
+      clearTimeout(this.searchTimeout);
+      this.handleSearchInput(searchInput.value);
+    }
+  }
+
+  // The query with the part from position on to the end of that term underlined
+  showSearchQueryError(query, message, position) {
+    document.getElementById('searchContainer')?.classList.remove('searching');
+    const element = document.getElementById('searchQueryError');
+    if (!element) return;
+
+    const at = Math.min(Math.max(position ?? query.length, 0), query.length);
+    const end = Math.max(query.slice(at).search(/\s|$/) + at, at + 1);
+    element.innerHTML = `
+      <div class="search-query-error-message">${this.escapeHtml(message)}</div>
+      <code class="search-query-error-query">${this.escapeHtml(query.slice(0, at))}<span class="search-query-error-at">${this.escapeHtml(query.slice(at, end)) || '&nbsp;'}</span>${this.escapeHtml(query.slice(end))}</code>
+    `;
+    element.classList.add('show');
+  }
+
+  hideSearchQueryError() {
+    document.getElementById('searchQueryError')?.classList.remove('show');
+  }
+
   displayNoResults(query) {
     // console.log(`🔍 displayNoResults called for: ${query}`);
 
@@ -2544,7 +2820,9 @@ class LibraryManager {
     }
   }
 
-  displaySearchResults(results, query) {
+  // searchQuery is a search box query that finds the results again, offered to Save Search;
+  // savedSearch the saved search they come from (SavedSearches.openSavedSearch)
+  displaySearchResults(results, query, { searchQuery = null, savedSearch = null } = {}) {
     // console.log(`🔍 displaySearchResults called with ${results.length} results for: ${query}`);
 
     // Remove loading state
@@ -2557,13 +2835,15 @@ class LibraryManager {
     this.app.currentView = 'search';
     this.app.uiController.updateActiveNavItem(null);
     this.currentSearchResults = results;
+    this.currentSearchQuery = savedSearch ? savedSearch.query : searchQuery;
+    this.currentSavedSearch = savedSearch;
 
     // Update content header
     const title = document.getElementById('currentViewTitle');
     const subtitle = document.getElementById('currentViewSubtitle');
 
     if (title) {
-      title.textContent = 'Search Results';
+      title.textContent = savedSearch ? savedSearch.name : 'Search Results';
     }
     if (subtitle) {
       subtitle.innerHTML = `
@@ -2650,7 +2930,7 @@ class LibraryManager {
   <div class="empty-state">
     <div class="empty-state-icon">🔍</div>
     <div class="empty-state-title">No tracks found</div>
-    <div class="empty-state-description">Try a different search term</div>
+    <div class="empty-state-description">${this.currentSavedSearch ? 'No tracks match this saved search right now' : 'Try a different search term'}</div>
     <button class="primary-btn" onclick="window.app.libraryManager.showDiscoverHome()">
       ← Back to Discover
     </button>
@@ -2681,6 +2961,13 @@ class LibraryManager {
             </svg>
             Play All
           </button>
+          ${
+            this.currentSearchQuery
+              ? `<button class="btn-secondary" id="saveSearchBtn">
+            ${this.currentSavedSearch ? 'Edit Saved Search' : 'Save Search'}
+          </button>`
+              : ''
+          }
         </div>
       </div>
       <div class="search-results-list">
@@ -2692,13 +2979,17 @@ class LibraryManager {
                data-index="${index}"
                data-title="${this.escapeHtml(track.title || 'Unknown Title')}"
                data-artist="${this.escapeHtml(track.artist || 'Unknown Artist')}"
-               data-album="${this.escapeHtml(track.album || 'Unknown Album')}">
+               data-album="${this.escapeHtml(track.album || 'Unknown Album')}"
+               data-bpm="${track.bpm || ''}"
+               data-key="${track.musical_key || ''}">
             <div class="track-info">
-              <div class="track-title">${track.title || 'Unknown Title'}</div>
+              <div class="track-title">${this.renderMatch(track, 'title', 'Unknown Title')}</div>
               <div class="track-details">
-                <span class="track-artist">${track.artist || 'Unknown Artist'}</span>
-                ${track.album ? ` • <span class="track-album">${track.album}</span>` : ''}
+                <span class="track-artist">${this.renderMatch(track, 'artist', 'Unknown Artist')}</span>
+                ${track.album ? ` • <span class="track-album">${this.renderMatch(track, 'album')}</span>` : ''}
                 ${track.year ? ` • <span class="track-year">${track.year}</span>` : ''}
+                ${track.bpm ? ` • <span class="track-bpm">${track.bpm} BPM</span>` : ''}
+                ${track.musical_key ? ` • <span class="track-key">${track.musical_key}</span>` : ''}${this.renderMatchContext(track)}${this.renderUnplayableBadge(track)}
               </div>
             </div>
             <div class="track-metadata">
@@ -2758,6 +3049,17 @@ class LibraryManager {
       });
     }
 
+    // Keep the query in the sidebar, or change the saved search the results come from
+    const saveSearchBtn = document.getElementById('saveSearchBtn');
+    if (saveSearchBtn) {
+      saveSearchBtn.addEventListener('click', () => {
+        this.app.savedSearches.showSaveSearchModal({
+          query: this.currentSearchQuery,
+          search: this.currentSavedSearch,
+        });
+      });
+    }
+
     // this.app.logger.debug(' Setup search result events (context menus via delegation)');
   }
 
@@ -2815,6 +3117,7 @@ class LibraryManager {
 
   clearSearchResults() {
     // this.app.logger.debug(' clearSearchResults called');
+    this.hideSearchQueryError();
 
     // Remove loading state
     const searchContainer = document.getElementById('searchContainer');
@@ -2856,6 +3159,62 @@ class LibraryManager {
     }
   }
 
+  async loadTempoKeyFilter() {
+    try {
+      return await window.queMusicAPI.database.getTempoKeyStats();
+    } catch (error) {
+      this.app.logger.error('Error loading tempo and key stats:', error);
+      return { tempos: [], keys: [] };
+    }
+  }
+
+  // BPM ranges and keys, keys in Camelot wheel order so compatible keys sit side by side
+  renderTempoKeyFilters({ tempos, keys } = { tempos: [], keys: [] }) {
+    const keyCounts = new Map(keys.map(({ key, count }) => [key, count]));
+    const camelot = TempoKeyDetector.CAMELOT;
+
+    return `
+      ${
+        tempos.length > 0
+          ? `<div class="filter-section">
+        <h3>🥁 By Tempo</h3>
+        <div class="filter-grid">
+          ${tempos
+            .map(
+              (tempo) => `
+            <button class="filter-btn" data-filter="tempo" data-value="${tempo.bpm}">
+              ${tempo.bpm}–${tempo.bpm + 9} BPM
+              <span class="filter-count">${tempo.count}</span>
+            </button>
+          `
+            )
+            .join('')}
+        </div>
+      </div>`
+          : ''
+      }
+      ${
+        keys.length > 0
+          ? `<div class="filter-section">
+        <h3>🎼 By Key</h3>
+        <div class="filter-grid">
+          ${camelot
+            .filter((key) => keyCounts.has(key))
+            .map(
+              (key) => `
+            <button class="filter-btn" data-filter="key" data-value="${key}">
+              ${key} <span class="filter-count">${Math.floor(camelot.indexOf(key) / 2) + 1}${camelot.indexOf(key) % 2 ? 'B' : 'A'} · ${keyCounts.get(key)}</span>
+            </button>
+          `
+            )
+            .join('')}
+        </div>
+      </div>`
+          : ''
+      }
+    `;
+  }
+
   async applyAdvancedFilter(filterType, filterValue, event) {
     try {
       // console.log(`🔍 Starting filter: ${filterType} = ${filterValue}`);
@@ -2878,68 +3237,8 @@ class LibraryManager {
 
       switch (filterType) {
         case 'genre':
-          // console.log(`🎵 Filtering by genre: ${filterValue}`);
-          const allTracks = await window.queMusicAPI.database.getAllTracks();
-          // this.app.logger.debug(' DEBUG: Raw database tracks count:', allTracks.length);
-
-          // First, let's check if allTracks itself has duplicates
-          const allPaths = allTracks.map((t) => t.path);
-          const uniquePaths = new Set(allPaths);
-          if (allPaths.length !== uniquePaths.size) {
-            // console.log('🚨 FOUND DUPLICATES IN getAllTracks()!');
-            // console.log('🚨 Total tracks:', allPaths.length, 'Unique paths:', uniquePaths.size);
-
-            // Find the actual duplicates
-            const pathCounts = {};
-            allTracks.forEach((track) => {
-              pathCounts[track.path] = (pathCounts[track.path] || 0) + 1;
-            });
-
-            const duplicatePaths = Object.entries(pathCounts).filter(([path, count]) => count > 1);
-            console.log('🚨 Duplicate paths found:', duplicatePaths.slice(0, 5));
-          } else {
-            this.app.logger.info(' No duplicates found in getAllTracks()');
-          }
-
-          // Use filename-based deduplication since you have duplicate files in Albums vs Genre folders
-          const seenFilenames = new Set();
-          const uniqueTracks = [];
-
-          allTracks.forEach((track, trackIndex) => {
-            // Skip tracks without genre
-            if (!track.genre) return;
-
-            // Extract filename from path for deduplication
-            const filename = track.path
-              .split(/[\\\/]/)
-              .pop()
-              .toLowerCase();
-
-            // Skip if we've already added this filename
-            if (seenFilenames.has(filename)) {
-              // console.log(`🔍 DUPLICATE SKIP [${trackIndex}]: Already seen filename "${filename}" from:`, track.path);
-              return;
-            }
-
-            // Check if genre matches
-            const trackGenre = track.genre.toLowerCase();
-            const searchGenre = filterValue.toLowerCase();
-            const matches = trackGenre.includes(searchGenre) || trackGenre === searchGenre;
-
-            if (matches) {
-              // console.log(`✅ ADDING [${trackIndex}]: ${track.title} - ${filename}`);
-              seenFilenames.add(filename);
-              uniqueTracks.push(track);
-            }
-          });
-
-          tracks = uniqueTracks;
-
-          // this.app.logger.debug(' DEBUG: Total tracks:', allTracks.length);
-          // this.app.logger.debug(' DEBUG: Matching tracks:', tracks.length);
-          // this.app.logger.debug(' DEBUG: Seen filenames count:', seenFilenames.size);
-          // this.app.logger.debug(' DEBUG: Final tracks array length:', tracks.length);
-
+          // Matches every genre of a track, not only the first one in its tag
+          tracks = await window.queMusicAPI.database.getTracksByGenre(filterValue);
           headerText = `Genre: ${filterValue}`;
           break;
 
@@ -2970,6 +3269,21 @@ class LibraryManager {
           headerText = `Format: ${filterValue}`;
           break;
 
+        case 'tempo':
+          const allTracksTempo = await window.queMusicAPI.database.getAllTracks();
+          const tempoStart = parseInt(filterValue);
+          tracks = allTracksTempo.filter(
+            (track) => track.bpm >= tempoStart && track.bpm < tempoStart + 10
+          );
+          headerText = `Tempo: ${tempoStart}–${tempoStart + 9} BPM`;
+          break;
+
+        case 'key':
+          const allTracksKey = await window.queMusicAPI.database.getAllTracks();
+          tracks = allTracksKey.filter((track) => track.musical_key === filterValue);
+          headerText = `Key: ${filterValue}`;
+          break;
+
         default:
           // console.log(`🎵 Default case - getting all tracks`);
           tracks = await window.queMusicAPI.database.getAllTracks();
@@ -2982,6 +3296,9 @@ class LibraryManager {
       //   tracks.slice(0, 5).map((t) => t.path)
       // );
 
+      // The same filter as a search box query, so it can be kept as a saved search
+      const searchQuery = SavedSearches.filterQuery(filterType, filterValue);
+
       // FIXED: Switch to dual pane layout for results
       this.app.uiController.showDualPaneView();
 
@@ -3009,6 +3326,7 @@ class LibraryManager {
         <button class="btn-primary btn-sm" id="leftPanePlayAllBtn" ${tracks.length === 0 ? 'disabled' : ''}>
           Play All
         </button>
+        ${searchQuery ? `<button class="btn-secondary btn-sm" id="leftPaneSaveSearchBtn">Save Search</button>` : ''}
       </div>
     </div>
   `;
@@ -3021,6 +3339,13 @@ class LibraryManager {
             this.handlePlayAllClick(tracks);
           });
         }
+
+        const saveSearchBtn = document.getElementById('leftPaneSaveSearchBtn');
+        if (saveSearchBtn) {
+          saveSearchBtn.addEventListener('click', () => {
+            this.app.savedSearches.showSaveSearchModal({ query: searchQuery });
+          });
+        }
       }
 
       const backBtn = document.querySelector('#backToDiscoverBtn');
@@ -3050,10 +3375,14 @@ class LibraryManager {
       </div>
     `;
 
-      const [genres, years] = await Promise.all([this.loadGenresFilter(), this.loadYearsFilter()]);
+      const [genres, years, tempoKey] = await Promise.all([
+        this.loadGenresFilter(),
+        this.loadYearsFilter(),
+        this.loadTempoKeyFilter(),
+      ]);
       const stats = await window.queMusicAPI.database.getStats();
 
-      mainContent.innerHTML = this.renderAdvancedFilters(genres, years, stats);
+      mainContent.innerHTML = this.renderAdvancedFilters(genres, years, stats, tempoKey);
       this.setupAdvancedFiltersEvents();
 
       // this.app.logger.info(' Advanced filters loaded in main content (fallback)');
@@ -3096,11 +3425,20 @@ class LibraryManager {
       </div>
     `;
 
-      const [genres, years] = await Promise.all([this.loadGenresFilter(), this.loadYearsFilter()]);
+      const [genres, years, tempoKey] = await Promise.all([
+        this.loadGenresFilter(),
+        this.loadYearsFilter(),
+        this.loadTempoKeyFilter(),
+      ]);
       const stats = await window.queMusicAPI.database.getStats();
 
       // FIXED: Use single pane optimized layout
-      singlePaneContent.innerHTML = this.renderAdvancedFiltersForSinglePane(genres, years, stats);
+      singlePaneContent.innerHTML = this.renderAdvancedFiltersForSinglePane(
+        genres,
+        years,
+        stats,
+        tempoKey
+      );
       this.setupAdvancedFiltersEvents();
 
       // this.app.logger.info(' Advanced filters loaded in single pane');
@@ -3117,12 +3455,12 @@ class LibraryManager {
     }
   }
 
-  renderAdvancedFiltersForSinglePane(genres, years, stats) {
+  renderAdvancedFiltersForSinglePane(genres, years, stats, tempoKey) {
     return `
     <div class="advanced-filters-single">
       <div class="filters-header">
         <h2>🔍 Genre Browser</h2>
-        <p>Explore your ${stats.tracks.toLocaleString()} tracks by genre, year, and format</p>
+        <p>Explore your ${stats.tracks.toLocaleString()} tracks by genre, year, tempo, key and format</p>
         <button class="btn-secondary" onclick="window.app.uiController.switchView('discover')" style="margin-top: 10px;">
           ← Back to Discover
         </button>
@@ -3163,6 +3501,8 @@ class LibraryManager {
           </div>
         </div>
         
+        ${this.renderTempoKeyFilters(tempoKey)}
+        
         <div class="filter-section">
           <h3>🎧 Browse by Format</h3>
           <div class="filter-grid">
@@ -3197,7 +3537,7 @@ class LibraryManager {
   `;
   }
 
-  renderAdvancedFilters(genres, years, stats) {
+  renderAdvancedFilters(genres, years, stats, tempoKey) {
     return `
       <div class="advanced-filters">
         <div class="filters-header">
@@ -3240,6 +3580,8 @@ class LibraryManager {
             </div>
           </div>
           
+          ${this.renderTempoKeyFilters(tempoKey)}
+          
           <div class="filter-section">
             <h3>🎧 By Format</h3>
             <div class="filter-grid">
@@ -3376,7 +3718,9 @@ class LibraryManager {
         (track) => track.year && track.year >= decadeStart && track.year <= decadeEnd
       );
 
-      this.displaySearchResults(filtered, `${decade}s Music`);
+      this.displaySearchResults(filtered, `${decade}s Music`, {
+        searchQuery: SavedSearches.filterQuery('decade', decade),
+      });
       // console.log(`🔍 Decade filter: ${decade}s, found ${filtered.length} tracks`);
     } catch (error) {
       this.app.logger.error('Error applying decade filter:', error);
@@ -3412,18 +3756,35 @@ class LibraryManager {
       const playlists = await window.queMusicAPI.playlists.getAll();
 
       // Get folder information
-      const musicFolder = await window.queMusicAPI.settings.getMusicFolder();
+      const musicFolders = await window.queMusicAPI.settings.getMusicFolders();
       const playlistFolder = await window.queMusicAPI.playlists.getFolder();
+      const scanReport = await window.queMusicAPI.scanner.getReport();
 
       // Display the database manager interface
-      this.displayDatabaseManager(stats, genres, years, playlists, musicFolder, playlistFolder);
+      this.displayDatabaseManager(
+        stats,
+        genres,
+        years,
+        playlists,
+        musicFolders,
+        playlistFolder,
+        scanReport
+      );
     } catch (error) {
       this.app.logger.error('❌ Error opening database manager:', error);
       this.app.showNotification('Failed to load database manager', 'error');
     }
   }
 
-  displayDatabaseManager(stats, genres, years, playlists, musicFolder, playlistFolder) {
+  displayDatabaseManager(
+    stats,
+    genres,
+    years,
+    playlists,
+    musicFolders,
+    playlistFolder,
+    scanReport = null
+  ) {
     const mainContent = document.getElementById('mainContent');
     if (!mainContent) return;
 
@@ -3562,7 +3923,7 @@ class LibraryManager {
               
               <div class="maintenance-card">
                 <h4>Duplicate Detection</h4>
-                <p>Find and manage duplicate tracks in your library</p>
+                <p>Find copies of the same recording, whatever their format or filename</p>
                 <button class="btn-secondary" id="findDuplicatesBtn">
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
@@ -3572,6 +3933,55 @@ class LibraryManager {
                 </button>
               </div>
               
+              <div class="maintenance-card">
+                <h4>Loudness Analysis</h4>
+                <p>Measure tracks without ReplayGain tags for volume normalization</p>
+                <button class="btn-secondary" id="analyzeLoudnessBtn">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
+                    <path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path>
+                    <path d="M19.07 4.93a10 10 0 0 1 0 14.14"></path>
+                  </svg>
+                  Analyze Loudness
+                </button>
+              </div>
+              
+              <div class="maintenance-card">
+                <h4>Tempo &amp; Key</h4>
+                <p>Detect BPM and musical key of tracks whose tags have none</p>
+                <button class="btn-secondary" id="detectTempoKeyBtn">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M9 18V5l12-2v13"></path>
+                    <circle cx="6" cy="18" r="3"></circle>
+                    <circle cx="18" cy="16" r="3"></circle>
+                  </svg>
+                  Detect Tempo &amp; Key
+                </button>
+              </div>
+              
+              <div class="maintenance-card">
+                <h4>Waveforms</h4>
+                <p>Draw the seek bar of every track as its waveform, instead of on first play</p>
+                <button class="btn-secondary" id="generateWaveformsBtn">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M2 12h2M6 8v8M10 4v16M14 7v10M18 10v4M22 12h-2"></path>
+                  </svg>
+                  Generate Waveforms
+                </button>
+              </div>
+              
+              <div class="maintenance-card">
+                <h4>Quality Audit</h4>
+                <p>Find lossless files that were made from MP3s or other lossy files</p>
+                <button class="btn-secondary" id="auditQualityBtn">
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <circle cx="11" cy="11" r="8"></circle>
+                    <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+                  </svg>
+                  Audit Quality
+                </button>
+              </div>
+              
               <div class="maintenance-card">
                 <h4>Update Durations</h4>
                 <p>Extract duration information for existing tracks</p>
@@ -3599,14 +4009,62 @@ class LibraryManager {
             </div>
           </div>
           
+          <!-- Duplicate Tracks, filled in by Find Duplicates -->
+          <div class="manager-section" id="duplicateSection" hidden>
+            <h3>🔁 Duplicate Tracks</h3>
+            <div id="duplicateResults"></div>
+          </div>
+          
+          <!-- Loudness Analysis, filled in by Analyze Loudness -->
+          <div class="manager-section" id="loudnessSection" hidden>
+            <h3>🔊 Loudness Analysis</h3>
+            <div id="loudnessResults"></div>
+          </div>
+          
+          <!-- Tempo and Key, filled in by Detect Tempo & Key -->
+          <div class="manager-section" id="tempoKeySection" hidden>
+            <h3>🥁 Tempo &amp; Key</h3>
+            <div id="tempoKeyResults"></div>
+          </div>
+          
+          <!-- Waveforms, filled in by Generate Waveforms -->
+          <div class="manager-section" id="waveformSection" hidden>
+            <h3>〰️ Waveforms</h3>
+            <div id="waveformResults"></div>
+          </div>
+          
+          <!-- Quality Audit, filled in by Audit Quality -->
+          <div class="manager-section" id="qualitySection" hidden>
+            <h3>🔬 Quality Audit</h3>
+            <div id="qualityResults"></div>
+          </div>
+          
+          <!-- Scan Report -->
+          <div class="manager-section">
+            <h3>📋 Scan Report</h3>
+            ${this.renderScanReport(scanReport)}
+          </div>
+          
           <!-- Folder Information -->
           <div class="manager-section">
             <h3>📁 Folder Configuration</h3>
             <div class="folder-grid">
               <div class="folder-card">
-                <h4>Music Folder</h4>
-                <p class="folder-path">${musicFolder || 'Not set'}</p>
-                <button class="btn-secondary" onclick="window.app.libraryManager.selectMusicFolder()">Change Folder</button>
+                <h4>Music Folders</h4>
+                ${
+                  musicFolders.length > 0
+                    ? musicFolders
+                        .map(
+                          (folder) => `
+                <p class="folder-path">
+                  ${folder}
+                  <button class="btn-secondary btn-sm remove-root-btn" data-path="${folder}" title="Remove from library">✕</button>
+                </p>`
+                        )
+                        .join('')
+                    : '<p class="folder-path">Not set</p>'
+                }
+                <button class="btn-secondary" onclick="window.app.libraryManager.selectMusicFolder()">Add Folder</button>
               </div>
               <div class="folder-card">
                 <h4>Playlist Folder</h4>
@@ -3631,9 +4089,9 @@ class LibraryManager {
                 <span class="health-status">${playlists.length > 0 ? 'Active' : 'None Created'}</span>
               </div>
               <div class="health-item">
-                <span class="health-icon ${musicFolder ? 'healthy' : 'error'}">${musicFolder ? '✅' : '❌'}</span>
-                <span class="health-label">Music Folder</span>
-                <span class="health-status">${musicFolder ? 'Configured' : 'Not Set'}</span>
+                <span class="health-icon ${musicFolders.length > 0 ? 'healthy' : 'error'}">${musicFolders.length > 0 ? '✅' : '❌'}</span>
+                <span class="health-label">Music Folders</span>
+                <span class="health-status">${musicFolders.length > 0 ? `${musicFolders.length} Configured` : 'Not Set'}</span>
               </div>
               <div class="health-item">
                 <span class="health-icon ${playlistFolder ? 'healthy' : 'warning'}">${playlistFolder ? '✅' : '⚠️'}</span>
@@ -3662,6 +4120,14 @@ class LibraryManager {
       });
     }
 
+    // Export Scan Report
+    const exportReportBtn = document.getElementById('exportScanReportBtn');
+    if (exportReportBtn) {
+      exportReportBtn.addEventListener('click', () => {
+        this.exportScanReport();
+      });
+    }
+
     // Database Cleanup
     const cleanupBtn = document.getElementById('cleanupDbBtn');
     if (cleanupBtn) {
@@ -3686,7 +4152,43 @@ class LibraryManager {
       });
     }
 
+    // Analyze Loudness
+    const analyzeLoudnessBtn = document.getElementById('analyzeLoudnessBtn');
+    if (analyzeLoudnessBtn) {
+      analyzeLoudnessBtn.addEventListener('click', () => {
+        this.analyzeLoudness();
+      });
+    }
+
+    // Detect Tempo & Key
+    const detectTempoKeyBtn = document.getElementById('detectTempoKeyBtn');
+    if (detectTempoKeyBtn) {
+      detectTempoKeyBtn.addEventListener('click', () => {
+        this.detectTempoAndKey();
+      });
+    }
+
+    // Generate Waveforms
+    const generateWaveformsBtn = document.getElementById('generateWaveformsBtn');
+    if (generateWaveformsBtn) {
+      generateWaveformsBtn.addEventListener('click', () => {
+        this.generateWaveforms();
+      });
+    }
+
+    // Audit Quality
+    const auditQualityBtn = document.getElementById('auditQualityBtn');
+    if (auditQualityBtn) {
+      auditQualityBtn.addEventListener('click', () => {
+        this.auditQuality();
+      });
+    }
+
     // Open Playlist Folder
+    document.querySelectorAll('.database-manager .remove-root-btn').forEach((btn) => {
+      btn.addEventListener('click', () => this.removeMusicFolder(btn.dataset.path));
+    });
+
     const openPlaylistFolderBtn = document.getElementById('openPlaylistFolderBtn');
     if (openPlaylistFolderBtn) {
       openPlaylistFolderBtn.addEventListener('click', () => {
@@ -3746,18 +4248,27 @@ class LibraryManager {
       window.queMusicAPI.scanner.onProgress(progressCallback);
 
       try {
-        // Call scanner with progress tracking
+        // Call scanner with progress tracking. Incremental, so adding a folder to an
+        // existing library leaves the tracks of the other folders untouched
         // this.app.logger.debug(' Calling scanner API for folder:', folderPath);
-        const trackCount = await window.queMusicAPI.scanner.scanLibrary(folderPath);
+        const result = await window.queMusicAPI.scanner.scanLibrary(folderPath, {
+          incremental: true,
+        });
 
-        // console.log(`✅ Initial scan complete! Found ${trackCount} tracks`);
-        this.app.showNotification(`Library setup complete! Found ${trackCount} tracks.`, 'success');
+        // console.log(`✅ Initial scan complete! Found ${result.total} tracks`);
+        this.app.showNotification(
+          result.cancelled
+            ? `Scan of ${this.app.getBasename(folderPath)} cancelled after ${result.added} tracks. Rescan the library to finish it.`
+            : `${this.app.getBasename(folderPath)} added! Found ${result.total} tracks.`,
+          result.cancelled ? 'warning' : 'success'
+        );
+        await this.notifyScanProblems();
 
         // Hide progress modal
         this.hideScanProgressModal();
 
-        // Now load the library normally
-        await this.loadMusicLibrary(folderPath);
+        // Now load the library normally, with the new folder next to the existing ones
+        await this.loadMusicLibraryStructure(folderPath);
       } catch (scanError) {
         this.app.logger.error('❌ Initial scan error:', scanError);
         this.app.logger.error('❌ Scan error details:', scanError.stack || scanError);
@@ -3817,10 +4328,41 @@ class LibraryManager {
             <div id="scanStatusText">Preparing to scan your music library...</div>
           </div>
         </div>
+        <div class="modal-footer">
+          <button class="btn-secondary" id="scanPauseBtn">Pause</button>
+          <button class="btn-secondary" id="scanCancelBtn">Cancel Scan</button>
+        </div>
       </div>
     `;
 
     document.body.appendChild(modal);
+    this.scanPaused = false;
+
+    const pauseBtn = modal.querySelector('#scanPauseBtn');
+    const cancelBtn = modal.querySelector('#scanCancelBtn');
+    const statusText = modal.querySelector('#scanStatusText');
+
+    pauseBtn.addEventListener('click', async () => {
+      if (this.scanPaused) {
+        await window.queMusicAPI.scanner.resumeScan();
+        this.scanPaused = false;
+        pauseBtn.textContent = 'Pause';
+        statusText.textContent = 'Resuming scan...';
+      } else if (await window.queMusicAPI.scanner.pauseScan()) {
+        this.scanPaused = true;
+        pauseBtn.textContent = 'Resume';
+        statusText.textContent = 'Paused. Files already being read will still finish.';
+      }
+    });
+
+    cancelBtn.addEventListener('click', async () => {
+      if (!confirm('Cancel the scan? Tracks found so far are kept.')) return;
+      await window.queMusicAPI.scanner.cancelScan();
+      this.scanPaused = false;
+      pauseBtn.disabled = true;
+      cancelBtn.disabled = true;
+      statusText.textContent = 'Cancelling scan...';
+    });
 
     // Add minimal CSS for progress-specific styling
     if (!document.getElementById('scanProgressCSS')) {
@@ -3888,7 +4430,8 @@ class LibraryManager {
     }
 
     if (progressText) {
-      progressText.textContent = `Scanning music files...`;
+      progressText.textContent =
+        progress.phase === 'comparing' ? 'Comparing files...' : `Scanning music files...`;
     }
 
     if (progressStats) {
@@ -3899,8 +4442,20 @@ class LibraryManager {
       currentFile.textContent = `Current: ${progress.currentFile}`;
     }
 
-    if (statusText) {
-      if (progress.percentage >= 100) {
+    // Keep the paused/cancelling message while in-flight files finish
+    const holdStatus =
+      this.scanPaused || document.getElementById('scanCancelBtn')?.disabled === true;
+
+    if (statusText && (!holdStatus || progress.phase === 'completed')) {
+      if (progress.cancelled) {
+        statusText.textContent = 'Scan cancelled. Tracks found so far were kept.';
+      } else if (progress.phase === 'comparing') {
+        statusText.textContent = 'Checking which files are new, changed or removed...';
+      } else if (progress.phase === 'cleanup') {
+        statusText.textContent = 'Removing tracks whose files no longer exist...';
+      } else if (progress.phase === 'completed' && progress.added !== undefined) {
+        statusText.textContent = `${progress.added} added, ${progress.updated} updated, ${progress.removed} removed`;
+      } else if (progress.percentage >= 100) {
         statusText.textContent = 'Finalizing scan and updating database...';
       } else {
         statusText.textContent = `Processing audio files and extracting metadata...`;
@@ -3917,6 +4472,80 @@ class LibraryManager {
     if (modal) {
       modal.remove();
     }
+    this.scanPaused = false;
+  }
+
+  // Point to the scan report when the last scan could not read everything
+  async notifyScanProblems() {
+    const report = await window.queMusicAPI.scanner.getReport();
+    const problems = report
+      ? report.unreadableFiles.length + report.tagErrors.length + report.skippedFolders.length
+      : 0;
+
+    if (problems > 0) {
+      this.app.showNotification(
+        `${problems} files or folders had problems. See the scan report in the Database Manager.`,
+        'warning'
+      );
+    }
+  }
+
+  renderScanReport(report) {
+    if (!report) {
+      return '<p class="scan-report-summary">No library scan has finished yet.</p>';
+    }
+
+    const groups = [
+      ['Unreadable files', report.unreadableFiles],
+      ['Tag parse failures', report.tagErrors],
+      ['Skipped folders', report.skippedFolders],
+    ];
+    const problems = groups.reduce((sum, [, issues]) => sum + issues.length, 0);
+    const finished = new Date(report.finishedAt).toLocaleString();
+    const shownPerGroup = 200;
+
+    return `
+      <p class="scan-report-summary">
+        Last scan ${report.cancelled ? 'cancelled' : 'finished'} ${finished}:
+        ${problems === 0 ? 'no problems found' : `${problems} problems`}
+      </p>
+      ${groups
+        .filter(([, issues]) => issues.length > 0)
+        .map(
+          ([title, issues]) => `
+        <details class="scan-report-group">
+          <summary>${title} (${issues.length})</summary>
+          <ul class="scan-report-list">
+            ${issues
+              .slice(0, shownPerGroup)
+              .map(
+                (issue) => `
+              <li>
+                <span class="scan-report-path">${this.escapeHtml(issue.path)}</span>
+                <span class="scan-report-message">${this.escapeHtml(issue.message)}</span>
+              </li>
+            `
+              )
+              .join('')}
+            ${issues.length > shownPerGroup ? `<li>…and ${issues.length - shownPerGroup} more, export the report to see all</li>` : ''}
+          </ul>
+        </details>
+      `
+        )
+        .join('')}
+      <button class="btn-secondary" id="exportScanReportBtn" ${problems === 0 ? 'disabled' : ''}>
+        Export Report
+      </button>
+    `;
+  }
+
+  async exportScanReport() {
+    const result = await window.queMusicAPI.scanner.exportReport();
+    if (result.success) {
+      this.app.showNotification(`Scan report saved to ${result.filePath}`, 'success');
+    } else if (!result.canceled) {
+      this.app.showNotification(`Export failed: ${result.error}`, 'error');
+    }
   }
 
   // ============================================================================
@@ -3924,16 +4553,16 @@ class LibraryManager {
   // ============================================================================
   async rescanMusicLibrary() {
     try {
-      const musicFolder = await window.queMusicAPI.settings.getMusicFolder();
+      const musicFolders = await window.queMusicAPI.settings.getMusicFolders();
 
-      if (!musicFolder) {
+      if (musicFolders.length === 0) {
         this.app.showNotification('No music folder set', 'warning');
         return;
       }
 
       const confirmed = confirm(
-        'This will scan your music folder and update the database with any new tracks or changes.\n\n' +
-          'This may take a few minutes depending on your library size.\n\n' +
+        'This will scan your music folders and update the database with any new tracks or changes.\n\n' +
+          'Only new and modified files are re-read; tracks whose files were deleted are removed.\n\n' +
           'Continue?'
       );
 
@@ -3953,13 +4582,19 @@ class LibraryManager {
 
         try {
           this.app.showNotification('Starting library rescan...', 'info');
-          // console.log('🔄 Starting library rescan of:', musicFolder);
+          // console.log('🔄 Starting library rescan of:', musicFolders);
 
-          // Call scanner with progress tracking
-          const trackCount = await window.queMusicAPI.scanner.scanLibrary(musicFolder);
+          // Call scanner with progress tracking, re-reading only new and changed files.
+          // Without a folder every library folder is scanned
+          const result = await window.queMusicAPI.scanner.scanLibrary(null, {
+            incremental: true,
+          });
 
-          // console.log(`✅ Rescan complete! Found ${trackCount} tracks`);
-          this.app.showNotification(`Rescan complete! Found ${trackCount} tracks.`, 'success');
+          this.app.showNotification(
+            `${result.cancelled ? 'Rescan cancelled' : 'Rescan complete'}! ${result.added} added, ${result.updated} updated, ${result.removed} removed.`,
+            result.cancelled ? 'warning' : 'success'
+          );
+          await this.notifyScanProblems();
 
           // Hide progress modal and refresh view
           this.hideScanProgressModal();
@@ -4059,13 +4694,406 @@ class LibraryManager {
     }
   }
 
+  // Fingerprint the tracks that have no fingerprint yet, then list groups of tracks that
+  // sound the same. Fingerprints are kept, so later searches only decode new and changed files
   async findDuplicateTracks() {
-    this.app.showNotification('Scanning for duplicate tracks...', 'info');
+    const section = document.getElementById('duplicateSection');
+    const results = document.getElementById('duplicateResults');
+    if (!section || !results || this.audioAnalysis) return;
+
+    section.hidden = false;
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    try {
+      const { failed, remaining } = await this.analyzePendingTracks(results, {
+        api: window.queMusicAPI.duplicates,
+        label: 'Fingerprinting',
+        finishingText: 'Comparing fingerprints...',
+        analyze: (audioData) => AudioFingerprint.compute(audioData),
+        save: (track, fingerprint = new Uint32Array(0)) =>
+          window.queMusicAPI.duplicates.saveFingerprint(
+            track.id,
+            new Uint8Array(fingerprint.buffer)
+          ),
+      });
+
+      const groups = await window.queMusicAPI.duplicates.find();
+      this.renderDuplicateGroups(groups, { failed, remaining });
+    } catch (error) {
+      this.app.logger.error('❌ Duplicate search failed:', error);
+      this.app.showNotification('Duplicate search failed: ' + error.message, 'error');
+      results.innerHTML = '';
+    }
+  }
+
+  // Measure the loudness of tracks that have neither ReplayGain tags nor a measurement yet,
+  // for volume normalization during playback
+  async analyzeLoudness() {
+    const section = document.getElementById('loudnessSection');
+    const results = document.getElementById('loudnessResults');
+    if (!section || !results || this.audioAnalysis) return;
+
+    section.hidden = false;
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    try {
+      const { analyzed, failed, remaining } = await this.analyzePendingTracks(results, {
+        api: window.queMusicAPI.loudness,
+        label: 'Measuring loudness of',
+        finishingText: 'Saving measurements...',
+        analyze: (audioData) => LoudnessMeter.analyze(audioData),
+        // Saved without a value, so a file that cannot be decoded is not retried until it changes
+        save: (track, measurement = {}) => window.queMusicAPI.loudness.save(track.id, measurement),
+      });
+
+      const notes = [
+        failed > 0 ? `${failed} files could not be decoded` : null,
+        remaining > 0 ? `${remaining} tracks are not measured yet` : null,
+      ].filter(Boolean);
+      results.innerHTML = `
+        <p class="scan-report-summary">
+          ${analyzed === 0 && remaining === 0 ? 'Every track already has ReplayGain tags or a loudness measurement' : `Measured ${analyzed - failed} tracks`}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}.
+          Choose track or album normalization under Settings → Audio to use them.
+        </p>
+      `;
+    } catch (error) {
+      this.app.logger.error('❌ Loudness analysis failed:', error);
+      this.app.showNotification('Loudness analysis failed: ' + error.message, 'error');
+      results.innerHTML = '';
+    }
+  }
+
+  // Fill in BPM and key of tracks whose tags lack them. Tags always win; detected values only
+  // go where a tag is missing
+  async detectTempoAndKey() {
+    const section = document.getElementById('tempoKeySection');
+    const results = document.getElementById('tempoKeyResults');
+    if (!section || !results || this.audioAnalysis) return;
+
+    section.hidden = false;
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    try {
+      const { analyzed, failed, remaining } = await this.analyzePendingTracks(results, {
+        api: window.queMusicAPI.tempoKey,
+        label: 'Detecting tempo and key of',
+        finishingText: 'Saving results...',
+        analyze: (audioData) => TempoKeyDetector.analyze(audioData),
+        // Saved without values, so a file that cannot be decoded is not retried until it changes
+        save: (track, detected = {}) => window.queMusicAPI.tempoKey.save(track.id, detected),
+      });
 
-    // Placeholder - you can implement duplicate detection
-    setTimeout(() => {
-      this.app.showNotification('No duplicates found!', 'success');
-    }, 2000);
+      const notes = [
+        failed > 0 ? `${failed} files could not be decoded` : null,
+        remaining > 0 ? `${remaining} tracks are not analyzed yet` : null,
+      ].filter(Boolean);
+      results.innerHTML = `
+        <p class="scan-report-summary">
+          ${analyzed === 0 && remaining === 0 ? 'Every track already has a BPM and key, from its tags or an earlier analysis' : `Analyzed ${analyzed - failed} tracks`}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}.
+          Sort by BPM or key, or browse them in Discover → Genre Browser.
+        </p>
+      `;
+    } catch (error) {
+      this.app.logger.error('❌ Tempo and key detection failed:', error);
+      this.app.showNotification('Tempo and key detection failed: ' + error.message, 'error');
+      results.innerHTML = '';
+    }
+  }
+
+  // Make the seek bar waveforms of all tracks now rather than each on its first play
+  async generateWaveforms() {
+    const section = document.getElementById('waveformSection');
+    const results = document.getElementById('waveformResults');
+    if (!section || !results || this.audioAnalysis) return;
+
+    section.hidden = false;
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    try {
+      const { analyzed, failed, remaining } = await this.analyzePendingTracks(results, {
+        api: window.queMusicAPI.waveform,
+        label: 'Drawing waveform of',
+        finishingText: 'Saving waveforms...',
+        analyze: (audioData) => Waveform.compute(audioData),
+        save: (track, peaks = new Uint8Array(0)) =>
+          window.queMusicAPI.waveform.save(track.id, peaks),
+      });
+
+      const notes = [
+        failed > 0 ? `${failed} files could not be decoded` : null,
+        remaining > 0 ? `${remaining} tracks have no waveform yet` : null,
+      ].filter(Boolean);
+      results.innerHTML = `
+        <p class="scan-report-summary">
+          ${analyzed === 0 && remaining === 0 ? 'Every track already has a waveform' : `Made ${analyzed - failed} waveforms`}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}.
+          CUE sheet tracks keep a plain seek bar.
+        </p>
+      `;
+    } catch (error) {
+      this.app.logger.error('❌ Waveform generation failed:', error);
+      this.app.showNotification('Waveform generation failed: ' + error.message, 'error');
+      results.innerHTML = '';
+    }
+  }
+
+  // Check lossless files for the frequency cutoff a lossy encoder leaves behind, and list the
+  // suspicious ones with their spectrogram. Files checked before are listed without decoding
+  async auditQuality() {
+    const section = document.getElementById('qualitySection');
+    const results = document.getElementById('qualityResults');
+    if (!section || !results || this.audioAnalysis) return;
+
+    section.hidden = false;
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    try {
+      const { failed, remaining } = await this.analyzePendingTracks(results, {
+        api: window.queMusicAPI.quality,
+        label: 'Checking',
+        finishingText: 'Collecting suspicious files...',
+        analyze: (audioData, track) => TranscodeDetector.analyze(audioData, track.sample_rate),
+        save: (track, result = {}) => window.queMusicAPI.quality.save(track.id, result),
+      });
+
+      const report = await window.queMusicAPI.quality.getReport();
+      this.renderQualityReport(report, { failed, remaining });
+    } catch (error) {
+      this.app.logger.error('❌ Quality audit failed:', error);
+      this.app.showNotification('Quality audit failed: ' + error.message, 'error');
+      results.innerHTML = '';
+    }
+  }
+
+  renderQualityReport({ checked, suspects }, { failed, remaining }) {
+    const results = document.getElementById('qualityResults');
+    if (!results) return;
+
+    const notes = [
+      failed > 0 ? `${failed} files could not be decoded` : null,
+      remaining > 0 ? `${remaining} lossless tracks are not checked yet` : null,
+    ].filter(Boolean);
+
+    results.innerHTML = `
+      <p class="scan-report-summary">
+        ${suspects.length === 0 ? `None of ${checked} checked lossless tracks looks transcoded` : `${suspects.length} of ${checked} checked lossless tracks look transcoded from a lossy file`}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}.
+        Each spectrogram runs from the start of the track to its end, low frequencies at the bottom; the dashed line marks the cutoff.
+      </p>
+      ${suspects
+        .map((track, i) => {
+          const details = [
+            track.format,
+            track.bit_depth ? `${track.bit_depth}-bit` : null,
+            track.sample_rate ? `${(track.sample_rate / 1000).toFixed(1)} kHz` : null,
+            `nothing above ${(track.cutoff / 1000).toFixed(1)} kHz`,
+          ].filter(Boolean);
+
+          return `
+        <div class="quality-suspect">
+          <canvas class="quality-spectrogram" data-suspect="${i}"></canvas>
+          <span class="duplicate-track-info">
+            <span class="duplicate-track-title">
+              ${this.escapeHtml(track.title || track.filename)} – ${this.escapeHtml(track.artist || 'Unknown Artist')}
+            </span>
+            <span class="scan-report-message">
+              ${Math.round(track.confidence * 100)}% likely transcoded · ${this.escapeHtml(details.join(' · '))}
+            </span>
+            <span class="scan-report-path">${this.escapeHtml(track.path)}</span>
+          </span>
+        </div>
+      `;
+        })
+        .join('')}
+    `;
+
+    results.querySelectorAll('.quality-spectrogram').forEach((canvas) => {
+      const track = suspects[parseInt(canvas.dataset.suspect, 10)];
+      TranscodeDetector.drawSpectrogram(canvas, new Uint8Array(track.spectrogram), {
+        cutoff: track.cutoff,
+        maxFrequency: track.max_frequency,
+      });
+    });
+  }
+
+  // Decode the tracks api.getPendingTracks() returns one at a time, with a progress bar and a
+  // stop button in results, and save what analyze(audioData, track) makes of each. Files that
+  // fail to decode are saved without a result. Returns { analyzed, failed, remaining }
+  async analyzePendingTracks(results, { api, label, finishingText, analyze, save }) {
+    const job = { cancelled: false };
+    this.audioAnalysis = job;
+
+    results.innerHTML = `
+      <div class="progress-bar analysis-progress">
+        <div class="progress-fill" style="width: 0%"></div>
+      </div>
+      <p class="scan-report-summary analysis-progress-text">Looking for tracks to analyze...</p>
+      <button class="btn-secondary analysis-cancel-btn">Stop</button>
+    `;
+    const fill = results.querySelector('.progress-fill');
+    const text = results.querySelector('.analysis-progress-text');
+
+    results.querySelector('.analysis-cancel-btn').addEventListener('click', (e) => {
+      // Results saved so far are kept; the next run continues from there
+      job.cancelled = true;
+      e.target.disabled = true;
+    });
+
+    try {
+      const pending = await api.getPendingTracks();
+      let analyzed = 0;
+      let failed = 0;
+
+      for (const track of pending) {
+        if (job.cancelled) break;
+        fill.style.width = `${Math.round((analyzed / pending.length) * 100)}%`;
+        text.textContent = `${label} ${analyzed + 1} / ${pending.length}: ${track.title || track.path}`;
+
+        let result;
+        try {
+          const data = await window.queMusicAPI.analysis.readAudio(track.id);
+          result = await analyze(
+            data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+            track
+          );
+        } catch (error) {
+          this.app.logger.warn(`⚠️ Could not analyze ${track.path}:`, error.message);
+          failed++;
+        }
+
+        // Saved empty on failure, so a file that cannot be decoded is not retried until it changes
+        await save(track, result);
+        analyzed++;
+      }
+
+      fill.style.width = '100%';
+      text.textContent = finishingText;
+      return { analyzed, failed, remaining: pending.length - analyzed };
+    } finally {
+      this.audioAnalysis = null;
+    }
+  }
+
+  renderDuplicateGroups(groups, { failed, remaining }) {
+    const results = document.getElementById('duplicateResults');
+    if (!results) return;
+
+    this.duplicateGroups = groups;
+    const notes = [
+      failed > 0 ? `${failed} files could not be decoded` : null,
+      remaining > 0 ? `${remaining} tracks are not fingerprinted yet` : null,
+    ].filter(Boolean);
+
+    results.innerHTML = `
+      <p class="scan-report-summary">
+        ${groups.length === 0 ? 'No tracks that sound the same were found' : `${groups.length} recordings have more than one copy`}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}.
+        CUE sheet tracks are not compared.
+      </p>
+      ${
+        groups.length > 0
+          ? `<label class="duplicate-trash-option">
+        <input type="checkbox" id="duplicateTrashFiles" checked>
+        Move the files of merged copies to the trash, so the next scan does not add them back
+      </label>`
+          : ''
+      }
+      ${groups.map((group, i) => this.renderDuplicateGroup(group, i)).join('')}
+    `;
+
+    results.querySelectorAll('.duplicate-merge-btn').forEach((btn) => {
+      btn.addEventListener('click', () =>
+        this.mergeDuplicateGroup(parseInt(btn.dataset.group, 10))
+      );
+    });
+  }
+
+  renderDuplicateGroup(group, index) {
+    const best = this.pickDuplicateToKeep(group.tracks);
+
+    return `
+      <div class="duplicate-group" data-group="${index}">
+        <div class="duplicate-group-header">
+          <span>${Math.round(group.similarity * 100)}% match</span>
+          <button class="btn-secondary btn-sm duplicate-merge-btn" data-group="${index}">Merge</button>
+        </div>
+        ${group.tracks
+          .map((track) => {
+            const details = [
+              track.format,
+              track.bitrate ? `${Math.round(track.bitrate / 1000)} kbps` : null,
+              track.bit_depth ? `${track.bit_depth}-bit` : null,
+              track.sample_rate ? `${(track.sample_rate / 1000).toFixed(1)} kHz` : null,
+              `${((track.filesize || 0) / (1024 * 1024)).toFixed(1)} MB`,
+              `${track.play_count || 0} plays`,
+              track.is_favorite ? '♥ favorite' : null,
+              track.playlist_count > 0 ? `in ${track.playlist_count} playlists` : null,
+            ].filter(Boolean);
+
+            return `
+          <label class="duplicate-track">
+            <input type="radio" name="duplicateKeep${index}" value="${track.id}" ${track.id === best.id ? 'checked' : ''}>
+            <span class="duplicate-track-info">
+              <span class="duplicate-track-title">
+                ${this.escapeHtml(track.title || track.filename)} – ${this.escapeHtml(track.artist || 'Unknown Artist')}
+              </span>
+              <span class="scan-report-message">${this.escapeHtml(details.join(' · '))}</span>
+              <span class="scan-report-path">${this.escapeHtml(track.path)}</span>
+            </span>
+          </label>
+        `;
+          })
+          .join('')}
+      </div>
+    `;
+  }
+
+  // Suggest the copy with the best audio: lossless first (only those have a bit depth),
+  // then the highest bitrate, then the most played
+  pickDuplicateToKeep(tracks) {
+    const rank = (track) => [track.bit_depth ? 1 : 0, track.bitrate || 0, track.play_count || 0];
+
+    return tracks.reduce((best, track) => {
+      const a = rank(track);
+      const b = rank(best);
+      const i = a.findIndex((value, j) => value !== b[j]);
+      return i !== -1 && a[i] > b[i] ? track : best;
+    });
+  }
+
+  async mergeDuplicateGroup(index) {
+    const group = this.duplicateGroups?.[index];
+    const groupElement = document.querySelector(`.duplicate-group[data-group="${index}"]`);
+    if (!group || !groupElement) return;
+
+    const keepId = parseInt(
+      groupElement.querySelector(`input[name="duplicateKeep${index}"]:checked`).value,
+      10
+    );
+    const kept = group.tracks.find((track) => track.id === keepId);
+    const removeIds = group.tracks.filter((track) => track.id !== keepId).map((t) => t.id);
+    const trashFiles = document.getElementById('duplicateTrashFiles')?.checked === true;
+
+    const confirmed = confirm(
+      `Keep "${kept.title || kept.filename}" (${kept.path}) and remove ${removeIds.length} other copies?\n\n` +
+        'Their favorites, playlist entries and play counts move to the kept track.' +
+        (trashFiles ? '\nTheir files are moved to the trash.' : '')
+    );
+    if (!confirmed) return;
+
+    const result = await window.queMusicAPI.duplicates.merge(keepId, removeIds, { trashFiles });
+    if (!result.success) {
+      this.app.showNotification('Merge failed: ' + result.error, 'error');
+      return;
+    }
+
+    groupElement.remove();
+    if (result.trashFailed.length > 0) {
+      this.app.logger.warn('⚠️ Files not moved to the trash:', result.trashFailed);
+      this.app.showNotification(
+        `Merged, but ${result.trashFailed.length} files could not be moved to the trash`,
+        'warning'
+      );
+    } else {
+      this.app.showNotification(`Merged ${result.removed} copies into one track`, 'success');
+    }
   }
 
   async openPlaylistFolder() {
@@ -4148,6 +5176,8 @@ class LibraryManager {
       album: card.querySelector('.track-album')?.textContent || '',
       year: parseInt(card.querySelector('.track-year')?.textContent) || 0,
       duration: this.parseDurationFromCard(card),
+      bpm: parseFloat(card.dataset.bpm) || null,
+      key: card.dataset.key || null,
     }));
 
     this.sortDataArray(sortedData, sortBy);
@@ -4195,6 +5225,8 @@ class LibraryManager {
           duration: 0,
           year: 0,
           album: '',
+          bpm: null,
+          key: null,
         };
 
         if (songPath) {
@@ -4205,6 +5237,8 @@ class LibraryManager {
                 duration: dbTrack.duration || 0,
                 year: dbTrack.year || 0,
                 album: dbTrack.album || '',
+                bpm: dbTrack.bpm || null,
+                key: dbTrack.musical_key || null,
               };
             }
           } catch (error) {
@@ -4219,6 +5253,8 @@ class LibraryManager {
           album: dbInfo.album || card.querySelector('.song-album')?.textContent || '',
           year: dbInfo.year,
           duration: dbInfo.duration,
+          bpm: dbInfo.bpm,
+          key: dbInfo.key,
         };
 
         if (index < 3) {
@@ -4405,6 +5441,23 @@ class LibraryManager {
           return durationCompare !== 0 ? durationCompare : a.title.localeCompare(b.title);
         });
         break;
+      case 'bpm':
+        dataArray.sort((a, b) => {
+          const bpmCompare = (a.bpm || Infinity) - (b.bpm || Infinity); // Slowest first
+          return bpmCompare || a.title.localeCompare(b.title);
+        });
+        break;
+      case 'key':
+        // Camelot wheel order (1A, 1B, 2A ...), tracks without a key last
+        dataArray.sort((a, b) => {
+          const position = (key) => {
+            const index = TempoKeyDetector.CAMELOT.indexOf(key);
+            return index >= 0 ? index : Infinity;
+          };
+          const keyCompare = position(a.key) - position(b.key);
+          return keyCompare || a.title.localeCompare(b.title);
+        });
+        break;
       default:
         console.warn(`Unknown sort type: ${sortBy}`);
     }
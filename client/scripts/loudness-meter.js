@@ -0,0 +1,154 @@
+// loudness-meter.js - EBU R128 integrated loudness of audio files, for ReplayGain
+
+/**
+ * Loudness Meter
+ * Measures integrated loudness as ITU-R BS.1770 defines it: K-weighted channel energy
+ * over 400 ms blocks, leaving out silence (below -70 LUFS) and quiet passages (10 LU
+ * below the rest). server/replay-gain.js turns the result into track and album gains
+ */
+class LoudnessMeter {
+  // The K-weighting filters are specified at 48 kHz; decodeAudioData resamples to this
+  static SAMPLE_RATE = 48000;
+  static BLOCK_SECONDS = 0.4;
+  static STEPS_PER_BLOCK = 4; // Blocks overlap by 75%
+  static ABSOLUTE_GATE = -70;
+  static RELATIVE_GATE = -10;
+
+  /**
+   * Measure encoded audio (the bytes of an audio file). Returns { loudness, peak } with
+   * loudness in LUFS (null for silence) and peak as the largest sample value
+   */
+  static async analyze(audioData) {
+    const context = new OfflineAudioContext(1, 1, LoudnessMeter.SAMPLE_RATE);
+    const buffer = await context.decodeAudioData(audioData);
+
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+    return LoudnessMeter.measure(channels, buffer.sampleRate);
+  }
+
+  /**
+   * Measure raw channel data (Float32Arrays) at sampleRate
+   */
+  static measure(channels, sampleRate) {
+    const stepLength = Math.round(
+      (sampleRate * LoudnessMeter.BLOCK_SECONDS) / LoudnessMeter.STEPS_PER_BLOCK
+    );
+    const steps = Math.floor((channels[0]?.length || 0) / stepLength);
+    const weights = LoudnessMeter.channelWeights(channels.length);
+    const [shelf, highPass] = LoudnessMeter.kWeightingFilters(sampleRate);
+
+    // Weighted sum of squared, K-weighted samples per 100 ms step
+    const stepEnergy = new Float64Array(steps);
+    let peak = 0;
+
+    channels.forEach((data, c) => {
+      // Inputs and outputs of the last two samples of both biquads
+      let x1 = 0;
+      let x2 = 0;
+      let y1 = 0;
+      let y2 = 0;
+      let z1 = 0;
+      let z2 = 0;
+
+      for (let i = 0; i < steps * stepLength; i++) {
+        const x = data[i];
+        if (x > peak) peak = x;
+        else if (-x > peak) peak = -x;
+
+        const y =
+          shelf.b[0] * x + shelf.b[1] * x1 + shelf.b[2] * x2 - shelf.a[1] * y1 - shelf.a[2] * y2;
+        const z =
+          highPass.b[0] * y +
+          highPass.b[1] * y1 +
+          highPass.b[2] * y2 -
+          highPass.a[1] * z1 -
+          highPass.a[2] * z2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        z2 = z1;
+        z1 = z;
+
+        stepEnergy[Math.floor(i / stepLength)] += weights[c] * z * z;
+      }
+    });
+
+    // Mean energy of each 400 ms block
+    const blockLength = stepLength * LoudnessMeter.STEPS_PER_BLOCK;
+    const blocks = [];
+    for (let start = 0; start + LoudnessMeter.STEPS_PER_BLOCK <= steps; start++) {
+      let energy = 0;
+      for (let step = start; step < start + LoudnessMeter.STEPS_PER_BLOCK; step++) {
+        energy += stepEnergy[step];
+      }
+      blocks.push(energy / blockLength);
+    }
+
+    const loudnessOf = (energy) => -0.691 + 10 * Math.log10(energy);
+    const meanEnergy = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    const audible = blocks.filter((energy) => loudnessOf(energy) > LoudnessMeter.ABSOLUTE_GATE);
+    if (audible.length === 0) {
+      return { loudness: null, peak };
+    }
+
+    const relativeGate = loudnessOf(meanEnergy(audible)) + LoudnessMeter.RELATIVE_GATE;
+    const gated = audible.filter((energy) => loudnessOf(energy) > relativeGate);
+    return { loudness: loudnessOf(meanEnergy(gated)), peak };
+  }
+
+  /**
+   * Surround channels count 1.41 times, the LFE channel of 5.1 audio not at all
+   */
+  static channelWeights(count) {
+    if (count === 6) {
+      return [1, 1, 1, 0, 1.41, 1.41];
+    }
+    return Array.from({ length: count }, () => 1);
+  }
+
+  /**
+   * The two biquads of the K-weighting curve, a high shelf for the head and a high pass,
+   * with coefficients for any sample rate
+   */
+  static kWeightingFilters(sampleRate) {
+    let f0 = 1681.974450955533;
+    const gain = 3.999843853973347;
+    let q = 0.7071752369554196;
+    let k = Math.tan((Math.PI * f0) / sampleRate);
+    const vh = Math.pow(10, gain / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+
+    const shelf = {
+      b: [
+        (vh + (vb * k) / q + k * k) / a0,
+        (2 * (k * k - vh)) / a0,
+        (vh - (vb * k) / q + k * k) / a0,
+      ],
+      a: [1, (2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+    };
+
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan((Math.PI * f0) / sampleRate);
+    a0 = 1 + k / q + k * k;
+
+    const highPass = {
+      b: [1, -2, 1],
+      a: [1, (2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0],
+    };
+
+    return [shelf, highPass];
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LoudnessMeter;
+} else if (typeof window !== 'undefined') {
+  window.LoudnessMeter = LoudnessMeter;
+}
@@ -22,6 +22,8 @@ class QueMusicApp {
     this.libraryManager = new LibraryManager(this);
     this.uiController = new UIController(this);
     this.playlistRenderer = new PlaylistRenderer(this);
+    this.savedSearches = new SavedSearches(this);
+    this.smartPlaylistEditor = new SmartPlaylistEditor(this);
     this.helpManager = new HelpManager(this);
 
     // Initialize context menus
@@ -71,6 +73,8 @@ class QueMusicApp {
 
     await this.playlistRenderer.initializePlaylists();
 
+    await this.savedSearches.initializeSavedSearches();
+
     // Initialize help system
     this.helpManager.init();
 
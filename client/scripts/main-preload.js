@@ -38,6 +38,7 @@ contextBridge.exposeInMainWorld('queMusicAPI', {
   files: {
     selectMusicFolder: () => ipcRenderer.invoke('files:select-music-folder'),
     getFolderTree: (folderPath) => ipcRenderer.invoke('files:get-folder-tree', folderPath),
+    getLibraryTree: () => ipcRenderer.invoke('files:get-library-tree'),
     getSongsInFolder: (folderPath) => ipcRenderer.invoke('files:get-songs-in-folder', folderPath),
   },
 
@@ -47,12 +48,34 @@ contextBridge.exposeInMainWorld('queMusicAPI', {
   settings: {
     getMusicFolder: () => ipcRenderer.invoke('settings:get-music-folder'),
     setMusicFolder: (path) => ipcRenderer.invoke('settings:set-music-folder', path),
+    getMusicFolders: () => ipcRenderer.invoke('settings:get-music-folders'),
+    addMusicFolder: (path) => ipcRenderer.invoke('settings:add-music-folder', path),
+    removeMusicFolder: (path) => ipcRenderer.invoke('settings:remove-music-folder', path),
 
     getPlayerState: () => ipcRenderer.invoke('settings:get-player-state'),
     setPlayerState: (state) => ipcRenderer.invoke('settings:set-player-state', state),
 
     getLogLevel: () => ipcRenderer.invoke('settings:get-log-level'),
     setLogLevel: (level) => ipcRenderer.invoke('settings:set-log-level', level),
+
+    getWatchFolders: () => ipcRenderer.invoke('settings:get-watch-folders'),
+    setWatchFolders: (enabled) => ipcRenderer.invoke('settings:set-watch-folders', enabled),
+
+    getIgnorePatterns: () => ipcRenderer.invoke('settings:get-ignore-patterns'),
+    setIgnorePatterns: (patterns) => ipcRenderer.invoke('settings:set-ignore-patterns', patterns),
+    getTagSeparators: () => ipcRenderer.invoke('settings:get-tag-separators'),
+    setTagSeparators: (separators) => ipcRenderer.invoke('settings:set-tag-separators', separators),
+    getFilenameTemplates: () => ipcRenderer.invoke('settings:get-filename-templates'),
+    setFilenameTemplates: (templates) =>
+      ipcRenderer.invoke('settings:set-filename-templates', templates),
+    previewFilenameTemplates: (templates, samplePaths) =>
+      ipcRenderer.invoke('settings:preview-filename-templates', templates, samplePaths),
+
+    getScanConcurrency: () => ipcRenderer.invoke('settings:get-scan-concurrency'),
+    setScanConcurrency: (concurrency) =>
+      ipcRenderer.invoke('settings:set-scan-concurrency', concurrency),
+    getReplayGain: () => ipcRenderer.invoke('settings:get-replay-gain'),
+    setReplayGain: (settings) => ipcRenderer.invoke('settings:set-replay-gain', settings),
   },
 
   // ============================================================================
@@ -102,6 +125,19 @@ contextBridge.exposeInMainWorld('queMusicAPI', {
     importM3U: (m3uFilePath) => ipcRenderer.invoke('playlist:import-m3u', m3uFilePath),
     exportM3U: (playlistId) => ipcRenderer.invoke('playlist:export-m3u', playlistId),
     forceReimportM3U: () => ipcRenderer.invoke('playlist:force-reimport-m3u'),
+    // Smart playlists: create and update take rules (see server/smart-playlist.js)
+    getSmartOptions: () => ipcRenderer.invoke('playlist:get-smart-options'),
+    countSmartTracks: (rules) => ipcRenderer.invoke('playlist:count-smart-tracks', rules),
+  },
+
+  // Search box queries kept in the sidebar, re-run whenever they are opened
+  savedSearches: {
+    getAll: () => ipcRenderer.invoke('saved-search:get-all'),
+    getSorts: () => ipcRenderer.invoke('saved-search:get-sorts'),
+    create: (searchData) => ipcRenderer.invoke('saved-search:create', searchData),
+    update: (searchData) => ipcRenderer.invoke('saved-search:update', searchData),
+    delete: (searchId) => ipcRenderer.invoke('saved-search:delete', searchId),
+    run: (searchId) => ipcRenderer.invoke('saved-search:run', searchId),
   },
 
   // ============================================================================
@@ -110,6 +146,9 @@ contextBridge.exposeInMainWorld('queMusicAPI', {
   database: {
     getStats: () => ipcRenderer.invoke('database:get-stats'),
     searchTracks: (query) => ipcRenderer.invoke('database:search-tracks', query),
+    queryTracks: (query) => ipcRenderer.invoke('database:query-tracks', query),
+    getSearchSuggestions: (query, cursor) =>
+      ipcRenderer.invoke('database:get-search-suggestions', query, cursor),
     getAllTracks: () => ipcRenderer.invoke('database:get-all-tracks'),
 
     getAllArtists: () => ipcRenderer.invoke('database:get-all-artists'),
@@ -120,7 +159,9 @@ contextBridge.exposeInMainWorld('queMusicAPI', {
 
     getTrackByPath: (path) => ipcRenderer.invoke('database:getTrackByPath', path),
     getGenreStats: () => ipcRenderer.invoke('database:get-genre-stats'),
+    getTracksByGenre: (genre) => ipcRenderer.invoke('database:get-tracks-by-genre', genre),
     getYearStats: () => ipcRenderer.invoke('database:get-year-stats'),
+    getTempoKeyStats: () => ipcRenderer.invoke('database:get-tempo-key-stats'),
     checkDuplicates: () => ipcRenderer.invoke('database:check-duplicates'),
     updateDurations: () => ipcRenderer.invoke('database:updateDurations'),
     populateFromTracks: () => ipcRenderer.invoke('database:populateFromTracks'),
@@ -133,16 +174,89 @@ contextBridge.exposeInMainWorld('queMusicAPI', {
     validatePaths: () => ipcRenderer.invoke('database:validate-paths'),
   },
 
+  // ============================================================================
+  // AUDIO ANALYSIS
+  // ============================================================================
+  analysis: {
+    // File bytes of a track, shared by the analyses below
+    readAudio: (trackId) => ipcRenderer.invoke('analysis:read-audio', trackId),
+  },
+
+  // ============================================================================
+  // DUPLICATE DETECTION
+  // ============================================================================
+  duplicates: {
+    getPendingTracks: () => ipcRenderer.invoke('duplicates:get-pending'),
+    saveFingerprint: (trackId, fingerprint) =>
+      ipcRenderer.invoke('duplicates:save-fingerprint', trackId, fingerprint),
+    find: () => ipcRenderer.invoke('duplicates:find'),
+    merge: (keepId, removeIds, options = {}) =>
+      ipcRenderer.invoke('duplicates:merge', keepId, removeIds, options),
+  },
+
+  // ============================================================================
+  // LOUDNESS AND REPLAYGAIN
+  // ============================================================================
+  loudness: {
+    getPendingTracks: () => ipcRenderer.invoke('loudness:get-pending'),
+    save: (trackId, measurement) => ipcRenderer.invoke('loudness:save', trackId, measurement),
+    getGain: (trackPath) => ipcRenderer.invoke('loudness:get-gain', trackPath),
+  },
+
+  // ============================================================================
+  // TEMPO AND KEY
+  // ============================================================================
+  tempoKey: {
+    getPendingTracks: () => ipcRenderer.invoke('tempo-key:get-pending'),
+    save: (trackId, detected) => ipcRenderer.invoke('tempo-key:save', trackId, detected),
+  },
+
+  // ============================================================================
+  // WAVEFORMS
+  // ============================================================================
+  waveform: {
+    getPendingTracks: () => ipcRenderer.invoke('waveform:get-pending'),
+    save: (trackId, peaks) => ipcRenderer.invoke('waveform:save', trackId, peaks),
+    get: (trackPath) => ipcRenderer.invoke('waveform:get', trackPath),
+  },
+
+  // ============================================================================
+  // AUDIO QUALITY
+  // ============================================================================
+  quality: {
+    getPendingTracks: () => ipcRenderer.invoke('quality:get-pending'),
+    save: (trackId, result) => ipcRenderer.invoke('quality:save', trackId, result),
+    getReport: () => ipcRenderer.invoke('quality:get-report'),
+  },
+
+  // ============================================================================
+  // LYRICS
+  // ============================================================================
+  lyrics: {
+    get: (trackPath) => ipcRenderer.invoke('lyrics:get', trackPath),
+  },
+
   // ============================================================================
   // MUSIC SCANNER
   // ============================================================================
   scanner: {
-    scanLibrary: (folderPath) => ipcRenderer.invoke('scanner:scan-library', folderPath),
+    scanLibrary: (folderPath, options = {}) =>
+      ipcRenderer.invoke('scanner:scan-library', folderPath, options),
+    cancelScan: () => ipcRenderer.invoke('scanner:cancel'),
+    pauseScan: () => ipcRenderer.invoke('scanner:pause'),
+    resumeScan: () => ipcRenderer.invoke('scanner:resume'),
+    getReport: () => ipcRenderer.invoke('scanner:get-report'),
+    exportReport: () => ipcRenderer.invoke('scanner:export-report'),
     onProgress: (callback) => {
       // Remove any existing progress listeners to prevent duplicates
       ipcRenderer.removeAllListeners('scanner:progress');
       ipcRenderer.on('scanner:progress', (event, progress) => callback(progress));
     },
+    onLibraryChanged: (callback) => {
+      // Fired by the folder watcher after it has updated the database
+      ipcRenderer.removeAllListeners('library:changed');
+      ipcRenderer.on('library:changed', (event, changes) => callback(changes));
+    },
   },
 
   // ============================================================================
@@ -775,7 +775,9 @@ class PlaylistRenderer {
     }, 0);
   }
 
+  // Smart playlists are edited through their rules and have no tracks of their own to clear
   createPlaylistContextMenu(playlist) {
+    const isSmart = Boolean(playlist.rules);
     const menu = document.createElement('div');
     menu.id = 'playlistContextMenu';
     menu.className = 'playlist-context-menu';
@@ -791,7 +793,7 @@ class PlaylistRenderer {
       <div class="context-separator"></div>
       <div class="context-item" data-action="edit">
         <span class="context-icon">✏️</span>
-        Edit
+        ${isSmart ? 'Edit Rules' : 'Edit'}
       </div>
       <div class="context-item" data-action="duplicate">
         <span class="context-icon">📋</span>
@@ -799,13 +801,17 @@ class PlaylistRenderer {
       </div>
       <div class="context-item" data-action="export">
         <span class="context-icon">💾</span>
-        Export to M3U
+        ${isSmart ? 'Export Snapshot to M3U' : 'Export to M3U'}
       </div>
       <div class="context-separator"></div>
-      <div class="context-item" data-action="clear">
+      ${
+        isSmart
+          ? ''
+          : `<div class="context-item" data-action="clear">
         <span class="context-icon">🗑️</span>
         Clear Tracks
-      </div>
+      </div>`
+      }
       <div class="context-item danger" data-action="delete">
         <span class="context-icon">❌</span>
         Delete Playlist
@@ -900,6 +906,10 @@ class PlaylistRenderer {
   editCurrentPlaylist() {
     if (!this.currentContextPlaylist) return;
 
+    if (this.currentContextPlaylist.rules) {
+      this.app.smartPlaylistEditor.show(this.currentContextPlaylist);
+      return;
+    }
     this.showPlaylistModal(this.currentContextPlaylist);
   }
 
@@ -916,12 +926,13 @@ class PlaylistRenderer {
       const newPlaylistData = {
         name: `${originalPlaylist.name} (Copy)`,
         description: originalPlaylist.description || '',
+        rules: originalPlaylist.rules || null,
       };
 
       const newPlaylist = await window.queMusicAPI.playlists.create(newPlaylistData);
 
-      // Add all tracks from original playlist
-      if (originalPlaylist.tracks && originalPlaylist.tracks.length > 0) {
+      // Add all tracks from original playlist; a smart playlist's copy has the same rules
+      if (!newPlaylist.rules && originalPlaylist.tracks && originalPlaylist.tracks.length > 0) {
         for (const track of originalPlaylist.tracks) {
           await window.queMusicAPI.playlists.addTrack(newPlaylist.id, track.id);
         }
@@ -1258,8 +1269,8 @@ class PlaylistRenderer {
 
   async exportPlaylistToM3U(playlistId) {
     try {
-      await window.queMusicAPI.playlists.exportM3U(playlistId);
-      this.updatePlaylistStatus('Playlist exported to M3U file', 'success');
+      const result = await window.queMusicAPI.playlists.exportM3U(playlistId);
+      this.updatePlaylistStatus(`Playlist exported to ${result.filePath}`, 'success');
     } catch (error) {
       console.error('❌ Error exporting playlist:', error);
       this.updatePlaylistStatus('Failed to export playlist', 'error');
@@ -0,0 +1,348 @@
+// saved-searches.js - Search box queries and filters kept in the sidebar, re-run when opened
+
+class SavedSearches {
+  constructor(app) {
+    this.app = app;
+    this.searches = [];
+    this.sorts = []; // [{ name, label }], the orders a saved search can list its tracks in
+  }
+
+  // Search box query for an advanced filter (LibraryManager.applyAdvancedFilter), null for
+  // filters that cannot be written as one
+  static filterQuery(filterType, filterValue) {
+    const start = parseInt(filterValue);
+    const exact = (field) => {
+      const value = SavedSearches.quote(filterValue);
+      return value === null ? null : `${field}:=${value}`;
+    };
+
+    switch (filterType) {
+      case 'genre':
+        return exact('genre');
+      case 'year':
+        return Number.isFinite(start) ? `year:${start}` : null;
+      case 'decade':
+        return Number.isFinite(start) ? `year:${start}..${start + 9}` : null;
+      case 'format':
+        return exact('format');
+      case 'tempo':
+        return Number.isFinite(start) ? `bpm:${start}..${start + 9}` : null;
+      case 'key':
+        return exact('key');
+      default:
+        return null;
+    }
+  }
+
+  // A value as a query term takes it: as is when it is one plain word, in double quotes
+  // otherwise. Values with a double quote in them cannot be written, null
+  static quote(value) {
+    const text = String(value ?? '');
+    if (!text || text.includes('"')) return null;
+    return /^[^\s()"]+$/.test(text) ? text : `"${text}"`;
+  }
+
+  // ============================================================================
+  // INITIALIZATION METHODS
+  // ============================================================================
+
+  async initializeSavedSearches() {
+    try {
+      this.sorts = await window.queMusicAPI.savedSearches.getSorts();
+      await this.loadSavedSearches();
+    } catch (error) {
+      console.error('❌ Failed to load saved searches:', error);
+    }
+  }
+
+  // ============================================================================
+  // SIDEBAR LIST
+  // ============================================================================
+
+  async loadSavedSearches() {
+    this.searches = await window.queMusicAPI.savedSearches.getAll();
+    this.renderSavedSearchList();
+  }
+
+  renderSavedSearchList() {
+    const list = document.getElementById('savedSearchList');
+    if (!list) return;
+
+    const open = this.app.currentView === 'search' && this.app.libraryManager.currentSavedSearch;
+    list.innerHTML = this.searches
+      .map(
+        (search) => `
+      <li class="nav-item saved-search-item ${open && open.id === search.id ? 'active' : ''}"
+          data-saved-search="${search.id}" title="${this.escapeHtml(search.query)}">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="11" cy="11" r="8"></circle>
+          <line x1="21" y1="21" x2="16.65" y2="16.65"></line>
+        </svg>
+        <span class="saved-search-name">${this.escapeHtml(search.name)}</span>
+      </li>
+    `
+      )
+      .join('');
+
+    list.querySelectorAll('[data-saved-search]').forEach((item) => {
+      const search = this.searches.find((s) => s.id === Number(item.dataset.savedSearch));
+      item.addEventListener('click', () => this.openSavedSearch(search.id));
+      item.addEventListener('contextmenu', (e) => this.showSavedSearchContextMenu(e, search));
+    });
+  }
+
+  markActiveSavedSearch(searchId) {
+    document.querySelectorAll('.nav-item').forEach((item) => item.classList.remove('active'));
+    const item = document.querySelector(`.nav-item[data-saved-search="${searchId}"]`);
+    if (item) {
+      item.classList.add('active');
+    }
+  }
+
+  // ============================================================================
+  // OPENING AND PLAYING
+  // ============================================================================
+
+  // Runs the stored query against the library as it is now and lists the tracks like
+  // search results, in the saved order. Returns the tracks, null when it could not run
+  async openSavedSearch(searchId) {
+    try {
+      const result = await window.queMusicAPI.savedSearches.run(searchId);
+      if (!result) {
+        this.app.showNotification('That saved search no longer exists', 'warning');
+        await this.loadSavedSearches();
+        return null;
+      }
+
+      const { search, tracks } = result;
+      this.app.libraryManager.displaySearchResults(tracks, search.query, { savedSearch: search });
+      this.markActiveSavedSearch(search.id);
+
+      // The tracks come sorted already; show the order where the sort menu has it
+      const sortSelect = document.getElementById('sortBy');
+      if (sortSelect && [...sortSelect.options].some((option) => option.value === search.sort)) {
+        sortSelect.value = search.sort;
+      }
+      return tracks;
+    } catch (error) {
+      console.error('❌ Error opening saved search:', error);
+      this.app.showNotification(`Could not run saved search: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  async playSavedSearch(searchId) {
+    const tracks = await this.openSavedSearch(searchId);
+    if (tracks && tracks.length > 0) {
+      this.app.libraryManager.playAllSearchResults();
+    }
+  }
+
+  // ============================================================================
+  // SAVE AND EDIT MODAL
+  // ============================================================================
+
+  // Asks for the name and order of a search to keep. With search, edits that saved search
+  showSaveSearchModal({ query = '', sort = 'relevance', search = null } = {}) {
+    this.hideSaveSearchModal();
+
+    const isEdit = search !== null;
+    const modal = document.createElement('div');
+    modal.id = 'saveSearchModal';
+    modal.className = 'modal-overlay show';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content save-search-modal">
+        <div class="modal-header">
+          <h3>${isEdit ? 'Edit Saved Search' : 'Save Search'}</h3>
+        </div>
+        <form id="saveSearchForm">
+          <div class="modal-body form">
+            <div class="form-group">
+              <label class="form-label" for="saveSearchName">Name</label>
+              <input type="text" class="form-input" id="saveSearchName" required
+                     value="${this.escapeHtml(isEdit ? search.name : query)}">
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="saveSearchQuery">Query</label>
+              <input type="text" class="form-input saved-search-query" id="saveSearchQuery" required
+                     value="${this.escapeHtml(isEdit ? search.query : query)}">
+              <div class="form-help">Search box syntax, such as genre:jazz year:1955..1965</div>
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="saveSearchSort">Sort by</label>
+              <select class="form-select" id="saveSearchSort">
+                ${this.sorts
+                  .map(
+                    ({ name, label }) =>
+                      `<option value="${name}" ${name === (isEdit ? search.sort : sort) ? 'selected' : ''}>${label}</option>`
+                  )
+                  .join('')}
+              </select>
+            </div>
+            <div class="form-error" id="saveSearchError"></div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn-secondary" id="saveSearchCancelBtn">Cancel</button>
+            <button type="submit" class="btn-primary" id="saveSearchSubmitBtn">
+              ${isEdit ? 'Save Changes' : 'Save Search'}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector('#saveSearchForm');
+    const nameInput = modal.querySelector('#saveSearchName');
+    const errorText = modal.querySelector('#saveSearchError');
+
+    modal.querySelector('#saveSearchCancelBtn').addEventListener('click', () => {
+      this.hideSaveSearchModal();
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.hideSaveSearchModal();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const searchData = {
+        name: nameInput.value.trim(),
+        query: modal.querySelector('#saveSearchQuery').value.trim(),
+        sort: modal.querySelector('#saveSearchSort').value,
+      };
+
+      try {
+        const saved = isEdit
+          ? await window.queMusicAPI.savedSearches.update({ ...searchData, id: search.id })
+          : await window.queMusicAPI.savedSearches.create(searchData);
+
+        this.hideSaveSearchModal();
+        this.app.showNotification(`Saved search "${saved.name}"`, 'success');
+        await this.loadSavedSearches();
+        await this.openSavedSearch(saved.id);
+      } catch (error) {
+        // ipcRenderer.invoke prefixes the message with the handler it came from
+        errorText.textContent = error.message.replace(
+          /^Error invoking remote method '[^']+': (Error: )?/,
+          ''
+        );
+      }
+    });
+
+    nameInput.focus();
+    nameInput.select();
+  }
+
+  hideSaveSearchModal() {
+    const modal = document.getElementById('saveSearchModal');
+    if (modal) {
+      modal.remove();
+    }
+  }
+
+  // ============================================================================
+  // CONTEXT MENU
+  // ============================================================================
+
+  showSavedSearchContextMenu(event, search) {
+    event.preventDefault();
+    event.stopPropagation();
+    this.hideSavedSearchContextMenu();
+
+    const menu = document.createElement('div');
+    menu.id = 'savedSearchContextMenu';
+    menu.className = 'playlist-context-menu';
+    menu.innerHTML = `
+      <div class="context-item" data-action="open">
+        <span class="context-icon">🔍</span>
+        Open
+      </div>
+      <div class="context-item" data-action="play">
+        <span class="context-icon">▶</span>
+        Play All
+      </div>
+      <div class="context-separator"></div>
+      <div class="context-item" data-action="edit">
+        <span class="context-icon">✏️</span>
+        Edit
+      </div>
+      <div class="context-item danger" data-action="delete">
+        <span class="context-icon">❌</span>
+        Delete Saved Search
+      </div>
+    `;
+    document.body.appendChild(menu);
+    this.app.playlistRenderer.positionContextMenu(menu, event.clientX, event.clientY);
+
+    menu.querySelectorAll('.context-item').forEach((item) => {
+      item.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        this.hideSavedSearchContextMenu();
+
+        switch (item.dataset.action) {
+          case 'open':
+            await this.openSavedSearch(search.id);
+            break;
+          case 'play':
+            await this.playSavedSearch(search.id);
+            break;
+          case 'edit':
+            this.showSaveSearchModal({ search });
+            break;
+          case 'delete':
+            await this.deleteSavedSearch(search);
+            break;
+        }
+      });
+    });
+
+    // Global click listener to close menu
+    setTimeout(() => {
+      document.addEventListener('click', this.hideSavedSearchContextMenu.bind(this), {
+        once: true,
+      });
+    }, 0);
+  }
+
+  hideSavedSearchContextMenu() {
+    const menu = document.getElementById('savedSearchContextMenu');
+    if (menu) {
+      menu.remove();
+    }
+  }
+
+  async deleteSavedSearch(search) {
+    if (!confirm(`Delete the saved search "${search.name}"? No tracks are deleted.`)) return;
+
+    try {
+      await window.queMusicAPI.savedSearches.delete(search.id);
+      this.app.showNotification(`Deleted saved search "${search.name}"`, 'success');
+      await this.loadSavedSearches();
+    } catch (error) {
+      console.error('❌ Error deleting saved search:', error);
+      this.app.showNotification(`Could not delete saved search: ${error.message}`, 'error');
+    }
+  }
+
+  // ============================================================================
+  // UTILITY METHODS
+  // ============================================================================
+
+  // Names and queries go into attributes too, so double quotes are escaped as well
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in main window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SavedSearches;
+} else if (typeof window !== 'undefined') {
+  window.SavedSearches = SavedSearches;
+}
@@ -0,0 +1,373 @@
+// smart-playlist-editor.js - Create and edit smart playlists, whose rules pick their tracks
+
+class SmartPlaylistEditor {
+  // Units of the ages date rules take, as SearchQuery writes them (30d, 2w, 6m, 1y)
+  static AGE_UNITS = { d: 'days', w: 'weeks', m: 'months', y: 'years' };
+
+  constructor(app) {
+    this.app = app;
+    this.options = null; // { fields, sorts } from server/smart-playlist.js
+    this.playlist = null; // The smart playlist being edited, null for a new one
+    this.rules = [];
+    this.countTimer = null;
+  }
+
+  async loadOptions() {
+    if (!this.options) {
+      this.options = await window.queMusicAPI.playlists.getSmartOptions();
+    }
+    return this.options;
+  }
+
+  field(name) {
+    return this.options.fields.find((field) => field.name === name) || this.options.fields[0];
+  }
+
+  // ============================================================================
+  // MODAL
+  // ============================================================================
+
+  async show(playlist = null) {
+    try {
+      await this.loadOptions();
+    } catch (error) {
+      console.error('❌ Error loading smart playlist options:', error);
+      this.app.showNotification('Could not open the smart playlist editor', 'error');
+      return;
+    }
+
+    this.hide();
+    this.playlist = playlist;
+    const rules = playlist?.rules || {
+      match: 'all',
+      rules: [{ field: 'genre', operator: 'is', value: '' }],
+      limit: null,
+      sort: 'artist',
+    };
+    this.rules = rules.rules.map((rule) => ({ ...rule }));
+
+    const modal = document.createElement('div');
+    modal.id = 'smartPlaylistModal';
+    modal.className = 'modal-overlay show';
+    modal.style.display = 'flex';
+    modal.innerHTML = `
+      <div class="modal-content smart-playlist-modal">
+        <div class="modal-header">
+          <h3>${playlist ? 'Edit Smart Playlist' : 'New Smart Playlist'}</h3>
+        </div>
+        <form id="smartPlaylistForm">
+          <div class="modal-body form">
+            <div class="form-group">
+              <label class="form-label" for="smartPlaylistName">Name</label>
+              <input type="text" class="form-input" id="smartPlaylistName" required
+                     value="${this.escapeHtml(playlist?.name)}">
+            </div>
+            <div class="smart-playlist-match">
+              Tracks matching
+              <select class="form-select" id="smartPlaylistMatch">
+                <option value="all" ${rules.match === 'all' ? 'selected' : ''}>all</option>
+                <option value="any" ${rules.match === 'any' ? 'selected' : ''}>any</option>
+              </select>
+              of these rules:
+            </div>
+            <div class="smart-rules" id="smartPlaylistRules"></div>
+            <button type="button" class="btn-secondary btn-sm" id="smartPlaylistAddRule">
+              + Add Rule
+            </button>
+            <div class="form-row">
+              <div class="form-group">
+                <label class="form-label-inline">
+                  <input type="checkbox" class="form-checkbox" id="smartPlaylistLimited"
+                         ${rules.limit ? 'checked' : ''}>
+                  Limit to
+                </label>
+                <input type="number" class="form-input" id="smartPlaylistLimit" min="1"
+                       value="${rules.limit || 25}" ${rules.limit ? '' : 'disabled'}>
+              </div>
+              <div class="form-group">
+                <label class="form-label" for="smartPlaylistSort">Sort by</label>
+                <select class="form-select" id="smartPlaylistSort">
+                  ${this.options.sorts
+                    .map(
+                      ({ name, label }) =>
+                        `<option value="${name}" ${name === rules.sort ? 'selected' : ''}>${label}</option>`
+                    )
+                    .join('')}
+                </select>
+              </div>
+            </div>
+            <div class="form-help" id="smartPlaylistCount"></div>
+            <div class="form-error" id="smartPlaylistError"></div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn-secondary" id="smartPlaylistCancel">Cancel</button>
+            <button type="submit" class="btn-primary" id="smartPlaylistSave">
+              ${playlist ? 'Save Changes' : 'Create Smart Playlist'}
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    this.renderRules();
+    this.setupModalEvents(modal);
+    this.updateCount();
+    modal.querySelector('#smartPlaylistName').focus();
+  }
+
+  hide() {
+    clearTimeout(this.countTimer);
+    const modal = document.getElementById('smartPlaylistModal');
+    if (modal) {
+      modal.remove();
+    }
+  }
+
+  setupModalEvents(modal) {
+    const limited = modal.querySelector('#smartPlaylistLimited');
+    const limit = modal.querySelector('#smartPlaylistLimit');
+
+    modal.querySelector('#smartPlaylistCancel').addEventListener('click', () => this.hide());
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.hide();
+    });
+
+    modal.querySelector('#smartPlaylistAddRule').addEventListener('click', () => {
+      this.rules.push({ field: 'genre', operator: 'is', value: '' });
+      this.renderRules();
+      this.updateCount();
+    });
+
+    limited.addEventListener('change', () => {
+      limit.disabled = !limited.checked;
+      this.updateCount();
+    });
+    for (const id of ['#smartPlaylistMatch', '#smartPlaylistLimit', '#smartPlaylistSort']) {
+      modal.querySelector(id).addEventListener('change', () => this.updateCount());
+    }
+
+    modal.querySelector('#smartPlaylistForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.save();
+    });
+  }
+
+  // ============================================================================
+  // RULES
+  // ============================================================================
+
+  renderRules() {
+    const container = document.getElementById('smartPlaylistRules');
+    if (!container) return;
+
+    container.innerHTML = this.rules
+      .map((rule, index) => {
+        const field = this.field(rule.field);
+        const operator = field.operators.some((o) => o.value === rule.operator)
+          ? rule.operator
+          : field.operators[0].value;
+        return `
+        <div class="smart-rule" data-index="${index}">
+          <select class="form-select smart-rule-field">
+            ${this.options.fields
+              .map(
+                ({ name, label }) =>
+                  `<option value="${name}" ${name === field.name ? 'selected' : ''}>${label}</option>`
+              )
+              .join('')}
+          </select>
+          <select class="form-select smart-rule-operator">
+            ${field.operators
+              .map(
+                ({ value, label }) =>
+                  `<option value="${value}" ${value === operator ? 'selected' : ''}>${label}</option>`
+              )
+              .join('')}
+          </select>
+          <div class="smart-rule-value">${this.renderValue(field, operator, rule.value)}</div>
+          <button type="button" class="btn-icon smart-rule-remove" title="Remove rule">×</button>
+        </div>
+      `;
+      })
+      .join('');
+
+    container.querySelectorAll('.smart-rule').forEach((row) => {
+      const index = Number(row.dataset.index);
+      // The row shows what the rule holds, or its defaults such as the first flag
+      this.rules[index] = this.readRule(row);
+
+      // Another field or operator takes other values, so the row starts over
+      row.querySelector('.smart-rule-field').addEventListener('change', (e) => {
+        const field = this.field(e.target.value);
+        this.rules[index] = { field: field.name, operator: field.operators[0].value, value: '' };
+        this.renderRules();
+        this.updateCount();
+      });
+      row.querySelector('.smart-rule-operator').addEventListener('change', (e) => {
+        this.rules[index] = { ...this.readRule(row), operator: e.target.value, value: '' };
+        this.renderRules();
+        this.updateCount();
+      });
+      row.querySelector('.smart-rule-value').addEventListener('input', () => {
+        this.rules[index] = this.readRule(row);
+        this.updateCount();
+      });
+      row.querySelector('.smart-rule-value').addEventListener('change', () => {
+        this.rules[index] = this.readRule(row);
+        this.updateCount();
+      });
+      row.querySelector('.smart-rule-remove').addEventListener('click', () => {
+        this.rules.splice(index, 1);
+        this.renderRules();
+        this.updateCount();
+      });
+    });
+  }
+
+  // The inputs for a rule's value: two for a range, an amount and unit for an age, a date
+  // picker for before and after, the flags for is:, none for never
+  renderValue(field, operator, value) {
+    const input = (text, attributes = '') =>
+      `<input type="text" class="form-input" value="${this.escapeHtml(text)}" ${attributes}>`;
+    const placeholder = field.kind === 'duration' ? 'placeholder="m:ss"' : '';
+
+    if (field.kind === 'flag') {
+      return `<select class="form-select">
+        ${field.flags
+          .map(
+            (flag) => `<option value="${flag}" ${flag === value ? 'selected' : ''}>${flag}</option>`
+          )
+          .join('')}
+      </select>`;
+    }
+    if (operator === 'never') return '';
+    if (operator === 'between') {
+      const [from = '', to = ''] = Array.isArray(value) ? value : [];
+      return `${input(from, placeholder)}<span>and</span>${input(to, placeholder)}`;
+    }
+    if (operator === 'in-last' || operator === 'not-in-last') {
+      const [, amount = '', unit = 'm'] = /^(\d*)([dwmy]?)$/.exec(String(value || '')) || [];
+      return `
+        <input type="number" class="form-input" min="1" value="${amount}">
+        <select class="form-select">
+          ${Object.entries(SmartPlaylistEditor.AGE_UNITS)
+            .map(
+              ([key, label]) =>
+                `<option value="${key}" ${key === (unit || 'm') ? 'selected' : ''}>${label}</option>`
+            )
+            .join('')}
+        </select>`;
+    }
+    if (operator === 'before' || operator === 'after') {
+      return `<input type="date" class="form-input" value="${this.escapeHtml(value)}">`;
+    }
+    return input(value ?? '', placeholder);
+  }
+
+  readRule(row) {
+    const field = this.field(row.querySelector('.smart-rule-field').value);
+    const operator = row.querySelector('.smart-rule-operator').value;
+    const controls = [...row.querySelectorAll('.smart-rule-value input, .smart-rule-value select')];
+    const values = controls.map((control) => control.value.trim());
+
+    let value = values[0] ?? '';
+    if (operator === 'between') value = values.slice(0, 2);
+    if (operator === 'in-last' || operator === 'not-in-last') {
+      value = values[0] ? `${values[0]}${values[1]}` : '';
+    }
+    return { field: field.name, operator, value };
+  }
+
+  // The definition the form describes (see server/smart-playlist.js)
+  readDefinition() {
+    const limited = document.getElementById('smartPlaylistLimited').checked;
+    return {
+      match: document.getElementById('smartPlaylistMatch').value,
+      rules: this.rules,
+      limit: limited ? parseInt(document.getElementById('smartPlaylistLimit').value, 10) : null,
+      sort: document.getElementById('smartPlaylistSort').value,
+    };
+  }
+
+  // How many tracks the rules find now, shown while editing; a rule that cannot be
+  // evaluated yet is pointed out instead
+  updateCount() {
+    clearTimeout(this.countTimer);
+    this.countTimer = setTimeout(async () => {
+      const countText = document.getElementById('smartPlaylistCount');
+      const errorText = document.getElementById('smartPlaylistError');
+      if (!countText || !errorText) return;
+
+      const response = await window.queMusicAPI.playlists.countSmartTracks(this.readDefinition());
+      countText.textContent = response.success
+        ? `${response.count} track${response.count === 1 ? '' : 's'} match right now`
+        : '';
+      errorText.textContent = response.success ? '' : response.error;
+    }, 250);
+  }
+
+  // ============================================================================
+  // SAVING
+  // ============================================================================
+
+  async save() {
+    const nameInput = document.getElementById('smartPlaylistName');
+    const errorText = document.getElementById('smartPlaylistError');
+    const name = nameInput.value.trim();
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+
+    try {
+      const playlistData = { name, rules: this.readDefinition() };
+      const saved = this.playlist
+        ? await window.queMusicAPI.playlists.update({
+            ...playlistData,
+            id: this.playlist.id,
+            description: this.playlist.description || '',
+          })
+        : await window.queMusicAPI.playlists.create(playlistData);
+
+      this.hide();
+      this.app.showNotification(
+        this.playlist ? 'Smart playlist updated' : 'Smart playlist created',
+        'success'
+      );
+
+      // Refresh both old sidebar and new dual-pane layout
+      await this.app.playlistRenderer.refreshPlaylistsView();
+      if (this.app.uiController && this.app.uiController.switchView) {
+        await this.app.uiController.switchView('playlists');
+        await this.app.uiController.selectPlaylistInBrowser(saved.id);
+      }
+    } catch (error) {
+      console.error('❌ Error saving smart playlist:', error);
+      // ipcRenderer.invoke prefixes the message with the handler it came from
+      errorText.textContent = error.message.replace(
+        /^Error invoking remote method '[^']+': (Error: )?/,
+        ''
+      );
+    }
+  }
+
+  // ============================================================================
+  // UTILITY METHODS
+  // ============================================================================
+
+  // Values go into attributes, so double quotes are escaped as well
+  escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in main window
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SmartPlaylistEditor;
+} else if (typeof window !== 'undefined') {
+  window.SmartPlaylistEditor = SmartPlaylistEditor;
+}
@@ -0,0 +1,248 @@
+// tempo-key-detector.js - BPM and musical key of audio files without such tags
+
+/**
+ * Tempo and Key Detector
+ * Tempo: onsets show up as sudden rises in the spectrum (spectral flux); the beat period is
+ * the lag at which that onset curve best matches itself, preferring tempos around 120 BPM.
+ * Key: the spectrum folded onto the twelve pitch classes, compared with the Krumhansl-Kessler
+ * profiles of all major and minor keys
+ */
+class TempoKeyDetector {
+  static SAMPLE_RATE = 11025;
+
+  // At most this much audio from the middle of the track is analyzed
+  static MAX_SECONDS = 120;
+
+  // Onset curve: about 86 values per second
+  static ONSET_FRAME_SIZE = 1024;
+  static ONSET_HOP_SIZE = 128;
+  static MIN_BPM = 60;
+  static MAX_BPM = 200;
+  static PREFERRED_BPM = 120;
+
+  // Pitch classes: 2.7 Hz bins, fine enough to tell semitones apart from A2 up
+  static CHROMA_FRAME_SIZE = 4096;
+  static MIN_PITCH_FREQUENCY = 110;
+  static MAX_PITCH_FREQUENCY = 2000;
+
+  static MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+  static MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+  static NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+  // Keys as the library spells them (server/musical-key.js), in Camelot wheel order: 1A, 1B,
+  // 2A ... 12B. Neighbours on the wheel mix well
+  static CAMELOT = [
+    'G#m', 'B', 'Ebm', 'F#', 'Bbm', 'Db', 'Fm', 'Ab', 'Cm', 'Eb', 'Gm', 'Bb',
+    'Dm', 'F', 'Am', 'C', 'Em', 'G', 'Bm', 'D', 'F#m', 'A', 'C#m', 'E',
+  ]; // prettier-ignore
+
+  /**
+   * Detect tempo and key of encoded audio (the bytes of an audio file). Returns { bpm, key }
+   * with key like "A#m" (main spells it the library's way); either is null when the audio
+   * gives nothing to go by
+   */
+  static async analyze(audioData) {
+    const context = new OfflineAudioContext(1, 1, TempoKeyDetector.SAMPLE_RATE);
+    const buffer = await context.decodeAudioData(audioData);
+    const samples = TempoKeyDetector.downmix(buffer);
+
+    return {
+      bpm: TempoKeyDetector.detectTempo(samples),
+      key: TempoKeyDetector.detectKey(samples),
+    };
+  }
+
+  /**
+   * Mono samples of at most MAX_SECONDS from the middle of an AudioBuffer
+   */
+  static downmix(buffer) {
+    const length = Math.min(buffer.length, TempoKeyDetector.MAX_SECONDS * buffer.sampleRate);
+    const start = Math.floor((buffer.length - length) / 2);
+    const samples = new Float32Array(length);
+
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < length; i++) {
+        samples[i] += data[start + i] / buffer.numberOfChannels;
+      }
+    }
+    return samples;
+  }
+
+  /**
+   * Tempo of mono samples at SAMPLE_RATE in BPM, to one decimal
+   */
+  static detectTempo(samples) {
+    const { ONSET_FRAME_SIZE, ONSET_HOP_SIZE, SAMPLE_RATE } = TempoKeyDetector;
+    const frameRate = SAMPLE_RATE / ONSET_HOP_SIZE;
+    const spectra = TempoKeyDetector.spectra(samples, ONSET_FRAME_SIZE, ONSET_HOP_SIZE);
+    if (spectra.length < 2) return null;
+
+    // Spectral flux on a log scale, so quiet instruments count as well
+    const flux = new Float64Array(spectra.length);
+    for (let frame = 1; frame < spectra.length; frame++) {
+      const current = spectra[frame];
+      const previous = spectra[frame - 1];
+      let sum = 0;
+      for (let bin = 1; bin < current.length; bin++) {
+        const rise = Math.log1p(100 * current[bin]) - Math.log1p(100 * previous[bin]);
+        if (rise > 0) sum += rise;
+      }
+      flux[frame] = sum;
+    }
+
+    // Onsets stand out against the local average over half a second
+    const total = new Float64Array(flux.length + 1);
+    for (let i = 0; i < flux.length; i++) {
+      total[i + 1] = total[i] + flux[i];
+    }
+    const half = Math.round(frameRate / 4);
+    const onsets = new Float64Array(flux.length);
+    for (let i = 0; i < flux.length; i++) {
+      const from = Math.max(0, i - half);
+      const to = Math.min(flux.length, i + half + 1);
+      onsets[i] = Math.max(0, flux[i] - (total[to] - total[from]) / (to - from));
+    }
+
+    const minLag = Math.floor((60 * frameRate) / TempoKeyDetector.MAX_BPM);
+    const maxLag = Math.ceil((60 * frameRate) / TempoKeyDetector.MIN_BPM);
+    if (onsets.length < 2 * maxLag) return null;
+
+    const correlation = new Float64Array(2 * maxLag + 2);
+    for (let lag = 0; lag < correlation.length; lag++) {
+      let sum = 0;
+      for (let i = 0; i + lag < onsets.length; i++) {
+        sum += onsets[i] * onsets[i + lag];
+      }
+      correlation[lag] = sum / (onsets.length - lag);
+    }
+    if (correlation[0] <= 0) return null;
+
+    // A beat period also lines up at twice its length; the tempo prior (a log-normal curve one
+    // octave wide) settles between half and double tempo
+    let bestLag = 0;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      const bpm = (60 * frameRate) / lag;
+      const prior = Math.exp(-0.5 * Math.log2(bpm / TempoKeyDetector.PREFERRED_BPM) ** 2);
+      const score = (correlation[lag] + 0.5 * correlation[2 * lag]) * prior;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    if (bestLag === 0) return null;
+
+    // The peak lies between whole lags; a parabola through its neighbours finds it
+    const [before, peak, after] = [
+      correlation[bestLag - 1],
+      correlation[bestLag],
+      correlation[bestLag + 1],
+    ];
+    const curvature = before - 2 * peak + after;
+    const offset = curvature < 0 ? (0.5 * (before - after)) / curvature : 0;
+    return Math.round((600 * frameRate) / (bestLag + offset)) / 10;
+  }
+
+  /**
+   * Key of mono samples at SAMPLE_RATE, like "C" or "F#m"
+   */
+  static detectKey(samples) {
+    const { CHROMA_FRAME_SIZE, SAMPLE_RATE } = TempoKeyDetector;
+    const spectra = TempoKeyDetector.spectra(samples, CHROMA_FRAME_SIZE, CHROMA_FRAME_SIZE);
+
+    // Pitch class (C = 0) of every bin in the pitch range
+    const binFrequency = SAMPLE_RATE / CHROMA_FRAME_SIZE;
+    const firstBin = Math.ceil(TempoKeyDetector.MIN_PITCH_FREQUENCY / binFrequency);
+    const lastBin = Math.floor(TempoKeyDetector.MAX_PITCH_FREQUENCY / binFrequency);
+    const pitchClasses = [];
+    for (let bin = firstBin; bin <= lastBin; bin++) {
+      const midiNote = 69 + 12 * Math.log2((bin * binFrequency) / 440);
+      pitchClasses.push(((Math.round(midiNote) % 12) + 12) % 12);
+    }
+
+    // Every frame counts the same, however loud
+    const chroma = new Float64Array(12);
+    for (const spectrum of spectra) {
+      const frameChroma = new Float64Array(12);
+      let total = 0;
+      for (let bin = firstBin; bin <= lastBin; bin++) {
+        frameChroma[pitchClasses[bin - firstBin]] += spectrum[bin];
+        total += spectrum[bin];
+      }
+      if (total > 0) {
+        for (let pc = 0; pc < 12; pc++) chroma[pc] += frameChroma[pc] / total;
+      }
+    }
+    if (chroma.every((value) => value === 0)) return null;
+
+    let bestKey = null;
+    let bestCorrelation = -Infinity;
+    for (let tonic = 0; tonic < 12; tonic++) {
+      for (const minor of [false, true]) {
+        const profile = minor ? TempoKeyDetector.MINOR_PROFILE : TempoKeyDetector.MAJOR_PROFILE;
+        const rotated = chroma.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+        const correlation = TempoKeyDetector.correlate(chroma, rotated);
+        if (correlation > bestCorrelation) {
+          bestCorrelation = correlation;
+          bestKey = TempoKeyDetector.NOTE_NAMES[tonic] + (minor ? 'm' : '');
+        }
+      }
+    }
+    return bestKey;
+  }
+
+  /**
+   * Magnitude spectra (bins 0 to frameSize / 2) of Hann-windowed frames
+   */
+  static spectra(samples, frameSize, hopSize) {
+    const frameCount = Math.floor((samples.length - frameSize) / hopSize) + 1;
+    const window = new Float64Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (frameSize - 1));
+    }
+
+    const re = new Float64Array(frameSize);
+    const im = new Float64Array(frameSize);
+    const spectra = [];
+    for (let frame = 0; frame < frameCount; frame++) {
+      const offset = frame * hopSize;
+      for (let i = 0; i < frameSize; i++) {
+        re[i] = samples[offset + i] * window[i];
+        im[i] = 0;
+      }
+      AudioFingerprint.fft(re, im);
+
+      const magnitudes = new Float32Array(frameSize / 2 + 1);
+      for (let bin = 0; bin < magnitudes.length; bin++) {
+        magnitudes[bin] = Math.hypot(re[bin], im[bin]) / frameSize;
+      }
+      spectra.push(magnitudes);
+    }
+    return spectra;
+  }
+
+  /**
+   * Pearson correlation of two equally long arrays
+   */
+  static correlate(a, b) {
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) ** 2;
+      varianceB += (b[i] - meanB) ** 2;
+    }
+    return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TempoKeyDetector;
+} else if (typeof window !== 'undefined') {
+  window.TempoKeyDetector = TempoKeyDetector;
+}
@@ -0,0 +1,238 @@
+// transcode-detector.js - Lossless files that were made from lossy ones
+
+/**
+ * Transcode Detector
+ * Lossy encoders drop the highest frequencies: MP3 at 128 kbps keeps nothing above about
+ * 16 kHz, at 320 kbps nothing above about 20 kHz. Decoding such a file and saving it as
+ * FLAC keeps that hole, a sharp drop in the spectrum that real recordings only show right
+ * below the Nyquist frequency. The detector looks for the drop, rates how sure it is and
+ * keeps a small spectrogram to show it
+ */
+class TranscodeDetector {
+  // Files are analyzed at their own rate up to this one; above it lossy encoders keep nothing
+  static MAX_SAMPLE_RATE = 44100;
+  static FRAME_SIZE = 4096;
+  static SILENCE_LEVEL = 0.0001;
+
+  // Spectrogram preview: time columns by frequency rows, one byte per cell, lowest row first
+  static COLUMNS = 120;
+  static ROWS = 64;
+  static FRAMES_PER_COLUMN = 4;
+  static DYNAMIC_RANGE = 90;
+
+  // The cutoff search compares the spectrum in bands of 8 bins (86 Hz at 44.1 kHz) right
+  // below and right above each band, leaving out a few bands for the encoder's filter slope
+  static BAND_BINS = 8;
+  static WINDOW_BANDS = 8;
+  static SLOPE_BANDS = 4;
+  static MIN_CUTOFF = 5000;
+
+  // Confidence grows with the drop, from MIN_DROP to FULL_DROP dB, and with the distance of
+  // the cutoff below the Nyquist frequency, from NORMAL_GAP to FULL_GAP Hz; anti-aliasing
+  // filters of genuine recordings sit within NORMAL_GAP
+  static MIN_DROP = 15;
+  static FULL_DROP = 40;
+  static NORMAL_GAP = 800;
+  static FULL_GAP = 2800;
+
+  // Spectrogram colours from silent to loudest
+  static COLOR_STOPS = [
+    [0, 0, 0],
+    [70, 0, 120],
+    [210, 30, 40],
+    [255, 190, 0],
+    [255, 255, 255],
+  ];
+
+  /**
+   * Analyze encoded audio (the bytes of an audio file) with the sample rate of the file, if
+   * known. Returns { cutoff, maxFrequency, confidence, spectrogram }: cutoff in Hz is null
+   * when the spectrum has no drop, maxFrequency is the top of the analyzed range and
+   * confidence runs from 0 (nothing suspicious) to 1
+   */
+  static async analyze(audioData, sampleRate = null) {
+    const rate = Math.min(
+      sampleRate || TranscodeDetector.MAX_SAMPLE_RATE,
+      TranscodeDetector.MAX_SAMPLE_RATE
+    );
+    const context = new OfflineAudioContext(1, 1, rate);
+    const buffer = await context.decodeAudioData(audioData);
+
+    const samples = new Float32Array(buffer.length);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let i = 0; i < buffer.length; i++) {
+        samples[i] += data[i] / buffer.numberOfChannels;
+      }
+    }
+    return TranscodeDetector.fromSamples(samples, buffer.sampleRate);
+  }
+
+  /**
+   * The same for mono samples, spread over the whole track
+   */
+  static fromSamples(samples, sampleRate) {
+    const { FRAME_SIZE, COLUMNS, ROWS, FRAMES_PER_COLUMN } = TranscodeDetector;
+    const maxFrequency = sampleRate / 2;
+    const result = { cutoff: null, maxFrequency, confidence: 0, spectrogram: new Uint8Array(0) };
+    if (samples.length < FRAME_SIZE) return result;
+
+    const window = new Float64Array(FRAME_SIZE);
+    for (let i = 0; i < FRAME_SIZE; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1));
+    }
+
+    const bins = FRAME_SIZE / 2;
+    const re = new Float64Array(FRAME_SIZE);
+    const im = new Float64Array(FRAME_SIZE);
+    const spectrum = new Float64Array(bins);
+    const grid = new Float64Array(COLUMNS * ROWS);
+    const frameCount = COLUMNS * FRAMES_PER_COLUMN;
+    const step = (samples.length - FRAME_SIZE) / (frameCount - 1);
+    let soundingFrames = 0;
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const offset = Math.round(frame * step);
+      let energy = 0;
+      for (let i = 0; i < FRAME_SIZE; i++) {
+        const value = samples[offset + i];
+        energy += value * value;
+        re[i] = value * window[i];
+        im[i] = 0;
+      }
+      AudioFingerprint.fft(re, im);
+
+      // Silence would only pull the average spectrum down
+      const sounding = Math.sqrt(energy / FRAME_SIZE) >= TranscodeDetector.SILENCE_LEVEL;
+      if (sounding) soundingFrames++;
+
+      const cells = Math.floor(frame / FRAMES_PER_COLUMN) * ROWS;
+      for (let bin = 0; bin < bins; bin++) {
+        const power = re[bin] * re[bin] + im[bin] * im[bin];
+        if (sounding) spectrum[bin] += power;
+        grid[cells + Math.floor((bin * ROWS) / bins)] += power;
+      }
+    }
+
+    result.spectrogram = TranscodeDetector.toBytes(grid);
+    if (soundingFrames === 0) return result;
+
+    const cliff = TranscodeDetector.findCutoff(spectrum, sampleRate);
+    if (!cliff) return result;
+
+    const clamp = (value) => Math.min(Math.max(value, 0), 1);
+    const { MIN_DROP, FULL_DROP, NORMAL_GAP, FULL_GAP } = TranscodeDetector;
+    const steepness = clamp((cliff.drop - MIN_DROP) / (FULL_DROP - MIN_DROP));
+    const depth = clamp((maxFrequency - cliff.cutoff - NORMAL_GAP) / (FULL_GAP - NORMAL_GAP));
+
+    result.cutoff = Math.round(cliff.cutoff);
+    result.confidence = Math.round(steepness * depth * 100) / 100;
+    return result;
+  }
+
+  /**
+   * { cutoff, drop } of the sharpest drop in a power spectrum (bins 0 to FRAME_SIZE / 2) that
+   * nothing above rises out of again: the cutoff in Hz, the drop in dB. Null without one
+   */
+  static findCutoff(spectrum, sampleRate) {
+    const { BAND_BINS, WINDOW_BANDS, SLOPE_BANDS } = TranscodeDetector;
+    const bandWidth = (BAND_BINS * sampleRate) / TranscodeDetector.FRAME_SIZE;
+    const bandCount = Math.floor(spectrum.length / BAND_BINS);
+
+    const levels = new Float64Array(bandCount);
+    for (let band = 0; band < bandCount; band++) {
+      let power = 0;
+      for (let bin = band * BAND_BINS; bin < (band + 1) * BAND_BINS; bin++) {
+        power += spectrum[bin];
+      }
+      levels[band] = 10 * Math.log10(power / BAND_BINS + 1e-20);
+    }
+    const mean = (from, to) => {
+      let sum = 0;
+      for (let band = from; band < to; band++) sum += levels[band];
+      return sum / (to - from);
+    };
+
+    // Highest level from each band up, to check that the hole reaches the top
+    const highest = new Float64Array(bandCount + 1).fill(-Infinity);
+    for (let band = bandCount - 1; band >= 0; band--) {
+      highest[band] = Math.max(levels[band], highest[band + 1]);
+    }
+
+    let best = null;
+    const firstBand = Math.max(WINDOW_BANDS, Math.ceil(TranscodeDetector.MIN_CUTOFF / bandWidth));
+    const lastBand = bandCount - SLOPE_BANDS - WINDOW_BANDS / 2;
+    for (let band = firstBand; band <= lastBand; band++) {
+      const aboveFrom = band + SLOPE_BANDS;
+      const below = mean(band - WINDOW_BANDS, band);
+      const above = mean(aboveFrom, Math.min(bandCount, aboveFrom + WINDOW_BANDS));
+      const drop = below - above;
+
+      // Lossy encoders keep nothing at all above their cutoff
+      if (highest[aboveFrom] > above + TranscodeDetector.MIN_DROP / 2) continue;
+      if (drop >= TranscodeDetector.MIN_DROP && (!best || drop > best.drop)) {
+        best = { cutoff: band * bandWidth, drop };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Spectrogram powers as bytes: the loudest cell 255, DYNAMIC_RANGE dB below it 0
+   */
+  static toBytes(grid) {
+    const levels = grid.map((power) => 10 * Math.log10(power + 1e-20));
+    const loudest = Math.max(...levels);
+    return Uint8Array.from(levels, (level) => {
+      const share = (level - loudest) / TranscodeDetector.DYNAMIC_RANGE + 1;
+      return Math.round(Math.min(Math.max(share, 0), 1) * 255);
+    });
+  }
+
+  /**
+   * Draw a stored spectrogram into canvas, low frequencies at the bottom, with a line at the
+   * cutoff when there is one
+   */
+  static drawSpectrogram(canvas, spectrogram, { cutoff = null, maxFrequency = null } = {}) {
+    const { COLUMNS, ROWS, COLOR_STOPS } = TranscodeDetector;
+    canvas.width = COLUMNS;
+    canvas.height = ROWS;
+    const ctx = canvas.getContext('2d');
+    if (!spectrogram || spectrogram.length !== COLUMNS * ROWS) {
+      ctx.clearRect(0, 0, COLUMNS, ROWS);
+      return;
+    }
+
+    const image = ctx.createImageData(COLUMNS, ROWS);
+    for (let column = 0; column < COLUMNS; column++) {
+      for (let row = 0; row < ROWS; row++) {
+        const position = (spectrogram[column * ROWS + row] / 255) * (COLOR_STOPS.length - 1);
+        const stop = Math.min(Math.floor(position), COLOR_STOPS.length - 2);
+        const mix = position - stop;
+        const pixel = ((ROWS - 1 - row) * COLUMNS + column) * 4;
+        for (let channel = 0; channel < 3; channel++) {
+          const from = COLOR_STOPS[stop][channel];
+          image.data[pixel + channel] = from + (COLOR_STOPS[stop + 1][channel] - from) * mix;
+        }
+        image.data[pixel + 3] = 255;
+      }
+    }
+    ctx.putImageData(image, 0, 0);
+
+    if (cutoff && maxFrequency) {
+      const y = Math.round(ROWS - (cutoff / maxFrequency) * ROWS) + 0.5;
+      ctx.strokeStyle = 'rgba(0, 255, 255, 0.8)';
+      ctx.setLineDash([3, 2]);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(COLUMNS, y);
+      ctx.stroke();
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TranscodeDetector;
+} else if (typeof window !== 'undefined') {
+  window.TranscodeDetector = TranscodeDetector;
+}
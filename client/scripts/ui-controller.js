@@ -530,6 +530,12 @@ class UIController {
           </svg>
           Create Playlist
         </button>
+        <button class="btn-secondary btn-sm" id="createSmartPlaylistBtn" title="A playlist that picks its tracks by rules">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polygon points="13,2 3,14 12,14 11,22 21,10 12,10"></polygon>
+          </svg>
+          Smart Playlist
+        </button>
       `;
 
       // Add event listener
@@ -540,6 +546,13 @@ class UIController {
         });
         console.log('➕ Create playlist button added');
       }
+
+      const createSmartBtn = document.getElementById('createSmartPlaylistBtn');
+      if (createSmartBtn) {
+        createSmartBtn.addEventListener('click', () => {
+          this.app.smartPlaylistEditor.show();
+        });
+      }
     }
 
     // Load playlists in left pane
@@ -577,6 +590,9 @@ class UIController {
           <button class="btn-primary" onclick="window.app.playlistRenderer.showPlaylistModal()">
             Create Playlist
           </button>
+          <button class="btn-secondary" onclick="window.app.smartPlaylistEditor.show()">
+            Create Smart Playlist
+          </button>
         </div>
       `;
         return;
@@ -590,6 +606,7 @@ class UIController {
           <div class="playlist-item-card" data-playlist-id="${playlist.id}">
             <div class="playlist-item-header">
               <div class="playlist-item-name">${this.escapeHtml(playlist.name)}</div>
+              ${playlist.rules ? '<span class="playlist-smart-badge" title="Tracks are chosen by rules and kept up to date">Smart</span>' : ''}
               <button class="playlist-item-menu btn-icon" title="Playlist options" data-playlist-id="${playlist.id}">⋮</button>
             </div>
             <div class="playlist-item-stats">
@@ -710,10 +727,13 @@ class UIController {
       console.log(`Loaded playlist: ${playlist.name} with ${playlist.tracks?.length || 0} tracks`);
 
       if (rightPaneTitle) {
-        rightPaneTitle.textContent = `Playlist: ${playlist.name}`;
+        rightPaneTitle.textContent = `${playlist.rules ? 'Smart Playlist' : 'Playlist'}: ${playlist.name}`;
       }
 
       if (rightPaneActions) {
+        const editRulesButton = playlist.rules
+          ? '<button class="btn-secondary btn-sm" id="editSmartPlaylistBtn">Edit Rules</button>'
+          : '';
         rightPaneActions.innerHTML = `
         <button class="btn-primary btn-sm" id="playAllPlaylistBtn">
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -728,11 +748,19 @@ class UIController {
           </svg>
           Shuffle
         </button>
+        ${editRulesButton}
       `;
 
         // Add event listeners
         const playAllBtn = document.getElementById('playAllPlaylistBtn');
         const shuffleBtn = document.getElementById('shufflePlaylistBtn');
+        const editRulesBtn = document.getElementById('editSmartPlaylistBtn');
+
+        if (editRulesBtn) {
+          editRulesBtn.addEventListener('click', () => {
+            this.app.smartPlaylistEditor.show(playlist);
+          });
+        }
 
         if (playAllBtn) {
           playAllBtn.addEventListener('click', () => {
@@ -760,7 +788,19 @@ class UIController {
       }
 
       if (rightPaneContent) {
-        if (!playlist.tracks || playlist.tracks.length === 0) {
+        if (playlist.rules && playlist.tracks.length === 0) {
+          rightPaneContent.innerHTML = `
+          <div class="empty-pane">
+            <div class="empty-pane-icon">⚡</div>
+            <h4>No Matching Tracks</h4>
+            <p>No tracks in the library match this playlist's rules right now.</p>
+            <button class="btn-primary" onclick="window.app.smartPlaylistEditor.show(window.app.playlistRenderer.currentPlaylistData)">
+              Edit Rules
+            </button>
+          </div>
+        `;
+          this.app.playlistRenderer.currentPlaylistData = playlist;
+        } else if (!playlist.tracks || playlist.tracks.length === 0) {
           rightPaneContent.innerHTML = `
           <div class="empty-pane">
             <div class="empty-pane-icon">Empty Playlist</div>
@@ -782,9 +822,12 @@ class UIController {
           // Set current playlist data for context menus
           this.app.playlistRenderer.currentPlaylistData = playlist;
           
-          // Add right-click context menu to tracks
-          console.log('🔧 About to setup playlist context menus');
-          this.setupPlaylistTrackContextMenus();
+          // Add right-click context menu to tracks. A smart playlist's rules choose its
+          // tracks, so they keep the library menu instead of Remove from Playlist
+          if (!playlist.rules) {
+            console.log('🔧 About to setup playlist context menus');
+            this.setupPlaylistTrackContextMenus();
+          }
           
           this.app.logger.info(' Playlist tracks loaded with context menu support');
         }
@@ -2800,8 +2843,8 @@ class UIController {
       submenuContent.innerHTML =
         '<div class="context-item disabled"><span class="context-icon">⏳</span><span>Loading playlists...</span></div>';
 
-      // Load current playlists
-      const playlists = await window.queMusicAPI.playlists.getAll();
+      // Load current playlists, leaving out smart playlists, whose rules choose their tracks
+      const playlists = (await window.queMusicAPI.playlists.getAll()).filter((p) => !p.rules);
 
       // Generate playlist options
       submenuContent.innerHTML =
@@ -3152,13 +3195,23 @@ Path: ${track.path}`;
       resetBtn.addEventListener('click', this.resetSettingsHandler);
     }
 
-    // Change music folder
+    // Add a music folder to the library
     const changeFolderBtn = document.getElementById('changeMusicFolder');
     if (changeFolderBtn) {
-      this.changeFolderHandler = () => this.app.libraryManager.selectMusicFolder();
+      this.changeFolderHandler = async () => {
+        await this.app.libraryManager.selectMusicFolder();
+        await this.loadSettingsIntoModal(); // Show the new folder in the list
+      };
       changeFolderBtn.addEventListener('click', this.changeFolderHandler);
     }
 
+    // Try the filename templates on library files before saving them
+    const previewTemplatesBtn = document.getElementById('previewFilenameTemplates');
+    if (previewTemplatesBtn) {
+      this.previewTemplatesHandler = () => this.previewFilenameTemplates();
+      previewTemplatesBtn.addEventListener('click', this.previewTemplatesHandler);
+    }
+
     // Volume slider real-time update
     const volumeSlider = document.getElementById('defaultVolume');
     const volumeValue = document.getElementById('volumeValue');
@@ -3187,6 +3240,7 @@ Path: ${track.path}`;
       'saveSettingsHandler',
       'resetSettingsHandler',
       'changeFolderHandler',
+      'previewTemplatesHandler',
       'volumeSliderHandler',
       'themeSelectHandler',
     ];
@@ -3201,6 +3255,7 @@ Path: ${track.path}`;
           saveSettings: this.saveSettingsHandler,
           resetSettings: this.resetSettingsHandler,
           changeMusicFolder: this.changeFolderHandler,
+          previewFilenameTemplates: this.previewTemplatesHandler,
           defaultVolume: this.volumeSliderHandler,
           themeSelect: this.themeSelectHandler,
         };
@@ -3237,16 +3292,37 @@ Path: ${track.path}`;
         volumeValue.textContent = `${volume}%`;
       }
 
-      // Music folder
+      // Music folders
       const musicFolderPath = document.getElementById('musicFolderPath');
       if (musicFolderPath) {
-        const musicFolder = await window.queMusicAPI.settings.getMusicFolder();
-        musicFolderPath.value = musicFolder || 'No folder selected';
+        const musicFolders = await window.queMusicAPI.settings.getMusicFolders();
+        musicFolderPath.value = musicFolders.join('; ') || 'No folder selected';
+        musicFolderPath.title = musicFolders.join('\n');
       }
 
       // Checkboxes
       this.setCheckboxValue('autoScan', settings.autoScan !== false);
-      this.setCheckboxValue('watchFolders', settings.watchFolders !== false);
+      this.setCheckboxValue('watchFolders', await window.queMusicAPI.settings.getWatchFolders());
+
+      const ignorePatterns = document.getElementById('ignorePatterns');
+      if (ignorePatterns) {
+        ignorePatterns.value = (await window.queMusicAPI.settings.getIgnorePatterns()).join('\n');
+      }
+
+      const tagSeparators = await window.queMusicAPI.settings.getTagSeparators();
+      const artistSeparators = document.getElementById('artistSeparators');
+      const genreSeparators = document.getElementById('genreSeparators');
+      if (artistSeparators) artistSeparators.value = tagSeparators.artist.join(' ');
+      if (genreSeparators) genreSeparators.value = tagSeparators.genre.join(' ');
+
+      const filenameTemplates = document.getElementById('filenameTemplates');
+      if (filenameTemplates) {
+        filenameTemplates.value = (await window.queMusicAPI.settings.getFilenameTemplates()).join(
+          '\n'
+        );
+      }
+      const templatePreview = document.getElementById('filenameTemplatePreview');
+      if (templatePreview) templatePreview.innerHTML = '';
       this.setCheckboxValue('resumePlayback', settings.resumePlayback !== false);
       this.setCheckboxValue('rememberPosition', settings.rememberPosition !== false);
       this.setCheckboxValue('showAlbumArt', settings.showAlbumArt !== false);
@@ -3256,8 +3332,15 @@ Path: ${track.path}`;
 
       // Selects
       this.setSelectValue('crossfade', settings.crossfade || '0');
+      const replayGain = await window.queMusicAPI.settings.getReplayGain();
+      this.setSelectValue('replayGainMode', replayGain.mode);
+      this.setSelectValue('replayGainPreamp', String(replayGain.preamp));
       this.setSelectValue('skipShortTracks', settings.skipShortTracks || '0');
       this.setSelectValue('bufferSize', settings.bufferSize || '4096');
+      this.setSelectValue(
+        'scanThreads',
+        String(await window.queMusicAPI.settings.getScanConcurrency())
+      );
       this.setSelectValue('loggerLevel', settings.loggerLevel || 'HIGH');
     } catch (error) {
       this.app.logger.error('Error loading settings', { error: error.message });
@@ -3271,8 +3354,13 @@ Path: ${track.path}`;
         theme: document.getElementById('themeSelect')?.value || 'dark',
         volume: parseFloat(document.getElementById('defaultVolume')?.value || 50) / 100,
         crossfade: parseInt(document.getElementById('crossfade')?.value || 0),
+        replayGain: {
+          mode: document.getElementById('replayGainMode')?.value || 'off',
+          preamp: parseFloat(document.getElementById('replayGainPreamp')?.value || 0),
+        },
         autoScan: document.getElementById('autoScan')?.checked || false,
         watchFolders: document.getElementById('watchFolders')?.checked || false,
+        ignorePatterns: document.getElementById('ignorePatterns')?.value || '',
         resumePlayback: document.getElementById('resumePlayback')?.checked || false,
         rememberPosition: document.getElementById('rememberPosition')?.checked || false,
         skipShortTracks: parseInt(document.getElementById('skipShortTracks')?.value || 0),
@@ -3280,6 +3368,7 @@ Path: ${track.path}`;
         showNotifications: document.getElementById('showNotifications')?.checked || false,
         compactMode: document.getElementById('compactMode')?.checked || false,
         bufferSize: parseInt(document.getElementById('bufferSize')?.value || 4096),
+        scanThreads: parseInt(document.getElementById('scanThreads')?.value || 0),
         enableLogging: document.getElementById('enableLogging')?.checked || false,
         loggerLevel: document.getElementById('loggerLevel')?.value || 'HIGH',
       };
@@ -3287,6 +3376,26 @@ Path: ${track.path}`;
       // Save settings
       await this.setSettings(settings);
 
+      // Folder watching and scanning run in the main process, so they are persisted there
+      await window.queMusicAPI.settings.setWatchFolders(settings.watchFolders);
+      await window.queMusicAPI.settings.setScanConcurrency(settings.scanThreads);
+      await window.queMusicAPI.settings.setReplayGain(settings.replayGain);
+      await window.queMusicAPI.settings.setIgnorePatterns(settings.ignorePatterns);
+      await window.queMusicAPI.settings.setTagSeparators({
+        artist: this.getSeparatorList('artistSeparators'),
+        genre: this.getSeparatorList('genreSeparators'),
+      });
+      const templatesResult = await window.queMusicAPI.settings.setFilenameTemplates(
+        document.getElementById('filenameTemplates')?.value || ''
+      );
+      if (templatesResult && templatesResult.error) {
+        this.app.showNotification(
+          `Filename templates not saved: ${templatesResult.error}`,
+          'error'
+        );
+        return;
+      }
+
       // Apply settings immediately
       this.applySettings(settings);
 
@@ -3308,8 +3417,10 @@ Path: ${track.path}`;
           theme: 'dark',
           volume: 0.5,
           crossfade: 0,
+          replayGain: { mode: 'off', preamp: 0 },
           autoScan: true,
           watchFolders: true,
+          ignorePatterns: '/Playlists/',
           resumePlayback: true,
           rememberPosition: true,
           skipShortTracks: 0,
@@ -3317,11 +3428,18 @@ Path: ${track.path}`;
           showNotifications: true,
           compactMode: false,
           bufferSize: 4096,
+          scanThreads: 0,
           enableLogging: false,
           loggerLevel: 'HIGH',
         };
 
         await this.setSettings(defaultSettings);
+        await window.queMusicAPI.settings.setWatchFolders(defaultSettings.watchFolders);
+        await window.queMusicAPI.settings.setScanConcurrency(defaultSettings.scanThreads);
+        await window.queMusicAPI.settings.setReplayGain(defaultSettings.replayGain);
+        await window.queMusicAPI.settings.setIgnorePatterns(defaultSettings.ignorePatterns);
+        await window.queMusicAPI.settings.setTagSeparators({}); // Scanner defaults
+        await window.queMusicAPI.settings.setFilenameTemplates(['%artist% - %title%']);
         this.applySettings(defaultSettings);
         this.loadSettingsIntoModal(); // Refresh the form
 
@@ -3360,6 +3478,11 @@ Path: ${track.path}`;
       if (volumeSlider) volumeSlider.value = settings.volume;
     }
 
+    // Apply volume normalization
+    if (settings.replayGain) {
+      this.app.coreAudio.setReplayGain(settings.replayGain);
+    }
+
     // Apply compact mode
     if (settings.compactMode) {
       document.body.classList.add('compact-mode');
@@ -3386,6 +3509,58 @@ Path: ${track.path}`;
     if (select) select.value = value;
   }
 
+  async previewFilenameTemplates() {
+    const preview = document.getElementById('filenameTemplatePreview');
+    if (!preview) return;
+
+    const escape = (text) => this.app.libraryManager.escapeHtml(String(text));
+    const templates = document.getElementById('filenameTemplates')?.value || '';
+
+    try {
+      const { invalid, results } =
+        await window.queMusicAPI.settings.previewFilenameTemplates(templates);
+
+      if (results.length === 0 && invalid.length === 0) {
+        preview.innerHTML = '<p class="template-preview-empty">No library files to preview</p>';
+        return;
+      }
+
+      preview.innerHTML = `
+        ${invalid.map(({ error }) => `<p class="template-preview-error">${escape(error)}</p>`).join('')}
+        <table>
+          ${results
+            .map(
+              ({ path, template, fields }) => `
+            <tr>
+              <td class="template-preview-path" title="${escape(path)}">
+                ${escape(path.split(/[\\/]/).slice(-3).join('/'))}
+              </td>
+              <td>
+                ${
+                  template
+                    ? Object.entries(fields)
+                        .map(([field, value]) => `<b>${field}</b> ${escape(value)}`)
+                        .join('<br>')
+                    : '<span class="template-preview-empty">No match, title from file name</span>'
+                }
+              </td>
+            </tr>
+          `
+            )
+            .join('')}
+        </table>
+      `;
+    } catch (error) {
+      this.app.logger.error('Error previewing filename templates', { error: error.message });
+      this.app.showNotification('Failed to preview filename templates', 'error');
+    }
+  }
+
+  // Space-separated separator list from a text field
+  getSeparatorList(id) {
+    return (document.getElementById(id)?.value || '').split(/\s+/).filter(Boolean);
+  }
+
   async getSettings() {
     // You can implement this to load from your settings system
     // For now, return default settings
@@ -3547,7 +3722,16 @@ Path: ${track.path}`;
               Track ${currentIndex + 1} of ${playlist.length}
           </div>
       </div>
+      <div class="lyrics-container" style="margin-top: 15px;">
+          <div class="lyrics-header">
+              <h4 class="lyrics-title">Lyrics</h4>
+          </div>
+          <div class="lyrics-content" id="lyricsPanel"></div>
+      </div>
     `;
+
+      // Synced lyrics follow playback from here on, see CoreAudio.updateLyricsLine
+      this.app.coreAudio?.renderLyrics();
     }
 
     // RIGHT PANE - Song queue
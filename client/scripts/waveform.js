@@ -0,0 +1,94 @@
+// waveform.js - Peak waveforms of audio files, drawn as the seek bar
+
+/**
+ * Waveform
+ * A track is cut into PEAKS equal slices and each slice keeps its loudest sample as one
+ * byte, so a waveform takes the same small space however long the track is. Core audio
+ * draws it behind the progress slider, played part in the accent colour
+ */
+class Waveform {
+  static PEAKS = 1000;
+
+  // The lowest rate decodeAudioData resamples to; plenty for the shape of the audio
+  static SAMPLE_RATE = 3000;
+
+  // Bar width and gap in CSS pixels
+  static BAR_WIDTH = 2;
+  static BAR_GAP = 1;
+
+  /**
+   * Waveform of encoded audio (the bytes of an audio file) as a Uint8Array of PEAKS values
+   */
+  static async compute(audioData) {
+    const context = new OfflineAudioContext(1, 1, Waveform.SAMPLE_RATE);
+    const buffer = await context.decodeAudioData(audioData);
+
+    const peaks = new Uint8Array(Waveform.PEAKS);
+    const sliceLength = buffer.length / Waveform.PEAKS;
+    if (sliceLength <= 0) return peaks;
+
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const data = buffer.getChannelData(c);
+      for (let slice = 0; slice < Waveform.PEAKS; slice++) {
+        const end = Math.floor((slice + 1) * sliceLength);
+        let peak = 0;
+        for (let i = Math.floor(slice * sliceLength); i < end; i++) {
+          const value = Math.abs(data[i]);
+          if (value > peak) peak = value;
+        }
+        peaks[slice] = Math.max(peaks[slice], Math.round(Math.min(peak, 1) * 255));
+      }
+    }
+    return peaks;
+  }
+
+  /**
+   * Draw peaks across canvas, scaled to the loudest one. progress is the played fraction,
+   * 0 to 1
+   */
+  static draw(canvas, peaks, progress) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * ratio);
+    const height = Math.round(canvas.clientHeight * ratio);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    if (!peaks || peaks.length === 0 || width === 0) return;
+
+    const styles = window.getComputedStyle(canvas);
+    const playedColor = styles.getPropertyValue('--primary').trim() || '#007acc';
+    const unplayedColor = styles.getPropertyValue('--text-tertiary').trim() || '#666';
+
+    const barWidth = Waveform.BAR_WIDTH * ratio;
+    const step = (Waveform.BAR_WIDTH + Waveform.BAR_GAP) * ratio;
+    const bars = Math.max(1, Math.floor(width / step));
+    const loudest = Math.max(1, ...peaks);
+    const playedX = progress * width;
+
+    for (let bar = 0; bar < bars; bar++) {
+      // Loudest peak among the ones this bar covers
+      const first = Math.floor((bar * peaks.length) / bars);
+      const last = Math.max(first + 1, Math.floor(((bar + 1) * peaks.length) / bars));
+      let peak = 0;
+      for (let i = first; i < last; i++) {
+        if (peaks[i] > peak) peak = peaks[i];
+      }
+
+      // Quiet passages keep a sliver so the bar stays visible
+      const barHeight = Math.max(ratio, (peak / loudest) * height);
+      const x = bar * step;
+      ctx.fillStyle = x < playedX ? playedColor : unplayedColor;
+      ctx.fillRect(x, (height - barHeight) / 2, barWidth, barHeight);
+    }
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Waveform;
+} else if (typeof window !== 'undefined') {
+  window.Waveform = Waveform;
+}
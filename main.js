@@ -1,6 +1,6 @@
 // main.js - Clean Electron main process
 
-const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, shell } = require('electron');
 const path = require('path');
 const fs = require('fs-extra');
 const crypto = require('crypto');
@@ -8,6 +8,17 @@ const mm = require('music-metadata'); // Works with both v7 and v8
 
 const MusicDatabase = require('./server/database');
 const MusicScanner = require('./server/music-scanner');
+const FolderWatcher = require('./server/folder-watcher');
+const IgnoreRules = require('./server/ignore-rules');
+const FilenameTemplates = require('./server/filename-templates');
+const CueSheet = require('./server/cue-sheet');
+const DuplicateFinder = require('./server/duplicate-finder');
+const ReplayGain = require('./server/replay-gain');
+const MusicalKey = require('./server/musical-key');
+const Lyrics = require('./server/lyrics');
+const AudioFormats = require('./server/audio-formats');
+const SearchQuery = require('./server/search-query');
+const SmartPlaylist = require('./server/smart-playlist');
 
 // Initialize logger
 const SimpleLogger = require('./simple-logger');
@@ -24,8 +35,17 @@ logger.enableConsoleReplacement();
 // These will be initialized after app is ready
 let settingsPath;
 let dbPath;
+let scanReportPath;
 let musicDB = null;
 let musicScanner = null;
+const folderWatchers = new Map(); // library root -> FolderWatcher
+
+// Audio analysis (fingerprints, loudness) decodes whole files in the renderer; larger files
+// would take too much memory
+const MAX_ANALYSIS_FILE_SIZE = 200 * 1024 * 1024;
+
+// Lossless files at least this sure to be transcoded from a lossy file are reported
+const MIN_TRANSCODE_CONFIDENCE = 0.5;
 
 // Cache for album art paths
 let albumArtCache = new Map();
@@ -197,6 +217,7 @@ app.whenReady().then(async () => {
   // Initialize paths now that app is ready
   settingsPath = path.join(app.getPath('userData'), 'settings.json');
   dbPath = path.join(app.getPath('userData'), 'music-library.db');
+  scanReportPath = path.join(app.getPath('userData'), 'scan-report.json');
 
   // Load logging level from settings and apply to logger
   const logLevel = await getSetting('logLevel', 'NONE');
@@ -206,9 +227,20 @@ app.whenReady().then(async () => {
   // Initialize database
   try {
     logger.info('Initializing music database and scanner...');
-    musicDB = new MusicDatabase(dbPath);
-    logger.info('Database initialized successfully');
+    try {
+      musicDB = new MusicDatabase(dbPath);
+    } catch (error) {
+      // A failed schema upgrade leaves the library as it was; say so instead of carrying on
+      // with tables the app does not expect
+      dialog.showErrorBox('Library database could not be opened', error.message);
+      throw error;
+    }
+    logger.info('Database initialized successfully', musicDB.schema);
     musicScanner = new MusicScanner(musicDB, logger);
+    musicScanner.setConcurrency((await getSettings()).scanConcurrency);
+    musicScanner.setIgnorePatterns(await getIgnorePatterns());
+    musicScanner.setTagSeparators(await getTagSeparators());
+    musicScanner.setFilenameTemplates(await getFilenameTemplates());
     logger.info('Scanner initialized successfully');
     logger.info('Music database ready');
 
@@ -227,6 +259,8 @@ app.whenReady().then(async () => {
     if (savedMusicFolder && musicDB) {
       await musicDB.setPlaylistFolder(savedMusicFolder);
     }
+
+    await updateFolderWatchers();
   } catch (error) {
     logger.error('Database initialization failed', { error: error.message });
   }
@@ -254,6 +288,7 @@ app.whenReady().then(async () => {
 });
 
 app.on('before-quit', () => {
+  folderWatchers.forEach((watcher) => watcher.stop());
   if (musicDB) {
     musicDB.close();
     logger.info('Database closed');
@@ -315,12 +350,12 @@ ipcMain.handle('app:renderer-ready', () => {
 // IPC HANDLERS - FILE OPERATIONS
 // ============================================================================
 
-// Select music folder and initialize playlists
+// Select a music folder and add it to the library roots
 ipcMain.handle('files:select-music-folder', async () => {
   try {
     const result = await dialog.showOpenDialog(mainWindow, {
-      title: 'Select Your Music Folder',
-      buttonLabel: 'Select Folder',
+      title: 'Add a Music Folder',
+      buttonLabel: 'Add Folder',
       properties: ['openDirectory', 'createDirectory'],
     });
 
@@ -330,12 +365,10 @@ ipcMain.handle('files:select-music-folder', async () => {
 
     const folderPath = result.filePaths[0];
 
-    // Save the selected folder
-    await saveSetting('musicFolder', folderPath);
-
-    //  Initialize playlist folder
-    if (musicDB) {
-      await musicDB.setPlaylistFolder(folderPath);
+    // Save the selected folder as a library root
+    const added = await addMusicFolder(folderPath);
+    if (!added.success) {
+      return { error: added.error };
     }
 
     // Scan folder for basic info
@@ -345,7 +378,7 @@ ipcMain.handle('files:select-music-folder', async () => {
       path: folderPath,
       name: path.basename(folderPath),
       totalFiles: folderInfo.totalFiles,
-      supportedFormats: ['MP3', 'WAV', 'FLAC', 'M4A', 'OGG', 'WMA'],
+      supportedFormats: AudioFormats.FORMATS.map((format) => format.name),
       lastScanned: new Date().toISOString(),
     };
   } catch (error) {
@@ -363,6 +396,16 @@ ipcMain.handle('files:get-folder-tree', async (event, folderPath) => {
   }
 });
 
+// One top-level node per library root
+ipcMain.handle('files:get-library-tree', async () => {
+  try {
+    return await buildLibraryTree();
+  } catch (error) {
+    logger.error('Error building library tree', { error: error.message });
+    throw error;
+  }
+});
+
 ipcMain.handle('files:get-songs-in-folder', async (event, folderPath) => {
   try {
     return await getSongsInFolder(folderPath);
@@ -379,8 +422,117 @@ ipcMain.handle('settings:get-music-folder', async () => {
   return await getSetting('musicFolder', null);
 });
 
+// Make folderPath the primary library root (playlists and covers live there)
 ipcMain.handle('settings:set-music-folder', async (event, folderPath) => {
-  return await saveSetting('musicFolder', folderPath);
+  const folders = await getMusicFolders();
+  const result = await saveMusicFolders([folderPath, ...folders.filter((f) => f !== folderPath)]);
+  await updateFolderWatchers();
+  return result;
+});
+
+ipcMain.handle('settings:get-music-folders', async () => {
+  return await getMusicFolders();
+});
+
+ipcMain.handle('settings:add-music-folder', async (event, folderPath) => {
+  return await addMusicFolder(folderPath);
+});
+
+ipcMain.handle('settings:remove-music-folder', async (event, folderPath) => {
+  return await removeMusicFolder(folderPath);
+});
+
+ipcMain.handle('settings:get-watch-folders', async () => {
+  const settings = await getSettings();
+  return settings.watchFolders !== false; // Enabled unless explicitly turned off
+});
+
+ipcMain.handle('settings:set-watch-folders', async (event, enabled) => {
+  const result = await saveSetting('watchFolders', !!enabled);
+  await updateFolderWatchers();
+  return result;
+});
+
+ipcMain.handle('settings:get-ignore-patterns', async () => {
+  return await getIgnorePatterns();
+});
+
+ipcMain.handle('settings:set-ignore-patterns', async (event, patterns) => {
+  const lines = toSettingLines(patterns);
+
+  const result = await saveSetting('scanIgnorePatterns', lines);
+  if (musicScanner) {
+    musicScanner.setIgnorePatterns(lines);
+  }
+  return result;
+});
+
+ipcMain.handle('settings:get-scan-concurrency', async () => {
+  const settings = await getSettings();
+  return settings.scanConcurrency || 0; // 0 = one worker per core
+});
+
+ipcMain.handle('settings:set-scan-concurrency', async (event, concurrency) => {
+  const result = await saveSetting('scanConcurrency', parseInt(concurrency, 10) || 0);
+  if (musicScanner) {
+    musicScanner.setConcurrency(concurrency);
+  }
+  return result;
+});
+
+ipcMain.handle('settings:get-tag-separators', async () => {
+  return await getTagSeparators();
+});
+
+// Separators apply at scan time, so changing them makes the next scan re-read every file
+ipcMain.handle('settings:set-tag-separators', async (event, separators) => {
+  const previous = await getTagSeparators();
+  const result = await saveSetting('tagSeparators', separators);
+  if (musicScanner) {
+    musicScanner.setTagSeparators(separators);
+  }
+  if (musicDB && JSON.stringify(previous) !== JSON.stringify(await getTagSeparators())) {
+    await musicDB.clearFileModificationTimes();
+  }
+  return result;
+});
+
+ipcMain.handle('settings:get-filename-templates', async () => {
+  return await getFilenameTemplates();
+});
+
+// Templates only fill in missing tags at scan time; like separators, a change makes the
+// next scan re-read every file
+ipcMain.handle('settings:set-filename-templates', async (event, templates) => {
+  const lines = toSettingLines(templates);
+
+  const { invalid } = new FilenameTemplates(lines);
+  if (invalid.length > 0) {
+    return { error: invalid[0].error };
+  }
+
+  const previous = await getFilenameTemplates();
+  const result = await saveSetting('filenameTemplates', lines);
+  if (musicScanner) {
+    musicScanner.setFilenameTemplates(lines);
+  }
+  if (musicDB && JSON.stringify(previous) !== JSON.stringify(lines)) {
+    await musicDB.clearFileModificationTimes();
+  }
+  return result;
+});
+
+// Apply templates to samplePaths, or to a few library tracks when none are given
+ipcMain.handle('settings:preview-filename-templates', async (event, templates, samplePaths) => {
+  if (!musicScanner) return { invalid: [], results: [] };
+  const lines = toSettingLines(templates);
+
+  let paths = Array.isArray(samplePaths) ? samplePaths.filter(Boolean) : [];
+  if (paths.length === 0 && musicDB) {
+    paths = await musicDB.getSampleTrackPaths(10);
+  }
+
+  return musicScanner.previewFilenameTemplates(lines, paths);
 });
 
 // ============================================================================
@@ -396,6 +548,23 @@ ipcMain.handle('database:search-tracks', async (event, query) => {
   return musicDB.searchTracks(query);
 });
 
+// Search box queries with fields (artist:, year:1955..1965, ...). Syntax errors come back as
+// { success: false, error, position } so the search box can point at them
+ipcMain.handle('database:query-tracks', async (event, query) => {
+  if (!musicDB) return { success: true, tracks: [] };
+  try {
+    return { success: true, tracks: musicDB.queryTracks(query) };
+  } catch (error) {
+    if (error.position === undefined) throw error;
+    return { success: false, error: error.message, position: error.position };
+  }
+});
+
+ipcMain.handle('database:get-search-suggestions', async (event, query, cursor) => {
+  if (!musicDB) return { from: 0, to: 0, items: [] };
+  return musicDB.getSearchSuggestions(query, cursor);
+});
+
 ipcMain.handle('database:get-all-tracks', async () => {
   if (!musicDB) return [];
   return musicDB.getAllTracks();
@@ -435,11 +604,21 @@ ipcMain.handle('database:get-genre-stats', async () => {
   return musicDB.getGenreStats();
 });
 
+ipcMain.handle('database:get-tracks-by-genre', async (event, genre) => {
+  if (!musicDB) return [];
+  return musicDB.getTracksByGenre(genre);
+});
+
 ipcMain.handle('database:get-year-stats', async () => {
   if (!musicDB) return [];
   return musicDB.getYearStats();
 });
 
+ipcMain.handle('database:get-tempo-key-stats', async () => {
+  if (!musicDB) return { tempos: [], keys: [] };
+  return musicDB.getTempoKeyStats();
+});
+
 ipcMain.handle('database:check-duplicates', async () => {
   if (!musicDB) return [];
   return musicDB.checkForDuplicates();
@@ -489,17 +668,13 @@ ipcMain.handle('database:validate-paths', async () => {
   }
 });
 
-// Playlist migration (should be moved to database class in future refactor)
+// Playlist entries are moved to file paths by schema migration 2 when the database opens
 ipcMain.handle('database-migrate-playlists', async () => {
-  try {
-    if (!musicDB) {
-      throw new Error('Database not initialized');
-    }
-    return await performPlaylistMigration();
-  } catch (error) {
-    console.error('❌ Error in playlist migration:', error);
-    throw error;
+  if (!musicDB) {
+    throw new Error('Database not initialized');
   }
+  const version = await musicDB.getSchemaVersion();
+  return { success: true, message: `Playlists use file paths (schema version ${version})` };
 });
 
 //cleanup handler
@@ -511,43 +686,277 @@ ipcMain.handle('database-cleanup-orphaned-playlists', async () => {
 
     console.log('🧹 Cleaning up orphaned playlist tracks...');
 
-    return new Promise((resolve, reject) => {
-      musicDB.db.run(
-        `DELETE FROM playlist_tracks WHERE track_id NOT IN (SELECT id FROM tracks)`,
-        function (err) {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`🧹 Cleaned up ${this.changes} orphaned playlist track references`);
-            resolve({ success: true, cleaned: this.changes });
-          }
-        }
-      );
-    });
+    const { changes } = musicDB
+      .statement('DELETE FROM playlist_tracks WHERE track_id NOT IN (SELECT id FROM tracks)')
+      .run();
+    console.log(`🧹 Cleaned up ${changes} orphaned playlist track references`);
+    return { success: true, cleaned: changes };
   } catch (error) {
     console.error('❌ Error cleaning up orphaned playlists:', error);
     throw error;
   }
 });
 
+// ============================================================================
+// IPC HANDLERS - AUDIO ANALYSIS
+// ============================================================================
+
+// Fingerprints, loudness, tempo and key, waveforms and quality checks are all computed in
+// the renderer, from the file bytes of the track handed over here
+ipcMain.handle('analysis:read-audio', async (event, trackId) => {
+  return readTrackAudio(trackId);
+});
+
+// ============================================================================
+// IPC HANDLERS - DUPLICATE DETECTION
+// ============================================================================
+
+// The renderer decodes the audio and computes fingerprints; main stores the results and
+// compares them
+ipcMain.handle('duplicates:get-pending', async () => {
+  if (!musicDB) return [];
+  return musicDB.getTracksWithoutFingerprint(MAX_ANALYSIS_FILE_SIZE);
+});
+
+ipcMain.handle('duplicates:save-fingerprint', async (event, trackId, fingerprint) => {
+  return musicDB.saveFingerprint(trackId, fingerprint);
+});
+
+// Groups of tracks that sound the same, each track with its favorite flag and playlist count
+ipcMain.handle('duplicates:find', async () => {
+  if (!musicDB) return [];
+
+  const finder = new DuplicateFinder();
+  const groups = await finder.findGroups(await musicDB.getFingerprints());
+  const tracks = await musicDB.getTracksForMerge(groups.flatMap((group) => group.ids));
+  const tracksById = new Map(tracks.map((track) => [track.id, track]));
+
+  logger.info('Duplicate search finished', { groups: groups.length });
+  return groups.map((group) => ({
+    similarity: group.similarity,
+    tracks: group.ids.map((id) => tracksById.get(id)).filter(Boolean),
+  }));
+});
+
+// Merge removeIds into keepId. With trashFiles their files go to the trash as well, otherwise
+// the next scan adds them back
+ipcMain.handle('duplicates:merge', async (event, keepId, removeIds, options = {}) => {
+  try {
+    const result = await musicDB.mergeDuplicateTracks(keepId, removeIds);
+
+    const trashFailed = [];
+    if (options.trashFiles) {
+      for (const track of result.removed) {
+        try {
+          await shell.trashItem(track.path);
+        } catch (error) {
+          trashFailed.push({ path: track.path, message: error.message });
+        }
+      }
+    }
+
+    logger.info('Merged duplicate tracks', {
+      kept: result.kept.path,
+      removed: result.removed.length,
+      trashFailed: trashFailed.length,
+    });
+    return {
+      success: true,
+      removed: result.removed.length,
+      playlistEntries: result.playlistEntries,
+      trashFailed,
+    };
+  } catch (error) {
+    logger.error('Error merging duplicate tracks', { error: error.message });
+    return { success: false, error: error.message };
+  }
+});
+
+// ============================================================================
+// IPC HANDLERS - LOUDNESS AND REPLAYGAIN
+// ============================================================================
+
+// Loudness of untagged files is measured in the renderer, like fingerprints
+ipcMain.handle('loudness:get-pending', async () => {
+  if (!musicDB) return [];
+  return musicDB.getTracksWithoutLoudness(MAX_ANALYSIS_FILE_SIZE);
+});
+
+ipcMain.handle('loudness:save', async (event, trackId, measurement) => {
+  return musicDB.saveLoudness(trackId, measurement || {});
+});
+
+// Track and album gain for playback, from tags or measurements
+ipcMain.handle('loudness:get-gain', async (event, trackPath) => {
+  const info = musicDB ? await musicDB.getLoudnessInfo(trackPath) : null;
+  return info ? ReplayGain.resolve(info.track, info.albumTracks) : null;
+});
+
+ipcMain.handle('settings:get-replay-gain', async () => {
+  return ReplayGain.normalizeSettings(await getSetting('replayGain', ReplayGain.DEFAULT_SETTINGS));
+});
+
+ipcMain.handle('settings:set-replay-gain', async (event, settings) => {
+  return saveSetting('replayGain', ReplayGain.normalizeSettings(settings));
+});
+
+// ============================================================================
+// IPC HANDLERS - TEMPO AND KEY
+// ============================================================================
+
+// Tracks without BPM or key tags are analyzed in the renderer too
+ipcMain.handle('tempo-key:get-pending', async () => {
+  if (!musicDB) return [];
+  return musicDB.getTracksWithoutTempoKey(MAX_ANALYSIS_FILE_SIZE);
+});
+
+ipcMain.handle('tempo-key:save', async (event, trackId, detected) => {
+  const { bpm, key } = detected || {};
+  return musicDB.saveTempoKey(trackId, {
+    bpm: bpm > 0 ? Math.round(bpm) : null,
+    key: MusicalKey.normalize(key),
+  });
+});
+
+// ============================================================================
+// IPC HANDLERS - WAVEFORMS
+// ============================================================================
+
+// Seek bar waveforms are made in the renderer as well, ahead of time or on first play
+ipcMain.handle('waveform:get-pending', async () => {
+  if (!musicDB) return [];
+  return musicDB.getTracksWithoutWaveform(MAX_ANALYSIS_FILE_SIZE);
+});
+
+ipcMain.handle('waveform:save', async (event, trackId, peaks) => {
+  return musicDB.saveWaveform(trackId, peaks);
+});
+
+ipcMain.handle('waveform:get', async (event, trackPath) => {
+  if (!musicDB) return null;
+  return musicDB.getWaveform(trackPath, MAX_ANALYSIS_FILE_SIZE);
+});
+
+// ============================================================================
+// IPC HANDLERS - AUDIO QUALITY
+// ============================================================================
+
+// Lossless files are checked for the frequency cutoff of a lossy source in the renderer
+ipcMain.handle('quality:get-pending', async () => {
+  if (!musicDB) return [];
+  return musicDB.getTracksWithoutQualityCheck(MAX_ANALYSIS_FILE_SIZE);
+});
+
+ipcMain.handle('quality:save', async (event, trackId, result) => {
+  return musicDB.saveQualityCheck(trackId, result || {});
+});
+
+ipcMain.handle('quality:get-report', async () => {
+  if (!musicDB) return { checked: 0, suspects: [] };
+  return musicDB.getQualityReport(MIN_TRANSCODE_CONFIDENCE);
+});
+
+// ============================================================================
+// IPC HANDLERS - LYRICS
+// ============================================================================
+
+// Lyrics of a track as { synced, lines }, see Lyrics.parse; null without any
+ipcMain.handle('lyrics:get', async (event, trackPath) => {
+  if (!musicDB) return null;
+  return Lyrics.parse(await musicDB.getLyrics(trackPath));
+});
+
 // ============================================================================
 // IPC HANDLERS - MUSIC SCANNER
 // ============================================================================
-ipcMain.handle('scanner:scan-library', async (event, folderPath) => {
-  console.log('🎯 IPC: scanner:scan-library called with folder:', folderPath);
+ipcMain.handle('scanner:scan-library', async (event, folderPath, options = {}) => {
+  console.log('🎯 IPC: scanner:scan-library called with folder:', folderPath, options);
   if (!musicScanner) return 0;
+  if (musicScanner.isScanning()) {
+    throw new Error('A library scan is already running');
+  }
+
+  // Without a folder every library root is scanned and the results are summed
+  const folders = folderPath ? [folderPath] : await getMusicFolders();
+  musicScanner.beginScan(folders);
+  let result = null;
 
   try {
-    const trackCount = await musicScanner.scanAndSaveToDatabase(folderPath, (progress) => {
+    const onProgress = (progress) => {
       // Send progress updates to renderer
       console.log('🚀 IPC: Forwarding progress to renderer:', progress);
       mainWindow.webContents.send('scanner:progress', progress);
-    });
+    };
+
+    // Incremental scans resolve to { added, updated, removed, unchanged, total, cancelled }
+    if (options.incremental) {
+      result = { added: 0, updated: 0, removed: 0, unchanged: 0, total: 0 };
+      for (const folder of folders) {
+        const summary = await musicScanner.scanIncremental(folder, onProgress);
+        Object.keys(result).forEach((key) => (result[key] += summary[key]));
+        if (musicScanner.isScanCancelled()) break;
+      }
+      result.cancelled = musicScanner.isScanCancelled();
+      return result;
+    }
 
-    return trackCount;
+    result = 0;
+    for (const folder of folders) {
+      result += await musicScanner.scanAndSaveToDatabase(folder, onProgress);
+      if (musicScanner.isScanCancelled()) break;
+    }
+
+    return result;
   } catch (error) {
     console.error('❌ Library scan failed:', error);
     throw error;
+  } finally {
+    const report = musicScanner.endScan(typeof result === 'number' ? { saved: result } : result);
+    await saveScanReport(report);
+  }
+});
+
+ipcMain.handle('scanner:cancel', async () => {
+  return musicScanner ? musicScanner.cancelScan() : false;
+});
+
+ipcMain.handle('scanner:pause', async () => {
+  return musicScanner ? musicScanner.pauseScan() : false;
+});
+
+ipcMain.handle('scanner:resume', async () => {
+  return musicScanner ? musicScanner.resumeScan() : false;
+});
+
+ipcMain.handle('scanner:get-report', async () => {
+  return await getScanReport();
+});
+
+// Save the last scan report as CSV (one problem per row) or as JSON
+ipcMain.handle('scanner:export-report', async () => {
+  const report = await getScanReport();
+  if (!report) {
+    return { success: false, error: 'No scan report yet' };
+  }
+
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Scan Report',
+    defaultPath: `scan-report-${report.finishedAt.slice(0, 10)}.csv`,
+    filters: [
+      { name: 'CSV', extensions: ['csv'] },
+      { name: 'JSON', extensions: ['json'] },
+    ],
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, canceled: true };
+  }
+
+  try {
+    await fs.writeFile(result.filePath, formatScanReport(report, result.filePath), 'utf8');
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    logger.error('Error exporting scan report', { error: error.message });
+    return { success: false, error: error.message };
   }
 });
 
@@ -637,9 +1046,9 @@ ipcMain.handle('playlist:import-m3u', async (event, m3uFilePath) => {
 ipcMain.handle('playlist:export-m3u', async (event, playlistId) => {
   try {
     if (musicDB) {
-      await musicDB.exportPlaylistToM3U(playlistId);
+      const filePath = await musicDB.exportPlaylistToM3U(playlistId);
       console.log(`📂 Exported playlist ${playlistId} to M3U`);
-      return { success: true };
+      return { success: true, filePath };
     } else {
       throw new Error('Database not initialized');
     }
@@ -737,6 +1146,78 @@ ipcMain.handle('playlist:delete', async (event, playlistId) => {
   }
 });
 
+// ============================================================================
+// SAVED SEARCHES
+// ============================================================================
+
+ipcMain.handle('saved-search:get-all', async () => {
+  if (!musicDB) return [];
+  return musicDB.getSavedSearches();
+});
+
+// Orders a saved search can list its tracks in, [{ name, label }]
+ipcMain.handle('saved-search:get-sorts', async () => {
+  return Object.entries(SearchQuery.SORTS).map(([name, { label }]) => ({ name, label }));
+});
+
+ipcMain.handle('saved-search:create', async (event, searchData) => {
+  try {
+    return musicDB.createSavedSearch(searchData);
+  } catch (error) {
+    console.error('❌ Error saving search:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('saved-search:update', async (event, searchData) => {
+  try {
+    return musicDB.updateSavedSearch(searchData);
+  } catch (error) {
+    console.error('❌ Error updating saved search:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('saved-search:delete', async (event, searchId) => {
+  try {
+    return musicDB.deleteSavedSearch(searchId);
+  } catch (error) {
+    console.error('❌ Error deleting saved search:', error);
+    throw error;
+  }
+});
+
+// Runs the stored query against the library as it is now: { search, tracks }
+ipcMain.handle('saved-search:run', async (event, searchId) => {
+  try {
+    return musicDB.runSavedSearch(searchId);
+  } catch (error) {
+    console.error('❌ Error running saved search:', error);
+    throw error;
+  }
+});
+
+// ============================================================================
+// SMART PLAYLISTS
+// ============================================================================
+
+// Fields, operators and sort orders for the smart playlist rule editor
+ipcMain.handle('playlist:get-smart-options', async () => {
+  return SmartPlaylist.describe();
+});
+
+// How many tracks rules would find, for the rule editor. Rules it cannot evaluate come back
+// as { success: false, error }
+ipcMain.handle('playlist:count-smart-tracks', async (event, rules) => {
+  if (!musicDB) return { success: true, count: 0 };
+  try {
+    const count = musicDB.countSmartPlaylistTracks(SmartPlaylist.normalize(rules));
+    return { success: true, count };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
 // Database debug IPC handler
 ipcMain.handle('debug:playlist-tables', async (event, playlistId) => {
   try {
@@ -747,74 +1228,43 @@ ipcMain.handle('debug:playlist-tables', async (event, playlistId) => {
     }
 
     // Check 1: Playlist exists
-    const playlist = await new Promise((resolve, reject) => {
-      musicDB.db.get('SELECT * FROM playlists WHERE id = ?', [playlistId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    const playlist = musicDB.statement('SELECT * FROM playlists WHERE id = ?').get(playlistId);
 
     // Check 2: Playlist tracks entries
-    const playlistTracksEntries = await new Promise((resolve, reject) => {
-      musicDB.db.all(
-        'SELECT * FROM playlist_tracks WHERE playlist_id = ?',
-        [playlistId],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
-      );
-    });
+    const playlistTracksEntries = musicDB
+      .statement('SELECT * FROM playlist_tracks WHERE playlist_id = ?')
+      .all(playlistId);
 
     // Check 3: Sample tracks in tracks table
-    const sampleTracks = await new Promise((resolve, reject) => {
-      musicDB.db.all('SELECT id, path, title FROM tracks LIMIT 10', (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    const sampleTracks = musicDB.statement('SELECT id, path, title FROM tracks LIMIT 10').all();
 
     // Check 4: Join query that should work
-    const joinResults = await new Promise((resolve, reject) => {
-      musicDB.db.all(
-        `
-        SELECT 
-          pt.playlist_id,
-          pt.track_id,
-          pt.position,
-          t.id as actual_track_id,
-          t.path,
-          t.title,
-          t.artist
-        FROM playlist_tracks pt
-        LEFT JOIN tracks t ON pt.track_id = t.id
-        WHERE pt.playlist_id = ?
-        ORDER BY pt.position ASC
-      `,
-        [playlistId],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows);
-        }
-      );
-    });
+    const joinResults = musicDB
+      .statement(
+        `SELECT
+           pt.playlist_id,
+           pt.track_id,
+           pt.position,
+           t.id as actual_track_id,
+           t.path,
+           t.title,
+           t.artist
+         FROM playlist_tracks pt
+         LEFT JOIN tracks t ON pt.track_id = t.id
+         WHERE pt.playlist_id = ?
+         ORDER BY pt.position ASC`
+      )
+      .all(playlistId);
 
     // Check 5: Count total tracks and playlist_tracks
-    const counts = await new Promise((resolve, reject) => {
-      musicDB.db.get(
-        `
-        SELECT 
-          (SELECT COUNT(*) FROM tracks) as total_tracks,
-          (SELECT COUNT(*) FROM playlist_tracks) as total_playlist_tracks,
-          (SELECT COUNT(*) FROM playlist_tracks WHERE playlist_id = ?) as this_playlist_tracks
-      `,
-        [playlistId],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        }
-      );
-    });
+    const counts = musicDB
+      .statement(
+        `SELECT
+           (SELECT COUNT(*) FROM tracks) as total_tracks,
+           (SELECT COUNT(*) FROM playlist_tracks) as total_playlist_tracks,
+           (SELECT COUNT(*) FROM playlist_tracks WHERE playlist_id = ?) as this_playlist_tracks`
+      )
+      .get(playlistId);
 
     const result = {
       playlistId,
@@ -871,6 +1321,7 @@ ipcMain.handle('playlist:force-reimport-m3u', async (event) => {
 
     let imported = 0;
     let errors = [];
+    const skipped = [];
 
     for (const m3uFile of m3uFiles) {
       try {
@@ -892,17 +1343,19 @@ ipcMain.handle('playlist:force-reimport-m3u', async (event) => {
         // Get or create playlist
         let playlist;
         try {
-          playlist = await new Promise((resolve, reject) => {
-            musicDB.db.get('SELECT * FROM playlists WHERE name = ?', [playlistName], (err, row) => {
-              if (err) reject(err);
-              else resolve(row);
-            });
-          });
+          playlist = musicDB.statement('SELECT * FROM playlists WHERE name = ?').get(playlistName);
         } catch (err) {
           errors.push(`Error getting playlist ${playlistName}: ${err.message}`);
           continue;
         }
 
+        // The .m3u of a smart playlist is an exported snapshot; its rules choose the tracks
+        if (playlist && playlist.rules !== null) {
+          console.log(`⏭️ Skipping smart playlist: ${playlistName}`);
+          skipped.push(playlistName);
+          continue;
+        }
+
         if (!playlist) {
           // Create playlist if it doesn't exist
           try {
@@ -920,16 +1373,7 @@ ipcMain.handle('playlist:force-reimport-m3u', async (event) => {
 
           // Clear existing tracks from playlist
           try {
-            await new Promise((resolve, reject) => {
-              musicDB.db.run(
-                'DELETE FROM playlist_tracks WHERE playlist_id = ?',
-                [playlist.id],
-                (err) => {
-                  if (err) reject(err);
-                  else resolve();
-                }
-              );
-            });
+            musicDB.statement('DELETE FROM playlist_tracks WHERE playlist_id = ?').run(playlist.id);
             console.log(`🧹 Cleared existing tracks from playlist: ${playlistName}`);
           } catch (err) {
             errors.push(`Error clearing playlist ${playlistName}: ${err.message}`);
@@ -942,15 +1386,10 @@ ipcMain.handle('playlist:force-reimport-m3u', async (event) => {
         for (const trackPath of trackPaths) {
           try {
             // Find track in database by path
-            const track = await new Promise((resolve, reject) => {
-              musicDB.db.get('SELECT id FROM tracks WHERE path = ?', [trackPath], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-              });
-            });
+            const trackId = musicDB.getTrackIdByPath(trackPath);
 
-            if (track) {
-              await musicDB.addTrackToPlaylist(playlist.id, track.id);
+            if (trackId) {
+              await musicDB.addTrackToPlaylist(playlist.id, trackId);
               addedCount++;
               console.log(`✅ Added track to ${playlistName}: ${path.basename(trackPath)}`);
             } else {
@@ -975,6 +1414,7 @@ ipcMain.handle('playlist:force-reimport-m3u', async (event) => {
       success: true,
       processed: m3uFiles.length,
       imported,
+      skipped,
       errors,
     };
 
@@ -1177,7 +1617,7 @@ function validateImageBuffer(buffer, fileExtension) {
 // Get album art for a specific track
 ipcMain.handle('albumArt:get-for-track', async (event, trackPath, album, artist) => {
   try {
-    const musicFolder = await getSetting('musicFolder', null);
+    const musicFolder = findLibraryRoot(trackPath, await getMusicFolders());
     const artPath = await resolveAlbumArt(trackPath, album, artist, musicFolder);
 
     if (artPath && (await fs.pathExists(artPath))) {
@@ -1206,7 +1646,7 @@ ipcMain.handle('albumArt:get-for-track', async (event, trackPath, album, artist)
 // Get embedded artwork - returns data URL
 ipcMain.handle('albumArt:get-embedded', async (event, filePath) => {
   try {
-    const artPath = await extractEmbeddedArt(filePath);
+    const artPath = await extractEmbeddedArt(CueSheet.audioFilePath(filePath));
     if (artPath && (await fs.pathExists(artPath))) {
       const dataUrl = await imageToDataUrl(artPath);
       return dataUrl;
@@ -1221,13 +1661,12 @@ ipcMain.handle('albumArt:get-embedded', async (event, filePath) => {
 // Find local cover in covers directory returns data URL
 ipcMain.handle('albumArt:find-local-cover', async (event, album, artist) => {
   try {
-    const musicFolder = await getSetting('musicFolder', null);
-    if (!musicFolder) return null;
-
-    const artPath = await findLocalCoverArt(musicFolder, album, artist);
-    if (artPath && (await fs.pathExists(artPath))) {
-      const dataUrl = await imageToDataUrl(artPath);
-      return dataUrl;
+    for (const musicFolder of await getMusicFolders()) {
+      const artPath = await findLocalCoverArt(musicFolder, album, artist);
+      if (artPath && (await fs.pathExists(artPath))) {
+        const dataUrl = await imageToDataUrl(artPath);
+        return dataUrl;
+      }
     }
     return null;
   } catch (error) {
@@ -1607,12 +2046,7 @@ ipcMain.handle('api:debug:playlist-tracks', async (event, playlistId) => {
       ORDER BY pt.position ASC
     `;
 
-    const debugResult = await new Promise((resolve, reject) => {
-      musicDB.db.all(debugQuery, [playlistId], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows || []);
-      });
-    });
+    const debugResult = musicDB.statement(debugQuery).all(playlistId);
 
     const validTracks = debugResult.filter((r) => r.track_exists);
     const missingTracks = debugResult.filter((r) => !r.track_exists);
@@ -1654,16 +2088,9 @@ ipcMain.handle('api:cleanup:orphaned-playlist-tracks', async (event) => {
       return { error: 'Database not available' };
     }
 
-    const result = await new Promise((resolve, reject) => {
-      musicDB.db.run(
-        `DELETE FROM playlist_tracks 
-         WHERE track_id NOT IN (SELECT id FROM tracks)`,
-        function (err) {
-          if (err) reject(err);
-          else resolve({ changes: this.changes });
-        }
-      );
-    });
+    const result = musicDB
+      .statement('DELETE FROM playlist_tracks WHERE track_id NOT IN (SELECT id FROM tracks)')
+      .run();
 
     console.log(`🧹 Main: Cleaned up ${result.changes} orphaned playlist_tracks entries`);
     return { success: true, cleaned: result.changes };
@@ -1677,51 +2104,16 @@ ipcMain.handle('api:cleanup:orphaned-playlist-tracks', async (event) => {
 // UTILITY FUNCTIONS - DATABASE HELPERS
 // ============================================================================
 
-// Perform playlist migration to use file paths (should be moved to database class)
-async function performPlaylistMigration() {
-  console.log('🔄 Starting playlist migration to use file paths...');
-
-  return new Promise((resolve, reject) => {
-    musicDB.db.serialize(() => {
-      musicDB.db.run('BEGIN TRANSACTION', (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        // Add track_path column if it doesn't exist
-        musicDB.db.run('ALTER TABLE playlist_tracks ADD COLUMN track_path TEXT', (alterErr) => {
-          // Ignore error if column already exists
-
-          // Update existing records to use paths
-          musicDB.db.run(
-            `UPDATE playlist_tracks 
-             SET track_path = (
-               SELECT path FROM tracks WHERE tracks.id = playlist_tracks.track_id
-             )
-             WHERE track_id IS NOT NULL AND track_path IS NULL`,
-            (updateErr) => {
-              if (updateErr) {
-                musicDB.db.run('ROLLBACK');
-                reject(updateErr);
-                return;
-              }
-
-              musicDB.db.run('COMMIT', (commitErr) => {
-                if (commitErr) {
-                  musicDB.db.run('ROLLBACK');
-                  reject(commitErr);
-                } else {
-                  console.log('✅ Playlist migration complete');
-                  resolve({ success: true, message: 'Playlists migrated to use file paths' });
-                }
-              });
-            }
-          );
-        });
-      });
-    });
-  });
+// File bytes of a track, for analysis in the renderer
+async function readTrackAudio(trackId) {
+  const track = musicDB ? await musicDB.getTrackById(trackId) : null;
+  if (!track) {
+    throw new Error(`Track ${trackId} not found`);
+  }
+  if (track.filesize > MAX_ANALYSIS_FILE_SIZE) {
+    throw new Error(`${path.basename(track.path)} is too large to analyze`);
+  }
+  return fs.readFile(track.path);
 }
 
 // ============================================================================
@@ -1753,6 +2145,238 @@ async function getSetting(key, defaultValue = null) {
   return settings[key] || defaultValue;
 }
 
+// ============================================================================
+// UTILITY FUNCTIONS - LIBRARY FOLDERS
+// ============================================================================
+
+// Library roots in display order. The first one is the primary folder that holds the
+// Playlists folder; settings from before multiple roots only have musicFolder
+async function getMusicFolders() {
+  const settings = await getSettings();
+  if (Array.isArray(settings.musicFolders)) {
+    return settings.musicFolders;
+  }
+  return settings.musicFolder ? [settings.musicFolder] : [];
+}
+
+async function saveMusicFolders(folders) {
+  const settings = await getSettings();
+  const previousPrimary = settings.musicFolder || null;
+
+  const saved =
+    (await saveSetting('musicFolders', folders)) &&
+    (await saveSetting('musicFolder', folders[0] || null));
+
+  // Playlists follow the primary folder
+  if (saved && musicDB && folders[0] && folders[0] !== previousPrimary) {
+    await musicDB.setPlaylistFolder(folders[0]);
+  }
+
+  return saved;
+}
+
+// The library root that contains filePath, if any
+function findLibraryRoot(filePath, folders) {
+  return (
+    folders.find((folder) => filePath === folder || filePath.startsWith(folder + path.sep)) ||
+    null
+  );
+}
+
+async function addMusicFolder(folderPath) {
+  try {
+    const folders = await getMusicFolders();
+    folderPath = path.resolve(folderPath);
+
+    if (!(await fs.pathExists(folderPath))) {
+      return { success: false, error: `Folder not found: ${folderPath}` };
+    }
+
+    if (folders.includes(folderPath)) {
+      return { success: true, folders };
+    }
+
+    // Nested roots would list and scan the same files twice
+    const overlapping = folders.find(
+      (folder) =>
+        folderPath.startsWith(folder + path.sep) || folder.startsWith(folderPath + path.sep)
+    );
+    if (overlapping) {
+      return {
+        success: false,
+        error: `${folderPath} overlaps the library folder ${overlapping}`,
+      };
+    }
+
+    const updated = [...folders, folderPath];
+    await saveMusicFolders(updated);
+    await updateFolderWatchers();
+
+    logger.info('Library folder added', { folderPath, roots: updated.length });
+    return { success: true, folders: updated };
+  } catch (error) {
+    logger.error('Error adding library folder', { folderPath, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+// Drop a root and every track under it; the files themselves are left alone
+async function removeMusicFolder(folderPath) {
+  try {
+    const folders = await getMusicFolders();
+    if (!folders.includes(folderPath)) {
+      return { success: false, error: `Not a library folder: ${folderPath}` };
+    }
+
+    const updated = folders.filter((folder) => folder !== folderPath);
+    await saveMusicFolders(updated);
+    await updateFolderWatchers();
+
+    let removedTracks = 0;
+    if (musicDB) {
+      const tracks = await musicDB.getTrackFileStats(folderPath);
+      if (tracks.size > 0) {
+        const removed = await musicDB.removeOrphanedRecords(
+          [...tracks.values()].flatMap((file) => file.tracks.map((track) => track.id))
+        );
+        removedTracks = removed.tracks;
+      }
+    }
+
+    logger.info('Library folder removed', { folderPath, removedTracks });
+    return { success: true, folders: updated, removedTracks };
+  } catch (error) {
+    logger.error('Error removing library folder', { folderPath, error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS - SCAN EXCLUSIONS, TAG SEPARATORS AND FILENAME TEMPLATES
+// ============================================================================
+
+// Global gitignore-style patterns; the Playlists folder is excluded until the user
+// saves their own list
+async function getIgnorePatterns() {
+  const settings = await getSettings();
+  return Array.isArray(settings.scanIgnorePatterns) ? settings.scanIgnorePatterns : ['/Playlists/'];
+}
+
+// Artist and genre separators, falling back to the scanner defaults per tag
+async function getTagSeparators() {
+  const saved = (await getSettings()).tagSeparators || {};
+  const defaults = MusicScanner.DEFAULT_TAG_SEPARATORS;
+  return {
+    artist: Array.isArray(saved.artist) ? saved.artist : defaults.artist,
+    genre: Array.isArray(saved.genre) ? saved.genre : defaults.genre,
+  };
+}
+
+// Settings edited as one entry per line, from a textarea or an array
+function toSettingLines(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(/\r?\n/))
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+}
+
+async function getFilenameTemplates() {
+  const settings = await getSettings();
+  return Array.isArray(settings.filenameTemplates)
+    ? settings.filenameTemplates
+    : MusicScanner.DEFAULT_FILENAME_TEMPLATES;
+}
+
+// Rules for listing folderPath; patterns are anchored at its library root
+async function getIgnoreContext(folderPath) {
+  return {
+    rules: new IgnoreRules(await getIgnorePatterns()),
+    libraryRoot: findLibraryRoot(folderPath, await getMusicFolders()) || folderPath,
+  };
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS - SCAN REPORT
+// ============================================================================
+
+async function getScanReport() {
+  try {
+    return JSON.parse(await fs.readFile(scanReportPath, 'utf8'));
+  } catch (error) {
+    return null; // No scan has finished yet
+  }
+}
+
+async function saveScanReport(report) {
+  try {
+    await fs.writeFile(scanReportPath, JSON.stringify(report, null, 2));
+  } catch (error) {
+    logger.error('Error saving scan report', { error: error.message });
+  }
+}
+
+function formatScanReport(report, filePath) {
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    return JSON.stringify(report, null, 2);
+  }
+
+  const csvField = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const rows = [
+    ['unreadable file', report.unreadableFiles],
+    ['tag parse failure', report.tagErrors],
+    ['skipped folder', report.skippedFolders],
+  ].flatMap(([type, issues]) =>
+    issues.map((issue) => [type, issue.path, issue.message].map(csvField).join(','))
+  );
+
+  return ['type,path,message', ...rows].join('\n') + '\n';
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS - FOLDER WATCHING
+// ============================================================================
+
+// Start or stop one watcher per library root to match the roots and the watchFolders setting
+async function updateFolderWatchers() {
+  if (!musicDB || !musicScanner) return;
+
+  try {
+    const settings = await getSettings();
+    const folders = settings.watchFolders === false ? [] : await getMusicFolders();
+    const watchable = [];
+    for (const folder of folders) {
+      if (await fs.pathExists(folder)) {
+        watchable.push(folder);
+      }
+    }
+
+    for (const [folder, watcher] of folderWatchers) {
+      if (!watchable.includes(folder)) {
+        watcher.stop();
+        folderWatchers.delete(folder);
+      }
+    }
+
+    for (const folder of watchable) {
+      let watcher = folderWatchers.get(folder);
+      if (!watcher) {
+        watcher = new FolderWatcher(musicDB, musicScanner, logger);
+        watcher.onChange((changes) => {
+          // Let open folder views and track lists refresh without a manual rescan
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            mainWindow.webContents.send('library:changed', changes);
+          }
+        });
+        folderWatchers.set(folder, watcher);
+      }
+      if (!watcher.isWatching()) {
+        await watcher.start(folder);
+      }
+    }
+  } catch (error) {
+    logger.error('Error updating folder watchers', { error: error.message });
+  }
+}
+
 // ============================================================================
 // UTILITY FUNCTIONS - MUSIC FOLDER SCANNING
 // ============================================================================
@@ -1782,10 +2406,33 @@ async function scanMusicFolder(folderPath) {
   return { totalFiles };
 }
 
-async function buildFolderTree(rootPath, maxDepth = 8, currentDepth = 0) {
+async function buildLibraryTree() {
+  const roots = [];
+
+  for (const folderPath of await getMusicFolders()) {
+    const available = await fs.pathExists(folderPath);
+    const ignore = { rules: new IgnoreRules(await getIgnorePatterns()), libraryRoot: folderPath };
+    const songs = available ? await getSongsInFolder(folderPath, ignore) : [];
+    const children = available ? await buildFolderTree(folderPath, 8, 0, ignore) : [];
+
+    roots.push({
+      name: path.basename(folderPath) || folderPath,
+      path: folderPath,
+      songCount: songs.length + children.reduce((total, child) => total + child.songCount, 0),
+      children: children,
+      isRoot: true,
+      isMissing: !available, // e.g. an external drive that is not plugged in
+    });
+  }
+
+  return roots;
+}
+
+async function buildFolderTree(rootPath, maxDepth = 8, currentDepth = 0, ignore = null) {
   if (currentDepth >= maxDepth) return [];
 
   try {
+    ignore = ignore || (await getIgnoreContext(rootPath));
     const items = await fs.readdir(rootPath, { withFileTypes: true });
     const folders = [];
 
@@ -1793,13 +2440,18 @@ async function buildFolderTree(rootPath, maxDepth = 8, currentDepth = 0) {
       if (item.isDirectory() && !item.name.startsWith('.')) {
         const folderPath = path.join(rootPath, item.name);
 
+        // Excluded folders are not part of the library, so they are not listed
+        if (await ignore.rules.matches(ignore.libraryRoot, folderPath, true)) {
+          continue;
+        }
+
         try {
           // Count songs in this folder
-          const songs = await getSongsInFolder(folderPath);
+          const songs = await getSongsInFolder(folderPath, ignore);
           const songCount = songs.length;
 
           // Get subfolders
-          const children = await buildFolderTree(folderPath, maxDepth, currentDepth + 1);
+          const children = await buildFolderTree(folderPath, maxDepth, currentDepth + 1, ignore);
 
           // Add total count from children
           const totalSongCount =
@@ -1825,27 +2477,64 @@ async function buildFolderTree(rootPath, maxDepth = 8, currentDepth = 0) {
   }
 }
 
-async function getSongsInFolder(folderPath) {
+// Track paths ("Album.flac#03") of the CUE sheet belonging to filePath, empty without one
+async function getCueSheetTrackPaths(filePath) {
   try {
+    const sheetFile = await CueSheet.find(filePath);
+    if (!sheetFile) return [];
+
+    const sheet = await CueSheet.load(sheetFile.path, filePath);
+    return sheet.tracks.map((track) => CueSheet.trackPath(filePath, track.number));
+  } catch (error) {
+    logger.warn('Could not read CUE sheet', { filePath, error: error.message });
+    return [];
+  }
+}
+
+async function getSongsInFolder(folderPath, ignore = null) {
+  try {
+    if (!ignore) {
+      // Called for a single folder, which may itself sit inside an excluded folder
+      ignore = await getIgnoreContext(folderPath);
+      if (await ignore.rules.isIgnored(ignore.libraryRoot, folderPath, true)) {
+        return [];
+      }
+    }
+
     const items = await fs.readdir(folderPath, { withFileTypes: true });
     const songs = [];
 
     const audioFiles = items.filter((item) => item.isFile() && isSupportedAudioFile(item.name));
+    const hasCueSheets = items.some((item) => item.isFile() && CueSheet.isCueSheet(item.name));
 
     for (const item of items) {
       if (item.isFile() && isSupportedAudioFile(item.name)) {
         const filePath = path.join(folderPath, item.name);
 
+        if (await ignore.rules.matches(ignore.libraryRoot, filePath, false)) {
+          continue;
+        }
+
         try {
           const stats = await fs.stat(filePath);
-
-          songs.push({
+          const song = {
             name: item.name,
             path: filePath,
             size: stats.size,
             format: path.extname(item.name).slice(1).toUpperCase(),
+            playable: AudioFormats.isPlayable(item.name) ? 1 : 0,
             modified: stats.mtime,
-          });
+          };
+
+          // A rip with a CUE sheet is listed as the tracks of the sheet
+          const trackPaths = hasCueSheets ? await getCueSheetTrackPaths(filePath) : [];
+          if (trackPaths.length > 0) {
+            trackPaths.forEach((trackPath) =>
+              songs.push({ ...song, name: path.basename(trackPath), path: trackPath })
+            );
+          } else {
+            songs.push(song);
+          }
         } catch (error) {
           // Skip files we can't access
         }
@@ -1991,10 +2680,13 @@ async function resolveAlbumArt(trackPath, album, artist, musicFolder) {
 
     let artPath = null;
 
+    // CUE sheet tracks share the artwork of the audio file they play from
+    const audioPath = trackPath && CueSheet.audioFilePath(trackPath);
+
     // FIXED: Use proper fs-extra method
-    if (trackPath && (await fs.pathExists(trackPath))) {
+    if (audioPath && (await fs.pathExists(audioPath))) {
       try {
-        artPath = await extractEmbeddedArt(trackPath);
+        artPath = await extractEmbeddedArt(audioPath);
       } catch (error) {
         console.warn(`⚠️ Could not extract embedded art: ${error.message}`);
       }
@@ -2038,9 +2730,7 @@ async function resolveAlbumArt(trackPath, album, artist, musicFolder) {
 }
 
 function isSupportedAudioFile(filename) {
-  const audioExtensions = ['.mp3', '.wav', '.flac', '.m4a', '.aac', '.ogg', '.wma'];
-  const ext = path.extname(filename).toLowerCase();
-  return audioExtensions.includes(ext);
+  return AudioFormats.isSupported(filename);
 }
 
 // ============================================================================
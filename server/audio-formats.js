@@ -0,0 +1,47 @@
+// server/audio-formats.js - Audio file formats the library takes in, and which of them play
+const path = require('path');
+
+// One entry per format. playable says whether Chromium's <audio> element can play it;
+// codecs, where given, narrows that down for containers that hold other codecs too, matched
+// against the codec music-metadata reports
+const FORMATS = [
+  { name: 'MP3', extensions: ['.mp3'], playable: true },
+  { name: 'AAC', extensions: ['.aac'], playable: true },
+  { name: 'M4A', extensions: ['.m4a', '.m4b'], playable: true, codecs: /AAC|MP3|MPEG|FLAC|Opus/i },
+  { name: 'ALAC', extensions: ['.alac'], playable: false },
+  { name: 'FLAC', extensions: ['.flac'], playable: true },
+  { name: 'WAV', extensions: ['.wav'], playable: true, codecs: /^(PCM|IEEE_FLOAT)$/ },
+  { name: 'OGG', extensions: ['.ogg', '.oga'], playable: true, codecs: /Vorbis|Opus|FLAC/i },
+  { name: 'OPUS', extensions: ['.opus'], playable: true },
+  { name: 'WMA', extensions: ['.wma'], playable: false },
+  { name: 'AIFF', extensions: ['.aif', '.aiff'], playable: false },
+  { name: 'APE', extensions: ['.ape'], playable: false },
+  { name: 'WV', extensions: ['.wv'], playable: false },
+  { name: 'DSD', extensions: ['.dsf', '.dff'], playable: false },
+];
+
+class AudioFormats {
+  static FORMATS = FORMATS;
+
+  // Every extension the scanner, the folder watcher and the folder browser pick up
+  static EXTENSIONS = FORMATS.flatMap((format) => format.extensions);
+
+  static find(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    return FORMATS.find((format) => format.extensions.includes(extension)) || null;
+  }
+
+  static isSupported(filePath) {
+    return AudioFormats.find(filePath) !== null;
+  }
+
+  // Whether the file can be played, going by its extension and, once the scanner has read it,
+  // its codec: an .m4a holding ALAC or a WAV holding ADPCM cannot
+  static isPlayable(filePath, codec = null) {
+    const format = AudioFormats.find(filePath);
+    if (!format || !format.playable) return false;
+    return !codec || !format.codecs || format.codecs.test(codec);
+  }
+}
+
+module.exports = AudioFormats;
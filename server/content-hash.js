@@ -0,0 +1,128 @@
+// server/content-hash.js - Fingerprint the audio data of a file, leaving its tags out
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+// Bytes hashed at the start, in the middle and at the end of the audio data. Together with
+// its length that tells files apart without reading whole albums during a scan
+const SAMPLE_SIZE = 64 * 1024;
+
+class ContentHash {
+  // SHA-1 of the audio data, the same after retagging, moving or renaming the file
+  static async compute(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const { start, end } = await ContentHash.findAudioData(handle, size);
+      const length = end - start;
+
+      const hash = crypto.createHash('sha1').update(`${length}:`);
+      if (length <= SAMPLE_SIZE * 3) {
+        hash.update(await ContentHash.read(handle, start, length));
+      } else {
+        const middle = start + Math.floor((length - SAMPLE_SIZE) / 2);
+        for (const position of [start, middle, end - SAMPLE_SIZE]) {
+          hash.update(await ContentHash.read(handle, position, SAMPLE_SIZE));
+        }
+      }
+
+      return hash.digest('hex');
+    } finally {
+      await handle.close();
+    }
+  }
+
+  static async read(handle, position, length) {
+    const buffer = Buffer.alloc(Math.max(0, length));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+    return buffer.subarray(0, bytesRead);
+  }
+
+  // Byte range of the audio data. WAV and MP4 keep it in one chunk; for MP3 and FLAC the
+  // tag blocks at either end are skipped. Other formats (Ogg) are hashed as a whole, so
+  // editing their tags makes them look like different files
+  static async findAudioData(handle, size) {
+    let start = 0;
+    let end = size;
+
+    // ID3v2 in front of MP3s, and sometimes of FLAC and AAC files
+    const head = await ContentHash.read(handle, 0, 12);
+    if (head.length >= 10 && head.toString('latin1', 0, 3) === 'ID3') {
+      // Synchsafe size: 7 bits per byte, plus a footer when flag 0x10 is set
+      const tagSize = head.subarray(6, 10).reduce((total, byte) => (total << 7) | (byte & 0x7f), 0);
+      start = 10 + tagSize + (head[5] & 0x10 ? 10 : 0);
+    }
+
+    const magic = start === 0 ? head : await ContentHash.read(handle, start, 12);
+    if (magic.toString('latin1', 0, 4) === 'RIFF' && magic.toString('latin1', 8, 12) === 'WAVE') {
+      return (await ContentHash.findRiffData(handle, size)) || { start, end };
+    }
+    if (magic.toString('latin1', 4, 8) === 'ftyp') {
+      return (await ContentHash.findMp4Data(handle, size)) || { start, end };
+    }
+    if (magic.toString('latin1', 0, 4) === 'fLaC') {
+      start = await ContentHash.skipFlacMetadata(handle, start + 4, size);
+    }
+
+    // ID3v1 and APEv2 tags at the end (MP3, APE, WavPack)
+    const tail = await ContentHash.read(handle, Math.max(start, end - 128), 128);
+    if (tail.length === 128 && tail.toString('latin1', 0, 3) === 'TAG') {
+      end -= 128;
+    }
+    const apeFooter = await ContentHash.read(handle, Math.max(start, end - 32), 32);
+    if (apeFooter.length === 32 && apeFooter.toString('latin1', 0, 8) === 'APETAGEX') {
+      const hasHeader = (apeFooter.readUInt32LE(20) & 0x80000000) !== 0;
+      end -= apeFooter.readUInt32LE(12) + (hasHeader ? 32 : 0);
+    }
+
+    return { start, end: Math.max(start, end) };
+  }
+
+  // FLAC metadata blocks (tags, pictures, padding) come before the first audio frame
+  static async skipFlacMetadata(handle, position, size) {
+    while (position + 4 <= size) {
+      const header = await ContentHash.read(handle, position, 4);
+      position += 4 + header.readUIntBE(1, 3);
+      if (header[0] & 0x80) break; // Last metadata block
+    }
+    return Math.min(position, size);
+  }
+
+  // The "data" chunk; LIST and id3 chunks hold the tags
+  static async findRiffData(handle, size) {
+    let position = 12;
+    while (position + 8 <= size) {
+      const header = await ContentHash.read(handle, position, 8);
+      const length = header.readUInt32LE(4);
+      if (header.toString('latin1', 0, 4) === 'data') {
+        return { start: position + 8, end: Math.min(position + 8 + length, size) };
+      }
+      position += 8 + length + (length & 1);
+    }
+    return null;
+  }
+
+  // The top-level "mdat" atom; tags live in "moov"
+  static async findMp4Data(handle, size) {
+    let position = 0;
+    while (position + 8 <= size) {
+      const header = await ContentHash.read(handle, position, 16);
+      let length = header.readUInt32BE(0);
+      let headerLength = 8;
+      if (length === 1 && header.length === 16) {
+        length = Number(header.readBigUInt64BE(8));
+        headerLength = 16;
+      } else if (length === 0) {
+        length = size - position; // Atom runs to the end of the file
+      }
+      if (length < headerLength) break;
+
+      if (header.toString('latin1', 4, 8) === 'mdat') {
+        return { start: position + headerLength, end: Math.min(position + length, size) };
+      }
+      position += length;
+    }
+    return null;
+  }
+}
+
+module.exports = ContentHash;
@@ -0,0 +1,174 @@
+// server/cue-sheet.js - Split single-file album rips into tracks with .cue sheets
+const fs = require('fs').promises;
+const path = require('path');
+
+// INDEX times are mm:ss:ff, with 75 frames per second
+const FRAMES_PER_SECOND = 75;
+
+// Tracks of a sheet are stored as "<audio file>#<track number>". No real file ends like
+// that, since "#03" would be its extension and the scanner only picks up audio files
+const TRACK_PATH_PATTERN = /^(.+\.[^.\\/#]+)#(\d+)$/;
+
+class CueSheet {
+  static EXTENSION = '.cue';
+
+  // { title, performer, songwriter, genre, year, files: [{ name, tracks }] }. Each track is
+  // { number, title, performer, songwriter, isrc, start } with start in seconds
+  static parse(text) {
+    const sheet = {
+      title: null,
+      performer: null,
+      songwriter: null,
+      genre: null,
+      year: null,
+      files: [],
+    };
+    let file = null;
+    let track = null;
+
+    for (const line of String(text).split(/\r?\n/)) {
+      const match = line.trim().match(/^(\S+)\s*(.*)$/);
+      if (!match) continue;
+
+      const command = match[1].toUpperCase();
+      const args = match[2];
+
+      if (command === 'FILE') {
+        file = { name: CueSheet.unquote(args.replace(/\s+\S+$/, '')), tracks: [] };
+        sheet.files.push(file);
+        track = null;
+      } else if (command === 'TRACK') {
+        const [number, type] = args.split(/\s+/);
+        // Data tracks of enhanced CDs have nothing to play
+        track = null;
+        if (file && (!type || type.toUpperCase() === 'AUDIO')) {
+          track = {
+            number: parseInt(number, 10),
+            title: null,
+            performer: null,
+            songwriter: null,
+            isrc: null,
+            start: null,
+          };
+          file.tracks.push(track);
+        }
+      } else if (command === 'INDEX' && track) {
+        const [index, time] = args.split(/\s+/);
+        const seconds = CueSheet.parseTime(time);
+        // INDEX 01 is where the track starts, INDEX 00 only marks the pregap before it
+        if (parseInt(index, 10) === 1 || (parseInt(index, 10) === 0 && track.start === null)) {
+          track.start = seconds;
+        }
+      } else if (['TITLE', 'PERFORMER', 'SONGWRITER'].includes(command)) {
+        (track || sheet)[command.toLowerCase()] = CueSheet.unquote(args) || null;
+      } else if (command === 'ISRC' && track) {
+        track.isrc = args.trim() || null;
+      } else if (command === 'REM') {
+        const [, key, value] = args.match(/^(\S+)\s*(.*)$/) || [];
+        if (key?.toUpperCase() === 'GENRE') {
+          sheet.genre = CueSheet.unquote(value) || null;
+        } else if (key?.toUpperCase() === 'DATE') {
+          sheet.year = parseInt(value, 10) || null;
+        }
+      }
+    }
+
+    return sheet;
+  }
+
+  // "04:23:37" -> 263.49 seconds
+  static parseTime(time) {
+    const match = String(time || '').match(/^(\d+):(\d{1,2}):(\d{1,2})$/);
+    if (!match) return null;
+
+    const [, minutes, seconds, frames] = match.map(Number);
+    return minutes * 60 + seconds + frames / FRAMES_PER_SECOND;
+  }
+
+  static unquote(value) {
+    const text = String(value || '').trim();
+    return text.length >= 2 && text.startsWith('"') && text.endsWith('"')
+      ? text.slice(1, -1)
+      : text;
+  }
+
+  static isCueSheet(filePath) {
+    return path.extname(filePath).toLowerCase() === CueSheet.EXTENSION;
+  }
+
+  static trackPath(audioPath, number) {
+    return `${audioPath}#${String(number).padStart(2, '0')}`;
+  }
+
+  // "Album.flac#03" -> { filePath: 'Album.flac', number: 3 }, null for a plain file path
+  static splitTrackPath(trackPath) {
+    const match = String(trackPath || '').match(TRACK_PATH_PATTERN);
+    return match ? { filePath: match[1], number: parseInt(match[2], 10) } : null;
+  }
+
+  // The audio file a track path plays from
+  static audioFilePath(trackPath) {
+    return CueSheet.splitTrackPath(trackPath)?.filePath || trackPath;
+  }
+
+  // A sheet belongs to the audio file it is named after: "Album.cue" or "Album.flac.cue"
+  static sheetPaths(audioPath) {
+    const extension = path.extname(audioPath);
+    return [audioPath.slice(0, -extension.length || undefined) + '.cue', audioPath + '.cue'];
+  }
+
+  // The other way round: audio files a sheet can belong to, given the audio extensions
+  static audioPaths(sheetPath, extensions) {
+    const base = sheetPath.slice(0, -CueSheet.EXTENSION.length);
+    if (extensions.includes(path.extname(base).toLowerCase())) {
+      return [base];
+    }
+    return extensions.map((extension) => base + extension);
+  }
+
+  // Path and modification time of the sheet for audioPath, or null without one
+  static async find(audioPath) {
+    for (const sheetPath of CueSheet.sheetPaths(audioPath)) {
+      try {
+        const stats = await fs.stat(sheetPath);
+        if (stats.isFile()) {
+          return { path: sheetPath, mtime: Math.floor(stats.mtimeMs) };
+        }
+      } catch (error) {
+        // No sheet with this name
+      }
+    }
+    return null;
+  }
+
+  // Read sheetPath and return its tracks inside audioPath, each with an end offset (null
+  // for the last one, which plays to the end of the file). Sheets are usually UTF-8, but
+  // older rippers wrote the Windows code page
+  static async load(sheetPath, audioPath) {
+    const buffer = await fs.readFile(sheetPath);
+    let text = buffer.toString('utf8');
+    if (text.includes('\uFFFD')) {
+      text = buffer.toString('latin1');
+    }
+    const sheet = CueSheet.parse(text.replace(/^\uFEFF/, ''));
+
+    // Match the FILE line by name; a sheet with a single FILE survives renaming the rip
+    const audioName = path.basename(audioPath).toLowerCase();
+    const file =
+      sheet.files.find(
+        (f) => path.basename(f.name.replace(/\\/g, '/')).toLowerCase() === audioName
+      ) || (sheet.files.length === 1 ? sheet.files[0] : null);
+    if (!file) {
+      throw new Error(`${path.basename(sheetPath)} does not reference ${path.basename(audioPath)}`);
+    }
+
+    const tracks = file.tracks
+      .filter((track) => track.start !== null)
+      .sort((a, b) => a.start - b.start)
+      .map((track, i, all) => ({ ...track, end: i + 1 < all.length ? all[i + 1].start : null }));
+
+    return { ...sheet, path: sheetPath, tracks };
+  }
+}
+
+module.exports = CueSheet;
@@ -1,525 +1,607 @@
-// server/database.js - Comprehensive Music Database with SQLite3
-const sqlite3 = require('sqlite3').verbose();
+// server/database.js - Comprehensive Music Database with SQLite (better-sqlite3)
+const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs').promises;
+const CueSheet = require('./cue-sheet');
+const SchemaMigrator = require('./schema-migrations');
+const SearchQuery = require('./search-query');
+const SmartPlaylist = require('./smart-playlist');
+
+const VARIOUS_ARTISTS = 'Various Artists';
+
+// Columns of the search index (tracks_fts) in index order, with the weight a match in each
+// carries when ranking: a word of the title counts most, one of the file name least
+const SEARCH_COLUMNS = [
+  ['title', 10],
+  ['artist', 8],
+  ['album', 5],
+  ['genre', 2],
+  ['filename', 1],
+  ['composer', 3],
+];
+
+const SEARCH_LIMIT = 500;
+
+// Tracks with the artist their album is listed under (album_group_artist). Compilation-flagged
+// tracks and "Various"/"VA" album artist tags go under Various Artists, then the album artist
+// tag is used. Untagged albums whose tracks share a folder but come from three or more
+// different artists are treated as compilations too. The folder is the path with everything
+// after the last separator stripped (rtrim with the set of non-separator characters)
+const ALBUM_TRACKS_SQL = `
+  SELECT t.*,
+    CASE
+      WHEN t.compilation = 1 THEN '${VARIOUS_ARTISTS}'
+      WHEN LOWER(TRIM(t.album_artist)) IN ('various artists', 'various', 'va', 'v.a.')
+        THEN '${VARIOUS_ARTISTS}'
+      WHEN t.album_artist IS NOT NULL AND t.album_artist != '' THEN t.album_artist
+      WHEN mixed.folder IS NOT NULL THEN '${VARIOUS_ARTISTS}'
+      ELSE t.artist
+    END AS album_group_artist
+  FROM tracks t
+  LEFT JOIN (
+    SELECT rtrim(path, replace(replace(path, '/', ''), '\\', '')) AS folder, album
+    FROM tracks
+    WHERE album IS NOT NULL AND album != '' AND (album_artist IS NULL OR album_artist = '')
+    GROUP BY folder, album
+    HAVING COUNT(DISTINCT artist) >= 3
+  ) mixed
+    ON mixed.album = t.album
+    AND mixed.folder = rtrim(t.path, replace(replace(t.path, '/', ''), '\\', ''))
+`;
 
 class MusicDatabase {
   constructor(dbPath) {
-    this.db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
-        console.error('❌ Database connection failed:', err.message);
-        throw err;
-      }
-      console.log('🗄️ Database initialized:', dbPath);
-    });
+    this.db = new Database(dbPath);
+
+    // With a write-ahead log, reads do not wait for a scan's writes and commits are cheap
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    // Rows replaced by INSERT OR REPLACE fire delete triggers only with this on; the search
+    // index (tracks_fts) relies on them
+    this.db.pragma('recursive_triggers = ON');
+
+    // Prepared statements by their SQL, see statement()
+    this.statements = new Map();
 
     // Property for M3U playlist management
     this.playlistFolder = null;
 
-    // Initialize all database tables and indexes
-    this.initializeCompleteSchema();
+    // Create or upgrade the tables before anything else touches them. A failed upgrade
+    // throws and leaves the library as it was
+    try {
+      this.schema = this.migrate(dbPath);
+    } catch (error) {
+      this.db.close();
+      throw error;
+    }
+    console.log('🗄️ Database initialized:', dbPath);
+  }
+
+  // The prepared statement for sql, compiled on first use and kept while the database is
+  // open. Lists of ids or paths are passed as one JSON array (json_each) rather than one
+  // placeholder each, so the same statement serves any number of them
+  statement(sql) {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = this.db.prepare(sql);
+      this.statements.set(sql, statement);
+    }
+    return statement;
   }
 
   // ============================================================================
-  // COMPLETE SCHEMA INITIALIZATION
+  // SCHEMA MIGRATIONS
   // ============================================================================
-  initializeCompleteSchema() {
-    console.log('📋 Initializing complete database schema...');
-
-    // Enable foreign key constraints
-    this.db.run('PRAGMA foreign_keys = ON');
-
-    const schemaSQL = `
-    -- ==============================================================================
-    -- QUE-MUSIC DATABASE SCHEMA v2.0
-    -- ==============================================================================
-
-    CREATE TABLE IF NOT EXISTS tracks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      path TEXT UNIQUE NOT NULL,
-      filename TEXT NOT NULL,
-      title TEXT,
-      artist TEXT,
-      album TEXT,
-      year INTEGER,
-      genre TEXT,
-      duration INTEGER,
-      filesize INTEGER DEFAULT 0,
-      format TEXT,
-      bitrate INTEGER,
-      last_played DATETIME,
-      play_count INTEGER DEFAULT 0,
-      date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS artists (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT UNIQUE NOT NULL,
-      track_count INTEGER DEFAULT 0,
-      album_count INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
-
-    CREATE TABLE IF NOT EXISTS albums (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      title TEXT NOT NULL,
-      artist TEXT,
-      year INTEGER,
-      track_count INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(title, artist)
-    );
 
-    CREATE TABLE IF NOT EXISTS playlists (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL UNIQUE,
-      description TEXT,
-      track_count INTEGER DEFAULT 0,
-      total_duration INTEGER DEFAULT 0,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
+  // Bring the tables up to date, see SchemaMigrator. Returns { from, to, backupPath }
+  migrate(dbPath) {
+    return new SchemaMigrator(this.db, dbPath).migrate();
+  }
 
-    CREATE TABLE IF NOT EXISTS playlist_tracks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      playlist_id INTEGER NOT NULL,
-      track_id INTEGER,
-      track_path TEXT,
-      position INTEGER NOT NULL,
-      added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
-      FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE,
-      UNIQUE(playlist_id, track_path)
-    );
+  getSchemaVersion() {
+    return new SchemaMigrator(this.db, null).currentVersion();
+  }
 
-    CREATE TABLE IF NOT EXISTS favorites (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      track_id INTEGER NOT NULL,
-      added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE,
-      UNIQUE(track_id)
-    );
+  // Make the next incremental scan re-read every file, e.g. after the tag separators changed
+  clearFileModificationTimes() {
+    const { changes } = this.statement('UPDATE tracks SET file_mtime = NULL').run();
+    console.log(`🔄 Cleared modification times of ${changes} tracks`);
+    return changes;
+  }
 
-    CREATE TABLE IF NOT EXISTS recently_played (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      track_id INTEGER NOT NULL,
-      played_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      play_count INTEGER DEFAULT 1,
-      FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
-    );
+  // ============================================================================
+  // SCHEMA VALIDATION AND MIGRATION
+  // ============================================================================
 
-    -- Indexes
-    CREATE INDEX IF NOT EXISTS idx_tracks_path ON tracks(path);
-    CREATE INDEX IF NOT EXISTS idx_tracks_title ON tracks(title);
-    CREATE INDEX IF NOT EXISTS idx_tracks_artist ON tracks(artist);
-    CREATE INDEX IF NOT EXISTS idx_tracks_album ON tracks(album);
-    CREATE INDEX IF NOT EXISTS idx_tracks_genre ON tracks(genre);
-    CREATE INDEX IF NOT EXISTS idx_tracks_year ON tracks(year);
-    CREATE INDEX IF NOT EXISTS idx_tracks_last_played ON tracks(last_played);
-    CREATE INDEX IF NOT EXISTS idx_tracks_play_count ON tracks(play_count);
-    CREATE INDEX IF NOT EXISTS idx_artists_name ON artists(name);
-    CREATE INDEX IF NOT EXISTS idx_albums_title ON albums(title);
-    CREATE INDEX IF NOT EXISTS idx_albums_artist ON albums(artist);
-    CREATE INDEX IF NOT EXISTS idx_albums_year ON albums(year);
-    CREATE INDEX IF NOT EXISTS idx_playlists_name ON playlists(name);
-    CREATE INDEX IF NOT EXISTS idx_playlist_tracks_playlist_id ON playlist_tracks(playlist_id);
-    CREATE INDEX IF NOT EXISTS idx_playlist_tracks_track_id ON playlist_tracks(track_id);
-    CREATE INDEX IF NOT EXISTS idx_playlist_tracks_path ON playlist_tracks(track_path);
-    CREATE INDEX IF NOT EXISTS idx_playlist_tracks_position ON playlist_tracks(playlist_id, position);
-    CREATE INDEX IF NOT EXISTS idx_favorites_track_id ON favorites(track_id);
-    CREATE INDEX IF NOT EXISTS idx_recently_played_track_id ON recently_played(track_id);
-
-    -- Triggers
-    CREATE TRIGGER IF NOT EXISTS update_playlist_track_count_insert
-    AFTER INSERT ON playlist_tracks
-    BEGIN
-      UPDATE playlists 
-      SET track_count = (SELECT COUNT(*) FROM playlist_tracks WHERE playlist_id = NEW.playlist_id),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = NEW.playlist_id;
-    END;
-
-    CREATE TRIGGER IF NOT EXISTS update_playlist_track_count_delete
-    AFTER DELETE ON playlist_tracks
-    BEGIN
-      UPDATE playlists 
-      SET track_count = (SELECT COUNT(*) FROM playlist_tracks WHERE playlist_id = OLD.playlist_id),
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = OLD.playlist_id;
-    END;
-
-    CREATE TRIGGER IF NOT EXISTS update_track_play_count
-    AFTER INSERT ON recently_played
-    BEGIN
-      UPDATE tracks 
-      SET play_count = play_count + NEW.play_count,
-          last_played = NEW.played_at,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = NEW.track_id;
-    END;
-
-    CREATE TRIGGER IF NOT EXISTS update_artist_track_count_insert
-    AFTER INSERT ON tracks
-    WHEN NEW.artist IS NOT NULL
-    BEGIN
-      INSERT OR IGNORE INTO artists (name) VALUES (NEW.artist);
-      UPDATE artists 
-      SET track_count = (SELECT COUNT(*) FROM tracks WHERE artist = NEW.artist)
-      WHERE name = NEW.artist;
-    END;
-
-    CREATE TRIGGER IF NOT EXISTS update_artist_track_count_update
-    AFTER UPDATE OF artist ON tracks
-    BEGIN
-      UPDATE artists SET track_count = (SELECT COUNT(*) FROM tracks WHERE artist = OLD.artist)
-      WHERE name = OLD.artist;
-      INSERT OR IGNORE INTO artists (name) VALUES (NEW.artist);
-      UPDATE artists SET track_count = (SELECT COUNT(*) FROM tracks WHERE artist = NEW.artist)
-      WHERE name = NEW.artist;
-    END;
-
-    CREATE TRIGGER IF NOT EXISTS update_album_track_count_insert
-    AFTER INSERT ON tracks
-    WHEN NEW.album IS NOT NULL
-    BEGIN
-      INSERT OR IGNORE INTO albums (title, artist, year) VALUES (NEW.album, NEW.artist, NEW.year);
-      UPDATE albums 
-      SET track_count = (SELECT COUNT(*) FROM tracks WHERE album = NEW.album AND artist = NEW.artist)
-      WHERE title = NEW.album AND artist = NEW.artist;
-    END;
-
-    -- Views
-    CREATE VIEW IF NOT EXISTS tracks_detailed AS
-    SELECT 
-      t.*,
-      f.added_at as favorited_at,
-      (f.track_id IS NOT NULL) as is_favorite,
-      COALESCE(rp.recent_play_count, 0) as recent_plays,
-      rp.last_recent_play
-    FROM tracks t
-    LEFT JOIN favorites f ON t.id = f.track_id
-    LEFT JOIN (
-      SELECT track_id, COUNT(*) as recent_play_count, MAX(played_at) as last_recent_play
-      FROM recently_played 
-      WHERE played_at > datetime('now', '-30 days')
-      GROUP BY track_id
-    ) rp ON t.id = rp.track_id;
-
-    CREATE VIEW IF NOT EXISTS playlists_summary AS
-    SELECT 
-      p.*,
-      COALESCE(SUM(t.duration), 0) as calculated_duration,
-      COUNT(pt.id) as calculated_track_count
-    FROM playlists p
-    LEFT JOIN playlist_tracks pt ON p.id = pt.playlist_id
-    LEFT JOIN tracks t ON pt.track_id = t.id
-    GROUP BY p.id;
-    `;
-
-    this.db.exec(schemaSQL, (err) => {
-      if (err) {
-        console.error('❌ Error creating database schema:', err.message);
-        throw err;
-      } else {
-        console.log('✅ Database schema initialized successfully');
-      }
-    });
+  validateSchema() {
+    const expectedTables = [
+      'tracks',
+      'artists',
+      'albums',
+      'playlists',
+      'playlist_tracks',
+      'favorites',
+      'recently_played',
+    ];
+
+    const actualTables = this.statement(
+      "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'"
+    )
+      .all()
+      .map((t) => t.name);
+    const missingTables = expectedTables.filter((t) => !actualTables.includes(t));
+
+    if (missingTables.length > 0) {
+      console.warn('⚠️ Missing database tables:', missingTables);
+      return { valid: false, missingTables };
+    }
+    console.log('✅ Database schema validation passed');
+    return { valid: true, missingTables: [] };
   }
 
   // ============================================================================
-  // SCHEMA VALIDATION AND MIGRATION
+  // TRACKS MANAGEMENT
   // ============================================================================
 
-  async validateSchema() {
-    return new Promise((resolve, reject) => {
-      const expectedTables = [
-        'tracks',
-        'artists',
-        'albums',
-        'playlists',
-        'playlist_tracks',
-        'favorites',
-        'recently_played',
-      ];
+  // Insert or replace tracks by path, all in one transaction together with their artist,
+  // genre and lyrics rows. Returns the number of tracks saved
+  addTracks(tracksArray) {
+    console.log(`🗄️ addTracks called with ${tracksArray.length} tracks`);
 
-      this.db.all(
-        "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'",
-        [],
-        (err, tables) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+    if (tracksArray.length === 0) {
+      console.log('ℹ️ No tracks to add to database');
+      return 0;
+    }
 
-          const actualTables = tables.map((t) => t.name);
-          const missingTables = expectedTables.filter((t) => !actualTables.includes(t));
+    console.log(`💾 Starting database transaction for ${tracksArray.length} tracks...`);
+    // Without the lyrics, which can be a whole song's text
+    const { lyrics, ...sampleTrack } = tracksArray[0];
+    console.log('📝 Sample track:', JSON.stringify(sampleTrack, null, 2));
+
+    const insert = this.statement(`
+      INSERT OR REPLACE INTO tracks
+      (path, filename, title, artist, album, year, genre, duration, filesize, format, bitrate,
+       album_artist, compilation, track_number, track_total, disc_number, disc_total, composer,
+       bpm, comment, sample_rate, bit_depth, channels, codec, source_path, start_offset,
+       end_offset, content_hash, replaygain_track_gain, replaygain_track_peak,
+       replaygain_album_gain, replaygain_album_peak, musical_key, rating, has_lyrics, lossless,
+       playable, file_mtime, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+              ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `);
 
-          if (missingTables.length > 0) {
-            console.warn('⚠️ Missing database tables:', missingTables);
-            resolve({ valid: false, missingTables });
-          } else {
-            console.log('✅ Database schema validation passed');
-            resolve({ valid: true, missingTables: [] });
-          }
+    const startTime = Date.now();
+    this.db.transaction(() => {
+      tracksArray.forEach((track, index) => {
+        try {
+          insert.run(...this.getTrackValues(track), track.file_mtime || null);
+        } catch (error) {
+          console.error(
+            `❌ Database error on track ${index + 1}/${tracksArray.length}:`,
+            error.message
+          );
+          console.error(`❌ Failed track path: ${track.path}`);
+          throw error;
         }
-      );
-    });
+
+        const completed = index + 1;
+        if (completed % 100 === 0 || completed === tracksArray.length) {
+          console.log(`💾 Database progress: ${completed}/${tracksArray.length} tracks processed`);
+        }
+      });
+      this.replaceTrackLinks(tracksArray);
+    })();
+
+    console.log(
+      `✅ Database update complete: ${tracksArray.length} tracks processed (${Date.now() - startTime}ms)`
+    );
+    return tracksArray.length;
   }
 
-  // ============================================================================
-  // TRACKS MANAGEMENT
-  // ============================================================================
-  addTracks(tracksArray) {
-    return new Promise((resolve, reject) => {
-      console.log(`🗄️ addTracks called with ${tracksArray.length} tracks`);
+  // Path and basic tag columns followed by getTrackTagValues, as addTracks binds them
+  getTrackValues(track) {
+    return [
+      track.path,
+      track.filename,
+      track.title || null,
+      track.artist || null,
+      track.album || null,
+      track.year || null,
+      track.genre || null,
+      track.duration || null,
+      track.filesize || 0,
+      track.format || null,
+      track.bitrate || null,
+      ...this.getTrackTagValues(track),
+    ];
+  }
 
-      if (tracksArray.length === 0) {
-        console.log('ℹ️ No tracks to add to database');
-        resolve(0);
-        return;
-      }
+  // Extended tag and file columns in the order addTracks and updateTracks bind them
+  getTrackTagValues(track) {
+    return [
+      track.album_artist || null,
+      track.compilation ? 1 : 0,
+      track.track_number || null,
+      track.track_total || null,
+      track.disc_number || null,
+      track.disc_total || null,
+      track.composer || null,
+      track.bpm || null,
+      track.comment || null,
+      track.sample_rate || null,
+      track.bit_depth || null,
+      track.channels || null,
+      track.codec || null,
+      track.source_path || null,
+      track.start_offset ?? null,
+      track.end_offset ?? null,
+      track.content_hash || null,
+      track.replaygain_track_gain ?? null,
+      track.replaygain_track_peak ?? null,
+      track.replaygain_album_gain ?? null,
+      track.replaygain_album_peak ?? null,
+      track.musical_key || null,
+      track.rating || null,
+      track.lyrics ? 1 : 0,
+      track.lossless ? 1 : 0,
+      track.playable === 0 ? 0 : 1,
+    ];
+  }
 
-      console.log(`💾 Starting database transaction for ${tracksArray.length} tracks...`);
-      console.log('📝 Sample track:', JSON.stringify(tracksArray[0], null, 2));
+  // Update metadata of tracks already in the library, keeping their id, play count and
+  // favorites/playlist links (INSERT OR REPLACE would delete and re-create the row)
+  updateTracks(tracksArray) {
+    if (tracksArray.length === 0) {
+      return 0;
+    }
 
-      const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO tracks 
-      (path, filename, title, artist, album, year, genre, duration, filesize, format, bitrate, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    console.log(`💾 Updating ${tracksArray.length} changed tracks...`);
+
+    const update = this.statement(`
+      UPDATE tracks
+      SET filename = ?, title = ?, artist = ?, album = ?, year = ?, genre = ?, duration = ?,
+          filesize = ?, format = ?, bitrate = ?, album_artist = ?, compilation = ?,
+          track_number = ?, track_total = ?, disc_number = ?, disc_total = ?, composer = ?,
+          bpm = ?, comment = ?, sample_rate = ?, bit_depth = ?, channels = ?, codec = ?,
+          source_path = ?, start_offset = ?, end_offset = ?, content_hash = ?,
+          replaygain_track_gain = ?, replaygain_track_peak = ?, replaygain_album_gain = ?,
+          replaygain_album_peak = ?, musical_key = ?, tempo_key_hash = NULL, rating = ?,
+          has_lyrics = ?, lossless = ?, playable = ?, file_mtime = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE path = ?
     `);
 
-      this.db.serialize(() => {
-        this.db.run('BEGIN TRANSACTION', (err) => {
-          if (err) {
-            console.error('❌ Failed to begin database transaction:', err.message);
-            reject(err);
-            return;
-          }
+    const updated = this.db.transaction(() => {
+      let changes = 0;
+      tracksArray.forEach((track) => {
+        try {
+          const [trackPath, ...values] = this.getTrackValues(track);
+          changes += update.run(...values, track.file_mtime || null, trackPath).changes;
+        } catch (error) {
+          console.error(`❌ Failed to update track: ${track.path}`, error.message);
+          throw error;
+        }
+      });
+      this.replaceTrackLinks(tracksArray);
+      return changes;
+    })();
+
+    console.log(`✅ Updated ${updated} tracks`);
+    return updated;
+  }
 
-          let completed = 0;
-          let hasError = false;
-          const startTime = Date.now();
-
-          const processTrack = (index) => {
-            if (index >= tracksArray.length) {
-              // All tracks processed successfully
-              this.db.run('COMMIT', (commitErr) => {
-                stmt.finalize();
-                if (commitErr) {
-                  console.error('❌ Failed to commit database transaction:', commitErr.message);
-                  reject(commitErr);
-                } else {
-                  const duration = Date.now() - startTime;
-                  console.log(
-                    `✅ Database update complete: ${tracksArray.length} tracks processed (${duration}ms)`
-                  );
-                  resolve(tracksArray.length);
-                }
-              });
-              return;
-            }
-
-            const track = tracksArray[index];
-            stmt.run(
-              track.path,
-              track.filename,
-              track.title || null,
-              track.artist || null,
-              track.album || null,
-              track.year || null,
-              track.genre || null,
-              track.duration || null,
-              track.filesize || 0,
-              track.format || null,
-              track.bitrate || null,
-              (err) => {
-                if (err && !hasError) {
-                  hasError = true;
-                  console.error(
-                    `❌ Database error on track ${completed + 1}/${tracksArray.length}:`,
-                    err.message
-                  );
-                  console.error(`❌ Failed track path: ${track.path}`);
-                  this.db.run('ROLLBACK', () => {
-                    stmt.finalize();
-                    reject(err);
-                  });
-                  return;
-                }
-
-                if (!hasError) {
-                  completed++;
-                  if (completed % 100 === 0 || completed === tracksArray.length) {
-                    console.log(
-                      `💾 Database progress: ${completed}/${tracksArray.length} tracks processed`
-                    );
-                  }
-                  processTrack(index + 1);
-                }
-              }
-            );
-          };
-
-          processTrack(0);
+  // Rewrite the track_artists, track_genres and track_lyrics rows of saved tracks. Tracks
+  // without split values (not from the scanner) link to their artist and genre tags as is
+  replaceTrackLinks(tracksArray) {
+    const trackId = '(SELECT id FROM tracks WHERE path = ?)';
+    const deleteArtists = this.statement(`DELETE FROM track_artists WHERE track_id = ${trackId}`);
+    const deleteGenres = this.statement(`DELETE FROM track_genres WHERE track_id = ${trackId}`);
+    const deleteLyrics = this.statement(`DELETE FROM track_lyrics WHERE track_id = ${trackId}`);
+    const insertArtist = this.statement(
+      `INSERT OR IGNORE INTO track_artists (track_id, artist, position)
+       SELECT id, ?, ? FROM tracks WHERE path = ?`
+    );
+    const insertGenre = this.statement(
+      `INSERT OR IGNORE INTO track_genres (track_id, genre, position)
+       SELECT id, ?, ? FROM tracks WHERE path = ?`
+    );
+    const insertLyrics = this.statement(
+      `INSERT OR REPLACE INTO track_lyrics (track_id, lyrics)
+       SELECT id, ? FROM tracks WHERE path = ?`
+    );
+
+    // Within addTracks and updateTracks this is a savepoint of their transaction
+    try {
+      this.db.transaction(() => {
+        tracksArray.forEach((track) => {
+          const artists = track.artists || (track.artist ? [track.artist] : []);
+          const genres = track.genres || (track.genre ? [track.genre] : []);
+
+          deleteArtists.run(track.path);
+          deleteGenres.run(track.path);
+          deleteLyrics.run(track.path);
+          artists.forEach((artist, i) => insertArtist.run(artist, i, track.path));
+          genres.forEach((genre, i) => insertGenre.run(genre, i, track.path));
+          if (track.lyrics) {
+            insertLyrics.run(track.lyrics, track.path);
+          }
         });
+      })();
+    } catch (error) {
+      console.error('❌ Failed to save track artists/genres/lyrics:', error.message);
+      throw error;
+    }
+    return tracksArray.length;
+  }
+
+  // Size and modification time stored for every audio file under folderPath, keyed by file
+  // path. tracks lists the { id, path } rows read from the file: one, or one per CUE sheet
+  // track, in which case cueSheet is set
+  getTrackFileStats(folderPath) {
+    const rows = this.statement(
+      'SELECT id, path, source_path, filesize, file_mtime, content_hash FROM tracks'
+    ).all();
+
+    const prefix = folderPath.endsWith(path.sep) ? folderPath : folderPath + path.sep;
+    const fileStats = new Map();
+    rows
+      .filter((row) => row.path.startsWith(prefix))
+      .forEach((row) => {
+        const filePath = row.source_path || row.path;
+        if (!fileStats.has(filePath)) {
+          fileStats.set(filePath, {
+            id: row.id,
+            path: filePath,
+            filesize: row.filesize,
+            file_mtime: row.file_mtime,
+            content_hash: row.content_hash,
+            cueSheet: !!row.source_path,
+            tracks: [],
+          });
+        }
+        fileStats.get(filePath).tracks.push({ id: row.id, path: row.path });
       });
-    });
+
+    console.log(`🗂️ Loaded stored file stats for ${fileStats.size} files`);
+    return fileStats;
   }
 
   // Basic track query methods
   getAllTracks(orderBy = 'artist, album, title') {
-    return new Promise((resolve, reject) => {
-      this.db.all(`SELECT * FROM tracks ORDER BY ${orderBy}`, (err, rows) => {
-        if (err) {
-          reject(err);
-        } else {
-          console.log(`🎵 Retrieved ${rows.length} tracks`);
-          resolve(rows || []);
-        }
-      });
-    });
+    const rows = this.statement(`SELECT * FROM tracks ORDER BY ${orderBy}`).all();
+    console.log(`🎵 Retrieved ${rows.length} tracks`);
+    return rows;
+  }
+
+  // Random library paths for previews, tracks without an album tag first since those are
+  // the ones filename templates are for
+  getSampleTrackPaths(limit = 10) {
+    return this.statement(
+      `SELECT path FROM tracks ORDER BY (album IS NULL OR album = '') DESC, RANDOM() LIMIT ?`
+    )
+      .pluck()
+      .all(limit);
   }
 
+  // Every track the artist appears on, including features and collaborations
   getTracksByArtist(artist) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        'SELECT * FROM tracks WHERE artist = ? ORDER BY album, title',
-        [artist],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`🎤 Retrieved ${rows.length} tracks for artist: ${artist}`);
-            resolve(rows || []);
-          }
-        }
-      );
-    });
+    const rows = this.statement(
+      `SELECT * FROM tracks
+       WHERE id IN (SELECT track_id FROM track_artists WHERE artist = ?)
+       ORDER BY album, disc_number, track_number, title`
+    ).all(artist);
+    console.log(`🎤 Retrieved ${rows.length} tracks for artist: ${artist}`);
+    return rows;
   }
 
+  // artist is the album's listed artist (getAllAlbums), so passing Various Artists returns
+  // the whole compilation. A track artist still matches that artist's tracks on the album
   getTracksByAlbum(album, artist = null) {
-    return new Promise((resolve, reject) => {
-      if (artist) {
-        this.db.all(
-          'SELECT * FROM tracks WHERE album = ? AND artist = ? ORDER BY title',
-          [album, artist],
-          (err, rows) => {
-            if (err) {
-              reject(err);
-            } else {
-              console.log(`💿 Retrieved ${rows.length} tracks for album: ${album} by ${artist}`);
-              resolve(rows || []);
-            }
-          }
-        );
-      } else {
-        this.db.all('SELECT * FROM tracks WHERE album = ? ORDER BY title', [album], (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`💿 Retrieved ${rows.length} tracks for album: ${album}`);
-            resolve(rows || []);
-          }
-        });
-      }
-    });
+    // Album order: disc, then track number; untagged tracks go last, sorted by title
+    const albumOrder = `
+      ORDER BY COALESCE(disc_number, 1), track_number IS NULL, track_number, title`;
+
+    if (artist) {
+      const rows = this.statement(
+        `SELECT * FROM (${ALBUM_TRACKS_SQL})
+         WHERE album = ? AND (album_group_artist = ? OR artist = ?) ${albumOrder}`
+      ).all(album, artist, artist);
+      console.log(`💿 Retrieved ${rows.length} tracks for album: ${album} by ${artist}`);
+      return rows;
+    }
+
+    const rows = this.statement(`SELECT * FROM tracks WHERE album = ? ${albumOrder}`).all(album);
+    console.log(`💿 Retrieved ${rows.length} tracks for album: ${album}`);
+    return rows;
   }
 
   getTrackByPath(trackPath) {
-    return new Promise((resolve, reject) => {
-      this.db.get('SELECT * FROM tracks WHERE path = ?', [trackPath], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row || null);
-        }
-      });
+    return this.statement('SELECT * FROM tracks WHERE path = ?').get(trackPath) || null;
+  }
+
+  getTrackById(trackId) {
+    return this.statement('SELECT * FROM tracks WHERE id = ?').get(trackId) || null;
+  }
+
+  // Tracks with every word of query in their title, artist, album, genre, file name or
+  // composer, best matches first. Words match by their start and regardless of case and
+  // accents. highlights holds those columns with the matched words between the control
+  // characters \x02 and \x03, which tags do not contain (LibraryManager.renderMatch)
+  searchTracks(query, limit = SEARCH_LIMIT) {
+    const match = MusicDatabase.toSearchMatch(query);
+    if (!match) return [];
+
+    const tracks = this.findTracks({ match, where: '1', params: [] }, { limit });
+    console.log(`🔍 Search found ${tracks.length} tracks for query: ${query}`);
+    return tracks;
+  }
+
+  // Tracks for a search box query with fields, comparisons and OR (see SearchQuery), ranked
+  // and highlighted like searchTracks when it has words to rank by, by artist and album
+  // otherwise, unless sort names another order of SearchQuery.SORTS. A limit of -1 returns
+  // every match. Throws the parser's error, with its position, for bad syntax
+  queryTracks(query, { sort = 'relevance', limit = SEARCH_LIMIT } = {}) {
+    const compiled = SearchQuery.compile(query);
+    if (!compiled) return [];
+
+    const tracks = this.findTracks(compiled, { sort, limit });
+    console.log(`🔍 Query found ${tracks.length} tracks for: ${query}`);
+    return tracks;
+  }
+
+  // Tracks for SearchQuery.compile output. The SQL differs with every query, so it is
+  // prepared here rather than kept in the statement cache
+  findTracks({ match, where, params }, { sort = 'relevance', limit = SEARCH_LIMIT } = {}) {
+    if (!Object.hasOwn(SearchQuery.SORTS, sort)) {
+      throw new Error(`Unknown sort order: ${sort}`);
+    }
+    const order = SearchQuery.SORTS[sort].sql;
+
+    if (!match) {
+      return this.db
+        .prepare(
+          `SELECT t.* FROM tracks t
+           WHERE ${where}
+           ORDER BY ${order || 't.artist, t.album, t.disc_number, t.track_number, t.title'}
+           LIMIT ?`
+        )
+        .all(...params, limit);
+    }
+
+    const highlights = SEARCH_COLUMNS.map(
+      ([column], index) => `highlight(tracks_fts, ${index}, char(2), char(3)) AS match_${column}`
+    );
+    const weights = SEARCH_COLUMNS.map(([, weight]) => weight);
+    const rows = this.db
+      .prepare(
+        `SELECT t.*, ${highlights.join(', ')}
+         FROM tracks_fts
+         JOIN tracks t ON t.id = tracks_fts.rowid
+         WHERE tracks_fts MATCH ? AND ${where}
+         ORDER BY ${order || `bm25(tracks_fts, ${weights.join(', ')}), t.artist, t.album, t.title`}
+         LIMIT ?`
+      )
+      .all(match, ...params, limit);
+
+    return rows.map((row) => {
+      const track = { ...row, highlights: {} };
+      for (const [column] of SEARCH_COLUMNS) {
+        track.highlights[column] = row[`match_${column}`];
+        delete track[`match_${column}`];
+      }
+      return track;
     });
   }
 
-  searchTracks(query, limit = 100) {
-    return new Promise((resolve, reject) => {
-      const searchQuery = `%${query.toLowerCase()}%`;
-      this.db.all(
-        `SELECT * FROM tracks 
-         WHERE LOWER(title) LIKE ? 
-            OR LOWER(artist) LIKE ? 
-            OR LOWER(album) LIKE ? 
-            OR LOWER(genre) LIKE ?
-         ORDER BY artist, album, title
-         LIMIT ?`,
-        [searchQuery, searchQuery, searchQuery, searchQuery, limit],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`🔍 Search found ${rows.length} tracks for query: ${query}`);
-            resolve(rows || []);
-          }
-        }
-      );
+  // Completions for the search box term at cursor: { from, to, items } where each item
+  // replaces text from..to with item.text. A word completes to field names, field: to
+  // the field's flags or to values in the library, other fields show an example
+  getSearchSuggestions(query, cursor = String(query ?? '').length, limit = 8) {
+    const { from, to, field, operator, value } = SearchQuery.termAt(query, cursor);
+    const suggestions = { from, to, items: [] };
+
+    if (!field) {
+      if (!/^[a-z]+$/i.test(value)) return suggestions;
+      suggestions.items = Object.entries(SearchQuery.FIELDS)
+        .filter(([name]) => name.startsWith(value.toLowerCase()))
+        .slice(0, limit)
+        .map(([name, definition]) => ({
+          text: `${name}:`,
+          label: `${name}:`,
+          detail: definition.description,
+        }));
+      return suggestions;
+    }
+
+    const name = Object.hasOwn(SearchQuery.ALIASES, field) ? SearchQuery.ALIASES[field] : field;
+    const definition = Object.hasOwn(SearchQuery.FIELDS, name) ? SearchQuery.FIELDS[name] : null;
+    if (!definition) return suggestions;
+
+    let values = [];
+    if (definition.kind === 'flag') {
+      values = Object.keys(definition.flags).filter((flag) => flag.startsWith(value.toLowerCase()));
+    } else if (definition.kind === 'text' && definition.values !== false) {
+      // Split artists and genres come from their link tables, so "Miles Davis" is offered
+      // for tracks tagged "Miles Davis; John Coltrane" too
+      const { table, column } = definition.links || { table: 'tracks', column: definition.column };
+      values = this.db
+        .prepare(
+          `SELECT ${column} FROM ${table}
+           WHERE ${column} LIKE ? ESCAPE '\\' AND ${column} NOT LIKE '%"%'
+           GROUP BY ${column} COLLATE NOCASE
+           ORDER BY COUNT(*) DESC, ${column}
+           LIMIT ?`
+        )
+        .pluck()
+        .all(`${value.replace(/[%_\\]/g, '\\$&')}%`, limit);
+    } else if (definition.kind !== 'text' && !value) {
+      suggestions.items = [
+        {
+          text: SearchQuery.example(name),
+          label: SearchQuery.example(name),
+          detail: definition.description,
+        },
+      ];
+      return suggestions;
+    }
+
+    suggestions.items = values.map((item) => {
+      const text = `${field}:${operator}${/^[^\s()"]+$/.test(item) ? item : `"${item}"`}`;
+      return { text, label: item, detail: definition.description };
     });
+    return suggestions;
+  }
+
+  // FTS5 query for text typed into the search box: every word as a quoted prefix, so
+  // "miles dav" becomes "miles"* "dav"*, and words in double quotes as an exact phrase,
+  // matched by its start while the closing quote is still to be typed. Dashes or FTS
+  // operators in the text are taken as plain text. Empty when the text has no words
+  static toSearchMatch(text) {
+    const word = /[\p{L}\p{M}\p{N}]+/gu;
+    const terms = [];
+    for (const [, phrase, closed, rest] of String(text ?? '').matchAll(/"([^"]*)("?)|([^"]+)/g)) {
+      const words = (phrase ?? rest).match(word) || [];
+      if (phrase !== undefined) {
+        if (words.length > 0) terms.push(`"${words.join(' ')}"${closed ? '' : '*'}`);
+      } else {
+        terms.push(...words.map((w) => `"${w}"*`));
+      }
+    }
+    return terms.join(' ');
   }
 
   // Artist and album query methods
   getAllArtists() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT DISTINCT artist, COUNT(*) as track_count
-         FROM tracks 
-         WHERE artist IS NOT NULL AND artist != ''
-         GROUP BY artist
-         ORDER BY artist`,
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`🎤 Retrieved ${rows.length} artists`);
-            resolve(rows || []);
-          }
-        }
-      );
-    });
+    const rows = this.statement(
+      `SELECT artist, COUNT(DISTINCT track_id) as track_count
+       FROM track_artists
+       GROUP BY artist
+       ORDER BY artist`
+    ).all();
+    console.log(`🎤 Retrieved ${rows.length} artists`);
+    return rows;
   }
 
   getAllAlbums() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT DISTINCT album, artist, COUNT(*) as track_count, MIN(year) as year
-         FROM tracks 
-         WHERE album IS NOT NULL AND album != ''
-         GROUP BY album, artist
-         ORDER BY artist, album`,
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`💿 Retrieved ${rows.length} albums`);
-            resolve(rows || []);
-          }
-        }
-      );
-    });
+    const rows = this.statement(
+      `SELECT album, album_group_artist as artist, COUNT(*) as track_count, MIN(year) as year,
+              album_group_artist = '${VARIOUS_ARTISTS}' as is_compilation
+       FROM (${ALBUM_TRACKS_SQL})
+       WHERE album IS NOT NULL AND album != ''
+       GROUP BY album, album_group_artist
+       ORDER BY artist, album`
+    ).all();
+    console.log(`💿 Retrieved ${rows.length} albums`);
+    return rows;
   }
 
   // Recently played methods
   getRecentlyPlayed(limit = 50) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM tracks WHERE last_played IS NOT NULL ORDER BY last_played DESC LIMIT ?`,
-        [limit],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`🕒 Retrieved ${rows.length} recently played tracks`);
-            resolve(rows || []);
-          }
-        }
-      );
-    });
+    const rows = this.statement(
+      `SELECT * FROM tracks WHERE last_played IS NOT NULL ORDER BY last_played DESC LIMIT ?`
+    ).all(limit);
+    console.log(`🕒 Retrieved ${rows.length} recently played tracks`);
+    return rows;
   }
 
   // ============================================================================
@@ -564,13 +646,16 @@ class MusicDatabase {
       const filename = path.basename(m3uFilePath, '.m3u');
 
       // Check if playlist already exists in database
-      const existingPlaylist = await new Promise((resolve, reject) => {
-        this.db.get('SELECT id FROM playlists WHERE name = ?', [filename], (err, row) => {
-          if (err) reject(err);
-          else resolve(row);
-        });
-      });
+      const existingPlaylist = this.statement('SELECT id, rules FROM playlists WHERE name = ?').get(
+        filename
+      );
 
+      if (existingPlaylist && existingPlaylist.rules !== null) {
+        console.log(
+          `📋 "${filename}" is a smart playlist, its .m3u is only a snapshot, skipping import`
+        );
+        return;
+      }
       if (existingPlaylist) {
         console.log(`📋 Playlist "${filename}" already exists in database, skipping import`);
         return;
@@ -582,10 +667,86 @@ class MusicDatabase {
     }
   }
 
+  // ============================================================================
+  // SAVED SEARCHES
+  // ============================================================================
+
+  // Search box queries stored by name with the order to list their tracks in. Only the query
+  // is kept, so opening one finds the tracks the library has now
+  getSavedSearches() {
+    return this.statement('SELECT * FROM saved_searches ORDER BY name COLLATE NOCASE').all();
+  }
+
+  getSavedSearchById(searchId) {
+    return this.statement('SELECT * FROM saved_searches WHERE id = ?').get(searchId) || null;
+  }
+
+  createSavedSearch({ name, query, sort = 'relevance' }) {
+    MusicDatabase.validateSavedSearch({ name, query, sort });
+
+    let searchId;
+    try {
+      searchId = this.statement(
+        'INSERT INTO saved_searches (name, query, sort) VALUES (?, ?, ?)'
+      ).run(name.trim(), query.trim(), sort).lastInsertRowid;
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(`Saved search "${name.trim()}" already exists`);
+      }
+      throw error;
+    }
+
+    console.log(`🔖 Saved search: ${name}`);
+    return this.getSavedSearchById(searchId);
+  }
+
+  updateSavedSearch({ id, name, query, sort = 'relevance' }) {
+    MusicDatabase.validateSavedSearch({ name, query, sort });
+
+    try {
+      this.statement(
+        `UPDATE saved_searches SET name = ?, query = ?, sort = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`
+      ).run(name.trim(), query.trim(), sort, id);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(`Saved search "${name.trim()}" already exists`);
+      }
+      throw error;
+    }
+
+    console.log(`🔖 Updated saved search: ${name}`);
+    return this.getSavedSearchById(id);
+  }
+
+  deleteSavedSearch(searchId) {
+    const { changes } = this.statement('DELETE FROM saved_searches WHERE id = ?').run(searchId);
+    console.log(`🔖 Deleted saved search ${searchId}`);
+    return { success: true, deleted: changes > 0 };
+  }
+
+  // Run a saved search again: { search, tracks } with every track it matches right now,
+  // null when there is no such search
+  runSavedSearch(searchId) {
+    const search = this.getSavedSearchById(searchId);
+    if (!search) return null;
+
+    const tracks = this.queryTracks(search.query, { sort: search.sort, limit: -1 });
+    return { search, tracks };
+  }
+
+  // Throws for a search that could not be run later: no name, an unknown sort, or a query
+  // that is empty or does not parse (with the parser's position)
+  static validateSavedSearch({ name, query, sort }) {
+    if (!String(name ?? '').trim()) throw new Error('A saved search needs a name');
+    if (!Object.hasOwn(SearchQuery.SORTS, sort)) throw new Error(`Unknown sort order: ${sort}`);
+    if (!SearchQuery.compile(query)) throw new Error('A saved search needs a query');
+  }
+
   // ============================================================================
   // FAVORITES MANAGEMENT
   // ============================================================================
-  async getFavorites(limit = 1000, sortBy = 'added_at', sortOrder = 'DESC') {
+  getFavorites(limit = 1000, sortBy = 'added_at', sortOrder = 'DESC') {
     try {
       const validSortFields = ['added_at', 'title', 'artist', 'album', 'year'];
       const validSortOrders = ['ASC', 'DESC'];
@@ -593,26 +754,16 @@ class MusicDatabase {
       if (!validSortFields.includes(sortBy)) sortBy = 'added_at';
       if (!validSortOrders.includes(sortOrder.toUpperCase())) sortOrder = 'DESC';
 
-      const query = `
-      SELECT 
-        t.*,
-        f.added_at as favorited_at,
-        f.id as favorite_id
-      FROM favorites f
-      JOIN tracks t ON f.track_id = t.id
-      ORDER BY ${sortBy === 'added_at' ? 'f.added_at' : 't.' + sortBy} ${sortOrder}
-      LIMIT ?
-    `;
-
-      const favorites = await new Promise((resolve, reject) => {
-        this.db.all(query, [limit], (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows || []);
-          }
-        });
-      });
+      const favorites = this.statement(
+        `SELECT
+           t.*,
+           f.added_at as favorited_at,
+           f.id as favorite_id
+         FROM favorites f
+         JOIN tracks t ON f.track_id = t.id
+         ORDER BY ${sortBy === 'added_at' ? 'f.added_at' : 't.' + sortBy} ${sortOrder}
+         LIMIT ?`
+      ).all(limit);
 
       console.log(`⭐ Retrieved ${favorites.length} favorites`);
       return favorites;
@@ -622,15 +773,9 @@ class MusicDatabase {
     }
   }
 
-  async getFavoritesCount() {
+  getFavoritesCount() {
     try {
-      const count = await new Promise((resolve, reject) => {
-        this.db.get('SELECT COUNT(*) as count FROM favorites', [], (err, row) => {
-          if (err) reject(err);
-          else resolve(row.count);
-        });
-      });
-      return count;
+      return this.statement('SELECT COUNT(*) FROM favorites').pluck().get();
     } catch (error) {
       console.error('❌ Error getting favorites count:', error);
       return 0;
@@ -641,196 +786,481 @@ class MusicDatabase {
   // DATABASE STATISTICS
   // ============================================================================
   getStats() {
-    return new Promise((resolve, reject) => {
-      const queries = [
-        'SELECT COUNT(*) as count FROM tracks',
-        'SELECT COUNT(DISTINCT artist) as count FROM tracks WHERE artist IS NOT NULL AND artist != ""',
-        'SELECT COUNT(DISTINCT album) as count FROM tracks WHERE album IS NOT NULL AND album != ""',
-        'SELECT COUNT(DISTINCT genre) as count FROM tracks WHERE genre IS NOT NULL AND genre != ""',
-        'SELECT SUM(duration) as total FROM tracks WHERE duration IS NOT NULL',
-        'SELECT SUM(filesize) as total FROM tracks WHERE filesize IS NOT NULL',
-      ];
-
-      let results = {};
-      let completed = 0;
-
-      queries.forEach((query, index) => {
-        this.db.get(query, (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          switch (index) {
-            case 0:
-              results.tracks = row.count;
-              break;
-            case 1:
-              results.artists = row.count;
-              break;
-            case 2:
-              results.albums = row.count;
-              break;
-            case 3:
-              results.genres = row.count;
-              break;
-            case 4:
-              results.totalDuration = row.total || 0;
-              break;
-            case 5:
-              results.totalSize = row.total || 0;
-              break;
-          }
-
-          completed++;
-          if (completed === queries.length) {
-            console.log('📊 Database stats retrieved:', results);
-            resolve(results);
-          }
-        });
-      });
-    });
+    const count = (sql) => this.statement(sql).pluck().get() || 0;
+
+    const results = {
+      tracks: count('SELECT COUNT(*) FROM tracks'),
+      artists: count('SELECT COUNT(DISTINCT artist) FROM track_artists'),
+      albums: count(
+        "SELECT COUNT(DISTINCT album) FROM tracks WHERE album IS NOT NULL AND album != ''"
+      ),
+      genres: count('SELECT COUNT(DISTINCT genre) FROM track_genres'),
+      totalDuration: count('SELECT SUM(duration) FROM tracks WHERE duration IS NOT NULL'),
+      totalSize: count('SELECT SUM(filesize) FROM tracks WHERE filesize IS NOT NULL'),
+    };
+    console.log('📊 Database stats retrieved:', results);
+    return results;
   }
 
   // Debug method to check for duplicate entries
   checkForDuplicates() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT path, COUNT(*) as count, GROUP_CONCAT(id) as ids
-         FROM tracks 
-         GROUP BY path 
-         HAVING COUNT(*) > 1
-         ORDER BY count DESC`,
-        (err, duplicates) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (duplicates.length > 0) {
-            console.log(`🚨 Found ${duplicates.length} duplicate paths in database:`);
-            duplicates.slice(0, 10).forEach(dup => {
-              console.log(`  - Path: ${dup.path}`);
-              console.log(`  - Count: ${dup.count}`);
-              console.log(`  - IDs: ${dup.ids}`);
-            });
-          } else {
-            console.log(`✅ No duplicate paths found in database`);
-          }
-
-          resolve(duplicates);
-        }
-      );
-    });
+    const duplicates = this.statement(
+      `SELECT path, COUNT(*) as count, GROUP_CONCAT(id) as ids
+       FROM tracks
+       GROUP BY path
+       HAVING COUNT(*) > 1
+       ORDER BY count DESC`
+    ).all();
+
+    if (duplicates.length > 0) {
+      console.log(`🚨 Found ${duplicates.length} duplicate paths in database:`);
+      duplicates.slice(0, 10).forEach((dup) => {
+        console.log(`  - Path: ${dup.path}`);
+        console.log(`  - Count: ${dup.count}`);
+        console.log(`  - IDs: ${dup.ids}`);
+      });
+    } else {
+      console.log(`✅ No duplicate paths found in database`);
+    }
+    return duplicates;
   }
 
   getGenreStats() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT DISTINCT TRIM(genre) as genre, COUNT(DISTINCT id) as count
-         FROM tracks 
-         WHERE genre IS NOT NULL AND TRIM(genre) != ''
-         GROUP BY TRIM(genre)
-         ORDER BY count DESC`,
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`📊 Retrieved genre stats for ${rows.length} unique genres`);
-            resolve(rows);
-          }
-        }
-      );
-    });
+    const rows = this.statement(
+      `SELECT genre, COUNT(DISTINCT track_id) as count
+       FROM track_genres
+       GROUP BY genre
+       ORDER BY count DESC`
+    ).all();
+    console.log(`📊 Retrieved genre stats for ${rows.length} unique genres`);
+    return rows;
+  }
+
+  getTracksByGenre(genre) {
+    const rows = this.statement(
+      `SELECT * FROM tracks
+       WHERE id IN (SELECT track_id FROM track_genres WHERE genre = ?)
+       ORDER BY artist, album, disc_number, track_number, title`
+    ).all(genre);
+    console.log(`🎸 Retrieved ${rows.length} tracks for genre: ${genre}`);
+    return rows;
   }
 
   getYearStats() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT year, COUNT(*) as count
-       FROM tracks 
+    const rows = this.statement(
+      `SELECT year, COUNT(*) as count
+       FROM tracks
        WHERE year IS NOT NULL
        GROUP BY year
-       ORDER BY year DESC`,
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`📊 Retrieved year stats for ${rows.length} years`);
-            resolve(rows);
-          }
-        }
-      );
-    });
+       ORDER BY year DESC`
+    ).all();
+    console.log(`📊 Retrieved year stats for ${rows.length} years`);
+    return rows;
+  }
+
+  // Track counts per 10 BPM range (bpm is where the range starts) and per key
+  getTempoKeyStats() {
+    const tempos = this.statement(
+      `SELECT CAST(bpm / 10 AS INTEGER) * 10 AS bpm, COUNT(*) AS count
+       FROM tracks
+       WHERE bpm > 0
+       GROUP BY 1
+       ORDER BY 1`
+    ).all();
+    const keys = this.statement(
+      `SELECT musical_key AS key, COUNT(*) AS count
+       FROM tracks
+       WHERE musical_key IS NOT NULL
+       GROUP BY musical_key`
+    ).all();
+    console.log(`📊 Retrieved tempo and key stats (${tempos.length} ranges, ${keys.length} keys)`);
+    return { tempos, keys };
+  }
+
+  // ============================================================================
+  // ACOUSTIC FINGERPRINTS AND DUPLICATES
+  // ============================================================================
+
+  // Tracks without an up-to-date fingerprint. CUE sheet tracks share one file, large files
+  // take too much memory to decode and unplayable formats do not decode, so all are left out
+  getTracksWithoutFingerprint(maxFileSize) {
+    const rows = this.statement(
+      `SELECT t.id, t.path, t.title, t.artist
+       FROM tracks t
+       LEFT JOIN track_fingerprints f ON f.track_id = t.id
+       WHERE t.source_path IS NULL
+         AND t.playable = 1
+         AND COALESCE(t.filesize, 0) <= ?
+         AND (f.track_id IS NULL OR f.content_hash IS NOT t.content_hash)
+       ORDER BY t.path`
+    ).all(maxFileSize);
+    console.log(`🔊 ${rows.length} tracks need a fingerprint`);
+    return rows;
+  }
+
+  saveFingerprint(trackId, fingerprint) {
+    const { changes } = this.statement(
+      `INSERT OR REPLACE INTO track_fingerprints (track_id, content_hash, fingerprint)
+       SELECT id, content_hash, ? FROM tracks WHERE id = ?`
+    ).run(Buffer.from(fingerprint), trackId);
+    return changes > 0;
+  }
+
+  // Up-to-date, non-empty fingerprints with the track durations they are compared by
+  getFingerprints() {
+    const rows = this.statement(
+      `SELECT t.id, t.duration, f.fingerprint
+       FROM track_fingerprints f
+       JOIN tracks t ON t.id = f.track_id
+       WHERE f.content_hash IS t.content_hash AND length(f.fingerprint) > 0`
+    ).all();
+    console.log(`🔊 Loaded ${rows.length} fingerprints`);
+    return rows;
+  }
+
+  // Tracks with what merging them would carry over: favorite flag and playlist entries
+  getTracksForMerge(trackIds) {
+    if (trackIds.length === 0) {
+      return [];
+    }
+
+    return this.statement(
+      `SELECT t.*,
+         (f.track_id IS NOT NULL) AS is_favorite,
+         (SELECT COUNT(*) FROM playlist_tracks pt WHERE pt.track_path = t.path) AS playlist_count
+       FROM tracks t
+       LEFT JOIN favorites f ON f.track_id = t.id
+       WHERE t.id IN (SELECT value FROM json_each(?))`
+    ).all(JSON.stringify(trackIds));
+  }
+
+  // Fold the duplicates removeIds into keepId: play counts are added up, the latest play
+  // wins, a favorite copy makes the kept track a favorite and playlist entries point at
+  // the kept track. The duplicate rows are deleted; their files are left to the caller
+  mergeDuplicateTracks(keepId, removeIds) {
+    const tracks = this.getTracksForMerge([keepId, ...removeIds]);
+    const kept = tracks.find((track) => track.id === keepId);
+    const removed = tracks.filter((track) => track.id !== keepId);
+    if (!kept) {
+      throw new Error(`Track ${keepId} not found`);
+    }
+    if (removed.length === 0) {
+      return { kept, removed: [], playlistEntries: 0 };
+    }
+
+    const ids = JSON.stringify(removed.map((track) => track.id));
+    const paths = JSON.stringify(removed.map((track) => track.path));
+    const idList = '(SELECT value FROM json_each(?))';
+
+    const playCount = tracks.reduce((sum, track) => sum + (track.play_count || 0), 0);
+    const lastPlayed = tracks
+      .map((track) => track.last_played)
+      .filter(Boolean)
+      .sort()
+      .pop();
+
+    try {
+      const playlistEntries = this.db.transaction(() => {
+        this.statement('UPDATE tracks SET play_count = ?, last_played = ? WHERE id = ?').run(
+          playCount,
+          lastPlayed || null,
+          keepId
+        );
+        this.statement(
+          `INSERT OR IGNORE INTO favorites (track_id, added_at)
+           SELECT ?, MIN(added_at) FROM favorites WHERE track_id IN ${idList}
+           HAVING COUNT(*) > 0`
+        ).run(keepId, ids);
+        this.statement(`UPDATE recently_played SET track_id = ? WHERE track_id IN ${idList}`).run(
+          keepId,
+          ids
+        );
+
+        // Playlist entries are matched by path. A playlist that already has the kept track
+        // (or another copy) keeps its first entry
+        this.statement(`UPDATE playlist_tracks SET track_id = ? WHERE track_id IN ${idList}`).run(
+          keepId,
+          ids
+        );
+        const { changes } = this.statement(
+          `UPDATE OR IGNORE playlist_tracks SET track_path = ? WHERE track_path IN ${idList}`
+        ).run(kept.path, paths);
+        this.statement(`DELETE FROM playlist_tracks WHERE track_path IN ${idList}`).run(paths);
+
+        this.statement(`DELETE FROM tracks WHERE id IN ${idList}`).run(ids);
+        return changes;
+      })();
+
+      console.log(`🔀 Merged ${removed.length} duplicates into ${kept.path}`);
+      return { kept, removed, playlistEntries };
+    } catch (error) {
+      console.error('❌ Error merging duplicates:', error);
+      throw error;
+    }
+  }
+
+  // ============================================================================
+  // LOUDNESS AND REPLAYGAIN
+  // ============================================================================
+
+  // Tracks without a ReplayGain track gain tag or an up-to-date measurement. Like
+  // fingerprints, CUE sheet tracks, large files and unplayable formats are left out
+  getTracksWithoutLoudness(maxFileSize) {
+    const rows = this.statement(
+      `SELECT t.id, t.path, t.title, t.artist
+       FROM tracks t
+       LEFT JOIN track_loudness l ON l.track_id = t.id
+       WHERE t.replaygain_track_gain IS NULL
+         AND t.source_path IS NULL
+         AND t.playable = 1
+         AND COALESCE(t.filesize, 0) <= ?
+         AND (l.track_id IS NULL OR l.content_hash IS NOT t.content_hash)
+       ORDER BY t.path`
+    ).all(maxFileSize);
+    console.log(`🔊 ${rows.length} tracks need a loudness measurement`);
+    return rows;
+  }
+
+  saveLoudness(trackId, { loudness, peak }) {
+    const { changes } = this.statement(
+      `INSERT OR REPLACE INTO track_loudness (track_id, content_hash, loudness, peak)
+       SELECT id, content_hash, ?, ? FROM tracks WHERE id = ?`
+    ).run(
+      Number.isFinite(loudness) ? loudness : null,
+      Number.isFinite(peak) ? peak : null,
+      trackId
+    );
+    return changes > 0;
+  }
+
+  // The track with its gain tags and measured loudness, plus the same for the tracks of
+  // its album (same album and album artist), or null when it is not in the library
+  getLoudnessInfo(trackPath) {
+    const columns = `t.id, t.album, t.duration, t.replaygain_track_gain, t.replaygain_track_peak,
+      t.replaygain_album_gain, t.replaygain_album_peak, l.loudness, l.peak,
+      COALESCE(t.album_artist, t.artist) AS album_owner`;
+    const from = `FROM tracks t
+      LEFT JOIN track_loudness l ON l.track_id = t.id AND l.content_hash IS t.content_hash`;
+
+    const track = this.statement(`SELECT ${columns} ${from} WHERE t.path = ?`).get(trackPath);
+    if (!track) return null;
+
+    const albumTracks = track.album
+      ? this.statement(
+          `SELECT ${columns} ${from}
+           WHERE t.album = ? AND COALESCE(t.album_artist, t.artist) IS ?`
+        ).all(track.album, track.album_owner)
+      : [track];
+
+    return { track, albumTracks };
+  }
+
+  // ============================================================================
+  // TEMPO AND KEY
+  // ============================================================================
+
+  // Tracks missing a BPM or key that were not analyzed since their audio last changed
+  // (tempo_key_hash holds the content hash of the analyzed audio). Like fingerprints, CUE
+  // sheet tracks, large files and unplayable formats are left out
+  getTracksWithoutTempoKey(maxFileSize) {
+    const rows = this.statement(
+      `SELECT id, path, title, artist
+       FROM tracks
+       WHERE (bpm IS NULL OR musical_key IS NULL)
+         AND source_path IS NULL
+         AND playable = 1
+         AND COALESCE(filesize, 0) <= ?
+         AND (tempo_key_hash IS NULL OR tempo_key_hash IS NOT COALESCE(content_hash, ''))
+       ORDER BY path`
+    ).all(maxFileSize);
+    console.log(`🥁 ${rows.length} tracks need tempo and key detection`);
+    return rows;
+  }
+
+  // Detected values only fill in what the tags left empty; a track is marked as analyzed
+  // even when nothing was detected
+  saveTempoKey(trackId, { bpm, key }) {
+    const { changes } = this.statement(
+      `UPDATE tracks
+       SET bpm = COALESCE(bpm, ?), musical_key = COALESCE(musical_key, ?),
+           tempo_key_hash = COALESCE(content_hash, '')
+       WHERE id = ?`
+    ).run(bpm || null, key || null, trackId);
+    return changes > 0;
+  }
+
+  // ============================================================================
+  // WAVEFORMS
+  // ============================================================================
+
+  // Tracks without an up-to-date waveform. Like fingerprints, CUE sheet tracks, large files
+  // and unplayable formats are left out
+  getTracksWithoutWaveform(maxFileSize) {
+    const rows = this.statement(
+      `SELECT t.id, t.path, t.title, t.artist
+       FROM tracks t
+       LEFT JOIN track_waveforms w ON w.track_id = t.id
+       WHERE t.source_path IS NULL
+         AND t.playable = 1
+         AND COALESCE(t.filesize, 0) <= ?
+         AND (w.track_id IS NULL OR w.content_hash IS NOT t.content_hash)
+       ORDER BY t.path`
+    ).all(maxFileSize);
+    console.log(`〰️ ${rows.length} tracks need a waveform`);
+    return rows;
+  }
+
+  saveWaveform(trackId, peaks) {
+    const { changes } = this.statement(
+      `INSERT OR REPLACE INTO track_waveforms (track_id, content_hash, peaks)
+       SELECT id, content_hash, ? FROM tracks WHERE id = ?`
+    ).run(Buffer.from(peaks), trackId);
+    return changes > 0;
+  }
+
+  // { trackId, peaks, pending } for a track: peaks is the up-to-date waveform or null, and
+  // pending tells whether one can still be made (see getTracksWithoutWaveform). Null when the
+  // track is not in the library
+  getWaveform(trackPath, maxFileSize) {
+    const row = this.statement(
+      `SELECT t.id, w.peaks,
+         t.source_path IS NULL AND t.playable = 1 AND COALESCE(t.filesize, 0) <= ?
+           AS analyzable
+       FROM tracks t
+       LEFT JOIN track_waveforms w ON w.track_id = t.id AND w.content_hash IS t.content_hash
+       WHERE t.path = ?`
+    ).get(maxFileSize, trackPath);
+    if (!row) return null;
+
+    return {
+      trackId: row.id,
+      peaks: row.peaks && row.peaks.length > 0 ? row.peaks : null,
+      pending: !row.peaks && row.analyzable === 1,
+    };
+  }
+
+  // ============================================================================
+  // AUDIO QUALITY
+  // ============================================================================
+
+  // Lossless tracks without an up-to-date quality analysis. Like fingerprints, CUE sheet
+  // tracks, large files and unplayable formats are left out
+  getTracksWithoutQualityCheck(maxFileSize) {
+    const rows = this.statement(
+      `SELECT t.id, t.path, t.title, t.artist, t.sample_rate
+       FROM tracks t
+       LEFT JOIN track_quality q ON q.track_id = t.id
+       WHERE t.lossless = 1
+         AND t.source_path IS NULL
+         AND t.playable = 1
+         AND COALESCE(t.filesize, 0) <= ?
+         AND (q.track_id IS NULL OR q.content_hash IS NOT t.content_hash)
+       ORDER BY t.path`
+    ).all(maxFileSize);
+    console.log(`🔬 ${rows.length} lossless tracks need a quality check`);
+    return rows;
+  }
+
+  saveQualityCheck(trackId, { cutoff, maxFrequency, confidence, spectrogram }) {
+    const { changes } = this.statement(
+      `INSERT OR REPLACE INTO track_quality
+         (track_id, content_hash, cutoff, max_frequency, confidence, spectrogram)
+       SELECT id, content_hash, ?, ?, ?, ? FROM tracks WHERE id = ?`
+    ).run(
+      Number.isFinite(cutoff) ? cutoff : null,
+      Number.isFinite(maxFrequency) ? maxFrequency : null,
+      Number.isFinite(confidence) ? confidence : null,
+      Buffer.from(spectrogram || []),
+      trackId
+    );
+    return changes > 0;
+  }
+
+  // { checked, suspects }: how many lossless tracks have an up-to-date analysis, and those
+  // at least minConfidence sure to be transcoded from a lossy file, most suspicious first
+  getQualityReport(minConfidence) {
+    const from = `FROM tracks t
+      JOIN track_quality q ON q.track_id = t.id AND q.content_hash IS t.content_hash
+      WHERE t.lossless = 1`;
+
+    const checked = this.statement(`SELECT COUNT(*) ${from}`).pluck().get();
+    const suspects = this.statement(
+      `SELECT t.id, t.path, t.filename, t.title, t.artist, t.format, t.sample_rate,
+         t.bit_depth, q.cutoff, q.max_frequency, q.confidence, q.spectrogram
+       ${from} AND q.confidence >= ?
+       ORDER BY q.confidence DESC, q.cutoff, t.path`
+    ).all(minConfidence);
+    return { checked, suspects };
+  }
+
+  // ============================================================================
+  // LYRICS
+  // ============================================================================
+
+  // Stored lyrics text of a track, null when it has none or is not in the library
+  getLyrics(trackPath) {
+    const row = this.statement(
+      `SELECT l.lyrics FROM track_lyrics l
+       JOIN tracks t ON t.id = l.track_id
+       WHERE t.path = ?`
+    ).get(trackPath);
+    return row ? row.lyrics : null;
   }
 
   // ============================================================================
   // PLAYLIST MANAGEMENT
   // ============================================================================
   getAllPlaylists() {
-    return new Promise((resolve, reject) => {
-      this.db.all(
+    try {
+      const rows = this.statement(
         `SELECT p.*, COUNT(pt.id) as track_count
-             FROM playlists p 
-             LEFT JOIN playlist_tracks pt ON p.id = pt.playlist_id 
-             LEFT JOIN tracks t ON pt.track_path = t.path
-             GROUP BY p.id 
-             ORDER BY p.created_at DESC`,
-        [],
-        (err, rows) => {
-          if (err) {
-            console.error('❌ Error getting playlists:', err);
-            reject(err);
-          } else {
-            console.log(`📋 Retrieved ${rows.length} playlists`);
-            resolve(rows || []);
-          }
-        }
-      );
-    });
+         FROM playlists p
+         LEFT JOIN playlist_tracks pt ON p.id = pt.playlist_id
+         LEFT JOIN tracks t ON pt.track_path = t.path
+         GROUP BY p.id
+         ORDER BY p.created_at DESC`
+      ).all();
+
+      // Smart playlists have no entries; their tracks are counted by evaluating the rules now
+      for (const row of rows) {
+        MusicDatabase.parsePlaylistRules(row);
+        if (row.rules) row.track_count = this.countSmartPlaylistTracks(row.rules);
+      }
+      console.log(`📋 Retrieved ${rows.length} playlists`);
+      return rows;
+    } catch (error) {
+      console.error('❌ Error getting playlists:', error);
+      throw error;
+    }
   }
 
+  // With rules (see SmartPlaylist), creates a smart playlist
   createPlaylist(playlistData) {
-    return new Promise((resolve, reject) => {
-      const { name, description = '' } = playlistData;
-      const db = this.db; // Capture db reference
-
-      const stmt = db.prepare(`
-      INSERT INTO playlists (name, description) 
-      VALUES (?, ?)
-    `);
-
-      stmt.run(name, description, function (err) {
-        if (err) {
-          stmt.finalize();
-          if (err.message.includes('UNIQUE constraint failed')) {
-            reject(new Error(`Playlist "${name}" already exists`));
-          } else {
-            reject(err);
-          }
-          return;
-        }
+    const { name, description = '', rules = null } = playlistData;
+    const storedRules = rules === null ? null : JSON.stringify(SmartPlaylist.normalize(rules));
 
-        const playlistId = this.lastID;
+    let playlistId;
+    try {
+      playlistId = this.statement(
+        'INSERT INTO playlists (name, description, rules) VALUES (?, ?, ?)'
+      ).run(name, description, storedRules).lastInsertRowid;
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error(`Playlist "${name}" already exists`);
+      }
+      throw error;
+    }
 
-        // Get the created playlist
-        stmt.finalize();
-        db.get('SELECT * FROM playlists WHERE id = ?', [playlistId], (getErr, row) => {
-          if (getErr) {
-            reject(getErr);
-          } else {
-            console.log(`📋 Created playlist: ${name}`);
-            resolve(row);
-          }
-        });
-      });
-    });
+    console.log(`📋 Created ${rules ? 'smart ' : ''}playlist: ${name}`);
+    return MusicDatabase.parsePlaylistRules(
+      this.statement('SELECT * FROM playlists WHERE id = ?').get(playlistId)
+    );
   }
 
   // ============================================================================
   // FAVORITES MANAGEMENT
   // ============================================================================
-  async addToFavoritesByPath(trackPath) {
+  addToFavoritesByPath(trackPath) {
     try {
       console.log(`⭐ Adding to favorites by path: ${trackPath}`);
 
@@ -838,78 +1268,25 @@ class MusicDatabase {
         return { success: false, error: 'No track path provided' };
       }
 
-      return new Promise((resolve, reject) => {
-        this.db.serialize(() => {
-          this.db.run('BEGIN TRANSACTION', (err) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-
-            // Get track ID by path
-            this.db.get('SELECT id FROM tracks WHERE path = ?', [trackPath], (err, track) => {
-              if (err) {
-                this.db.run('ROLLBACK');
-                reject(err);
-                return;
-              }
-
-              if (!track) {
-                this.db.run('ROLLBACK');
-                resolve({ success: false, error: 'Track not found' });
-                return;
-              }
-
-              // Check if already in favorites
-              this.db.get(
-                'SELECT id FROM favorites WHERE track_id = ?',
-                [track.id],
-                (err, existing) => {
-                  if (err) {
-                    this.db.run('ROLLBACK');
-                    reject(err);
-                    return;
-                  }
-
-                  if (existing) {
-                    this.db.run('COMMIT');
-                    resolve({ success: true, added: false, trackId: track.id });
-                    return;
-                  }
-
-                  // Add to favorites
-                  this.db.run(
-                    'INSERT INTO favorites (track_id) VALUES (?)',
-                    [track.id],
-                    function (err) {
-                      if (err) {
-                        this.db.run('ROLLBACK');
-                        reject(err);
-                      } else {
-                        this.db.run('COMMIT', (commitErr) => {
-                          if (commitErr) {
-                            reject(commitErr);
-                          } else {
-                            console.log(`⭐ Added to favorites: ${trackPath}`);
-                            resolve({ success: true, added: true, trackId: track.id });
-                          }
-                        });
-                      }
-                    }.bind(this)
-                  );
-                }
-              );
-            });
-          });
-        });
-      });
+      const trackId = this.getTrackIdByPath(trackPath);
+      if (!trackId) {
+        return { success: false, error: 'Track not found' };
+      }
+
+      const { changes } = this.statement(
+        'INSERT OR IGNORE INTO favorites (track_id) VALUES (?)'
+      ).run(trackId);
+      if (changes > 0) {
+        console.log(`⭐ Added to favorites: ${trackPath}`);
+      }
+      return { success: true, added: changes > 0, trackId };
     } catch (error) {
       console.error('❌ Error adding to favorites:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async removeFromFavoritesByPath(trackPath) {
+  removeFromFavoritesByPath(trackPath) {
     try {
       console.log(`💔 Removing from favorites by path: ${trackPath}`);
 
@@ -917,411 +1294,307 @@ class MusicDatabase {
         return { success: false, error: 'No track path provided' };
       }
 
-      return new Promise((resolve, reject) => {
-        // Get track ID by path
-        this.db.get('SELECT id FROM tracks WHERE path = ?', [trackPath], (err, track) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          if (!track) {
-            resolve({ success: false, error: 'Track not found' });
-            return;
-          }
+      const trackId = this.getTrackIdByPath(trackPath);
+      if (!trackId) {
+        return { success: false, error: 'Track not found' };
+      }
 
-          // Remove from favorites
-          this.db.run('DELETE FROM favorites WHERE track_id = ?', [track.id], function (err) {
-            if (err) {
-              reject(err);
-            } else {
-              console.log(`💔 Removed from favorites: ${trackPath}`);
-              resolve({ success: true, removed: this.changes > 0, trackId: track.id });
-            }
-          });
-        });
-      });
+      const { changes } = this.statement('DELETE FROM favorites WHERE track_id = ?').run(trackId);
+      console.log(`💔 Removed from favorites: ${trackPath}`);
+      return { success: true, removed: changes > 0, trackId };
     } catch (error) {
       console.error('❌ Error removing from favorites:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async isFavoriteByPath(trackPath) {
+  isFavoriteByPath(trackPath) {
     try {
       if (!trackPath) {
         return false;
       }
 
-      return new Promise((resolve, reject) => {
-        this.db.get(
-          `SELECT f.id FROM favorites f 
-           JOIN tracks t ON f.track_id = t.id 
-           WHERE t.path = ?`,
-          [trackPath],
-          (err, row) => {
-            if (err) {
-              console.error('❌ Database error in isFavoriteByPath:', err);
-              reject(err);
-            } else {
-              resolve(!!row);
-            }
-          }
-        );
-      });
+      const row = this.statement(
+        `SELECT f.id FROM favorites f
+         JOIN tracks t ON f.track_id = t.id
+         WHERE t.path = ?`
+      ).get(trackPath);
+      return !!row;
     } catch (error) {
       console.error('❌ Error checking favorite status:', error);
       return false;
     }
   }
 
-  async clearFavorites() {
+  clearFavorites() {
     try {
-      return new Promise((resolve, reject) => {
-        this.db.run('DELETE FROM favorites', function (err) {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`💔 Cleared ${this.changes} favorites`);
-            resolve({ success: true, cleared: this.changes });
-          }
-        });
-      });
+      const { changes } = this.statement('DELETE FROM favorites').run();
+      console.log(`💔 Cleared ${changes} favorites`);
+      return { success: true, cleared: changes };
     } catch (error) {
       console.error('❌ Error clearing favorites:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async getPlaylistById(playlistId) {
-    return new Promise((resolve, reject) => {
-      // Get playlist info first
-      this.db.get('SELECT * FROM playlists WHERE id = ?', [playlistId], (err, playlist) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  getPlaylistById(playlistId) {
+    // Get playlist info first
+    const playlist = MusicDatabase.parsePlaylistRules(
+      this.statement('SELECT * FROM playlists WHERE id = ?').get(playlistId)
+    );
+    if (!playlist) {
+      throw new Error(`Playlist with ID ${playlistId} not found`);
+    }
 
-        if (!playlist) {
-          reject(new Error(`Playlist with ID ${playlistId} not found`));
-          return;
-        }
+    if (playlist.rules) {
+      playlist.tracks = this.getSmartPlaylistTracks(playlist.rules).map((track, index) => ({
+        ...track,
+        position: index + 1,
+      }));
+      console.log(
+        `📋 Evaluated smart playlist "${playlist.name}": ${playlist.tracks.length} tracks`
+      );
+      return playlist;
+    }
 
-        // Get tracks in playlist
-        const tracksQuery = `
-        SELECT 
-          t.id,
-          t.path,
-          t.filename,
-          t.title,
-          t.artist,
-          t.album,
-          t.year,
-          t.genre,
-          t.duration,
-          t.format,
-          t.filesize,
-          t.play_count,
-          pt.position,
-          pt.added_at as added_to_playlist
-        FROM playlist_tracks pt
-        INNER JOIN tracks t ON pt.track_path = t.path
-        WHERE pt.playlist_id = ?
-        ORDER BY pt.position ASC
-      `;
-
-        this.db.all(tracksQuery, [playlistId], (tracksErr, tracks) => {
-          if (tracksErr) {
-            reject(tracksErr);
-            return;
-          }
+    // Get tracks in playlist
+    playlist.tracks = this.statement(
+      `SELECT
+         t.id,
+         t.path,
+         t.filename,
+         t.title,
+         t.artist,
+         t.album,
+         t.year,
+         t.genre,
+         t.duration,
+         t.format,
+         t.filesize,
+         t.play_count,
+         pt.position,
+         pt.added_at as added_to_playlist
+       FROM playlist_tracks pt
+       INNER JOIN tracks t ON pt.track_path = t.path
+       WHERE pt.playlist_id = ?
+       ORDER BY pt.position ASC`
+    ).all(playlistId);
+
+    console.log(`📋 Retrieved playlist "${playlist.name}" with ${playlist.tracks.length} tracks`);
+    return playlist;
+  }
 
-          playlist.tracks = Array.isArray(tracks) ? tracks : [];
-          console.log(
-            `📋 Retrieved playlist "${playlist.name}" with ${playlist.tracks.length} tracks`
-          );
-          resolve(playlist);
-        });
-      });
-    });
+  addTrackToPlaylist(playlistId, trackId) {
+    const playlist = this.statement('SELECT name, rules FROM playlists WHERE id = ?').get(
+      playlistId
+    );
+    if (playlist?.rules) {
+      throw new Error(`"${playlist.name}" is a smart playlist, its rules choose the tracks`);
+    }
+
+    // Get track path first
+    const track = this.statement('SELECT path FROM tracks WHERE id = ?').get(trackId);
+    if (!track) {
+      throw new Error(`Track with ID ${trackId} not found`);
+    }
+
+    // Get next position
+    const position = this.statement(
+      'SELECT COALESCE(MAX(position), 0) + 1 FROM playlist_tracks WHERE playlist_id = ?'
+    )
+      .pluck()
+      .get(playlistId);
+
+    // Add track to playlist
+    try {
+      this.statement(
+        'INSERT INTO playlist_tracks (playlist_id, track_path, position) VALUES (?, ?, ?)'
+      ).run(playlistId, track.path, position);
+    } catch (error) {
+      if (error.message.includes('UNIQUE constraint failed')) {
+        return { success: false, error: 'Track already in playlist' };
+      }
+      throw error;
+    }
+
+    console.log(`📋 Added track ${trackId} to playlist ${playlistId} at position ${position}`);
+    return { success: true, position };
   }
 
-  async addTrackToPlaylist(playlistId, trackId) {
-    return new Promise((resolve, reject) => {
-      // Get track path first
-      this.db.get('SELECT path FROM tracks WHERE id = ?', [trackId], (err, track) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  removeTrackFromPlaylist(playlistId, trackId) {
+    // Get track path first
+    const track = this.statement('SELECT path FROM tracks WHERE id = ?').get(trackId);
+    if (!track) {
+      throw new Error(`Track with ID ${trackId} not found`);
+    }
 
-        if (!track) {
-          reject(new Error(`Track with ID ${trackId} not found`));
-          return;
-        }
+    // Remove track from playlist
+    const { changes } = this.statement(
+      'DELETE FROM playlist_tracks WHERE playlist_id = ? AND track_path = ?'
+    ).run(playlistId, track.path);
+    console.log(`📋 Removed track ${trackId} from playlist ${playlistId}`);
+    return { success: true, removed: changes > 0 };
+  }
 
-        // Get next position
-        this.db.get(
-          'SELECT COALESCE(MAX(position), 0) + 1 as next_position FROM playlist_tracks WHERE playlist_id = ?',
-          [playlistId],
-          (err, result) => {
-            if (err) {
-              reject(err);
-              return;
-            }
-
-            const position = result.next_position;
-
-            // Add track to playlist
-            this.db.run(
-              'INSERT INTO playlist_tracks (playlist_id, track_path, position) VALUES (?, ?, ?)',
-              [playlistId, track.path, position],
-              function (err) {
-                if (err) {
-                  if (err.message.includes('UNIQUE constraint failed')) {
-                    resolve({ success: false, error: 'Track already in playlist' });
-                  } else {
-                    reject(err);
-                  }
-                } else {
-                  console.log(
-                    `📋 Added track ${trackId} to playlist ${playlistId} at position ${position}`
-                  );
-                  resolve({ success: true, position });
-                }
-              }
-            );
-          }
-        );
-      });
-    });
+  deletePlaylist(playlistId) {
+    const deleted = this.db.transaction(() => {
+      // Delete playlist tracks first
+      this.statement('DELETE FROM playlist_tracks WHERE playlist_id = ?').run(playlistId);
+      return this.statement('DELETE FROM playlists WHERE id = ?').run(playlistId).changes;
+    })();
+
+    console.log(`📋 Deleted playlist ${playlistId}`);
+    return { success: true, deleted: deleted > 0 };
   }
 
-  async removeTrackFromPlaylist(playlistId, trackId) {
-    return new Promise((resolve, reject) => {
-      // Get track path first
-      this.db.get('SELECT path FROM tracks WHERE id = ?', [trackId], (err, track) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  // rules replaces the rules of a smart playlist; without it they are kept
+  updatePlaylist(playlistData) {
+    const { id, name, description = '', rules } = playlistData;
+    const storedRules = rules ? JSON.stringify(SmartPlaylist.normalize(rules)) : null;
+
+    this.db.transaction(() => {
+      this.statement(
+        'UPDATE playlists SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+      ).run(name, description, id);
+      if (rules !== undefined) {
+        this.statement('UPDATE playlists SET rules = ? WHERE id = ?').run(storedRules, id);
+      }
+    })();
 
-        if (!track) {
-          reject(new Error(`Track with ID ${trackId} not found`));
-          return;
-        }
+    console.log(`📋 Updated playlist: ${name}`);
+    return MusicDatabase.parsePlaylistRules(
+      this.statement('SELECT * FROM playlists WHERE id = ?').get(id)
+    );
+  }
 
-        // Remove track from playlist
-        this.db.run(
-          'DELETE FROM playlist_tracks WHERE playlist_id = ? AND track_path = ?',
-          [playlistId, track.path],
-          function (err) {
-            if (err) {
-              reject(err);
-            } else {
-              console.log(`📋 Removed track ${trackId} from playlist ${playlistId}`);
-              resolve({ success: true, removed: this.changes > 0 });
-            }
-          }
-        );
-      });
+  // ============================================================================
+  // SMART PLAYLISTS
+  // ============================================================================
+
+  // Tracks a smart playlist's rules find in the library now, in its order and up to its limit
+  getSmartPlaylistTracks(rules) {
+    return this.findTracks(SmartPlaylist.compile(rules), {
+      sort: rules.sort,
+      limit: rules.limit ?? -1,
     });
   }
 
-  async deletePlaylist(playlistId) {
-    return new Promise((resolve, reject) => {
-      this.db.serialize(() => {
-        this.db.run('BEGIN TRANSACTION', (err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+  countSmartPlaylistTracks(rules) {
+    const { where, params } = SmartPlaylist.compile(rules);
+    return this.db
+      .prepare(`SELECT COUNT(*) FROM (SELECT 1 FROM tracks t WHERE ${where} LIMIT ?)`)
+      .pluck()
+      .get(...params, rules.limit ?? -1);
+  }
 
-          // Delete playlist tracks first
-          this.db.run('DELETE FROM playlist_tracks WHERE playlist_id = ?', [playlistId], (err) => {
-            if (err) {
-              this.db.run('ROLLBACK');
-              reject(err);
-              return;
-            }
-
-            // Delete playlist
-            this.db.run(
-              'DELETE FROM playlists WHERE id = ?',
-              [playlistId],
-              function (err) {
-                if (err) {
-                  this.db.run('ROLLBACK');
-                  reject(err);
-                } else {
-                  this.db.run('COMMIT', (commitErr) => {
-                    if (commitErr) {
-                      reject(commitErr);
-                    } else {
-                      console.log(`📋 Deleted playlist ${playlistId}`);
-                      resolve({ success: true, deleted: this.changes > 0 });
-                    }
-                  });
-                }
-              }.bind(this)
-            );
-          });
-        });
-      });
-    });
+  // Write a playlist to "<name>.m3u" in the playlist folder and return its path. A smart
+  // playlist is written with the tracks its rules find now, as a snapshot. Tracks split from
+  // a CUE sheet can only be listed as their whole audio file, once
+  async exportPlaylistToM3U(playlistId) {
+    if (!this.playlistFolder) {
+      throw new Error('No playlist folder, choose a music folder first');
+    }
+
+    const playlist = this.getPlaylistById(playlistId);
+    const lines = ['#EXTM3U'];
+    const written = new Set();
+    for (const track of playlist.tracks) {
+      const filePath = CueSheet.audioFilePath(track.path);
+      if (written.has(filePath)) continue;
+      written.add(filePath);
+
+      const whole = filePath !== track.path;
+      const title = whole ? track.album || track.filename : track.title || track.filename;
+      const duration = !whole && track.duration ? Math.round(track.duration) : -1;
+      lines.push(`#EXTINF:${duration},${track.artist ? `${track.artist} - ` : ''}${title}`);
+      lines.push(filePath);
+    }
+
+    const filename = `${playlist.name.replace(/[\\/:*?"<>|]/g, '_')}.m3u`;
+    const m3uPath = path.join(this.playlistFolder, filename);
+    await fs.writeFile(m3uPath, `${lines.join('\n')}\n`, 'utf8');
+    console.log(`📂 Exported ${written.size} tracks of "${playlist.name}" to ${m3uPath}`);
+    return m3uPath;
   }
 
-  async updatePlaylist(playlistData) {
-    return new Promise((resolve, reject) => {
-      const { id, name, description = '' } = playlistData;
-
-      this.db.run(
-        'UPDATE playlists SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [name, description, id],
-        function (err) {
-          if (err) {
-            reject(err);
-          } else {
-            this.db.get('SELECT * FROM playlists WHERE id = ?', [id], (getErr, playlist) => {
-              if (getErr) {
-                reject(getErr);
-              } else {
-                console.log(`📋 Updated playlist: ${name}`);
-                resolve(playlist);
-              }
-            });
-          }
-        }.bind(this)
-      );
-    });
+  // Playlist rows keep smart playlist rules as JSON text; this parses them in place
+  static parsePlaylistRules(row) {
+    if (row && typeof row.rules === 'string') {
+      row.rules = JSON.parse(row.rules);
+    }
+    return row;
   }
 
   // ============================================================================
   // RECENTLY PLAYED MANAGEMENT
   // ============================================================================
-  async addToRecentlyPlayedByPath(trackPath) {
+  addToRecentlyPlayedByPath(trackPath) {
     try {
       if (!trackPath) {
         return { success: false, error: 'No track path provided' };
       }
 
-      return new Promise((resolve, reject) => {
-        // Update last_played timestamp
-        this.db.run(
-          'UPDATE tracks SET last_played = CURRENT_TIMESTAMP, play_count = COALESCE(play_count, 0) + 1 WHERE path = ?',
-          [trackPath],
-          function (err) {
-            if (err) {
-              reject(err);
-            } else {
-              console.log(`🕒 Added to recently played: ${trackPath}`);
-              resolve({ success: true, updated: this.changes > 0 });
-            }
-          }
-        );
-      });
+      // Update last_played timestamp
+      const { changes } = this.statement(
+        `UPDATE tracks
+         SET last_played = CURRENT_TIMESTAMP, play_count = COALESCE(play_count, 0) + 1
+         WHERE path = ?`
+      ).run(trackPath);
+      console.log(`🕒 Added to recently played: ${trackPath}`);
+      return { success: true, updated: changes > 0 };
     } catch (error) {
       console.error('❌ Error adding to recently played:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async getRecentlyPlayedCount() {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT COUNT(*) as count FROM tracks WHERE last_played IS NOT NULL',
-        (err, row) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(row.count);
-          }
-        }
-      );
-    });
+  getRecentlyPlayedCount() {
+    return this.statement('SELECT COUNT(*) FROM tracks WHERE last_played IS NOT NULL')
+      .pluck()
+      .get();
   }
 
-  async clearRecentlyPlayed() {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        'UPDATE tracks SET last_played = NULL WHERE last_played IS NOT NULL',
-        function (err) {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`🕒 Cleared recently played for ${this.changes} tracks`);
-            resolve({ success: true, cleared: this.changes });
-          }
-        }
-      );
-    });
+  clearRecentlyPlayed() {
+    const { changes } = this.statement(
+      'UPDATE tracks SET last_played = NULL WHERE last_played IS NOT NULL'
+    ).run();
+    console.log(`🕒 Cleared recently played for ${changes} tracks`);
+    return { success: true, cleared: changes };
   }
 
   // ============================================================================
   // UTILITY METHODS
   // ============================================================================
-  async updateMissingDurations() {
-    return new Promise((resolve, reject) => {
-      console.log('🔄 Updating missing durations...');
-
-      // Find tracks with missing or zero durations
-      this.db.all(
-        'SELECT id, path FROM tracks WHERE duration IS NULL OR duration = 0',
-        [],
-        (err, tracks) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+  updateMissingDurations() {
+    console.log('🔄 Updating missing durations...');
 
-          if (tracks.length === 0) {
-            console.log('✅ No tracks with missing durations found');
-            resolve({ updated: 0, total: 0 });
-            return;
-          }
+    // Find tracks with missing or zero durations
+    const trackIds = this.statement('SELECT id FROM tracks WHERE duration IS NULL OR duration = 0')
+      .pluck()
+      .all();
 
-          console.log(`🔍 Found ${tracks.length} tracks with missing durations`);
-
-          // For now, we'll just update the database to mark that we checked
-          // In a real implementation, you'd use a media library like node-ffmpeg
-          // to extract actual duration from audio files
-          let updated = 0;
-          let processed = 0;
-
-          tracks.forEach((track) => {
-            // This is a placeholder - in reality you'd extract duration from the audio file
-            // For now, we'll set a default duration to prevent the error
-            this.db.run(
-              'UPDATE tracks SET duration = ? WHERE id = ?',
-              [0, track.id], // Setting to 0 as placeholder
-              (updateErr) => {
-                processed++;
-                if (!updateErr) {
-                  updated++;
-                }
-
-                if (processed === tracks.length) {
-                  console.log(`✅ Updated durations for ${updated}/${tracks.length} tracks`);
-                  resolve({ updated, total: tracks.length });
-                }
-              }
-            );
-          });
-        }
-      );
-    });
+    if (trackIds.length === 0) {
+      console.log('✅ No tracks with missing durations found');
+      return { updated: 0, total: 0 };
+    }
+
+    console.log(`🔍 Found ${trackIds.length} tracks with missing durations`);
+
+    // For now, we'll just update the database to mark that we checked
+    // In a real implementation, you'd use a media library like node-ffmpeg
+    // to extract actual duration from audio files
+    const setDuration = this.statement('UPDATE tracks SET duration = ? WHERE id = ?');
+    const updated = this.db.transaction(() =>
+      // Setting to 0 as placeholder
+      trackIds.reduce((sum, trackId) => sum + setDuration.run(0, trackId).changes, 0)
+    )();
+
+    console.log(`✅ Updated durations for ${updated}/${trackIds.length} tracks`);
+    return { updated, total: trackIds.length };
   }
 
-  async getTrackIdByPath(trackPath) {
-    return new Promise((resolve, reject) => {
-      this.db.get('SELECT id FROM tracks WHERE path = ?', [trackPath], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row ? row.id : null);
-        }
-      });
-    });
+  getTrackIdByPath(trackPath) {
+    return this.statement('SELECT id FROM tracks WHERE path = ?').pluck().get(trackPath) ?? null;
   }
 
   parseM3UContent(content) {
@@ -1351,103 +1624,48 @@ class MusicDatabase {
     }
   }
 
-  async populateArtistsAndAlbumsFromTracks() {
-    return new Promise((resolve, reject) => {
-      console.log('🔄 Populating artists and albums from existing tracks...');
-
-      this.db.serialize(() => {
-        this.db.run('BEGIN TRANSACTION', (err) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-
-          // Clear existing data
-          this.db.run('DELETE FROM artists');
-          this.db.run('DELETE FROM albums');
-
-          // Populate artists from tracks
-          this.db.run(
-            `
-            INSERT INTO artists (name, track_count)
-            SELECT 
-              artist,
-              COUNT(*) as track_count
-            FROM tracks 
-            WHERE artist IS NOT NULL 
-              AND artist != '' 
-              AND artist != 'Unknown Artist'
-            GROUP BY artist
-          `,
-            (artistErr) => {
-              if (artistErr) {
-                this.db.run('ROLLBACK');
-                reject(artistErr);
-                return;
-              }
-
-              // Populate albums from tracks
-              this.db.run(
-                `
-                INSERT INTO albums (title, artist, track_count, year)
-                SELECT 
-                  album,
-                  artist,
-                  COUNT(*) as track_count,
-                  MIN(year) as year
-                FROM tracks 
-                WHERE album IS NOT NULL 
-                  AND album != '' 
-                  AND album != 'Unknown Album'
-                GROUP BY album, artist
-              `,
-                (albumErr) => {
-                  if (albumErr) {
-                    this.db.run('ROLLBACK');
-                    reject(albumErr);
-                    return;
-                  }
-
-                  this.db.run('COMMIT', (commitErr) => {
-                    if (commitErr) {
-                      reject(commitErr);
-                    } else {
-                      // Get counts of what was added
-                      this.db.get(
-                        'SELECT COUNT(*) as artists FROM artists',
-                        (countErr1, artistCount) => {
-                          if (countErr1) {
-                            reject(countErr1);
-                            return;
-                          }
-
-                          this.db.get(
-                            'SELECT COUNT(*) as albums FROM albums',
-                            (countErr2, albumCount) => {
-                              if (countErr2) {
-                                reject(countErr2);
-                                return;
-                              }
-
-                              const result = {
-                                artists: artistCount.artists,
-                                albums: albumCount.albums,
-                              };
-                              console.log('✅ Artists and albums populated successfully:', result);
-                              resolve(result);
-                            }
-                          );
-                        }
-                      );
-                    }
-                  });
-                }
-              );
-            }
-          );
-        });
-      });
-    });
+  populateArtistsAndAlbumsFromTracks() {
+    console.log('🔄 Populating artists and albums from existing tracks...');
+
+    this.db.transaction(() => {
+      // Clear existing data
+      this.statement('DELETE FROM artists').run();
+      this.statement('DELETE FROM albums').run();
+
+      // Populate artists from tracks
+      this.statement(
+        `INSERT INTO artists (name, track_count)
+         SELECT
+           artist,
+           COUNT(DISTINCT track_id) as track_count
+         FROM track_artists
+         WHERE artist != 'Unknown Artist'
+         GROUP BY artist`
+      ).run();
+
+      // Populate albums from tracks
+      this.statement(
+        `INSERT INTO albums (title, artist, track_count, year)
+         SELECT
+           album,
+           album_group_artist,
+           COUNT(*) as track_count,
+           MIN(year) as year
+         FROM (${ALBUM_TRACKS_SQL})
+         WHERE album IS NOT NULL
+           AND album != ''
+           AND album != 'Unknown Album'
+         GROUP BY album, album_group_artist`
+      ).run();
+    })();
+
+    // Get counts of what was added
+    const result = {
+      artists: this.statement('SELECT COUNT(*) FROM artists').pluck().get(),
+      albums: this.statement('SELECT COUNT(*) FROM albums').pluck().get(),
+    };
+    console.log('✅ Artists and albums populated successfully:', result);
+    return result;
   }
 
   // ============================================================================
@@ -1457,352 +1675,221 @@ class MusicDatabase {
   /**
    * Validate all file paths in the database and return missing files
    */
-  async validateAllPaths() {
-    return new Promise((resolve, reject) => {
-      console.log('🔍 Validating all file paths in database...');
-
-      this.db.all('SELECT id, path, title, artist FROM tracks', [], (err, tracks) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  validateAllPaths() {
+    console.log('🔍 Validating all file paths in database...');
 
-        const fs = require('fs');
-        const validTracks = [];
-        const invalidTracks = [];
-        let processed = 0;
+    const tracks = this.statement(
+      'SELECT id, path, source_path, content_hash, title, artist FROM tracks'
+    ).all();
 
-        if (tracks.length === 0) {
-          console.log('ℹ️ No tracks in database to validate');
-          resolve({ valid: [], invalid: [], total: 0 });
-          return;
-        }
+    if (tracks.length === 0) {
+      console.log('ℹ️ No tracks in database to validate');
+      return { valid: [], invalid: [], total: 0 };
+    }
 
-        tracks.forEach((track) => {
-          try {
-            if (fs.existsSync(track.path)) {
-              validTracks.push(track);
-            } else {
-              console.log(`❌ Missing file: ${track.path}`);
-              invalidTracks.push(track);
-            }
-          } catch (error) {
-            console.log(`❌ Error checking file: ${track.path} - ${error.message}`);
-            invalidTracks.push(track);
-          }
+    const { existsSync } = require('fs');
+    const validTracks = [];
+    const invalidTracks = [];
 
-          processed++;
-          if (processed === tracks.length) {
-            console.log(
-              `✅ Path validation complete: ${validTracks.length} valid, ${invalidTracks.length} invalid`
-            );
-            resolve({
-              valid: validTracks,
-              invalid: invalidTracks,
-              total: tracks.length,
-            });
-          }
-        });
-      });
+    tracks.forEach((track) => {
+      try {
+        // CUE sheet tracks are valid as long as the audio file they play from is there
+        if (existsSync(track.source_path || track.path)) {
+          validTracks.push(track);
+        } else {
+          console.log(`❌ Missing file: ${track.path}`);
+          invalidTracks.push(track);
+        }
+      } catch (error) {
+        console.log(`❌ Error checking file: ${track.path} - ${error.message}`);
+        invalidTracks.push(track);
+      }
     });
+
+    console.log(
+      `✅ Path validation complete: ${validTracks.length} valid, ${invalidTracks.length} invalid`
+    );
+    return { valid: validTracks, invalid: invalidTracks, total: tracks.length };
   }
 
   /**
-   * Find and attempt to correct invalid file paths
+   * Find tracks with a missing file again by their content hash. A moved or renamed file
+   * that was scanned since is in the library as another track with the same audio
    */
-  async findAlternativePaths(invalidTracks) {
-    return new Promise((resolve, reject) => {
-      console.log('🔍 Searching for alternative paths for missing files...');
-
-      const fs = require('fs');
-      const path = require('path');
-      const correctionResults = [];
+  findAlternativePaths(invalidTracks) {
+    console.log('🔍 Searching for moved files by content hash...');
 
-      if (invalidTracks.length === 0) {
-        resolve([]);
-        return;
-      }
-
-      let processed = 0;
-      invalidTracks.forEach((track) => {
-        const filename = path.basename(track.path);
-
-        // Common path corrections to try
-        const pathVariations = [
-          track.path.replace('/EQ_Genre/', '/'),
-          track.path.replace('\\EQ_Genre\\', '\\'),
-          track.path.replace('/Albums/EQ_Genre/', '/Albums/'),
-          track.path.replace('\\Albums\\EQ_Genre\\', '\\Albums\\'),
-          track.path.replace('/Genre/', '/Albums/'),
-          track.path.replace('\\Genre\\', '\\Albums\\'),
-        ];
-
-        let foundAlternative = false;
-        for (const altPath of pathVariations) {
-          if (altPath !== track.path && fs.existsSync(altPath)) {
-            console.log(`✅ Found alternative path: ${altPath}`);
-            correctionResults.push({
-              originalTrack: track,
-              newPath: altPath,
-              correctionType: 'path_variation',
-            });
-            foundAlternative = true;
-            break;
-          }
-        }
-
-        if (!foundAlternative) {
-          correctionResults.push({
-            originalTrack: track,
-            newPath: null,
-            correctionType: 'not_found',
-          });
-        }
-
-        processed++;
-        if (processed === invalidTracks.length) {
-          const corrected = correctionResults.filter((r) => r.newPath !== null);
-          const stillMissing = correctionResults.filter((r) => r.newPath === null);
+    if (invalidTracks.length === 0) {
+      return [];
+    }
 
-          console.log(
-            `🔄 Path correction results: ${corrected.length} corrected, ${stillMissing.length} still missing`
-          );
-          resolve(correctionResults);
-        }
+    // CUE sheet tracks share the hash of their audio file, so the track number counts too
+    const matchKey = (track) =>
+      `${track.content_hash}#${CueSheet.splitTrackPath(track.path)?.number ?? ''}`;
+    const invalidIds = new Set(invalidTracks.map((track) => track.id));
+
+    const candidates = new Map();
+    this.statement('SELECT id, path, content_hash FROM tracks WHERE content_hash IS NOT NULL')
+      .all()
+      .filter((row) => !invalidIds.has(row.id))
+      .forEach((row) => {
+        const key = matchKey(row);
+        candidates.set(key, [...(candidates.get(key) || []), row]);
       });
+
+    const correctionResults = invalidTracks.map((track) => {
+      // Each file is claimed once, in case several missing tracks had the same audio
+      const match = track.content_hash ? candidates.get(matchKey(track))?.shift() : null;
+      if (match) {
+        console.log(`✅ Found moved file: ${track.path} -> ${match.path}`);
+      }
+      return {
+        originalTrack: track,
+        newPath: match ? match.path : null,
+        correctionType: match ? 'content_hash' : 'not_found',
+      };
     });
+
+    const corrected = correctionResults.filter((r) => r.newPath !== null);
+    console.log(
+      `🔄 Path correction results: ${corrected.length} corrected, ${correctionResults.length - corrected.length} still missing`
+    );
+    return correctionResults;
   }
 
   /**
-   * Update database with corrected paths, handling duplicates
+   * Update database with corrected paths, handling duplicates. All corrections are applied
+   * in one transaction: if one fails, none are
    */
-  async updateCorrectedPaths(corrections) {
-    return new Promise((resolve, reject) => {
-      const validCorrections = corrections.filter((c) => c.newPath !== null);
+  updateCorrectedPaths(corrections) {
+    const validCorrections = corrections.filter((c) => c.newPath !== null);
 
-      if (validCorrections.length === 0) {
-        console.log('ℹ️ No path corrections to apply');
-        resolve({ updated: 0, duplicatesRemoved: 0 });
-        return;
-      }
+    if (validCorrections.length === 0) {
+      console.log('ℹ️ No path corrections to apply');
+      return { updated: 0, duplicatesRemoved: 0 };
+    }
 
-      console.log(`🔄 Processing ${validCorrections.length} path corrections...`);
+    console.log(`🔄 Processing ${validCorrections.length} path corrections...`);
 
-      // Group corrections by target path to handle duplicates
-      const pathGroups = {};
-      validCorrections.forEach(correction => {
-        if (!pathGroups[correction.newPath]) {
-          pathGroups[correction.newPath] = [];
-        }
-        pathGroups[correction.newPath].push(correction);
-      });
+    // Group corrections by target path to handle duplicates
+    const pathGroups = new Map();
+    validCorrections.forEach((correction) => {
+      pathGroups.set(correction.newPath, [
+        ...(pathGroups.get(correction.newPath) || []),
+        correction,
+      ]);
+    });
 
-      let updated = 0;
-      let duplicatesRemoved = 0;
-      let errors = 0;
-      let processed = 0;
-
-      const db = this.db; // Store reference to avoid scope issues
-      
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-
-        Object.keys(pathGroups).forEach(targetPath => {
-          const group = pathGroups[targetPath];
-          
-          // Check if target path already exists in database
-          db.get('SELECT id FROM tracks WHERE path = ?', [targetPath], (err, existingTrack) => {
-            if (err) {
-              console.error(`❌ Error checking existing path ${targetPath}:`, err);
-              errors++;
-              processed++;
-              checkCompletion();
-              return;
-            }
-
-            if (existingTrack) {
-              // Target path already exists, remove all duplicates
-              console.log(`🔄 Target path already exists: ${targetPath}`);
-              console.log(`🧹 Removing ${group.length} duplicate records`);
-              
-              const duplicateIds = group.map(g => g.originalTrack.id);
-              const placeholders = duplicateIds.map(() => '?').join(',');
-              
-              db.run(`DELETE FROM tracks WHERE id IN (${placeholders})`, duplicateIds, function(delErr) {
-                if (delErr) {
-                  console.error(`❌ Error removing duplicates:`, delErr);
-                  errors++;
-                } else {
-                  duplicatesRemoved += this.changes;
-                  console.log(`🧹 Removed ${this.changes} duplicate records for ${targetPath}`);
-                }
-                processed++;
-                checkCompletion();
-              });
-            } else {
-              // Target path doesn't exist, update the first record and remove the rest
-              const firstCorrection = group[0];
-              const otherCorrections = group.slice(1);
-              
-              db.run('UPDATE tracks SET path = ? WHERE id = ?', [targetPath, firstCorrection.originalTrack.id], function(updateErr) {
-                if (updateErr) {
-                  console.error(`❌ Error updating path for track ${firstCorrection.originalTrack.id}:`, updateErr);
-                  errors++;
-                } else {
-                  updated++;
-                  console.log(`✅ Updated path: ${firstCorrection.originalTrack.path} -> ${targetPath}`);
-                }
-
-                // Remove any additional duplicates
-                if (otherCorrections.length > 0) {
-                  const duplicateIds = otherCorrections.map(g => g.originalTrack.id);
-                  const placeholders = duplicateIds.map(() => '?').join(',');
-                  
-                  db.run(`DELETE FROM tracks WHERE id IN (${placeholders})`, duplicateIds, function(delErr) {
-                    if (delErr) {
-                      console.error(`❌ Error removing additional duplicates:`, delErr);
-                      errors++;
-                    } else {
-                      duplicatesRemoved += this.changes;
-                      console.log(`🧹 Removed ${this.changes} additional duplicates for ${targetPath}`);
-                    }
-                    processed++;
-                    checkCompletion();
-                  });
-                } else {
-                  processed++;
-                  checkCompletion();
-                }
-              });
-            }
-          });
-        });
+    const deleteTrack = this.statement('DELETE FROM tracks WHERE id = ?');
+    const moveTrack = this.statement(
+      'UPDATE tracks SET path = ?, filename = ?, source_path = ? WHERE id = ?'
+    );
+    const movePlaylistEntries = this.statement(
+      'UPDATE OR IGNORE playlist_tracks SET track_path = ? WHERE track_path = ?'
+    );
+    const deletePlaylistEntries = this.statement(
+      'DELETE FROM playlist_tracks WHERE track_path = ?'
+    );
+
+    let updated = 0;
+    let duplicatesRemoved = 0;
 
-        const checkCompletion = () => {
-          if (processed === Object.keys(pathGroups).length) {
-            if (errors === 0) {
-              db.run('COMMIT', (commitErr) => {
-                if (commitErr) {
-                  reject(commitErr);
-                } else {
-                  console.log(`✅ Path correction completed: ${updated} updated, ${duplicatesRemoved} duplicates removed`);
-                  resolve({ updated, duplicatesRemoved, errors });
-                }
-              });
-            } else {
-              db.run('ROLLBACK', (rollbackErr) => {
-                if (rollbackErr) {
-                  reject(rollbackErr);
-                } else {
-                  reject(new Error(`Path correction failed: ${errors} errors occurred`));
-                }
-              });
-            }
+    try {
+      this.db.transaction(() => {
+        for (const [targetPath, group] of pathGroups) {
+          const existingId = this.getTrackIdByPath(targetPath);
+          if (existingId) {
+            // The file was scanned at its new path already. Keep the original record, which
+            // has the favorites, playlist entries and play count, and drop the new one
+            console.log(`🔄 Target path already exists: ${targetPath}`);
+            duplicatesRemoved += deleteTrack.run(existingId).changes;
           }
-        };
-      });
-    });
+
+          // Move the first record of the group to targetPath and remove the rest
+          const [firstCorrection, ...otherCorrections] = group;
+          const originalPath = firstCorrection.originalTrack.path;
+          const sourcePath = CueSheet.splitTrackPath(targetPath)
+            ? CueSheet.audioFilePath(targetPath)
+            : null;
+
+          moveTrack.run(
+            targetPath,
+            path.basename(targetPath),
+            sourcePath,
+            firstCorrection.originalTrack.id
+          );
+          updated++;
+          console.log(`✅ Updated path: ${originalPath} -> ${targetPath}`);
+
+          // Playlist entries point at tracks by path. A playlist that already has the new
+          // path keeps that entry and loses the old one
+          movePlaylistEntries.run(targetPath, originalPath);
+          deletePlaylistEntries.run(originalPath);
+
+          if (otherCorrections.length > 0) {
+            const { changes } = this.statement(
+              'DELETE FROM tracks WHERE id IN (SELECT value FROM json_each(?))'
+            ).run(JSON.stringify(otherCorrections.map((c) => c.originalTrack.id)));
+            duplicatesRemoved += changes;
+            console.log(`🧹 Removed ${changes} additional duplicates for ${targetPath}`);
+          }
+        }
+      })();
+    } catch (error) {
+      console.error('❌ Path correction failed, no paths were changed:', error);
+      throw error;
+    }
+
+    console.log(
+      `✅ Path correction completed: ${updated} updated, ${duplicatesRemoved} duplicates removed`
+    );
+    return { updated, duplicatesRemoved, errors: 0 };
   }
 
   /**
-   * Remove orphaned records from database
+   * Remove orphaned records from database, in one transaction
    */
-  async removeOrphanedRecords(missingTrackIds) {
-    return new Promise((resolve, reject) => {
-      if (missingTrackIds.length === 0) {
-        console.log('ℹ️ No orphaned records to remove');
-        resolve({
-          tracks: 0,
-          favorites: 0,
-          recentlyPlayed: 0,
-          playlistTracks: 0,
-        });
-        return;
-      }
-
-      console.log(`🧹 Removing orphaned records for ${missingTrackIds.length} missing tracks...`);
-
-      const placeholders = missingTrackIds.map(() => '?').join(',');
-      let results = {
-        tracks: 0,
-        favorites: 0,
-        recentlyPlayed: 0,
-        playlistTracks: 0,
-      };
+  removeOrphanedRecords(missingTrackIds) {
+    const results = {
+      tracks: 0,
+      favorites: 0,
+      recentlyPlayed: 0,
+      playlistTracks: 0,
+    };
+
+    if (missingTrackIds.length === 0) {
+      console.log('ℹ️ No orphaned records to remove');
+      return results;
+    }
 
-      const db = this.db; // Store reference to avoid scope issues
-      
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-
-        // Remove from recently_played
-        db.run(
-          `DELETE FROM recently_played WHERE track_id IN (${placeholders})`,
-          missingTrackIds,
-          function (err) {
-            if (err) {
-              console.error('❌ Error removing recently played records:', err);
-            } else {
-              results.recentlyPlayed = this.changes;
-              console.log(`🧹 Removed ${this.changes} recently played records`);
-            }
-          }
-        );
+    console.log(`🧹 Removing orphaned records for ${missingTrackIds.length} missing tracks...`);
 
-        // Remove from favorites
-        db.run(
-          `DELETE FROM favorites WHERE track_id IN (${placeholders})`,
-          missingTrackIds,
-          function (err) {
-            if (err) {
-              console.error('❌ Error removing favorite records:', err);
-            } else {
-              results.favorites = this.changes;
-              console.log(`🧹 Removed ${this.changes} favorite records`);
-            }
-          }
-        );
+    const ids = JSON.stringify(missingTrackIds);
+    const remove = (table, column) =>
+      this.statement(
+        `DELETE FROM ${table} WHERE ${column} IN (SELECT value FROM json_each(?))`
+      ).run(ids).changes;
 
-        // Remove from playlist_tracks
-        db.run(
-          `DELETE FROM playlist_tracks WHERE track_id IN (${placeholders})`,
-          missingTrackIds,
-          function (err) {
-            if (err) {
-              console.error('❌ Error removing playlist track records:', err);
-            } else {
-              results.playlistTracks = this.changes;
-              console.log(`🧹 Removed ${this.changes} playlist track records`);
-            }
-          }
-        );
+    try {
+      this.db.transaction(() => {
+        results.recentlyPlayed = remove('recently_played', 'track_id');
+        console.log(`🧹 Removed ${results.recentlyPlayed} recently played records`);
+        results.favorites = remove('favorites', 'track_id');
+        console.log(`🧹 Removed ${results.favorites} favorite records`);
+        results.playlistTracks = remove('playlist_tracks', 'track_id');
+        console.log(`🧹 Removed ${results.playlistTracks} playlist track records`);
 
         // Finally, remove the tracks themselves
-        db.run(
-          `DELETE FROM tracks WHERE id IN (${placeholders})`,
-          missingTrackIds,
-          function (err) {
-            if (err) {
-              console.error('❌ Error removing track records:', err);
-              db.run('ROLLBACK');
-              reject(err);
-            } else {
-              results.tracks = this.changes;
-              console.log(`🧹 Removed ${this.changes} track records`);
-
-              db.run('COMMIT', (commitErr) => {
-                if (commitErr) {
-                  reject(commitErr);
-                } else {
-                  console.log('✅ Orphaned record cleanup complete');
-                  resolve(results);
-                }
-              });
-            }
-          }
-        );
-      });
-    });
+        results.tracks = remove('tracks', 'id');
+        console.log(`🧹 Removed ${results.tracks} track records`);
+      })();
+    } catch (error) {
+      console.error('❌ Error removing orphaned records:', error);
+      throw error;
+    }
+
+    console.log('✅ Orphaned record cleanup complete');
+    return results;
   }
 
   /**
@@ -1813,7 +1900,7 @@ class MusicDatabase {
 
     try {
       // Step 1: Validate all paths
-      const pathValidation = await this.validateAllPaths();
+      const pathValidation = this.validateAllPaths();
       console.log(
         `📊 Path validation results: ${pathValidation.valid.length} valid, ${pathValidation.invalid.length} invalid`
       );
@@ -1834,7 +1921,7 @@ class MusicDatabase {
       }
 
       // Step 2: Try to find alternative paths for missing files
-      const corrections = await this.findAlternativePaths(pathValidation.invalid);
+      const corrections = this.findAlternativePaths(pathValidation.invalid);
       const correctable = corrections.filter((c) => c.newPath !== null);
       const uncorrectable = corrections.filter((c) => c.newPath === null);
 
@@ -1846,7 +1933,7 @@ class MusicDatabase {
       let pathsCorrected = 0;
       let duplicatesRemoved = 0;
       if (correctable.length > 0) {
-        const updateResult = await this.updateCorrectedPaths(corrections);
+        const updateResult = this.updateCorrectedPaths(corrections);
         pathsCorrected = updateResult.updated;
         duplicatesRemoved = updateResult.duplicatesRemoved || 0;
       }
@@ -1861,11 +1948,11 @@ class MusicDatabase {
 
       if (uncorrectable.length > 0) {
         const orphanedIds = uncorrectable.map((u) => u.originalTrack.id);
-        recordsRemoved = await this.removeOrphanedRecords(orphanedIds);
+        recordsRemoved = this.removeOrphanedRecords(orphanedIds);
       }
 
       // Step 5: Rebuild artists and albums tables
-      await this.populateArtistsAndAlbumsFromTracks();
+      this.populateArtistsAndAlbumsFromTracks();
 
       const summary = {
         success: true,
@@ -1890,14 +1977,14 @@ class MusicDatabase {
   // DATABASE CONNECTION MANAGEMENT
   // ============================================================================
   close() {
-    if (this.db) {
-      this.db.close((err) => {
-        if (err) {
-          console.error('❌ Error closing database:', err.message);
-        } else {
-          console.log('🗄️ Database connection closed successfully');
-        }
-      });
+    if (this.db && this.db.open) {
+      try {
+        this.db.close();
+        this.statements.clear();
+        console.log('🗄️ Database connection closed successfully');
+      } catch (error) {
+        console.error('❌ Error closing database:', error.message);
+      }
     }
   }
 }
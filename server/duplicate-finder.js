@@ -0,0 +1,133 @@
+// server/duplicate-finder.js - Group tracks that sound the same, whatever their file or encoding
+
+// Fingerprints hold one 32-bit value per audio frame (see client/scripts/audio-fingerprint.js).
+// Two encodings of one recording differ in a small share of those bits, unrelated audio in
+// about half of them
+const MATCH_THRESHOLD = 0.3;
+
+// Only tracks this close in length are compared, in seconds
+const DURATION_TOLERANCE = 3;
+
+// Leading silence is trimmed before fingerprinting, so copies line up within a few frames
+const MAX_SHIFT = 4;
+
+// Frames compared first to rule a pair out cheaply, before the whole fingerprint
+const QUICK_FRAMES = 64;
+const QUICK_THRESHOLD = 0.4;
+
+// A match needs at least this many overlapping frames (about 3 seconds)
+const MIN_OVERLAP = 64;
+
+class DuplicateFinder {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? MATCH_THRESHOLD;
+    this.durationTolerance = options.durationTolerance ?? DURATION_TOLERANCE;
+  }
+
+  // entries: [{ id, duration, fingerprint }] with fingerprint as stored (a Buffer of 32-bit
+  // values). Returns [{ ids, similarity }] for every set of two or more matching tracks,
+  // similarity being the share of matching bits of the weakest link in the group
+  async findGroups(entries, onProgress = null) {
+    const tracks = entries
+      .map((entry) => ({
+        id: entry.id,
+        duration: entry.duration || 0,
+        fingerprint: DuplicateFinder.toFrames(entry.fingerprint),
+      }))
+      .filter((track) => track.fingerprint.length >= MIN_OVERLAP)
+      .sort((a, b) => a.duration - b.duration);
+
+    // Union-find over track indexes, remembering the worst bit error rate per group
+    const parent = tracks.map((_, i) => i);
+    const worstError = tracks.map(() => 0);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    for (let i = 0; i < tracks.length; i++) {
+      for (let j = i + 1; j < tracks.length; j++) {
+        if (tracks[j].duration - tracks[i].duration > this.durationTolerance) break;
+
+        const errorRate = this.compare(tracks[i].fingerprint, tracks[j].fingerprint);
+        if (errorRate <= this.threshold) {
+          const a = find(i);
+          const b = find(j);
+          const worst = Math.max(worstError[a], worstError[b], errorRate);
+          parent[b] = a;
+          worstError[a] = worst;
+        }
+      }
+
+      // Comparing a large library takes a while; keep the main process responsive
+      if (i % 200 === 199) {
+        if (onProgress) onProgress({ current: i + 1, total: tracks.length });
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+
+    const groups = new Map();
+    tracks.forEach((track, i) => {
+      const root = find(i);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(track.id);
+    });
+
+    return [...groups.entries()]
+      .filter(([, ids]) => ids.length > 1)
+      .map(([root, ids]) => ({ ids, similarity: 1 - worstError[root] }));
+  }
+
+  // Lowest bit error rate of two fingerprints over the allowed shifts, 1 when they differ
+  // too much to bother with the full comparison
+  compare(a, b) {
+    let bestShift = 0;
+    let quickError = 1;
+    for (let shift = -MAX_SHIFT; shift <= MAX_SHIFT; shift++) {
+      const errorRate = DuplicateFinder.bitErrorRate(a, b, shift, QUICK_FRAMES);
+      if (errorRate < quickError) {
+        quickError = errorRate;
+        bestShift = shift;
+      }
+    }
+    if (quickError > QUICK_THRESHOLD) return 1;
+
+    // The best shift over the first frames may be off by one over the whole track
+    let error = 1;
+    for (let shift = bestShift - 1; shift <= bestShift + 1; shift++) {
+      error = Math.min(error, DuplicateFinder.bitErrorRate(a, b, shift, Infinity));
+    }
+    return error;
+  }
+
+  // Share of differing bits between a[i] and b[i + shift], over at most maxFrames frames
+  static bitErrorRate(a, b, shift, maxFrames) {
+    const start = Math.max(0, -shift);
+    const end = Math.min(a.length, b.length - shift, start + maxFrames);
+    const frames = end - start;
+    if (frames < Math.min(MIN_OVERLAP, maxFrames)) return 1;
+
+    let errors = 0;
+    for (let i = start; i < end; i++) {
+      errors += DuplicateFinder.countBits(a[i] ^ b[i + shift]);
+    }
+    return errors / (frames * 32);
+  }
+
+  static countBits(value) {
+    value -= (value >>> 1) & 0x55555555;
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return Math.imul((value + (value >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+  }
+
+  static toFrames(fingerprint) {
+    if (!fingerprint || fingerprint.length < 4) return new Uint32Array(0);
+    const bytes = Uint8Array.from(fingerprint.subarray(0, fingerprint.length & ~3));
+    return new Uint32Array(bytes.buffer);
+  }
+}
+
+module.exports = DuplicateFinder;
@@ -0,0 +1,93 @@
+// server/filename-templates.js - Read fallback tags from file paths with %field% templates
+
+// Template fields and the track column each one fills. Numbers only match digits
+const FIELDS = {
+  artist: { column: 'artist' },
+  albumartist: { column: 'album_artist' },
+  album: { column: 'album' },
+  title: { column: 'title' },
+  genre: { column: 'genre' },
+  track: { column: 'track_number', numeric: true },
+  disc: { column: 'disc_number', numeric: true },
+  year: { column: 'year', numeric: true },
+  ignore: { column: null }, // Matches text that should not end up in any tag
+};
+
+class FilenameTemplates {
+  static FIELDS = Object.keys(FIELDS);
+
+  // Templates are tried in order; invalid ones are kept in this.invalid and never match
+  constructor(templates = []) {
+    this.templates = [];
+    this.invalid = [];
+
+    for (const template of templates) {
+      try {
+        this.templates.push(FilenameTemplates.compile(template));
+      } catch (error) {
+        this.invalid.push({ template, error: error.message });
+      }
+    }
+  }
+
+  // "%artist%/%album%/%track% - %title%" matches the last three path segments, without the
+  // file extension. Fields never span a folder separator, literal text ignores case
+  static compile(template) {
+    const source = String(template || '')
+      .trim()
+      .replace(/\\/g, '/');
+    if (!source) {
+      throw new Error('Template is empty');
+    }
+
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const fields = [];
+    let regex = '';
+    let lastIndex = 0;
+
+    for (const match of source.matchAll(/%([a-z]+)%/gi)) {
+      const name = match[1].toLowerCase();
+      if (!FIELDS[name]) {
+        throw new Error(`Unknown field %${match[1]}% in "${source}"`);
+      }
+
+      regex += escape(source.slice(lastIndex, match.index));
+      regex += FIELDS[name].numeric ? '(\\d+)' : '([^/]+?)';
+      fields.push(name);
+      lastIndex = match.index + match[0].length;
+    }
+    regex += escape(source.slice(lastIndex));
+
+    if (!fields.some((name) => FIELDS[name].column)) {
+      throw new Error(`"${source}" has no fields, use e.g. %artist% - %title%`);
+    }
+
+    return { template: source, fields, regex: new RegExp(`(?:^|/)${regex}$`, 'i') };
+  }
+
+  // First template matching filePath -> { template, fields: { column: value } }, or null
+  match(filePath) {
+    const testPath = String(filePath)
+      .replace(/\\/g, '/')
+      .replace(/\.[^/.]+$/, '');
+
+    for (const { template, fields, regex } of this.templates) {
+      const match = testPath.match(regex);
+      if (!match) continue;
+
+      const values = {};
+      fields.forEach((name, i) => {
+        const { column, numeric } = FIELDS[name];
+        const value = match[i + 1].trim();
+        if (column && value && values[column] === undefined) {
+          values[column] = numeric ? parseInt(value, 10) : value;
+        }
+      });
+      return { template, fields: values };
+    }
+
+    return null;
+  }
+}
+
+module.exports = FilenameTemplates;
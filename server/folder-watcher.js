@@ -0,0 +1,301 @@
+// server/folder-watcher.js - Watch the music folder and keep the tracks table in sync
+const fs = require('fs');
+const path = require('path');
+const CueSheet = require('./cue-sheet');
+const Lyrics = require('./lyrics');
+
+class FolderWatcher {
+  constructor(database, scanner, logger = null) {
+    this.db = database;
+    this.scanner = scanner;
+    this.logger = logger || console; // Fallback to console if no logger provided
+
+    this.rootPath = null;
+    this.recursive = false; // true when a single recursive fs.watch covers the whole tree
+    this.watchers = new Map(); // directory path -> fs.FSWatcher
+    this.pendingPaths = new Set();
+    this.debounceTimer = null;
+    this.debounceDelay = 1500; // Editors and copy jobs fire bursts of events per file
+    this.processing = false;
+    this.changeListener = null;
+  }
+
+  onChange(callback) {
+    this.changeListener = callback;
+  }
+
+  isWatching() {
+    return this.watchers.size > 0;
+  }
+
+  async start(rootPath) {
+    this.stop();
+    this.rootPath = rootPath;
+
+    try {
+      this.watchDirectory(rootPath, true);
+      this.recursive = true;
+    } catch (error) {
+      // Recursive watching is not available everywhere (Linux before Node 20),
+      // so fall back to one watcher per directory
+      this.recursive = false;
+      await this.watchTree(rootPath);
+    }
+
+    this.logger.info('Folder watcher started', {
+      rootPath,
+      recursive: this.recursive,
+      directories: this.watchers.size,
+    });
+  }
+
+  stop() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+    this.pendingPaths.clear();
+
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    if (this.watchers.size > 0) {
+      this.logger.info('Folder watcher stopped', { rootPath: this.rootPath });
+    }
+    this.watchers.clear();
+    this.rootPath = null;
+  }
+
+  watchDirectory(dirPath, recursive = false) {
+    const watcher = fs.watch(dirPath, { recursive }, (eventType, filename) => {
+      if (filename) {
+        this.queueChange(path.join(dirPath, filename.toString()));
+      }
+    });
+
+    watcher.on('error', (error) => {
+      this.logger.warn('Folder watcher error', { dirPath, error: error.message });
+      this.unwatchDirectory(dirPath);
+    });
+
+    this.watchers.set(dirPath, watcher);
+  }
+
+  async watchTree(dirPath) {
+    if (this.watchers.has(dirPath)) return;
+
+    try {
+      this.watchDirectory(dirPath);
+    } catch (error) {
+      this.logger.warn('Could not watch directory', { dirPath, error: error.message });
+      return;
+    }
+
+    let items = [];
+    try {
+      items = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      // Skip directories we can't read
+    }
+
+    for (const item of items) {
+      if (item.isDirectory() && !item.name.startsWith('.')) {
+        await this.watchTree(path.join(dirPath, item.name));
+      }
+    }
+  }
+
+  // Close the watcher of a removed directory and of everything below it
+  unwatchDirectory(dirPath) {
+    for (const [watchedPath, watcher] of this.watchers) {
+      if (watchedPath === dirPath || watchedPath.startsWith(dirPath + path.sep)) {
+        watcher.close();
+        this.watchers.delete(watchedPath);
+      }
+    }
+  }
+
+  queueChange(changedPath) {
+    // Hidden files and folders are skipped by the scanner as well
+    const relativePath = path.relative(this.rootPath, changedPath);
+    if (relativePath.split(path.sep).some((segment) => segment.startsWith('.'))) {
+      return;
+    }
+
+    this.pendingPaths.add(changedPath);
+
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.processPendingChanges(), this.debounceDelay);
+  }
+
+  async processPendingChanges() {
+    if (this.processing) {
+      // Pick the new events up once the current batch is written
+      this.debounceTimer = setTimeout(() => this.processPendingChanges(), this.debounceDelay);
+      return;
+    }
+
+    if (this.pendingPaths.size === 0 || !this.rootPath) return;
+
+    this.processing = true;
+    const changedPaths = [...this.pendingPaths];
+    this.pendingPaths.clear();
+
+    try {
+      const changes = await this.applyChanges(changedPaths);
+
+      if (
+        changes.added.length + changes.updated.length + changes.removed.length > 0 ||
+        changes.foldersChanged
+      ) {
+        this.logger.info('Library updated from folder changes', {
+          added: changes.added.length,
+          updated: changes.updated.length,
+          removed: changes.removed.length,
+          foldersChanged: changes.foldersChanged,
+        });
+
+        if (this.changeListener) {
+          this.changeListener(changes);
+        }
+      }
+    } catch (error) {
+      this.logger.error('Error applying folder changes', { error: error.message });
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async applyChanges(changedPaths) {
+    const storedStats = await this.db.getTrackFileStats(this.rootPath);
+    const newFiles = [];
+    const changedFiles = [];
+    const removedRows = new Map();
+    let foldersChanged = false;
+
+    const checkedFiles = new Set();
+    const ignoreRules = this.scanner.createIgnoreRules();
+
+    const checkFile = (file) => {
+      // A new folder and the files inside it can arrive in the same batch
+      if (checkedFiles.has(file.path)) return;
+      checkedFiles.add(file.path);
+
+      const stored = storedStats.get(file.path);
+      if (!stored) {
+        newFiles.push(file);
+      } else if (this.scanner.hasFileChanged(stored, file)) {
+        changedFiles.push(file.path);
+      }
+    };
+
+    for (const changedPath of changedPaths) {
+      // A CUE sheet or lyrics file that was added, edited or deleted changes the tracks of
+      // its audio file
+      const sidecar = CueSheet.isCueSheet(changedPath)
+        ? CueSheet
+        : Lyrics.isLyricsFile(changedPath)
+          ? Lyrics
+          : null;
+      if (sidecar) {
+        const audioPaths = sidecar.audioPaths(changedPath, this.scanner.supportedFormats);
+        for (const audioPath of audioPaths) {
+          try {
+            const file = await this.scanner.statAudioFile(audioPath);
+            if (!(await ignoreRules.isIgnored(this.rootPath, audioPath, false))) {
+              checkFile(file);
+            }
+          } catch (error) {
+            // No audio file with this name
+          }
+        }
+        continue;
+      }
+
+      let stats = null;
+      try {
+        stats = await fs.promises.stat(changedPath);
+      } catch (error) {
+        // Deleted, or renamed away
+      }
+
+      // Excluded paths are treated as gone, so newly ignored files leave the library
+      const ignored =
+        stats && (await ignoreRules.isIgnored(this.rootPath, changedPath, stats.isDirectory()));
+
+      if (stats && stats.isDirectory() && !ignored) {
+        // A folder was created or moved in: pick up everything inside it
+        foldersChanged = true;
+        if (!this.recursive) {
+          await this.watchTree(changedPath);
+        }
+        const { files } = await this.scanner.collectAudioFiles(
+          changedPath,
+          this.rootPath,
+          ignoreRules
+        );
+        files.forEach((file) => checkFile(file));
+      } else if (stats && stats.isFile() && !ignored) {
+        if (this.scanner.isSupportedAudioFile(changedPath)) {
+          checkFile(await this.scanner.statAudioFile(changedPath));
+        }
+      } else {
+        // Gone: either a single file or a whole folder
+        if (this.watchers.has(changedPath)) {
+          foldersChanged = true;
+          this.unwatchDirectory(changedPath);
+        }
+        for (const [trackPath, row] of storedStats) {
+          if (trackPath === changedPath) {
+            removedRows.set(trackPath, row);
+          } else if (trackPath.startsWith(changedPath + path.sep)) {
+            foldersChanged = true;
+            removedRows.set(trackPath, row);
+          }
+        }
+      }
+    }
+
+    const newTracks = await this.extractAll(newFiles.map((file) => file.path));
+    const updatedTracks = await this.extractAll(changedFiles);
+
+    // A move or rename shows up as one path disappearing and another appearing. Tracks
+    // with the audio of a removed file keep its row, so favorites, playlist entries and
+    // play counts follow the file
+    const missingFiles = [...removedRows.values()];
+    const moves = this.scanner.findMovedTracks(newTracks, missingFiles);
+    await this.scanner.saveNewTracks(newTracks, moves);
+    await this.scanner.saveChangedTracks(updatedTracks, storedStats);
+
+    const removedIds = missingFiles.flatMap((row) => row.tracks.map((track) => track.id));
+    if (removedIds.length > 0) {
+      await this.db.removeOrphanedRecords(removedIds);
+    }
+
+    const movedTracks = new Set(moves.map((move) => move.track));
+    const added = newTracks.filter((track) => !movedTracks.has(track)).map((track) => track.path);
+    const updated = [...updatedTracks, ...movedTracks].map((track) => track.path);
+    const removed = missingFiles.filter((row) => row.tracks.length > 0).map((row) => row.path);
+    const renamed = moves.map((move) => ({ from: move.originalTrack.path, to: move.track.path }));
+    const folders = new Set(
+      [...added, ...updated, ...removed, ...renamed.map((r) => r.from)].map((p) => path.dirname(p))
+    );
+
+    return {
+      added,
+      updated,
+      removed,
+      renamed,
+      folders: [...folders],
+      foldersChanged,
+    };
+  }
+
+  async extractAll(filePaths) {
+    const tracks = [];
+    for (const filePath of filePaths) {
+      tracks.push(...(await this.scanner.extractTracks(filePath)));
+    }
+    return tracks;
+  }
+}
+
+module.exports = FolderWatcher;
@@ -0,0 +1,157 @@
+// server/ignore-rules.js - gitignore-style exclusion rules for library scanning
+const fs = require('fs').promises;
+const path = require('path');
+
+// Windows and macOS file systems are case-insensitive, so patterns are too
+const CASE_INSENSITIVE = process.platform === 'win32' || process.platform === 'darwin';
+
+class IgnoreRules {
+  static IGNORE_FILE = '.quemusicignore';
+
+  constructor(globalPatterns = []) {
+    this.globalRules = IgnoreRules.parse(globalPatterns);
+    this.folderRules = new Map(); // directory path -> rules from its .quemusicignore
+  }
+
+  // Turn pattern lines into rules. Follows .gitignore: blank lines and # comments are
+  // skipped, ! re-includes, a trailing / only matches folders, and a pattern with a /
+  // anywhere else is anchored to the folder the rules belong to
+  static parse(lines) {
+    const text = Array.isArray(lines) ? lines.join('\n') : String(lines || '');
+    const rules = [];
+
+    for (let line of text.split(/\r?\n/)) {
+      line = line.replace(/(?<!\\)\s+$/, '');
+      if (!line || line.startsWith('#')) continue;
+
+      const negate = line.startsWith('!');
+      if (negate) line = line.slice(1);
+      if (line.startsWith('\\#') || line.startsWith('\\!')) line = line.slice(1);
+
+      const dirOnly = line.endsWith('/');
+      if (dirOnly) line = line.slice(0, -1);
+
+      const anchored = line.includes('/');
+      if (line.startsWith('/')) line = line.slice(1);
+      if (!line) continue;
+
+      const body = IgnoreRules.globToRegExp(line);
+      rules.push({
+        negate,
+        dirOnly,
+        regex: new RegExp(anchored ? `^${body}$` : `(?:^|/)${body}$`, CASE_INSENSITIVE ? 'i' : ''),
+      });
+    }
+
+    return rules;
+  }
+
+  static globToRegExp(pattern) {
+    const escape = (c) => c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    let regex = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+      const c = pattern[i];
+
+      if (c === '*' && pattern[i + 1] === '*') {
+        i++;
+        if (pattern[i + 1] === '/') {
+          i++;
+          regex += '(?:.*/)?'; // "**/" matches zero or more folders
+        } else {
+          regex += '.*';
+        }
+      } else if (c === '*') {
+        regex += '[^/]*';
+      } else if (c === '?') {
+        regex += '[^/]';
+      } else if (c === '[' && pattern.indexOf(']', i + 2) !== -1) {
+        const end = pattern.indexOf(']', i + 2);
+        let charClass = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (charClass.startsWith('!')) charClass = '^' + charClass.slice(1);
+        regex += `[${charClass}]`;
+        i = end;
+      } else if (c === '\\' && i + 1 < pattern.length) {
+        regex += escape(pattern[++i]);
+      } else {
+        regex += escape(c);
+      }
+    }
+
+    return regex;
+  }
+
+  async getFolderRules(dirPath) {
+    if (!this.folderRules.has(dirPath)) {
+      let rules = [];
+      try {
+        const content = await fs.readFile(path.join(dirPath, IgnoreRules.IGNORE_FILE), 'utf8');
+        rules = IgnoreRules.parse(content);
+      } catch (error) {
+        // No ignore file in this folder
+      }
+      this.folderRules.set(dirPath, rules);
+    }
+    return this.folderRules.get(dirPath);
+  }
+
+  // Check fullPath itself against the global rules and the .quemusicignore files between
+  // rootPath and fullPath. The last matching rule wins, like in .gitignore
+  async matches(rootPath, fullPath, isDirectory) {
+    const relativePath = path.relative(rootPath, fullPath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return false;
+    }
+
+    let ignored = this.testRules(this.globalRules, relativePath, isDirectory, false);
+
+    const segments = relativePath.split(path.sep);
+    let dirPath = rootPath;
+    for (let i = 0; i < segments.length; i++) {
+      const rules = await this.getFolderRules(dirPath);
+      if (rules.length > 0) {
+        const pathInDir = segments.slice(i).join(path.sep);
+        ignored = this.testRules(rules, pathInDir, isDirectory, ignored);
+      }
+      dirPath = path.join(dirPath, segments[i]);
+    }
+
+    return ignored;
+  }
+
+  // Like matches, but also true when a folder above fullPath is ignored. Use this for
+  // single paths; a folder walk that skips ignored folders only needs matches
+  async isIgnored(rootPath, fullPath, isDirectory) {
+    const relativePath = path.relative(rootPath, fullPath);
+    if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return false;
+    }
+
+    const segments = relativePath.split(path.sep);
+    let currentPath = rootPath;
+    for (let i = 0; i < segments.length; i++) {
+      currentPath = path.join(currentPath, segments[i]);
+      const isLast = i === segments.length - 1;
+      if (await this.matches(rootPath, currentPath, isLast ? isDirectory : true)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  testRules(rules, relativePath, isDirectory, ignored) {
+    const testPath = relativePath.split(path.sep).join('/');
+
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.regex.test(testPath)) {
+        ignored = !rule.negate;
+      }
+    }
+
+    return ignored;
+  }
+}
+
+module.exports = IgnoreRules;
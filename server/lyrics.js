@@ -0,0 +1,160 @@
+// server/lyrics.js - Lyrics from tags and .lrc/.txt files next to the audio file
+const fs = require('fs').promises;
+const path = require('path');
+
+// [mm:ss], [mm:ss.xx] or [mm:ss:xx] at the start of an LRC line; a line sung several times
+// carries one per occurrence
+const LINE_TIME_PATTERN = /^\[(\d{1,3}):(\d{1,2}(?:[.:]\d{1,3})?)\]/;
+
+// Enhanced LRC times single words as <mm:ss.xx>; only whole lines are shown
+const WORD_TIME_PATTERN = /<\d{1,3}:\d{1,2}(?:[.:]\d{1,3})?>/g;
+
+// LRC header tags. Others in brackets, like "[Chorus: Artist]", are part of the lyrics
+const ID_TAG_PATTERN = /^\[(ar|al|ti|au|by|re|ve|la|id|length|offset|tool|#):(.*)\]$/i;
+
+// SYLT frames: timestamps in milliseconds (not MPEG frames), content type lyrics
+const SYLT_MILLISECONDS = 2;
+const SYLT_LYRICS = 1;
+
+class Lyrics {
+  // Sidecar files in order of preference
+  static EXTENSIONS = ['.lrc', '.txt'];
+
+  static isLyricsFile(filePath) {
+    return Lyrics.EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  // A sidecar belongs to the audio file of the same name: "Song.lrc" for "Song.flac"
+  static sidecarPaths(audioPath) {
+    const base = audioPath.slice(0, -path.extname(audioPath).length || undefined);
+    return Lyrics.EXTENSIONS.map((extension) => base + extension);
+  }
+
+  // The other way round: audio files a sidecar can belong to, given the audio extensions
+  static audioPaths(sidecarPath, extensions) {
+    const base = sidecarPath.slice(0, -path.extname(sidecarPath).length);
+    return extensions.map((extension) => base + extension);
+  }
+
+  // Path and modification time of the sidecar for audioPath, or null without one
+  static async find(audioPath) {
+    for (const sidecarPath of Lyrics.sidecarPaths(audioPath)) {
+      try {
+        const stats = await fs.stat(sidecarPath);
+        if (stats.isFile()) {
+          return { path: sidecarPath, mtime: Math.floor(stats.mtimeMs) };
+        }
+      } catch (error) {
+        // No sidecar with this name
+      }
+    }
+    return null;
+  }
+
+  // Text of a sidecar. Like CUE sheets, older ones may be in the Windows code page
+  static async load(sidecarPath) {
+    const buffer = await fs.readFile(sidecarPath);
+    let text = buffer.toString('utf8');
+    if (text.includes('\uFFFD')) {
+      text = buffer.toString('latin1');
+    }
+    return text.replace(/^\uFEFF/, '');
+  }
+
+  // The lyrics to keep of several sources, given in order of preference: the first synced
+  // ones, else the first with any text. Null when all are empty
+  static choose(candidates) {
+    const texts = candidates
+      .map((text) => (typeof text === 'string' ? text.trim() : ''))
+      .filter(Boolean);
+    return texts.find((text) => Lyrics.parse(text)?.synced) || texts[0] || null;
+  }
+
+  // ID3 SYLT frames as node-id3 reads them, converted to LRC text. Null without a frame
+  // timed in milliseconds
+  static fromSynchronised(frames) {
+    const timed = []
+      .concat(frames || [])
+      .filter(
+        (frame) => frame?.timeStampFormat === SYLT_MILLISECONDS && frame.synchronisedText?.length
+      );
+    const frame = timed.find((f) => f.contentType === SYLT_LYRICS) || timed[0];
+    if (!frame) return null;
+
+    // Karaoke taggers time every syllable and start each line with a newline; others put
+    // one line in every entry
+    const entries = frame.synchronisedText;
+    const newlineStartsLine = entries.some((entry) => /^\r?\n/.test(entry.text || ''));
+    const lines = [];
+    for (const { text, timeStamp } of entries) {
+      const value = String(text ?? '');
+      if (!newlineStartsLine || lines.length === 0 || /^\r?\n/.test(value)) {
+        lines.push({ time: timeStamp / 1000, text: value });
+      } else {
+        lines[lines.length - 1].text += value;
+      }
+    }
+
+    return lines
+      .map((line) => `[${Lyrics.formatTime(line.time)}]${line.text.replace(/\s+/g, ' ').trim()}`)
+      .join('\n');
+  }
+
+  // { synced, lines: [{ time, text }] }. Synced lines are sorted by time, in seconds; lines
+  // of plain text have time null. Null when there is nothing to show
+  static parse(text) {
+    const timed = [];
+    const plain = [];
+    let offset = 0;
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+      let line = rawLine.trim();
+      const times = [];
+      let match;
+      while ((match = line.match(LINE_TIME_PATTERN))) {
+        times.push(parseInt(match[1], 10) * 60 + parseFloat(match[2].replace(':', '.')));
+        line = line.slice(match[0].length).trimStart();
+      }
+
+      if (times.length > 0) {
+        const lyric = line.replace(WORD_TIME_PATTERN, '').replace(/\s+/g, ' ').trim();
+        times.forEach((time) => timed.push({ time, text: lyric }));
+        continue;
+      }
+
+      const idTag = line.match(ID_TAG_PATTERN);
+      if (idTag) {
+        // In milliseconds; a positive offset shows the lines earlier
+        if (idTag[1].toLowerCase() === 'offset') {
+          offset = (parseInt(idTag[2], 10) || 0) / 1000;
+        }
+        continue;
+      }
+      plain.push(line);
+    }
+
+    if (timed.length > 0) {
+      return {
+        synced: true,
+        lines: timed
+          .map((line) => ({ time: Math.max(0, line.time - offset), text: line.text }))
+          .sort((a, b) => a.time - b.time),
+      };
+    }
+
+    while (plain.length > 0 && !plain[0]) plain.shift();
+    while (plain.length > 0 && !plain[plain.length - 1]) plain.pop();
+    if (plain.length === 0) return null;
+    return { synced: false, lines: plain.map((line) => ({ time: null, text: line })) };
+  }
+
+  // 83.5 -> "01:23.50"
+  static formatTime(seconds) {
+    const hundredths = Math.max(0, Math.round(seconds * 100));
+    const minutes = Math.floor(hundredths / 6000);
+    const rest = (hundredths % 6000) / 100;
+    return `${String(minutes).padStart(2, '0')}:${rest.toFixed(2).padStart(5, '0')}`;
+  }
+}
+
+module.exports = Lyrics;
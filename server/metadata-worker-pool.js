@@ -0,0 +1,119 @@
+// server/metadata-worker-pool.js - Pool of worker threads that parse audio tags off the main process
+const { Worker } = require('worker_threads');
+const path = require('path');
+const os = require('os');
+
+class MetadataWorkerPool {
+  // workerData is handed to every worker, e.g. the scanner's tag separators
+  constructor(size, logger = null, workerData = {}) {
+    this.logger = logger || console; // Fallback to console if no logger provided
+    this.size = Math.max(1, size);
+    this.workerData = workerData;
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];
+    this.nextTaskId = 0;
+    this.destroyed = false;
+
+    for (let i = 0; i < this.size; i++) {
+      this.addWorker();
+    }
+  }
+
+  // Leave one core for the UI and IPC, and cap the pool since parsing is mostly I/O bound
+  static defaultSize() {
+    return Math.max(1, Math.min(os.cpus().length - 1, 8));
+  }
+
+  addWorker() {
+    const worker = new Worker(path.join(__dirname, 'metadata-worker.js'), {
+      workerData: this.workerData,
+    });
+    worker.currentTask = null;
+
+    worker.on('message', (message) => this.handleMessage(worker, message));
+    worker.on('error', (error) => this.handleWorkerFailure(worker, error));
+    worker.on('exit', (code) => {
+      if (!this.destroyed) {
+        this.handleWorkerFailure(worker, new Error(`Metadata worker exited with code ${code}`));
+      }
+    });
+
+    this.workers.push(worker);
+    this.idleWorkers.push(worker);
+  }
+
+  // Resolves to the tracks of filePath, see MusicScanner.extractTracks
+  extract(filePath) {
+    return new Promise((resolve, reject) => {
+      if (this.destroyed || this.workers.length === 0) {
+        reject(new Error('Metadata worker pool is not available'));
+        return;
+      }
+
+      this.queue.push({ id: this.nextTaskId++, filePath, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idleWorkers.length > 0 && this.queue.length > 0) {
+      const worker = this.idleWorkers.pop();
+      const task = this.queue.shift();
+      worker.currentTask = task;
+      worker.postMessage({ id: task.id, filePath: task.filePath });
+    }
+  }
+
+  handleMessage(worker, message) {
+    if (message.type === 'log') {
+      this.logger[message.level](message.message, message.data);
+      return;
+    }
+
+    const task = worker.currentTask;
+    worker.currentTask = null;
+    this.idleWorkers.push(worker);
+
+    if (task) {
+      if (message.error) {
+        task.reject(new Error(message.error));
+      } else {
+        task.resolve(message.tracks);
+      }
+    }
+
+    this.dispatch();
+  }
+
+  handleWorkerFailure(worker, error) {
+    // 'error' is followed by 'exit', only handle the first one
+    if (!this.workers.includes(worker)) return;
+
+    this.logger.warn('Metadata worker failed', { error: error.message });
+    this.workers = this.workers.filter((w) => w !== worker);
+    this.idleWorkers = this.idleWorkers.filter((w) => w !== worker);
+
+    if (worker.currentTask) {
+      worker.currentTask.reject(error);
+      worker.currentTask = null;
+    }
+
+    if (this.workers.length === 0) {
+      this.queue.forEach((task) => task.reject(new Error('All metadata workers failed')));
+      this.queue = [];
+    }
+  }
+
+  async destroy() {
+    this.destroyed = true;
+    this.queue.forEach((task) => task.reject(new Error('Metadata worker pool destroyed')));
+    this.queue = [];
+
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+    this.workers = [];
+    this.idleWorkers = [];
+  }
+}
+
+module.exports = MetadataWorkerPool;
@@ -0,0 +1,28 @@
+// server/metadata-worker.js - Worker thread running MusicScanner.extractTracks for the scan pool
+const { parentPort, workerData } = require('worker_threads');
+const MusicScanner = require('./music-scanner');
+
+// Forward warnings and errors to the main process logger, drop per-file debug output
+const logger = {
+  debug: () => {},
+  info: () => {},
+  warn: (message, data) => parentPort.postMessage({ type: 'log', level: 'warn', message, data }),
+  error: (message, data) => parentPort.postMessage({ type: 'log', level: 'error', message, data }),
+};
+
+const scanner = new MusicScanner(null, logger);
+if (workerData?.tagSeparators) {
+  scanner.setTagSeparators(workerData.tagSeparators);
+}
+if (workerData?.filenameTemplates) {
+  scanner.setFilenameTemplates(workerData.filenameTemplates);
+}
+
+parentPort.on('message', async ({ id, filePath }) => {
+  try {
+    const tracks = await scanner.extractTracks(filePath);
+    parentPort.postMessage({ type: 'result', id, tracks });
+  } catch (error) {
+    parentPort.postMessage({ type: 'result', id, error: error.message });
+  }
+});
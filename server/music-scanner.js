@@ -3,23 +3,53 @@ const NodeID3 = require('node-id3');
 const fs = require('fs').promises;
 const path = require('path');
 const { parseFile } = require('music-metadata');
+const MetadataWorkerPool = require('./metadata-worker-pool');
+const IgnoreRules = require('./ignore-rules');
+const FilenameTemplates = require('./filename-templates');
+const CueSheet = require('./cue-sheet');
+const ContentHash = require('./content-hash');
+const MusicalKey = require('./musical-key');
+const Lyrics = require('./lyrics');
+const AudioFormats = require('./audio-formats');
 
 class MusicScanner {
+  // Separators that split one artist or genre tag into several values. Separators containing
+  // letters need whitespace on both sides, so "feat." does not split "Defeat.", and "/" is
+  // left out for artists because of names like AC/DC
+  static DEFAULT_TAG_SEPARATORS = {
+    artist: [';', 'feat.', 'ft.', 'featuring'],
+    genre: [';', '/', ','],
+  };
+
+  // Path templates used to fill in missing tags, tried in order
+  static DEFAULT_FILENAME_TEMPLATES = ['%artist% - %title%'];
+
   constructor(database, logger = null) {
     this.db = database;
     this.logger = logger || console; // Fallback to console if no logger provided
     this.logger.info('MusicScanner initialized', { hasDatabase: !!database });
-    this.supportedFormats = ['.mp3', '.wav', '.flac', '.m4a', '.aac', '.ogg', '.wma'];
+    this.supportedFormats = AudioFormats.EXTENSIONS;
     this.scannedCount = 0;
     this.totalFiles = 0;
+    this.concurrency = 0; // Worker threads used for tag parsing, 0 = automatic
+    this.batchSize = 200; // Tracks written to the database per transaction
+    this.ignorePatterns = []; // Global exclusion patterns, .quemusicignore files add to them
+    this.tagSeparators = MusicScanner.DEFAULT_TAG_SEPARATORS;
+    this.filenameTemplates = new FilenameTemplates(MusicScanner.DEFAULT_FILENAME_TEMPLATES);
+    this.scanControl = null; // Pause/cancel state of the running scan, see beginScan
+    this.scanReport = null; // Problems found by the running scan
   }
 
   async scanFolder(folderPath, progressCallback = null) {
-    this.logger.info('Starting music library scan', { folderPath, hasProgressCallback: !!progressCallback });
+    this.logger.info('Starting music library scan', {
+      folderPath,
+      hasProgressCallback: !!progressCallback,
+    });
     this.scannedCount = 0;
 
-    // First, count total files
-    this.totalFiles = await this.countAudioFiles(folderPath);
+    // First, find all audio files
+    const { files } = await this.collectAudioFiles(folderPath);
+    this.totalFiles = files.length;
     this.logger.info('Audio files found', { totalFiles: this.totalFiles });
 
     if (this.totalFiles === 0) {
@@ -36,79 +66,411 @@ class MusicScanner {
       return [];
     }
 
-    // Then scan and extract metadata
-    const tracks = await this.scanDirectory(folderPath, progressCallback);
+    // Then extract metadata
+    const tracks = [];
+    await this.extractInBatches(
+      files.map((file) => file.path),
+      async (batch) => {
+        tracks.push(...batch);
+        return batch.length;
+      },
+      progressCallback
+    );
 
     this.logger.info('Scan complete', { tracksProcessed: tracks.length });
     return tracks;
   }
 
-  async countAudioFiles(dirPath) {
-    let count = 0;
+  // Walk the folder and stat every audio file without reading any tags. Ignore patterns
+  // are anchored at rootPath, the library folder dirPath belongs to
+  async collectAudioFiles(dirPath, rootPath = dirPath, ignoreRules = this.createIgnoreRules()) {
+    const result = { files: [], unreadableDirs: [] };
+    await this.walkAudioFiles(dirPath, rootPath, ignoreRules, result);
+    return result;
+  }
 
+  async walkAudioFiles(dirPath, rootPath, ignoreRules, result) {
+    let items;
     try {
-      const items = await fs.readdir(dirPath, { withFileTypes: true });
+      items = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      this.logger.warn('Could not read directory', { dirPath, error: error.message });
+      this.recordScanIssue('skippedFolders', dirPath, error.message);
+      result.unreadableDirs.push(dirPath);
+      return;
+    }
+
+    // Only folders with a .cue file need the sheet lookup for each audio file, and only
+    // folders with .lrc or .txt files the lyrics lookup
+    const hasCueSheets = items.some((item) => item.isFile() && CueSheet.isCueSheet(item.name));
+    const hasLyricsFiles = items.some((item) => item.isFile() && Lyrics.isLyricsFile(item.name));
+
+    for (const item of items) {
+      await this.waitWhilePaused();
+      if (this.isScanCancelled()) return;
 
-      for (const item of items) {
-        const fullPath = path.join(dirPath, item.name);
+      const fullPath = path.join(dirPath, item.name);
 
-        if (item.isDirectory() && !item.name.startsWith('.')) {
-          count += await this.countAudioFiles(fullPath);
-        } else if (item.isFile() && this.isSupportedAudioFile(item.name)) {
-          count++;
+      if (item.isDirectory() && !item.name.startsWith('.')) {
+        if (await ignoreRules.matches(rootPath, fullPath, true)) {
+          this.logger.debug('Skipping ignored folder', { folder: fullPath });
+          continue;
+        }
+        await this.walkAudioFiles(fullPath, rootPath, ignoreRules, result);
+      } else if (item.isFile() && this.isSupportedAudioFile(item.name)) {
+        if (await ignoreRules.matches(rootPath, fullPath, false)) {
+          continue;
+        }
+        try {
+          result.files.push(await this.statAudioFile(fullPath, hasCueSheets, hasLyricsFiles));
+        } catch (error) {
+          this.logger.debug('Could not stat file', { file: fullPath, error: error.message });
+          this.recordScanIssue('unreadableFiles', fullPath, error.message);
         }
       }
+    }
+  }
+
+  // Size and modification time of an audio file as compared against the stored tracks.
+  // Editing its CUE sheet or lyrics file changes the tracks too, so the newest mtime counts.
+  // cueSheet says whether the file is stored as CUE sheet tracks, as extractTracks does it
+  async statAudioFile(filePath, checkCueSheet = true, checkLyricsFile = true) {
+    const stats = await fs.stat(filePath);
+    const sheet = checkCueSheet ? await CueSheet.find(filePath) : null;
+    const lyricsFile = checkLyricsFile ? await Lyrics.find(filePath) : null;
+    return {
+      path: filePath,
+      size: stats.size,
+      mtime: Math.max(
+        Math.floor(stats.mtimeMs),
+        sheet ? sheet.mtime : 0,
+        lyricsFile ? lyricsFile.mtime : 0
+      ),
+      cueSheet: sheet ? await this.hasCueSheetTracks(sheet.path, filePath) : false,
+    };
+  }
+
+  // Whether the sheet splits the audio file into tracks. One that names another file, has
+  // no tracks or cannot be read leaves it a plain track
+  async hasCueSheetTracks(sheetPath, filePath) {
+    try {
+      return (await CueSheet.load(sheetPath, filePath)).tracks.length > 0;
     } catch (error) {
-      // Skip directories we can't read
+      return false;
     }
+  }
+
+  // ============================================================================
+  // SCAN EXCLUSIONS
+  // ============================================================================
 
-    return count;
+  setIgnorePatterns(patterns) {
+    this.ignorePatterns = Array.isArray(patterns) ? patterns : [];
+    this.logger.info('Scan ignore patterns set', { patterns: this.ignorePatterns.length });
   }
 
-  async scanDirectory(dirPath, progressCallback = null) {
-    const tracks = [];
+  // Fresh rules per scan, so edited .quemusicignore files are picked up
+  createIgnoreRules() {
+    return new IgnoreRules(this.ignorePatterns);
+  }
+
+  // ============================================================================
+  // SCAN CONTROL AND REPORT
+  // ============================================================================
+
+  // Start a scan session that can be paused and cancelled and collects a report. Scans
+  // outside a session (e.g. from the folder watcher) run uninterrupted and unreported
+  beginScan(folders) {
+    this.scanControl = { cancelled: false, paused: false, pausePromise: null, resume: null };
+    this.scanReport = {
+      folders,
+      startedAt: new Date().toISOString(),
+      unreadableFiles: [],
+      tagErrors: [],
+      skippedFolders: [],
+    };
+  }
+
+  // End the session; resolves to the finished report
+  endScan(summary = null) {
+    const report = {
+      ...this.scanReport,
+      finishedAt: new Date().toISOString(),
+      cancelled: this.isScanCancelled(),
+      summary,
+    };
+
+    this.resumeScan();
+    this.scanControl = null;
+    this.scanReport = null;
+    this.logger.info('Scan report', {
+      unreadableFiles: report.unreadableFiles.length,
+      tagErrors: report.tagErrors.length,
+      skippedFolders: report.skippedFolders.length,
+      cancelled: report.cancelled,
+    });
+    return report;
+  }
+
+  isScanning() {
+    return this.scanControl !== null;
+  }
+
+  isScanCancelled() {
+    return this.scanControl?.cancelled === true;
+  }
+
+  isScanPaused() {
+    return this.scanControl?.paused === true;
+  }
+
+  cancelScan() {
+    if (!this.scanControl) return false;
+    this.scanControl.cancelled = true;
+    this.resumeScan(); // Paused runners have to wake up to stop
+    this.logger.info('Scan cancel requested');
+    return true;
+  }
+
+  pauseScan() {
+    if (!this.scanControl || this.scanControl.paused) return false;
+    this.scanControl.paused = true;
+    this.scanControl.pausePromise = new Promise((resolve) => {
+      this.scanControl.resume = resolve;
+    });
+    this.logger.info('Scan paused');
+    return true;
+  }
+
+  resumeScan() {
+    if (!this.scanControl || !this.scanControl.paused) return false;
+    const { resume } = this.scanControl;
+    this.scanControl.paused = false;
+    this.scanControl.pausePromise = null;
+    this.scanControl.resume = null;
+    resume();
+    this.logger.info('Scan resumed');
+    return true;
+  }
+
+  // Checkpoint between files: files already being parsed finish, nothing new starts
+  async waitWhilePaused() {
+    while (this.scanControl?.paused) {
+      await this.scanControl.pausePromise;
+    }
+  }
+
+  // type is one of unreadableFiles, tagErrors or skippedFolders
+  recordScanIssue(type, filePath, message) {
+    if (this.scanReport) {
+      this.scanReport[type].push({ path: filePath, message });
+    }
+  }
+
+  // ============================================================================
+  // MULTI-VALUED TAGS
+  // ============================================================================
+
+  setTagSeparators(separators = {}) {
+    const clean = (list, fallback) =>
+      Array.isArray(list) ? list.map((s) => String(s).trim()).filter(Boolean) : fallback;
+
+    this.tagSeparators = {
+      artist: clean(separators.artist, MusicScanner.DEFAULT_TAG_SEPARATORS.artist),
+      genre: clean(separators.genre, MusicScanner.DEFAULT_TAG_SEPARATORS.genre),
+    };
+    this.logger.info('Tag separators set', this.tagSeparators);
+  }
+
+  // Split tag values on the given separators. Returns unique, trimmed values in tag order
+  splitTagValues(values, separators) {
+    const patterns = separators.map((separator) => {
+      const escaped = separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return /[a-z]/i.test(separator) ? `\\s+${escaped}\\s+` : `\\s*${escaped}\\s*`;
+    });
+    const splitter = patterns.length > 0 ? new RegExp(patterns.join('|'), 'i') : null;
+
+    const result = [];
+    for (const value of [].concat(values || [])) {
+      const parts = splitter ? String(value).split(splitter) : [String(value)];
+      for (const part of parts.map((p) => p.trim())) {
+        if (part && !result.some((r) => r.toLowerCase() === part.toLowerCase())) {
+          result.push(part);
+        }
+      }
+    }
+    return result;
+  }
+
+  // ============================================================================
+  // FILENAME TEMPLATES
+  // ============================================================================
+
+  setFilenameTemplates(templates) {
+    this.filenameTemplates = new FilenameTemplates(
+      Array.isArray(templates) ? templates : MusicScanner.DEFAULT_FILENAME_TEMPLATES
+    );
+    this.filenameTemplates.invalid.forEach(({ error }) =>
+      this.logger.warn('Skipping invalid filename template', { error })
+    );
+    this.logger.info('Filename templates set', {
+      templates: this.filenameTemplates.templates.length,
+    });
+  }
+
+  // Show what each template reads from samplePaths, before the templates are saved
+  previewFilenameTemplates(templates, samplePaths) {
+    const filenameTemplates = new FilenameTemplates(templates);
+    return {
+      invalid: filenameTemplates.invalid,
+      results: samplePaths.map((samplePath) => {
+        const match = filenameTemplates.match(samplePath);
+        return {
+          path: samplePath,
+          template: match ? match.template : null,
+          fields: match ? match.fields : {},
+        };
+      }),
+    };
+  }
+
+  // ============================================================================
+  // PARALLEL METADATA EXTRACTION
+  // ============================================================================
+
+  getConcurrency() {
+    return this.concurrency > 0 ? this.concurrency : MetadataWorkerPool.defaultSize();
+  }
 
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(0, parseInt(concurrency, 10) || 0);
+    this.logger.info('Scan concurrency set', { concurrency: this.getConcurrency() });
+  }
+
+  createWorkerPool() {
     try {
-      const items = await fs.readdir(dirPath, { withFileTypes: true });
-
-      for (const item of items) {
-        const fullPath = path.join(dirPath, item.name);
-
-        if (item.isDirectory() && !item.name.startsWith('.')) {
-          // Recursively scan subdirectories
-          const subTracks = await this.scanDirectory(fullPath, progressCallback);
-          tracks.push(...subTracks);
-        } else if (item.isFile() && this.isSupportedAudioFile(item.name)) {
-          // Extract metadata from audio file
-          const trackData = await this.extractMetadata(fullPath);
-          if (trackData) {
-            tracks.push(trackData);
-          }
+      return new MetadataWorkerPool(this.getConcurrency(), this.logger, {
+        tagSeparators: this.tagSeparators,
+        filenameTemplates: this.filenameTemplates.templates.map((t) => t.template),
+      });
+    } catch (error) {
+      this.logger.warn('Worker threads unavailable, extracting metadata on the main thread', {
+        error: error.message,
+      });
+      return null;
+    }
+  }
 
-          this.scannedCount++;
-
-          // Report progress
-          if (progressCallback) {
-            const progressData = {
-              current: this.scannedCount,
-              total: this.totalFiles,
-              currentFile: item.name,
-              percentage: Math.round((this.scannedCount / this.totalFiles) * 100),
-            };
-            progressCallback(progressData);
-          }
+  // Extract metadata for filePaths in worker threads and hand the results to saveBatch
+  // in groups of batchSize. Batches are saved one after another so database transactions
+  // never overlap. Resolves to the sum of what saveBatch returned; a failed save stops the
+  // extraction and rejects with its error once the saves already queued are done.
+  async extractInBatches(filePaths, saveBatch, progressCallback = null) {
+    if (filePaths.length === 0) return 0;
 
-          // Log progress every 100 files
-          if (this.scannedCount % 100 === 0) {
-            this.logger.debug('Scan progress', { scanned: this.scannedCount, total: this.totalFiles });
+    const pool = this.createWorkerPool();
+    let batch = [];
+    let saved = 0;
+    let saving = Promise.resolve();
+    let saveError = null;
+
+    const flush = () => {
+      const tracks = batch;
+      batch = [];
+      saving = saving
+        .then(async () => {
+          if (!saveError) {
+            saved += await saveBatch(tracks);
           }
+        })
+        .catch((error) => {
+          this.logger.error('Saving scanned tracks failed', { error: error.message });
+          saveError = error;
+        });
+    };
+
+    const processFile = async (filePath) => {
+      let tracks;
+      try {
+        tracks = pool ? await pool.extract(filePath) : await this.extractTracks(filePath);
+      } catch (error) {
+        // A crashed worker should not lose the file
+        this.logger.debug('Worker extraction failed, retrying on main thread', {
+          file: path.basename(filePath),
+          error: error.message,
+        });
+        tracks = await this.extractTracks(filePath);
+      }
+
+      if (tracks.length === 0) {
+        this.recordScanIssue('unreadableFiles', filePath, 'File could not be opened');
+      } else if (tracks[0].tagErrors) {
+        // The track is still saved, with whatever the file name template provided
+        this.recordScanIssue('tagErrors', filePath, tracks[0].tagErrors.join('; '));
+        tracks.forEach((track) => delete track.tagErrors);
+      }
+
+      // All tracks of a CUE sheet go into the same batch
+      if (tracks.length > 0) {
+        batch.push(...tracks);
+        if (batch.length >= this.batchSize) {
+          flush();
         }
       }
-    } catch (error) {
-      this.logger.error('Error scanning directory', { dirPath, error: error.message });
+
+      this.scannedCount++;
+
+      // Report progress
+      if (progressCallback) {
+        progressCallback({
+          current: this.scannedCount,
+          total: this.totalFiles,
+          currentFile: path.basename(filePath),
+          percentage: Math.round((this.scannedCount / this.totalFiles) * 100),
+          phase: 'scanning',
+        });
+      }
+
+      // Log progress every 100 files
+      if (this.scannedCount % 100 === 0) {
+        this.logger.debug('Scan progress', { scanned: this.scannedCount, total: this.totalFiles });
+      }
+    };
+
+    // Keep twice as many files in flight as there are workers so none of them sits idle
+    let nextIndex = 0;
+    const runnerCount = pool ? pool.size * 2 : 1;
+    const runners = Array.from({ length: runnerCount }, async () => {
+      while (nextIndex < filePaths.length) {
+        if (this.isScanPaused()) {
+          // A paused scan leaves the database alone once the batch being saved is in
+          await saving;
+          await this.waitWhilePaused();
+        }
+        // Another runner may have taken the last file while this one waited
+        if (saveError || this.isScanCancelled() || nextIndex >= filePaths.length) break;
+        await processFile(filePaths[nextIndex++]);
+      }
+    });
+
+    try {
+      await Promise.all(runners);
+      if (batch.length > 0) {
+        flush();
+      }
+    } finally {
+      // Nothing is left saving in the background, however the extraction ended
+      await saving;
+      if (pool) {
+        await pool.destroy();
+      }
     }
 
-    return tracks;
+    if (saveError) {
+      throw saveError;
+    }
+
+    return saved;
   }
 
   async extractMetadata(filePath) {
@@ -116,6 +478,7 @@ class MusicScanner {
       const stats = await fs.stat(filePath);
       let metadata = null;
       let musicMetadata = null;
+      const tagErrors = [];
 
       // Use music-metadata for comprehensive metadata extraction INCLUDING DURATION
       try {
@@ -125,6 +488,7 @@ class MusicScanner {
         });
       } catch (mmError) {
         this.logger.debug('music-metadata extraction failed', { file: path.basename(filePath), error: mmError.message });
+        tagErrors.push(mmError.message);
       }
 
       // For MP3 files, also use node-id3 as fallback
@@ -133,11 +497,21 @@ class MusicScanner {
           metadata = NodeID3.read(filePath);
         } catch (id3Error) {
           this.logger.debug('ID3 read failed', { file: path.basename(filePath), error: id3Error.message });
+          tagErrors.push(`ID3: ${id3Error.message}`);
         }
       }
 
       // Extract basic info from filename if no metadata
-      const filenameInfo = this.parseFilename(path.basename(filePath));
+      const filenameInfo = this.parseFilename(filePath);
+      const extendedTags = this.extractExtendedTags(musicMetadata, metadata);
+      const lyricsFile = await Lyrics.find(filePath);
+
+      const artist =
+        musicMetadata?.common?.artist || metadata?.artist || filenameInfo.artist || null;
+      // Files can carry several genre frames; each one may still hold "Rock; Blues"
+      const genreTags = musicMetadata?.common?.genre?.length
+        ? musicMetadata.common.genre
+        : [].concat(metadata?.genre || filenameInfo.genre || []);
 
       const trackData = {
         path: filePath,
@@ -147,10 +521,12 @@ class MusicScanner {
           metadata?.title ||
           filenameInfo.title ||
           this.getNameFromFilename(filePath),
-        artist: musicMetadata?.common?.artist || metadata?.artist || filenameInfo.artist || null,
-        album: musicMetadata?.common?.album || metadata?.album || null,
-        year: musicMetadata?.common?.year || metadata?.year || null,
-        genre: musicMetadata?.common?.genre?.[0] || metadata?.genre || null,
+        artist,
+        artists: this.splitTagValues(artist, this.tagSeparators.artist),
+        album: musicMetadata?.common?.album || metadata?.album || filenameInfo.album || null,
+        year: musicMetadata?.common?.year || metadata?.year || filenameInfo.year || null,
+        genre: genreTags.join('; ') || null,
+        genres: this.splitTagValues(genreTags, this.tagSeparators.genre),
         // ✅ FIXED: Now extracts real duration instead of null
         duration: musicMetadata?.format?.duration
           ? Math.round(musicMetadata.format.duration)
@@ -158,8 +534,22 @@ class MusicScanner {
         filesize: stats.size,
         format: musicMetadata?.format?.container || path.extname(filePath).slice(1).toUpperCase(),
         bitrate: musicMetadata?.format?.bitrate ? Math.round(musicMetadata.format.bitrate) : null,
+        playable: AudioFormats.isPlayable(filePath, musicMetadata?.format?.codec) ? 1 : 0,
+        ...extendedTags,
+        album_artist: extendedTags.album_artist || filenameInfo.album_artist || null,
+        track_number: extendedTags.track_number || filenameInfo.track_number || null,
+        disc_number: extendedTags.disc_number || filenameInfo.disc_number || null,
+        lyrics: await this.extractLyrics(musicMetadata, metadata, lyricsFile),
+        content_hash: await this.computeContentHash(filePath),
+        // The same mtime statAudioFile reports, so the next scan sees the file as unchanged
+        file_mtime: Math.max(Math.floor(stats.mtimeMs), lyricsFile ? lyricsFile.mtime : 0),
       };
 
+      // Reported by the scan, not saved to the database
+      if (tagErrors.length > 0) {
+        trackData.tagErrors = tagErrors;
+      }
+
       return trackData;
     } catch (error) {
       this.logger.warn('Could not process file', { file: path.basename(filePath), error: error.message });
@@ -167,20 +557,29 @@ class MusicScanner {
       // Return basic file info if everything fails
       try {
         const stats = await fs.stat(filePath);
-        const filenameInfo = this.parseFilename(path.basename(filePath));
+        const filenameInfo = this.parseFilename(filePath);
 
         return {
           path: filePath,
           filename: path.basename(filePath),
           title: filenameInfo.title || this.getNameFromFilename(filePath),
           artist: filenameInfo.artist || null,
-          album: null,
-          year: null,
-          genre: null,
+          artists: this.splitTagValues(filenameInfo.artist, this.tagSeparators.artist),
+          album: filenameInfo.album || null,
+          year: filenameInfo.year || null,
+          genre: filenameInfo.genre || null,
+          genres: this.splitTagValues(filenameInfo.genre, this.tagSeparators.genre),
+          album_artist: filenameInfo.album_artist || null,
+          track_number: filenameInfo.track_number || null,
+          disc_number: filenameInfo.disc_number || null,
+          tagErrors: [error.message],
           duration: null,
           filesize: stats.size,
           format: path.extname(filePath).slice(1).toUpperCase(),
           bitrate: null,
+          playable: AudioFormats.isPlayable(filePath) ? 1 : 0,
+          content_hash: await this.computeContentHash(filePath),
+          file_mtime: Math.floor(stats.mtimeMs),
         };
       } catch (statError) {
         this.logger.error('Could not read file', { filePath });
@@ -189,34 +588,214 @@ class MusicScanner {
     }
   }
 
-  parseFilename(filename) {
-    // Remove file extension
-    const nameWithoutExt = filename.replace(/\.[^/.]+$/, '');
+  // Tracks stored for one audio file: the file itself, or one per track of its CUE sheet.
+  // Empty when the file cannot be read at all
+  async extractTracks(filePath) {
+    const trackData = await this.extractMetadata(filePath);
+    if (!trackData) return [];
+
+    const sheetFile = await CueSheet.find(filePath);
+    if (!sheetFile) return [trackData];
+
+    // The same mtime statAudioFile reports, so the next scan sees the file as unchanged
+    trackData.file_mtime = Math.max(trackData.file_mtime, sheetFile.mtime);
+
+    try {
+      const sheet = await CueSheet.load(sheetFile.path, filePath);
+      if (sheet.tracks.length > 0) {
+        return this.createCueSheetTracks(trackData, sheet);
+      }
+    } catch (error) {
+      this.logger.debug('Could not read CUE sheet', { file: sheetFile.path, error: error.message });
+      trackData.tagErrors = [...(trackData.tagErrors || []), `CUE sheet: ${error.message}`];
+    }
+
+    return [trackData];
+  }
+
+  // One track per sheet entry, played from start_offset to end_offset (null = end of file).
+  // The sheet's titles and performers win over the file's own tags, which describe the rip
+  createCueSheetTracks(trackData, sheet) {
+    const albumArtist = sheet.performer || trackData.album_artist || trackData.artist;
+
+    return sheet.tracks.map((cueTrack) => {
+      const trackPath = CueSheet.trackPath(trackData.path, cueTrack.number);
+      const artist = cueTrack.performer || albumArtist;
+      const length = (cueTrack.end ?? trackData.duration) - cueTrack.start;
 
-    // Try to parse "Artist - Title" format
-    const parts = nameWithoutExt.split(' - ');
-    if (parts.length >= 2) {
       return {
-        artist: parts[0].trim(),
-        title: parts.slice(1).join(' - ').trim(),
+        ...trackData,
+        path: trackPath,
+        filename: path.basename(trackPath),
+        title: cueTrack.title || `Track ${cueTrack.number}`,
+        artist,
+        artists: this.splitTagValues(artist, this.tagSeparators.artist),
+        album: sheet.title || trackData.album,
+        album_artist: albumArtist,
+        year: sheet.year || trackData.year,
+        genre: sheet.genre || trackData.genre,
+        genres: sheet.genre
+          ? this.splitTagValues(sheet.genre, this.tagSeparators.genre)
+          : trackData.genres,
+        composer: cueTrack.songwriter || sheet.songwriter || trackData.composer,
+        track_number: cueTrack.number,
+        track_total: sheet.tracks.length,
+        duration: length > 0 ? Math.round(length) : null,
+        source_path: trackData.path,
+        start_offset: cueTrack.start,
+        end_offset: cueTrack.end,
+        // Gain tags of the file cover the whole rip, which is the album
+        replaygain_track_gain: null,
+        replaygain_track_peak: null,
+        replaygain_album_gain: trackData.replaygain_album_gain ?? trackData.replaygain_track_gain,
+        replaygain_album_peak: trackData.replaygain_album_peak ?? trackData.replaygain_track_peak,
+        // Lyrics of the file run through the whole rip, not one of its tracks
+        lyrics: null,
       };
+    });
+  }
+
+  // Identifies the file by its audio data when it is moved or renamed, see ContentHash
+  async computeContentHash(filePath) {
+    try {
+      return await ContentHash.compute(filePath);
+    } catch (error) {
+      this.logger.debug('Could not hash file', {
+        file: path.basename(filePath),
+        error: error.message,
+      });
+      return null;
     }
+  }
 
-    // Try to parse "Title Artist" format (like "song title artist.mp3")
-    const words = nameWithoutExt.split(' ');
-    if (words.length >= 2) {
-      // Last word might be artist
-      const lastWord = words[words.length - 1];
-      if (lastWord.length > 2) {
-        return {
-          title: words.slice(0, -1).join(' ').trim(),
-          artist: lastWord.trim(),
-        };
+  // Album artist, numbering, credits and stream details; node-id3 fills gaps for MP3s
+  extractExtendedTags(musicMetadata, id3) {
+    const common = musicMetadata?.common || {};
+    const format = musicMetadata?.format || {};
+    const id3Track = this.parseNumberPair(id3?.trackNumber);
+    const id3Disc = this.parseNumberPair(id3?.partOfSet);
+    const bpm = common.bpm || parseFloat(id3?.bpm) || null;
+
+    // music-metadata returns composer and comment as arrays
+    const composer = [].concat(common.composer || []).join('; ') || id3?.composer || null;
+    const comment =
+      []
+        .concat(common.comment || [])
+        .map((c) => (typeof c === 'string' ? c : c?.text))
+        .filter(Boolean)
+        .join('\n') ||
+      id3?.comment?.text ||
+      null;
+
+    return {
+      album_artist: common.albumartist || id3?.performerInfo || null,
+      compilation: common.compilation ? 1 : 0, // TCMP (ID3), cpil (MP4), COMPILATION (Vorbis)
+      track_number: common.track?.no || id3Track.no,
+      track_total: common.track?.of || id3Track.of,
+      disc_number: common.disk?.no || id3Disc.no,
+      disc_total: common.disk?.of || id3Disc.of,
+      composer,
+      bpm: bpm ? Math.round(bpm) : null,
+      musical_key: MusicalKey.normalize(common.key || id3?.initialKey),
+      rating: this.extractRating(musicMetadata),
+      comment,
+      sample_rate: format.sampleRate || null,
+      bit_depth: format.bitsPerSample || null,
+      channels: format.numberOfChannels || null,
+      codec: format.codec || null,
+      lossless: format.lossless ? 1 : 0,
+      ...this.extractReplayGain(musicMetadata),
+    };
+  }
+
+  // Lyrics as stored: LRC text when timed, plain text otherwise. A sidecar file (see Lyrics)
+  // wins over the tags, and synced lyrics win over unsynced ones from any source
+  async extractLyrics(musicMetadata, id3, lyricsFile) {
+    let sidecarText = null;
+    if (lyricsFile) {
+      try {
+        sidecarText = await Lyrics.load(lyricsFile.path);
+      } catch (error) {
+        this.logger.debug('Could not read lyrics file', {
+          file: lyricsFile.path,
+          error: error.message,
+        });
       }
     }
 
+    // USLT, Vorbis LYRICS, MP4 ©lyr and APE Lyrics; SYLT arrives there without its times
+    const taggedLyrics = []
+      .concat(musicMetadata?.common?.lyrics || [])
+      .map((lyrics) => (typeof lyrics === 'string' ? lyrics : lyrics?.text));
+
+    return Lyrics.choose([
+      sidecarText,
+      Lyrics.fromSynchronised(id3?.synchronisedLyrics),
+      id3?.unsynchronisedLyrics?.text,
+      ...taggedLyrics,
+    ]);
+  }
+
+  // ReplayGain gains in dB and peaks as sample values (1 = full scale). Opus files carry
+  // R128 gains instead: 1/256 dB steps relative to -23 LUFS, where ReplayGain aims at -18
+  extractReplayGain(musicMetadata) {
+    const common = musicMetadata?.common || {};
+    const values = {
+      replaygain_track_gain: common.replaygain_track_gain?.dB,
+      replaygain_track_peak: common.replaygain_track_peak?.ratio,
+      replaygain_album_gain: common.replaygain_album_gain?.dB,
+      replaygain_album_peak: common.replaygain_album_peak?.ratio,
+    };
+
+    const r128Columns = {
+      R128_TRACK_GAIN: 'replaygain_track_gain',
+      R128_ALBUM_GAIN: 'replaygain_album_gain',
+    };
+    for (const { id, value } of musicMetadata?.native?.vorbis || []) {
+      const column = r128Columns[String(id).toUpperCase()];
+      if (column && !Number.isFinite(values[column]) && /^-?\d+$/.test(String(value).trim())) {
+        values[column] = parseInt(value, 10) / 256 + 5;
+      }
+    }
+
+    return Object.fromEntries(
+      Object.entries(values).map(([column, value]) => [
+        column,
+        Number.isFinite(value) ? value : null,
+      ])
+    );
+  }
+
+  // Stars from 1 to 5 out of the first rating tag. music-metadata scales them all to 0..1:
+  // POPM's 1, 64, 128, 196 and 255 become 0, 0.25, 0.5, 0.77 and 1, Vorbis and MP4 ratings
+  // are percentages, 20 per star
+  extractRating(musicMetadata) {
+    const rating = []
+      .concat(musicMetadata?.common?.rating || [])
+      .map((entry) => entry?.rating)
+      .find(Number.isFinite);
+    if (rating === undefined) return null;
+    return Math.min(Math.max(Math.ceil(rating * 5 - 0.05), 1), 5);
+  }
+
+  // "3/12" -> { no: 3, of: 12 }
+  parseNumberPair(value) {
+    const [no, of] = String(value || '')
+      .split('/')
+      .map((part) => parseInt(part, 10));
+    return { no: no > 0 ? no : null, of: of > 0 ? of : null };
+  }
+
+  // Tags read from the path with the first filename template that matches it, keyed by
+  // track column. Without a match only the title (the file name) is known
+  parseFilename(filePath) {
+    const match = this.filenameTemplates.match(filePath);
+    if (match) {
+      return match.fields;
+    }
+
     return {
-      title: nameWithoutExt,
+      title: this.getNameFromFilename(filePath),
       artist: null,
     };
   }
@@ -228,30 +807,33 @@ class MusicScanner {
   }
 
   isSupportedAudioFile(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    return this.supportedFormats.includes(ext);
+    return AudioFormats.isSupported(filename);
   }
 
   async scanAndSaveToDatabase(folderPath, progressCallback = null) {
-    this.logger.info('Starting comprehensive library scan', { folderPath });
-    const tracks = await this.scanFolder(folderPath, progressCallback);
+    this.logger.info('Starting comprehensive library scan', {
+      folderPath,
+      concurrency: this.getConcurrency(),
+    });
+    this.scannedCount = 0;
 
-    if (tracks.length > 0) {
-      this.logger.info('Saving tracks to database', { trackCount: tracks.length });
+    const { files } = await this.collectAudioFiles(folderPath);
+    this.totalFiles = files.length;
+    this.logger.info('Audio files found', { totalFiles: this.totalFiles });
 
-      // Notify progress callback that we're saving to database
-      if (progressCallback) {
-        progressCallback({
-          current: this.scannedCount,
-          total: this.totalFiles,
-          percentage: 100,
-          currentFile: 'Saving to database...',
-          phase: 'database',
-        });
-      }
+    if (this.isScanCancelled()) {
+      this.logger.info('Library scan cancelled while collecting files', { folderPath });
+      return 0;
+    }
 
-      await this.db.addTracks(tracks);
-      this.logger.info('Library scan and database update completed');
+    if (files.length > 0) {
+      // Tracks are saved in batches while the workers keep parsing
+      const savedCount = await this.extractInBatches(
+        files.map((file) => file.path),
+        (batch) => this.db.addTracks(batch),
+        progressCallback
+      );
+      this.logger.info('Library scan and database update completed', { savedCount });
 
       // Final completion notification
       if (progressCallback) {
@@ -259,24 +841,230 @@ class MusicScanner {
           current: this.scannedCount,
           total: this.totalFiles,
           percentage: 100,
-          currentFile: 'Scan complete!',
+          currentFile: this.isScanCancelled() ? 'Scan cancelled' : 'Scan complete!',
           phase: 'completed',
+          cancelled: this.isScanCancelled(),
         });
       }
-    } else {
-      this.logger.warn('No audio tracks found', { folderPath });
 
-      if (progressCallback) {
-        progressCallback({
-          current: 0,
-          total: 0,
-          percentage: 100,
-          currentFile: 'No tracks found',
-          phase: 'completed',
-        });
+      return savedCount;
+    }
+
+    this.logger.warn('No audio tracks found', { folderPath });
+
+    if (progressCallback) {
+      progressCallback({
+        current: 0,
+        total: 0,
+        percentage: 100,
+        currentFile: 'No tracks found',
+        phase: 'completed',
+      });
+    }
+
+    return 0;
+  }
+
+  // ============================================================================
+  // INCREMENTAL SCANNING
+  // ============================================================================
+
+  // Rescan only what changed since the last scan: new files and files whose size or
+  // modification time differ from the stored values are re-read, vanished files are removed
+  async scanIncremental(folderPath, progressCallback = null) {
+    this.logger.info('Starting incremental library scan', { folderPath });
+    this.scannedCount = 0;
+
+    const report = (progress) => {
+      if (progressCallback) progressCallback(progress);
+    };
+
+    report({
+      current: 0,
+      total: 0,
+      percentage: 0,
+      currentFile: 'Comparing files...',
+      phase: 'comparing',
+    });
+
+    const { files, unreadableDirs } = await this.collectAudioFiles(folderPath);
+    if (this.isScanCancelled()) {
+      // A partial file list would make every file not reached yet look deleted
+      const summary = { added: 0, updated: 0, removed: 0, unchanged: 0, total: 0, cancelled: true };
+      this.logger.info('Incremental library scan cancelled while collecting files', summary);
+      report({
+        ...summary,
+        current: 0,
+        total: 0,
+        percentage: 100,
+        currentFile: 'Scan cancelled',
+        phase: 'completed',
+      });
+      return summary;
+    }
+
+    const storedStats = await this.db.getTrackFileStats(folderPath);
+
+    const newFiles = [];
+    const changedFiles = [];
+    const foundFiles = new Set();
+    let unchanged = 0;
+
+    for (const file of files) {
+      const stored = storedStats.get(file.path);
+      foundFiles.add(file.path);
+
+      if (!stored) {
+        newFiles.push(file.path);
+      } else if (this.hasFileChanged(stored, file)) {
+        changedFiles.push(file.path);
+      } else {
+        unchanged++;
       }
     }
 
+    // Files that were not found on disk; keep tracks under folders we failed to read
+    const missingFiles = [...storedStats.values()]
+      .filter((row) => !foundFiles.has(row.path))
+      .filter((row) => !unreadableDirs.some((dir) => row.path.startsWith(dir + path.sep)));
+
+    this.totalFiles = newFiles.length + changedFiles.length;
+    this.logger.info('Incremental scan comparison complete', {
+      total: files.length,
+      new: newFiles.length,
+      changed: changedFiles.length,
+      unchanged,
+      missing: missingFiles.length,
+    });
+
+    // New files with the audio of a missing one take over its tracks
+    const added = await this.extractInBatches(
+      newFiles,
+      (batch) => this.saveNewTracks(batch, this.findMovedTracks(batch, missingFiles)),
+      progressCallback
+    );
+    const updated = await this.extractInBatches(
+      changedFiles,
+      (batch) => this.saveChangedTracks(batch, storedStats),
+      progressCallback
+    );
+
+    // Tracks of files a cancelled scan did not reach stay as they are, so does cleanup
+    const removedIds = missingFiles.flatMap((row) => row.tracks.map((track) => track.id));
+    let removed = 0;
+    if (removedIds.length > 0 && !this.isScanCancelled()) {
+      report({
+        current: this.scannedCount,
+        total: this.totalFiles,
+        percentage: 100,
+        currentFile: 'Removing missing files...',
+        phase: 'cleanup',
+      });
+      const removedRecords = await this.db.removeOrphanedRecords(removedIds);
+      removed = removedRecords.tracks;
+    }
+
+    const cancelled = this.isScanCancelled();
+    const summary = { added, updated, removed, unchanged, total: files.length, cancelled };
+    this.logger.info('Incremental library scan completed', summary);
+
+    report({
+      current: this.scannedCount,
+      total: this.totalFiles,
+      percentage: 100,
+      currentFile: cancelled ? 'Scan cancelled' : 'Scan complete!',
+      phase: 'completed',
+      ...summary,
+    });
+
+    return summary;
+  }
+
+  // ============================================================================
+  // CHANGED AND MOVED FILES
+  // ============================================================================
+
+  // stored is an entry of getTrackFileStats, file one of statAudioFile
+  hasFileChanged(stored, file) {
+    return (
+      stored.filesize !== file.size ||
+      stored.file_mtime !== file.mtime ||
+      // A CUE sheet older than its audio file does not change the mtime when it is added or
+      // deleted. Libraries from before CUE support get their sheets read this way too
+      stored.cueSheet !== file.cueSheet
+    );
+  }
+
+  // Save tracks re-read from changed files. Rows that still exist are updated in place, so
+  // favorites and playlist entries keep pointing at them; CUE sheet tracks that appeared or
+  // went away are added or removed. storedStats is what getTrackFileStats returned
+  async saveChangedTracks(tracks, storedStats) {
+    const trackPaths = new Set(tracks.map((track) => track.path));
+    const storedPaths = new Set();
+    const staleIds = [];
+
+    for (const filePath of new Set(tracks.map((track) => track.source_path || track.path))) {
+      for (const stored of storedStats.get(filePath)?.tracks || []) {
+        storedPaths.add(stored.path);
+        if (!trackPaths.has(stored.path)) {
+          staleIds.push(stored.id);
+        }
+      }
+    }
+
+    await this.db.updateTracks(tracks.filter((track) => storedPaths.has(track.path)));
+    await this.db.addTracks(tracks.filter((track) => !storedPaths.has(track.path)));
+    if (staleIds.length > 0) {
+      await this.db.removeOrphanedRecords(staleIds);
+    }
+
+    return tracks.length;
+  }
+
+  // Match tracks of new files against missingFiles (getTrackFileStats entries for files
+  // that are gone) by content hash; CUE sheet tracks also need the same track number.
+  // Matched rows are taken out of missingFiles so they are not removed as missing.
+  // Returns [{ track, originalTrack: { id, path } }]
+  findMovedTracks(tracks, missingFiles) {
+    const moves = [];
+
+    for (const track of tracks) {
+      if (!track.content_hash) continue;
+      const number = CueSheet.splitTrackPath(track.path)?.number;
+
+      for (const file of missingFiles) {
+        if (file.content_hash !== track.content_hash) continue;
+
+        const originalTrack = file.tracks.find(
+          (stored) => CueSheet.splitTrackPath(stored.path)?.number === number
+        );
+        if (originalTrack) {
+          file.tracks = file.tracks.filter((stored) => stored !== originalTrack);
+          moves.push({ track, originalTrack });
+          break;
+        }
+      }
+    }
+
+    if (moves.length > 0) {
+      this.logger.info('Moved files detected', { tracks: moves.length });
+    }
+    return moves;
+  }
+
+  // Save tracks of new files. Moved tracks keep their row, and with it their favorites,
+  // playlist entries and play count; the rest are added
+  async saveNewTracks(tracks, moves = []) {
+    if (moves.length > 0) {
+      await this.db.updateCorrectedPaths(
+        moves.map(({ track, originalTrack }) => ({ originalTrack, newPath: track.path }))
+      );
+      await this.db.updateTracks(moves.map((move) => move.track));
+    }
+
+    const movedTracks = new Set(moves.map((move) => move.track));
+    await this.db.addTracks(tracks.filter((track) => !movedTracks.has(track)));
+
     return tracks.length;
   }
 }
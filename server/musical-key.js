@@ -0,0 +1,49 @@
+// server/musical-key.js - One spelling for musical keys from tags and key detection
+
+// Key names by pitch class (C = 0), spelled the way DJ software shows them
+const MAJOR_KEYS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_KEYS = ['Cm', 'C#m', 'Dm', 'Ebm', 'Em', 'Fm', 'F#m', 'Gm', 'G#m', 'Am', 'Bbm', 'Bm'];
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+class MusicalKey {
+  // Key tag (TKEY, INITIALKEY and the like) as "Am" or "F#", or null when it is not a key.
+  // Understands note names ("A minor", "Ebm", "D#"), Camelot ("8A") and Open Key ("1m")
+  static normalize(value) {
+    const text = String(value ?? '')
+      .trim()
+      .replace(/♯/g, '#')
+      .replace(/♭/g, 'b');
+    if (!text) return null;
+
+    // Camelot wheel: 8B is C major, each step a fifth up; A is the relative minor
+    let match = text.match(/^(\d{1,2})\s*([ab])$/i);
+    if (match) {
+      return MusicalKey.fromWheel(parseInt(match[1], 10), match[2].toUpperCase() === 'A');
+    }
+
+    // Open Key notation is the Camelot wheel turned so that 1d is C major
+    match = text.match(/^(\d{1,2})\s*([dm])$/i);
+    if (match) {
+      const number = parseInt(match[1], 10);
+      if (number < 1 || number > 12) return null;
+      return MusicalKey.fromWheel(((number + 6) % 12) + 1, match[2].toLowerCase() === 'm');
+    }
+
+    match = text.match(/^([a-g])\s*([#b]?)\s*(m|min|minor|maj|major)?$/i);
+    if (!match) return null;
+
+    const accidental = { '#': 1, b: -1 }[match[2]] || 0;
+    const pitchClass = (PITCH_CLASSES[match[1].toUpperCase()] + accidental + 12) % 12;
+    const minor = /^m(in(or)?)?$/i.test(match[3] || '') && match[3] !== 'M';
+    return minor ? MINOR_KEYS[pitchClass] : MAJOR_KEYS[pitchClass];
+  }
+
+  static fromWheel(number, minor) {
+    if (number < 1 || number > 12) return null;
+    const majorPitchClass = ((((number - 8) * 7) % 12) + 12) % 12;
+    return minor ? MINOR_KEYS[(majorPitchClass + 9) % 12] : MAJOR_KEYS[majorPitchClass];
+  }
+}
+
+module.exports = MusicalKey;
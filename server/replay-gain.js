@@ -0,0 +1,78 @@
+// server/replay-gain.js - Track and album gain from ReplayGain tags or loudness analysis
+
+// ReplayGain 2.0 plays everything as loud as -18 LUFS
+const REFERENCE_LOUDNESS = -18;
+
+class ReplayGain {
+  static REFERENCE_LOUDNESS = REFERENCE_LOUDNESS;
+  static MODES = ['off', 'track', 'album'];
+  static DEFAULT_SETTINGS = { mode: 'off', preamp: 0 };
+
+  // Playback setting as saved: an unknown mode turns normalization off, the preamp is
+  // limited to +-15 dB
+  static normalizeSettings(settings = {}) {
+    const preamp = parseFloat(settings.preamp);
+    return {
+      mode: ReplayGain.MODES.includes(settings.mode) ? settings.mode : 'off',
+      preamp: Number.isFinite(preamp) ? Math.max(-15, Math.min(15, preamp)) : 0,
+    };
+  }
+
+  // { track: { gain, peak }, album: { gain, peak } } in dB and sample values, null where
+  // unknown. Tags win over analysis. Without album tags the album gain comes from the
+  // loudness of albumTracks, the tracks sharing album and album artist with track
+  static resolve(track, albumTracks = []) {
+    const trackGain = track.replaygain_track_gain ?? ReplayGain.gainFor(track.loudness);
+    const trackPeak = track.replaygain_track_peak ?? track.peak ?? null;
+
+    let albumGain = track.replaygain_album_gain ?? null;
+    let albumPeak = track.replaygain_album_peak ?? null;
+    if (albumGain === null) {
+      const measured = albumTracks
+        .map((albumTrack) => ({
+          duration: albumTrack.duration,
+          loudness: ReplayGain.loudnessOf(albumTrack),
+          peak: albumTrack.replaygain_track_peak ?? albumTrack.peak ?? 0,
+        }))
+        .filter((albumTrack) => albumTrack.loudness !== null);
+
+      albumGain = ReplayGain.gainFor(ReplayGain.albumLoudness(measured));
+      if (albumGain !== null && albumPeak === null) {
+        albumPeak = Math.max(...measured.map((albumTrack) => albumTrack.peak)) || null;
+      }
+    }
+
+    return {
+      track: { gain: trackGain, peak: trackPeak },
+      album: { gain: albumGain, peak: albumPeak },
+    };
+  }
+
+  // Loudness in LUFS, measured or implied by a track gain tag
+  static loudnessOf(track) {
+    if (Number.isFinite(track.loudness)) return track.loudness;
+    if (Number.isFinite(track.replaygain_track_gain)) {
+      return REFERENCE_LOUDNESS - track.replaygain_track_gain;
+    }
+    return null;
+  }
+
+  static gainFor(loudness) {
+    return Number.isFinite(loudness) ? REFERENCE_LOUDNESS - loudness : null;
+  }
+
+  // Loudness of the album played through: the energy average of its tracks, weighted by
+  // their length
+  static albumLoudness(tracks) {
+    let energy = 0;
+    let duration = 0;
+    for (const track of tracks) {
+      const length = track.duration > 0 ? track.duration : 1;
+      energy += length * Math.pow(10, track.loudness / 10);
+      duration += length;
+    }
+    return duration > 0 ? 10 * Math.log10(energy / duration) : null;
+  }
+}
+
+module.exports = ReplayGain;
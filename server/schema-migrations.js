@@ -0,0 +1,563 @@
+// server/schema-migrations.js - Numbered steps that bring a library database up to date
+const fs = require('fs');
+
+// Tables, indexes, triggers and views of a new library. Libraries from before schema versions
+// were kept already have most of them; IF NOT EXISTS leaves those alone
+const BASE_SCHEMA = `
+  -- ==============================================================================
+  -- QUE-MUSIC DATABASE SCHEMA, VERSION 1
+  -- ==============================================================================
+
+  CREATE TABLE IF NOT EXISTS tracks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    path TEXT UNIQUE NOT NULL,
+    filename TEXT NOT NULL,
+    title TEXT,
+    artist TEXT,
+    album TEXT,
+    year INTEGER,
+    genre TEXT,
+    duration INTEGER,
+    filesize INTEGER DEFAULT 0,
+    format TEXT,
+    bitrate INTEGER,
+    album_artist TEXT,
+    compilation INTEGER DEFAULT 0,
+    track_number INTEGER,
+    track_total INTEGER,
+    disc_number INTEGER,
+    disc_total INTEGER,
+    composer TEXT,
+    bpm INTEGER,
+    comment TEXT,
+    sample_rate INTEGER,
+    bit_depth INTEGER,
+    channels INTEGER,
+    codec TEXT,
+    lossless INTEGER DEFAULT 0,
+    playable INTEGER DEFAULT 1,
+    source_path TEXT,
+    start_offset REAL,
+    end_offset REAL,
+    content_hash TEXT,
+    replaygain_track_gain REAL,
+    replaygain_track_peak REAL,
+    replaygain_album_gain REAL,
+    replaygain_album_peak REAL,
+    musical_key TEXT,
+    tempo_key_hash TEXT,
+    has_lyrics INTEGER DEFAULT 0,
+    file_mtime INTEGER,
+    last_played DATETIME,
+    play_count INTEGER DEFAULT 0,
+    date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS artists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    track_count INTEGER DEFAULT 0,
+    album_count INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS albums (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    artist TEXT,
+    year INTEGER,
+    track_count INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(title, artist)
+  );
+
+  -- Every artist and genre of a track, split from the tags with the scan separators
+  CREATE TABLE IF NOT EXISTS track_artists (
+    track_id INTEGER NOT NULL,
+    artist TEXT NOT NULL COLLATE NOCASE,
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (track_id, artist),
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS track_genres (
+    track_id INTEGER NOT NULL,
+    genre TEXT NOT NULL COLLATE NOCASE,
+    position INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (track_id, genre),
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS playlists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    track_count INTEGER DEFAULT 0,
+    total_duration INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS playlist_tracks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    playlist_id INTEGER NOT NULL,
+    track_id INTEGER,
+    track_path TEXT,
+    position INTEGER NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE,
+    UNIQUE(playlist_id, track_path)
+  );
+
+  CREATE TABLE IF NOT EXISTS favorites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    track_id INTEGER NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE,
+    UNIQUE(track_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS recently_played (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    track_id INTEGER NOT NULL,
+    played_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    play_count INTEGER DEFAULT 1,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+  );
+
+  -- Acoustic fingerprints for duplicate detection, stale once content_hash differs from the
+  -- track's. An empty fingerprint marks a file that could not be decoded
+  CREATE TABLE IF NOT EXISTS track_fingerprints (
+    track_id INTEGER PRIMARY KEY,
+    content_hash TEXT,
+    fingerprint BLOB NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+  );
+
+  -- Loudness measured for files without ReplayGain tags, stale like fingerprints. NULL
+  -- loudness marks silence or a file that could not be decoded
+  CREATE TABLE IF NOT EXISTS track_loudness (
+    track_id INTEGER PRIMARY KEY,
+    content_hash TEXT,
+    loudness REAL,
+    peak REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+  );
+
+  -- Peak waveforms for the seek bar, one byte per slice of the track, stale like
+  -- fingerprints. Empty peaks mark a file that could not be decoded
+  CREATE TABLE IF NOT EXISTS track_waveforms (
+    track_id INTEGER PRIMARY KEY,
+    content_hash TEXT,
+    peaks BLOB NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+  );
+
+  -- Spectral analysis of lossless files: the frequency above which they hold nothing (null
+  -- when there is no such cutoff), how sure it is that they were made from a lossy file,
+  -- and a small spectrogram. Stale like fingerprints; an empty spectrogram marks a file
+  -- that could not be decoded
+  CREATE TABLE IF NOT EXISTS track_quality (
+    track_id INTEGER PRIMARY KEY,
+    content_hash TEXT,
+    cutoff REAL,
+    max_frequency REAL,
+    confidence REAL,
+    spectrogram BLOB NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+  );
+
+  -- Lyrics read by the scanner, as LRC text when synced. Kept out of the tracks table so
+  -- track lists do not carry them; tracks.has_lyrics tells which tracks have a row here
+  CREATE TABLE IF NOT EXISTS track_lyrics (
+    track_id INTEGER PRIMARY KEY,
+    lyrics TEXT NOT NULL,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+  );
+
+  -- Indexes
+  CREATE INDEX IF NOT EXISTS idx_tracks_path ON tracks(path);
+  CREATE INDEX IF NOT EXISTS idx_tracks_title ON tracks(title);
+  CREATE INDEX IF NOT EXISTS idx_tracks_artist ON tracks(artist);
+  CREATE INDEX IF NOT EXISTS idx_tracks_album ON tracks(album);
+  CREATE INDEX IF NOT EXISTS idx_tracks_genre ON tracks(genre);
+  CREATE INDEX IF NOT EXISTS idx_tracks_year ON tracks(year);
+  CREATE INDEX IF NOT EXISTS idx_tracks_last_played ON tracks(last_played);
+  CREATE INDEX IF NOT EXISTS idx_tracks_play_count ON tracks(play_count);
+  CREATE INDEX IF NOT EXISTS idx_track_artists_artist ON track_artists(artist);
+  CREATE INDEX IF NOT EXISTS idx_track_genres_genre ON track_genres(genre);
+  CREATE INDEX IF NOT EXISTS idx_artists_name ON artists(name);
+  CREATE INDEX IF NOT EXISTS idx_albums_title ON albums(title);
+  CREATE INDEX IF NOT EXISTS idx_albums_artist ON albums(artist);
+  CREATE INDEX IF NOT EXISTS idx_albums_year ON albums(year);
+  CREATE INDEX IF NOT EXISTS idx_playlists_name ON playlists(name);
+  CREATE INDEX IF NOT EXISTS idx_playlist_tracks_playlist_id ON playlist_tracks(playlist_id);
+  CREATE INDEX IF NOT EXISTS idx_playlist_tracks_track_id ON playlist_tracks(track_id);
+  CREATE INDEX IF NOT EXISTS idx_playlist_tracks_position ON playlist_tracks(playlist_id, position);
+  CREATE INDEX IF NOT EXISTS idx_favorites_track_id ON favorites(track_id);
+  CREATE INDEX IF NOT EXISTS idx_recently_played_track_id ON recently_played(track_id);
+
+  -- Triggers
+  CREATE TRIGGER IF NOT EXISTS update_playlist_track_count_insert
+  AFTER INSERT ON playlist_tracks
+  BEGIN
+    UPDATE playlists 
+    SET track_count = (SELECT COUNT(*) FROM playlist_tracks WHERE playlist_id = NEW.playlist_id),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = NEW.playlist_id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS update_playlist_track_count_delete
+  AFTER DELETE ON playlist_tracks
+  BEGIN
+    UPDATE playlists 
+    SET track_count = (SELECT COUNT(*) FROM playlist_tracks WHERE playlist_id = OLD.playlist_id),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = OLD.playlist_id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS update_track_play_count
+  AFTER INSERT ON recently_played
+  BEGIN
+    UPDATE tracks 
+    SET play_count = play_count + NEW.play_count,
+        last_played = NEW.played_at,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = NEW.track_id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS update_artist_track_count_insert
+  AFTER INSERT ON tracks
+  WHEN NEW.artist IS NOT NULL
+  BEGIN
+    INSERT OR IGNORE INTO artists (name) VALUES (NEW.artist);
+    UPDATE artists 
+    SET track_count = (SELECT COUNT(*) FROM tracks WHERE artist = NEW.artist)
+    WHERE name = NEW.artist;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS update_artist_track_count_update
+  AFTER UPDATE OF artist ON tracks
+  BEGIN
+    UPDATE artists SET track_count = (SELECT COUNT(*) FROM tracks WHERE artist = OLD.artist)
+    WHERE name = OLD.artist;
+    INSERT OR IGNORE INTO artists (name) VALUES (NEW.artist);
+    UPDATE artists SET track_count = (SELECT COUNT(*) FROM tracks WHERE artist = NEW.artist)
+    WHERE name = NEW.artist;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS update_album_track_count_insert
+  AFTER INSERT ON tracks
+  WHEN NEW.album IS NOT NULL
+  BEGIN
+    INSERT OR IGNORE INTO albums (title, artist, year) VALUES (NEW.album, NEW.artist, NEW.year);
+    UPDATE albums 
+    SET track_count = (SELECT COUNT(*) FROM tracks WHERE album = NEW.album AND artist = NEW.artist)
+    WHERE title = NEW.album AND artist = NEW.artist;
+  END;
+
+  -- Views
+  CREATE VIEW IF NOT EXISTS tracks_detailed AS
+  SELECT 
+    t.*,
+    f.added_at as favorited_at,
+    (f.track_id IS NOT NULL) as is_favorite,
+    COALESCE(rp.recent_play_count, 0) as recent_plays,
+    rp.last_recent_play
+  FROM tracks t
+  LEFT JOIN favorites f ON t.id = f.track_id
+  LEFT JOIN (
+    SELECT track_id, COUNT(*) as recent_play_count, MAX(played_at) as last_recent_play
+    FROM recently_played 
+    WHERE played_at > datetime('now', '-30 days')
+    GROUP BY track_id
+  ) rp ON t.id = rp.track_id;
+
+  CREATE VIEW IF NOT EXISTS playlists_summary AS
+  SELECT 
+    p.*,
+    COALESCE(SUM(t.duration), 0) as calculated_duration,
+    COUNT(pt.id) as calculated_track_count
+  FROM playlists p
+  LEFT JOIN playlist_tracks pt ON p.id = pt.playlist_id
+  LEFT JOIN tracks t ON pt.track_id = t.id
+  GROUP BY p.id;
+`;
+
+// Track columns added before schema versions were kept, so libraries of any earlier release
+// can be missing some of them
+const LEGACY_TRACK_COLUMNS = {
+  file_mtime: 'INTEGER',
+  album_artist: 'TEXT',
+  compilation: 'INTEGER DEFAULT 0',
+  track_number: 'INTEGER',
+  track_total: 'INTEGER',
+  disc_number: 'INTEGER',
+  disc_total: 'INTEGER',
+  composer: 'TEXT',
+  bpm: 'INTEGER',
+  comment: 'TEXT',
+  sample_rate: 'INTEGER',
+  bit_depth: 'INTEGER',
+  channels: 'INTEGER',
+  codec: 'TEXT',
+  source_path: 'TEXT',
+  start_offset: 'REAL',
+  end_offset: 'REAL',
+  content_hash: 'TEXT',
+  replaygain_track_gain: 'REAL',
+  replaygain_track_peak: 'REAL',
+  replaygain_album_gain: 'REAL',
+  replaygain_album_peak: 'REAL',
+  musical_key: 'TEXT',
+  tempo_key_hash: 'TEXT',
+  has_lyrics: 'INTEGER DEFAULT 0',
+  lossless: 'INTEGER DEFAULT 0',
+  playable: 'INTEGER DEFAULT 1',
+};
+
+// The steps, oldest first. A released step never changes: a new column or table gets a new
+// step at the end, with the next version number. Each step runs in one transaction together
+// with the schema_version row that records it, so a failing step leaves nothing behind
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Library tables',
+    up(db) {
+      db.exec(BASE_SCHEMA);
+      SchemaMigrator.addColumns(db, 'tracks', LEGACY_TRACK_COLUMNS, { rescan: true });
+
+      // Indexes on added columns can only be created once the columns exist
+      for (const column of ['album_artist', 'content_hash']) {
+        db.exec(`CREATE INDEX IF NOT EXISTS idx_tracks_${column} ON tracks(${column})`);
+      }
+
+      // Tracks saved before track_artists/track_genres existed get linked to their tags as
+      // they are. Their modification time is forgotten so the next scan splits the values
+      const relinked = db
+        .prepare(
+          `UPDATE tracks SET file_mtime = NULL
+           WHERE (artist IS NOT NULL AND artist != ''
+                  AND id NOT IN (SELECT track_id FROM track_artists))
+              OR (genre IS NOT NULL AND genre != ''
+                  AND id NOT IN (SELECT track_id FROM track_genres))`
+        )
+        .run().changes;
+      if (relinked > 0) {
+        console.log(`🔗 Linking artists and genres of ${relinked} existing tracks`);
+      }
+      db.exec(
+        `INSERT OR IGNORE INTO track_artists (track_id, artist)
+         SELECT id, artist FROM tracks
+         WHERE artist IS NOT NULL AND artist != ''
+           AND id NOT IN (SELECT track_id FROM track_artists);
+
+         INSERT OR IGNORE INTO track_genres (track_id, genre)
+         SELECT id, genre FROM tracks
+         WHERE genre IS NOT NULL AND genre != ''
+           AND id NOT IN (SELECT track_id FROM track_genres);`
+      );
+    },
+  },
+  {
+    version: 2,
+    name: 'Playlist entries by track path',
+    up(db) {
+      // Playlist entries used to point at track ids only, which a rescan could change
+      SchemaMigrator.addColumns(db, 'playlist_tracks', { track_path: 'TEXT' });
+      db.exec(
+        `UPDATE playlist_tracks
+         SET track_path = (SELECT path FROM tracks WHERE tracks.id = playlist_tracks.track_id)
+         WHERE track_id IS NOT NULL AND track_path IS NULL;
+
+         CREATE INDEX IF NOT EXISTS idx_playlist_tracks_path ON playlist_tracks(track_path);`
+      );
+    },
+  },
+  {
+    version: 3,
+    name: 'Full-text search',
+    up(db) {
+      // An FTS5 index over the searchable track columns, reading the text from tracks itself
+      // (external content). Words are matched without accents ("cafe" finds "Café"), and
+      // prefixes of two and three letters are indexed for search-as-you-type
+      const columns = 'title, artist, album, genre, filename, composer';
+      const values = (row) => columns.replace(/\w+/g, (column) => `${row}.${column}`);
+      db.exec(
+        `CREATE VIRTUAL TABLE tracks_fts USING fts5(
+           ${columns},
+           content = 'tracks', content_rowid = 'id',
+           tokenize = 'unicode61 remove_diacritics 2', prefix = '2 3'
+         );
+
+         -- The index has to be told the old text to remove it. Rows that INSERT OR REPLACE
+         -- deletes only fire the delete trigger with recursive_triggers on (MusicDatabase)
+         CREATE TRIGGER tracks_fts_insert AFTER INSERT ON tracks BEGIN
+           INSERT INTO tracks_fts (rowid, ${columns}) VALUES (NEW.id, ${values('NEW')});
+         END;
+
+         CREATE TRIGGER tracks_fts_delete AFTER DELETE ON tracks BEGIN
+           INSERT INTO tracks_fts (tracks_fts, rowid, ${columns})
+           VALUES ('delete', OLD.id, ${values('OLD')});
+         END;
+
+         CREATE TRIGGER tracks_fts_update AFTER UPDATE OF ${columns} ON tracks BEGIN
+           INSERT INTO tracks_fts (tracks_fts, rowid, ${columns})
+           VALUES ('delete', OLD.id, ${values('OLD')});
+           INSERT INTO tracks_fts (rowid, ${columns}) VALUES (NEW.id, ${values('NEW')});
+         END;
+
+         INSERT INTO tracks_fts (tracks_fts) VALUES ('rebuild');`
+      );
+    },
+  },
+  {
+    version: 4,
+    name: 'Track ratings',
+    up(db) {
+      // Stars from 1 to 5 as rating tags hold them (POPM, RATING, rate), NULL when unrated
+      SchemaMigrator.addColumns(db, 'tracks', { rating: 'INTEGER' }, { rescan: true });
+      db.exec('CREATE INDEX IF NOT EXISTS idx_tracks_rating ON tracks(rating)');
+    },
+  },
+  {
+    version: 5,
+    name: 'Saved searches',
+    up(db) {
+      db.exec(
+        `CREATE TABLE saved_searches (
+           id INTEGER PRIMARY KEY AUTOINCREMENT,
+           name TEXT NOT NULL UNIQUE,
+           query TEXT NOT NULL,
+           sort TEXT NOT NULL DEFAULT 'relevance',
+           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+         )`
+      );
+    },
+  },
+  {
+    version: 6,
+    name: 'Smart playlists',
+    up(db) {
+      // The rules of a smart playlist as JSON (see SmartPlaylist), NULL for a playlist of
+      // chosen tracks
+      SchemaMigrator.addColumns(db, 'playlists', { rules: 'TEXT' });
+    },
+  },
+];
+
+class SchemaMigrator {
+  static MIGRATIONS = MIGRATIONS;
+  static LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  // db is an open better-sqlite3 connection; the steps get it as is
+  constructor(db, dbPath) {
+    this.db = db;
+    this.dbPath = dbPath;
+  }
+
+  // Add the columns a table lacks, { name: 'TYPE' }. With rescan, tracks scanned before the
+  // columns existed have their modification time forgotten, so the next incremental scan
+  // re-reads the files and fills them in. Returns the names of the added columns
+  static addColumns(db, table, columns, { rescan = false } = {}) {
+    const existing = db.pragma(`table_info(${table})`).map((c) => c.name);
+    const missing = Object.entries(columns).filter(([name]) => !existing.includes(name));
+
+    for (const [name, type] of missing) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+      console.log(`✅ Added ${table}.${name} column`);
+    }
+    if (rescan && missing.some(([name]) => name !== 'file_mtime')) {
+      db.exec('UPDATE tracks SET file_mtime = NULL');
+    }
+    return missing.map(([name]) => name);
+  }
+
+  // Highest version applied, 0 for a new library or one from before versions were kept
+  currentVersion() {
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS schema_version (
+         version INTEGER PRIMARY KEY,
+         name TEXT NOT NULL,
+         applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+    return this.db.prepare('SELECT MAX(version) AS version FROM schema_version').get().version || 0;
+  }
+
+  // Apply the steps the database has not had yet. An existing library is backed up first.
+  // Returns { from, to, backupPath }; a failing step throws an error that names the step
+  // and carries backupPath
+  migrate() {
+    const from = this.currentVersion();
+
+    if (from > SchemaMigrator.LATEST_VERSION) {
+      throw new Error(
+        `The library database is at schema version ${from}, made by a newer version of ` +
+          `Que-Music than this one (${SchemaMigrator.LATEST_VERSION}). Update the app to open it`
+      );
+    }
+
+    const pending = MIGRATIONS.filter((migration) => migration.version > from);
+    if (pending.length === 0) {
+      console.log(`📋 Database schema is up to date (version ${from})`);
+      return { from, to: from, backupPath: null };
+    }
+
+    const backupPath = this.backup(from);
+    const recordVersion = this.db.prepare(
+      'INSERT INTO schema_version (version, name) VALUES (?, ?)'
+    );
+    for (const migration of pending) {
+      console.log(`📋 Migrating database to version ${migration.version}: ${migration.name}`);
+      try {
+        this.db
+          .transaction(() => {
+            migration.up(this.db);
+            recordVersion.run(migration.version, migration.name);
+          })
+          .immediate();
+      } catch (error) {
+        console.error(`❌ Database migration ${migration.version} failed:`, error.message);
+
+        const failure = new Error(
+          `Upgrading the library database to version ${migration.version} ` +
+            `(${migration.name}) failed: ${error.message}` +
+            (backupPath ? `. A copy from before the upgrade is at ${backupPath}` : '')
+        );
+        failure.version = migration.version;
+        failure.backupPath = backupPath;
+        throw failure;
+      }
+    }
+
+    const to = pending[pending.length - 1].version;
+    console.log(`✅ Database schema migrated from version ${from} to ${to}`);
+    return { from, to, backupPath };
+  }
+
+  // Copy an existing library next to it, "music-library.db.v1.bak" for version 1, before
+  // changing its schema. A new (empty) database has nothing to lose and is not copied
+  backup(version) {
+    if (!this.dbPath || this.dbPath === ':memory:') return null;
+    const tracks = this.db.prepare("SELECT name FROM sqlite_master WHERE name = 'tracks'").get();
+    if (!tracks) return null;
+
+    // VACUUM INTO writes a consistent copy, but only to a file that does not exist yet
+    const backupPath = `${this.dbPath}.v${version}.bak`;
+    fs.rmSync(backupPath, { force: true });
+    this.db.prepare('VACUUM INTO ?').run(backupPath);
+    console.log(`💾 Backed up database to ${backupPath}`);
+    return backupPath;
+  }
+}
+
+module.exports = SchemaMigrator;
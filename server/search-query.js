@@ -0,0 +1,590 @@
+// server/search-query.js - Field-qualified search queries, turned into SQL over the tracks table
+const MusicalKey = require('./musical-key');
+
+// Fields a query can name, as field:value. kind decides the values a field takes:
+//   text      words, matched by their start like plain search words when the field is in the
+//             search index (fts), anywhere in the value otherwise. field:=value matches the
+//             whole value, for fields with links also any one of the split values
+//   number    a number, a comparison (>, >=, <, <=) or a range (from..to), scaled to the
+//             stored unit by scale
+//   duration  the same in seconds or as m:ss
+//   date      the same with dates (2024, 2024-05, 2024-05-17) or ages (30d, 2w, 6m, 1y);
+//             played:never finds tracks never played
+//   flag      one of the names in flags
+const FIELDS = {
+  title: { kind: 'text', column: 'title', fts: true, description: 'Title' },
+  artist: {
+    kind: 'text',
+    column: 'artist',
+    fts: true,
+    links: { table: 'track_artists', column: 'artist' },
+    description: 'Any of the artists',
+  },
+  albumartist: { kind: 'text', column: 'album_artist', description: 'Album artist' },
+  album: { kind: 'text', column: 'album', fts: true, description: 'Album' },
+  genre: {
+    kind: 'text',
+    column: 'genre',
+    fts: true,
+    links: { table: 'track_genres', column: 'genre' },
+    description: 'Any of the genres',
+  },
+  composer: { kind: 'text', column: 'composer', fts: true, description: 'Composer' },
+  filename: {
+    kind: 'text',
+    column: 'filename',
+    fts: true,
+    values: false,
+    description: 'File name',
+  },
+  path: { kind: 'text', column: 'path', values: false, description: 'Part of the file path' },
+  comment: { kind: 'text', column: 'comment', values: false, description: 'Comment tag' },
+  key: { kind: 'text', column: 'musical_key', description: 'Musical key, e.g. key:=Am' },
+  format: { kind: 'text', column: 'format', description: 'File format' },
+  codec: { kind: 'text', column: 'codec', description: 'Audio codec' },
+  year: { kind: 'number', column: 'year', example: '1955..1965', description: 'Year' },
+  rating: { kind: 'number', column: 'rating', example: '>=4', description: 'Stars, 1 to 5' },
+  plays: { kind: 'number', column: 'play_count', example: '<5', description: 'Play count' },
+  bpm: { kind: 'number', column: 'bpm', example: '120..130', description: 'Tempo' },
+  track: { kind: 'number', column: 'track_number', example: '1', description: 'Track number' },
+  disc: { kind: 'number', column: 'disc_number', example: '2', description: 'Disc number' },
+  bitrate: {
+    kind: 'number',
+    column: 'bitrate',
+    scale: 1000,
+    example: '>=256',
+    description: 'Bitrate in kbps',
+  },
+  samplerate: {
+    kind: 'number',
+    column: 'sample_rate',
+    example: '>44100',
+    description: 'Sample rate in Hz',
+  },
+  bitdepth: { kind: 'number', column: 'bit_depth', example: '24', description: 'Bits per sample' },
+  channels: { kind: 'number', column: 'channels', example: '2', description: 'Channels' },
+  duration: {
+    kind: 'duration',
+    column: 'duration',
+    example: '3:00..5:00',
+    description: 'Length, in seconds or m:ss',
+  },
+  added: {
+    kind: 'date',
+    column: 'date_added',
+    example: '<30d',
+    description: 'Date added, or age like 30d',
+  },
+  played: {
+    kind: 'date',
+    column: 'last_played',
+    example: '>6m',
+    description: 'Last played, or age like 6m',
+  },
+  is: {
+    kind: 'flag',
+    description: 'Kind of track',
+    flags: {
+      favorite: 'EXISTS (SELECT 1 FROM favorites f WHERE f.track_id = t.id)',
+      lossless: 't.lossless = 1',
+      lossy: 't.lossless = 0',
+      compilation: 't.compilation = 1',
+      playable: 't.playable != 0',
+      unplayable: 't.playable = 0',
+    },
+  },
+  has: {
+    kind: 'flag',
+    description: 'Tags and data the track has',
+    flags: {
+      lyrics: 't.has_lyrics = 1',
+      rating: 't.rating IS NOT NULL',
+      key: 't.musical_key IS NOT NULL',
+      bpm: 't.bpm IS NOT NULL',
+      replaygain: 't.replaygain_track_gain IS NOT NULL',
+      cue: 't.source_path IS NOT NULL',
+    },
+  },
+};
+
+// Other names people reach for
+const ALIASES = { length: 'duration', stars: 'rating', tempo: 'bpm', playcount: 'plays' };
+
+const AGE_UNITS = { d: 'days', w: 'days', m: 'months', y: 'years' };
+
+// Position of a track's key on the Camelot wheel (1A, 1B, 2A ...), NULL without a key
+const CAMELOT_POSITION = `CASE t.musical_key ${Array.from({ length: 24 }, (_, i) => {
+  return `WHEN '${MusicalKey.fromWheel(Math.floor(i / 2) + 1, i % 2 === 0)}' THEN ${i}`;
+}).join(' ')} END`;
+
+// Orders the tracks of a query can come in, named like the sort menu of the track lists and
+// sorting the same way. relevance ranks by the search words, when there are any
+const SORTS = {
+  relevance: { label: 'Best match', sql: null },
+  title: { label: 'Title', sql: 't.title COLLATE NOCASE' },
+  artist: { label: 'Artist', sql: 't.artist COLLATE NOCASE, t.title COLLATE NOCASE' },
+  album: {
+    label: 'Album',
+    sql: 't.album COLLATE NOCASE, t.disc_number, t.track_number, t.title COLLATE NOCASE',
+  },
+  year: { label: 'Year, newest first', sql: 't.year DESC, t.title COLLATE NOCASE' },
+  duration: { label: 'Duration, longest first', sql: 't.duration DESC, t.title COLLATE NOCASE' },
+  bpm: { label: 'BPM, slowest first', sql: 't.bpm IS NULL, t.bpm, t.title COLLATE NOCASE' },
+  key: {
+    label: 'Key',
+    sql: `${CAMELOT_POSITION} IS NULL, ${CAMELOT_POSITION}, t.title COLLATE NOCASE`,
+  },
+  added: { label: 'Recently added', sql: 't.date_added DESC, t.title COLLATE NOCASE' },
+  played: { label: 'Recently played', sql: 't.last_played DESC, t.title COLLATE NOCASE' },
+  plays: { label: 'Most played', sql: 't.play_count DESC, t.title COLLATE NOCASE' },
+  rating: { label: 'Highest rated', sql: 't.rating DESC, t.title COLLATE NOCASE' },
+  random: { label: 'Random', sql: 'RANDOM()' },
+};
+
+/**
+ * A search box query such as
+ *   artist:"Miles Davis" year:1955..1965 genre:jazz -live rating:>=4
+ * Words without a field are searched like plain search words. Terms are combined with AND,
+ * OR combines the terms around it, - excludes the term or (group) after it. Values only
+ * ever reach SQL as parameters; field names and operators come from FIELDS
+ */
+class SearchQuery {
+  static FIELDS = FIELDS;
+  static ALIASES = ALIASES;
+  static SORTS = SORTS;
+
+  constructor(text) {
+    this.text = String(text ?? '');
+    this.tokens = SearchQuery.tokenize(this.text);
+    this.index = 0;
+  }
+
+  /**
+   * { match, where, params } for the tracks table as t, or null for a query without terms.
+   * match is the FTS5 query for the words searched everywhere or in indexed fields, which
+   * rank and highlight the results; null when there are none to rank by. where and params
+   * hold the rest. Throws an Error with the offending position for bad syntax
+   */
+  static compile(text) {
+    const tree = new SearchQuery(text).parse();
+    if (!tree) return null;
+
+    const items = tree.type === 'and' ? tree.items : [tree];
+    const ranked = items.filter((item) => item.match);
+    const filters = items.filter((item) => !item.match);
+    return {
+      match: ranked.map((item) => item.match).join(' ') || null,
+      where: filters.map((item) => item.sql).join(' AND ') || '1',
+      params: filters.flatMap((item) => item.params),
+    };
+  }
+
+  // Error for a syntax problem at position (an index into the query text)
+  static error(message, position) {
+    const error = new Error(message);
+    error.position = position;
+    return error;
+  }
+
+  // ==========================================================================
+  // TOKENS
+  // ==========================================================================
+
+  // Tokens are (, ), - before a term or group, the keywords OR and AND, and terms:
+  // { field, operator, value, quoted, open, start, valueStart, end }. field is null for
+  // plain words; open marks a quote that is not closed yet (still being typed)
+  static tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      const char = text[i];
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, start: i, end: i + 1 });
+        i++;
+      } else if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+        tokens.push({ type: '-', start: i, end: i + 1 });
+        i++;
+      } else {
+        const term = { type: 'term', field: null, operator: '', start: i };
+        const field = /^([a-z]+):/i.exec(text.slice(i));
+        if (field) {
+          term.field = field[1].toLowerCase();
+          i += field[0].length;
+          term.operator = /^(?:[<>]=?|=)?/.exec(text.slice(i))[0];
+          i += term.operator.length;
+        }
+
+        term.valueStart = i;
+        if (text[i] === '"') {
+          const close = text.indexOf('"', i + 1);
+          term.quoted = true;
+          term.open = close === -1;
+          term.value = text.slice(i + 1, term.open ? text.length : close);
+          i = term.open ? text.length : close + 1;
+        } else {
+          term.value = /^[^\s()]*/.exec(text.slice(i))[0];
+          i += term.value.length;
+        }
+        term.end = i;
+
+        if (!term.field && !term.quoted && /^(OR|AND)$/.test(term.value)) {
+          tokens.push({ type: term.value, start: term.start, end: term.end });
+        } else {
+          tokens.push(term);
+        }
+      }
+    }
+    return tokens;
+  }
+
+  // The term the cursor is in or right after, for suggestions: { from, to, field, operator,
+  // value } where from..to is the text a suggestion replaces (without a leading -). field
+  // is null for a plain word
+  static termAt(text, cursor) {
+    const term = SearchQuery.tokenize(String(text ?? '')).find(
+      (token) => token.type === 'term' && token.start < cursor && cursor <= token.end
+    );
+    if (!term) return { from: cursor, to: cursor, field: null, operator: '', value: '' };
+    const { start: from, end: to, field, operator, value } = term;
+    return { from, to, field, operator, value };
+  }
+
+  // ==========================================================================
+  // PARSER
+  // ==========================================================================
+
+  peek() {
+    return this.tokens[this.index] || null;
+  }
+
+  parse() {
+    const tree = this.parseOr();
+    const extra = this.peek();
+    if (extra) {
+      throw SearchQuery.error(`")" has no "(" to close`, extra.start);
+    }
+    return tree;
+  }
+
+  // Terms joined by OR; AND binds closer
+  parseOr() {
+    const items = [this.parseAnd()];
+    while (this.peek()?.type === 'OR') {
+      const or = this.tokens[this.index++];
+      if (!items[items.length - 1]) {
+        throw SearchQuery.error('OR needs a search term before it', or.start);
+      }
+      const next = this.parseAnd();
+      if (!next) {
+        throw SearchQuery.error('OR needs a search term after it', or.start);
+      }
+      items.push(next);
+    }
+
+    if (items.length === 1) return items[0];
+    return {
+      sql: `(${items.map((item) => item.sql).join(' OR ')})`,
+      params: items.flatMap((item) => item.params),
+    };
+  }
+
+  parseAnd() {
+    const items = [];
+    for (let token = this.peek(); token; token = this.peek()) {
+      if (token.type === ')' || token.type === 'OR') break;
+      if (token.type === 'AND') {
+        this.index++;
+        continue;
+      }
+      const item = this.parseUnary();
+      if (item) items.push(item);
+    }
+
+    if (items.length <= 1) return items[0] || null;
+    return {
+      type: 'and',
+      items,
+      sql: `(${items.map((item) => item.sql).join(' AND ')})`,
+      params: items.flatMap((item) => item.params),
+    };
+  }
+
+  // Conditions on a missing value are NULL in SQL; excluding them has to keep the track
+  parseUnary() {
+    const token = this.tokens[this.index++];
+    if (token.type === '-') {
+      const next = this.peek();
+      if (!next || next.type === ')' || next.type === 'OR' || next.type === 'AND') {
+        throw SearchQuery.error('"-" needs a search term right after it', token.start);
+      }
+      const item = this.parseUnary();
+      return item && { sql: `NOT coalesce(${item.sql}, 0)`, params: item.params };
+    }
+
+    if (token.type === '(') {
+      const group = this.parseOr();
+      if (this.peek()?.type !== ')') {
+        throw SearchQuery.error('"(" is never closed', token.start);
+      }
+      this.index++;
+      if (!group) {
+        throw SearchQuery.error('"( )" has nothing to search for', token.start);
+      }
+      return { sql: group.sql, params: group.params };
+    }
+    return token.field ? this.fieldTerm(token) : this.wordTerm(token);
+  }
+
+  // Plain words, searched in every indexed column. Words of punctuation only are skipped
+  wordTerm(token) {
+    const match = SearchQuery.toMatch(token);
+    return match && SearchQuery.ftsCondition(match);
+  }
+
+  fieldTerm(token) {
+    const name = Object.hasOwn(ALIASES, token.field) ? ALIASES[token.field] : token.field;
+    const field = Object.hasOwn(FIELDS, name) ? FIELDS[name] : null;
+    if (!field) {
+      const suggestion = SearchQuery.closestField(token.field);
+      throw SearchQuery.error(
+        `Unknown field "${token.field}:"` +
+          (suggestion
+            ? `, did you mean ${suggestion}:?`
+            : `. Put text with a colon in quotes: "${token.field}:${token.value}"`),
+        token.start
+      );
+    }
+    if (!token.value && !token.quoted) {
+      const example = SearchQuery.example(name);
+      throw SearchQuery.error(`${token.field}: needs a value, e.g. ${example}`, token.end);
+    }
+
+    if (field.kind === 'text') return this.textCondition(name, field, token);
+    if (field.kind === 'flag') return this.flagCondition(name, field, token);
+    return this.rangeCondition(name, field, token);
+  }
+
+  // ==========================================================================
+  // CONDITIONS
+  // ==========================================================================
+
+  textCondition(name, field, token) {
+    const column = `t.${field.column}`;
+    if (token.operator === '=') {
+      const sql = `${column} = ? COLLATE NOCASE`;
+      if (!field.links) return { sql, params: [token.value] };
+      const { table, column: linked } = field.links;
+      return {
+        sql: `(${sql} OR EXISTS (SELECT 1 FROM ${table} l WHERE l.track_id = t.id AND l.${linked} = ?))`,
+        params: [token.value, token.value],
+      };
+    }
+    if (token.operator) {
+      throw SearchQuery.error(
+        `${name}: takes text, compare it with = for the whole value, e.g. ${name}:="…"`,
+        token.valueStart - token.operator.length
+      );
+    }
+
+    if (field.fts) {
+      const match = SearchQuery.toMatch(token, field.column);
+      if (!match) {
+        throw SearchQuery.error(`${name}: needs a word to look for`, token.valueStart);
+      }
+      return SearchQuery.ftsCondition(match);
+    }
+    return {
+      sql: `${column} LIKE ? ESCAPE '\\'`,
+      params: [`%${token.value.replace(/[%_\\]/g, '\\$&')}%`],
+    };
+  }
+
+  flagCondition(name, field, token) {
+    const flag = token.value.toLowerCase();
+    if (!Object.hasOwn(field.flags, flag) || token.operator) {
+      throw SearchQuery.error(
+        `${name}: takes one of ${Object.keys(field.flags).join(', ')}`,
+        token.valueStart
+      );
+    }
+    return { sql: field.flags[flag], params: [] };
+  }
+
+  // Numbers, durations and dates: a value, a comparison or a range
+  rangeCondition(name, field, token) {
+    const column = `t.${field.column}`;
+    const range = token.operator ? -1 : token.value.indexOf('..');
+
+    if (field.kind === 'date' && !token.operator && token.value.toLowerCase() === 'never') {
+      return { sql: `${column} IS NULL`, params: [] };
+    }
+    if (range === -1) {
+      const bound = this.parseBound(name, field, token.value, token.valueStart);
+      return SearchQuery.compare(column, token.operator || '=', bound);
+    }
+
+    const fromText = token.value.slice(0, range);
+    const toText = token.value.slice(range + 2);
+    if (!fromText && !toText) {
+      throw SearchQuery.error(`${name}: range needs a start or an end`, token.valueStart);
+    }
+    const parts = [];
+    if (fromText) {
+      const from = this.parseBound(name, field, fromText, token.valueStart);
+      parts.push(SearchQuery.compare(column, '>=', from));
+    }
+    if (toText) {
+      const to = this.parseBound(name, field, toText, token.valueStart + range + 2);
+      parts.push(SearchQuery.compare(column, '<=', to));
+    }
+    if (parts.some((part) => part.age)) {
+      throw SearchQuery.error(
+        `${name}: ranges take dates, use ${name}:<30d or ${name}:>6m for ages`,
+        token.valueStart
+      );
+    }
+    return {
+      sql: parts.map((part) => part.sql).join(' AND '),
+      params: parts.flatMap((part) => part.params),
+    };
+  }
+
+  // A value as { value } for numbers, { start, end } (end exclusive) for dates, or
+  // { age } for an age, with SQLite's datetime modifier for it
+  parseBound(name, field, text, position) {
+    if (field.kind === 'number') {
+      if (!/^\d+(\.\d+)?$/.test(text)) {
+        throw SearchQuery.error(`${name}: takes a number, not "${text}"`, position);
+      }
+      return { value: parseFloat(text) * (field.scale || 1) };
+    }
+
+    if (field.kind === 'duration') {
+      const time = /^(?:(?:(\d+):)?(\d+):)?(\d+)$/.exec(text);
+      if (!time || (time[2] !== undefined && time[3].length !== 2)) {
+        throw SearchQuery.error(`${name}: takes seconds or m:ss, not "${text}"`, position);
+      }
+      const [, hours = 0, minutes = 0, seconds] = time;
+      return { value: hours * 3600 + minutes * 60 + Number(seconds) };
+    }
+
+    const age = /^(\d+)([dwmy])$/i.exec(text);
+    if (age) {
+      const unit = age[2].toLowerCase();
+      const amount = parseInt(age[1], 10) * (unit === 'w' ? 7 : 1);
+      return { age: `-${amount} ${AGE_UNITS[unit]}` };
+    }
+
+    const date = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text);
+    const [year, month, day] = (date || []).slice(1).map((part) => part && parseInt(part, 10));
+    const start = date && new Date(Date.UTC(year, (month || 1) - 1, day || 1));
+    if (!date || start.getUTCMonth() !== (month || 1) - 1 || start.getUTCDate() !== (day || 1)) {
+      throw SearchQuery.error(
+        `${name}: takes a date like 2024-05-17, 2024-05 or 2024, or an age like 30d, 2w, 6m ` +
+          `or 1y, not "${text}"`,
+        position
+      );
+    }
+    const end = new Date(start);
+    if (day) end.setUTCDate(end.getUTCDate() + 1);
+    else if (month) end.setUTCMonth(end.getUTCMonth() + 1);
+    else end.setUTCFullYear(end.getUTCFullYear() + 1);
+
+    const toDate = (moment) => moment.toISOString().slice(0, 10);
+    return { start: toDate(start), end: toDate(end) };
+  }
+
+  // column operator bound as SQL. A date covers its whole day, month or year, so 2024 is
+  // >= 2024-01-01 and < 2025-01-01. An age is a moment and compares the other way round:
+  // added:<30d was added less than 30 days ago, played:>6m was last played before that
+  static compare(column, operator, bound) {
+    if (bound.age) {
+      const sql = `${column} ${/>/.test(operator) ? '<' : '>='} datetime('now', ?)`;
+      return { sql, params: [bound.age], age: true };
+    }
+    if (bound.start) {
+      const after = { '=': 'start', '>': 'end', '>=': 'start' }[operator];
+      const before = { '=': 'end', '<': 'start', '<=': 'end' }[operator];
+      const parts = [];
+      if (after) parts.push([`${column} >= ?`, bound[after]]);
+      if (before) parts.push([`${column} < ?`, bound[before]]);
+      return {
+        sql: parts.map(([sql]) => sql).join(' AND '),
+        params: parts.map(([, value]) => value),
+      };
+    }
+    return { sql: `${column} ${operator} ?`, params: [bound.value] };
+  }
+
+  // ==========================================================================
+  // FULL-TEXT SEARCH
+  // ==========================================================================
+
+  // FTS5 query for a term: its words as quoted prefixes, a quoted value as one phrase
+  // (prefix too while still open), limited to column when given. Null without words
+  static toMatch({ value, quoted, open }, column = null) {
+    const words = value.match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+    if (words.length === 0) return null;
+
+    const phrases = quoted
+      ? [`"${words.join(' ')}"${open ? '*' : ''}`]
+      : words.map((word) => `"${word}"*`);
+    return phrases.map((phrase) => (column ? `${column} : ${phrase}` : phrase)).join(' ');
+  }
+
+  static ftsCondition(match) {
+    return {
+      sql: 't.id IN (SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH ?)',
+      params: [match],
+      match,
+    };
+  }
+
+  // ==========================================================================
+  // HELP
+  // ==========================================================================
+
+  static example(name) {
+    const field = FIELDS[name];
+    if (field.kind === 'flag') return `${name}:${Object.keys(field.flags)[0]}`;
+    if (field.kind === 'text') return `${name}:"…"`;
+    return `${name}:${field.example}`;
+  }
+
+  // The field a mistyped name most likely meant: one it starts, or one within two edits
+  // (one for short names, which are otherwise close to most fields)
+  static closestField(name) {
+    const names = [...Object.keys(FIELDS), ...Object.keys(ALIASES)];
+    const prefixed = names.find((candidate) => candidate.startsWith(name));
+    if (prefixed) return prefixed;
+
+    let best = null;
+    let bestDistance = name.length > 3 ? 3 : 2;
+    for (const candidate of names) {
+      const distance = SearchQuery.editDistance(name, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  }
+
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+}
+
+module.exports = SearchQuery;
@@ -0,0 +1,194 @@
+// server/smart-playlist.js - Playlists defined by rules on the tracks, evaluated in SQL
+const SearchQuery = require('./search-query');
+
+// Operators a rule can use, per kind of field (see SearchQuery's FIELDS), with their labels.
+// Dates take an age like 30d or 6m for in-last and not-in-last, a date for before and after
+const OPERATORS = {
+  text: { is: 'is', 'is-not': 'is not', contains: 'contains' },
+  number: {
+    '=': 'is',
+    '<': 'is less than',
+    '<=': 'is at most',
+    '>': 'is more than',
+    '>=': 'is at least',
+    between: 'is between',
+  },
+  date: {
+    'in-last': 'is in the last',
+    'not-in-last': 'is not in the last',
+    before: 'is before',
+    after: 'is after',
+    never: 'is never',
+  },
+  flag: { is: 'is', 'is-not': 'is not' },
+};
+OPERATORS.duration = OPERATORS.number;
+
+// Fields offered in the rule editor, in its order. Rules can name any search field
+const RULE_FIELDS = {
+  genre: 'Genre',
+  artist: 'Artist',
+  album: 'Album',
+  albumartist: 'Album artist',
+  title: 'Title',
+  composer: 'Composer',
+  year: 'Year',
+  rating: 'Rating',
+  plays: 'Play count',
+  played: 'Last played',
+  added: 'Date added',
+  duration: 'Duration',
+  bpm: 'BPM',
+  key: 'Key',
+  format: 'Format',
+  bitrate: 'Bitrate',
+  is: 'Track',
+};
+
+/**
+ * A smart playlist definition:
+ *   { match: 'all' | 'any', rules: [{ field, operator, value }], limit, sort }
+ * e.g. { field: 'genre', operator: 'is', value: 'Jazz' }, { field: 'played', operator:
+ * 'not-in-last', value: '6m' } or { field: 'duration', operator: 'between', value: ['3:00',
+ * '5:00'] }. Each rule becomes the condition of the matching search query term, so rules
+ * and the search box find the same tracks. limit caps the number of tracks (null for all),
+ * sort is one of SearchQuery.SORTS
+ */
+class SmartPlaylist {
+  static OPERATORS = OPERATORS;
+  static RULE_FIELDS = RULE_FIELDS;
+
+  // The definition with only the known keys, checked by compiling it. Throws an Error naming
+  // the rule for anything the playlist could not be evaluated with
+  static normalize(definition) {
+    const { match = 'all', rules = [], limit = null, sort = 'artist' } = definition || {};
+    if (match !== 'all' && match !== 'any') {
+      throw new Error('A smart playlist matches all or any of its rules');
+    }
+    if (!Array.isArray(rules)) throw new Error('Smart playlist rules must be a list');
+    if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+      throw new Error('The track limit must be a whole number above 0');
+    }
+    if (sort === 'relevance' || !Object.hasOwn(SearchQuery.SORTS, sort)) {
+      throw new Error(`Unknown sort order: ${sort}`);
+    }
+
+    const normalized = {
+      match,
+      rules: rules.map(({ field, operator, value }) => ({ field, operator, value })),
+      limit,
+      sort,
+    };
+    SmartPlaylist.compile(normalized);
+    return normalized;
+  }
+
+  // { match, where, params } like SearchQuery.compile, for MusicDatabase.findTracks. No
+  // rules match every track
+  static compile({ match = 'all', rules = [] }) {
+    const conditions = rules.map((rule, index) => {
+      try {
+        return SmartPlaylist.condition(rule);
+      } catch (error) {
+        throw new Error(`Rule ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return {
+      match: null,
+      where: conditions.length
+        ? `(${conditions.map((c) => c.sql).join(match === 'any' ? ' OR ' : ' AND ')})`
+        : '1',
+      params: conditions.flatMap((condition) => condition.params),
+    };
+  }
+
+  // One rule as SQL, through the search query term it stands for
+  static condition({ field: name, operator, value }) {
+    const field = Object.hasOwn(SearchQuery.FIELDS, name) ? SearchQuery.FIELDS[name] : null;
+    if (!field) throw new Error(`Unknown field "${name}"`);
+    const operators = OPERATORS[field.kind];
+    if (!Object.hasOwn(operators, operator)) {
+      throw new Error(`${name} takes ${Object.values(operators).join(', ')}`);
+    }
+
+    const query = new SearchQuery('');
+    const not = ({ sql, params }) => ({ sql: `NOT coalesce(${sql}, 0)`, params });
+
+    if (field.kind === 'text') {
+      const term = SmartPlaylist.term(name, operator === 'contains' ? '' : '=', value);
+      const condition = query.textCondition(name, field, term);
+      return operator === 'is-not' ? not(condition) : condition;
+    }
+    if (field.kind === 'flag') {
+      const condition = query.flagCondition(name, field, SmartPlaylist.term(name, '', value));
+      return operator === 'is-not' ? not(condition) : condition;
+    }
+    if (field.kind === 'date') {
+      return SmartPlaylist.dateCondition(query, name, field, operator, value);
+    }
+
+    if (operator !== 'between') {
+      return query.rangeCondition(name, field, SmartPlaylist.term(name, operator, value));
+    }
+    const [from, to] = (Array.isArray(value) ? value : []).map((v) => String(v ?? '').trim());
+    if (!from || !to) throw new Error(`${name} is between needs two values`);
+    return query.rangeCondition(name, field, SmartPlaylist.term(name, '', `${from}..${to}`));
+  }
+
+  // Tracks never played are not played in the last 6 months either, so not-in-last keeps them
+  static dateCondition(query, name, field, operator, value) {
+    if (operator === 'never') {
+      return query.rangeCondition(name, field, SmartPlaylist.term(name, '', 'never'));
+    }
+
+    const age = operator === 'in-last' || operator === 'not-in-last';
+    if (age !== /^\d+[dwmy]$/i.test(String(value ?? '').trim())) {
+      throw new Error(
+        `${name} ${OPERATORS.date[operator]} takes ` +
+          (age ? 'an age like 30d, 2w, 6m or 1y' : 'a date like 2024-05-17')
+      );
+    }
+
+    const comparison = { 'in-last': '<', 'not-in-last': '>', before: '<', after: '>' }[operator];
+    const condition = query.rangeCondition(
+      name,
+      field,
+      SmartPlaylist.term(name, comparison, value)
+    );
+    if (operator !== 'not-in-last') return condition;
+    return { sql: `(${condition.sql} OR t.${field.column} IS NULL)`, params: condition.params };
+  }
+
+  // The search query term for a rule's value, as SearchQuery.tokenize would make it
+  static term(name, operator, value) {
+    const text = String(value ?? '').trim();
+    if (!text) throw new Error(`${name} needs a value`);
+    return { type: 'term', field: name, operator, value: text, valueStart: 0 };
+  }
+
+  // The rule editor's choices: fields with their kind, operators and flags, and the sorts
+  static describe() {
+    return {
+      fields: Object.entries(RULE_FIELDS).map(([name, label]) => {
+        const field = SearchQuery.FIELDS[name];
+        return {
+          name,
+          label,
+          kind: field.kind,
+          operators: Object.entries(OPERATORS[field.kind]).map(([value, text]) => ({
+            value,
+            label: text,
+          })),
+          flags: field.flags ? Object.keys(field.flags) : null,
+          example: field.example || null,
+        };
+      }),
+      sorts: Object.entries(SearchQuery.SORTS)
+        .filter(([sort]) => sort !== 'relevance')
+        .map(([sort, { label }]) => ({ name: sort, label })),
+    };
+  }
+}
+
+module.exports = SmartPlaylist;
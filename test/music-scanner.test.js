@@ -0,0 +1,111 @@
+// test/music-scanner.test.js - Library scans of audio files in a temporary folder
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MusicDatabase = require('../server/database');
+const MusicScanner = require('../server/music-scanner');
+
+const silentLogger = { info() {}, debug() {}, warn() {}, error() {} };
+
+let dir;
+let db;
+let scanner;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'que-music-test-'));
+  fs.mkdirSync(path.join(dir, 'Music'));
+  db = new MusicDatabase(path.join(dir, 'library.db'));
+  scanner = new MusicScanner(db, silentLogger);
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// A second of 8 kHz mono 8-bit PCM
+function writeWav(filePath) {
+  const samples = Buffer.alloc(8000, 128);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + samples.length, 4);
+  header.write('WAVEfmt ', 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Channels
+  header.writeUInt32LE(8000, 24); // Sample rate
+  header.writeUInt32LE(8000, 28); // Byte rate
+  header.writeUInt16LE(1, 32); // Block align
+  header.writeUInt16LE(8, 34); // Bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(samples.length, 40);
+  fs.writeFileSync(filePath, Buffer.concat([header, samples]));
+}
+
+test('a failed batch save stops the extraction and rejects with its error', async () => {
+  const music = path.join(dir, 'Music');
+  const filePaths = Array.from({ length: 10 }, (_, i) => path.join(music, `Track ${i}.wav`));
+  filePaths.forEach(writeWav);
+  scanner.batchSize = 1;
+  scanner.setConcurrency(1);
+
+  let saves = 0;
+  const saveBatch = async () => {
+    saves++;
+    throw new Error('disk full');
+  };
+
+  await assert.rejects(scanner.extractInBatches(filePaths, saveBatch), /disk full/);
+  assert.equal(saves, 1);
+  assert.ok(scanner.scannedCount < filePaths.length);
+});
+
+test('a CUE sheet for other files does not make its audio file rescan every time', async () => {
+  const music = path.join(dir, 'Music');
+  writeWav(path.join(music, 'Live.wav'));
+  fs.writeFileSync(
+    path.join(music, 'Live.cue'),
+    [
+      'FILE "Disc 1.wav" WAVE',
+      '  TRACK 01 AUDIO',
+      '    INDEX 01 00:00:00',
+      'FILE "Disc 2.wav" WAVE',
+      '  TRACK 02 AUDIO',
+      '    INDEX 01 00:00:00',
+    ].join('\r\n')
+  );
+
+  const first = await scanner.scanIncremental(music);
+  assert.equal(first.added, 1);
+  assert.equal((await db.getTrackByPath(path.join(music, 'Live.wav'))).source_path, null);
+
+  const second = await scanner.scanIncremental(music);
+  assert.equal(second.updated, 0);
+  assert.equal(second.unchanged, 1);
+});
+
+test('tracks of WMA files stored by earlier versions stay in the library', async () => {
+  const wmaPath = path.join(dir, 'Music', 'Old Song.wma');
+  fs.writeFileSync(wmaPath, Buffer.alloc(1024));
+  const stats = fs.statSync(wmaPath);
+
+  await db.addTracks([
+    {
+      path: wmaPath,
+      filename: 'Old Song.wma',
+      title: 'Old Song',
+      filesize: stats.size,
+      file_mtime: Math.floor(stats.mtimeMs),
+    },
+  ]);
+  await db.addToFavoritesByPath(wmaPath);
+
+  const summary = await scanner.scanIncremental(path.join(dir, 'Music'));
+
+  assert.equal(summary.removed, 0);
+  assert.equal(summary.unchanged, 1);
+  assert.equal((await db.getTrackByPath(wmaPath)).title, 'Old Song');
+  assert.ok(await db.isFavoriteByPath(wmaPath));
+});
@@ -0,0 +1,121 @@
+// test/schema-migrations.test.js - Upgrades of library databases from earlier releases
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const MusicDatabase = require('../server/database');
+const SchemaMigrator = require('../server/schema-migrations');
+
+// The tables a library held before schema versions were kept, as far as they hold data
+const BASELINE_SCHEMA = `
+  CREATE TABLE tracks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    path TEXT UNIQUE NOT NULL,
+    filename TEXT NOT NULL,
+    title TEXT,
+    artist TEXT,
+    album TEXT,
+    year INTEGER,
+    genre TEXT,
+    duration INTEGER,
+    filesize INTEGER DEFAULT 0,
+    format TEXT,
+    bitrate INTEGER,
+    last_played DATETIME,
+    play_count INTEGER DEFAULT 0,
+    date_added DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE playlists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    track_count INTEGER DEFAULT 0,
+    total_duration INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE playlist_tracks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    playlist_id INTEGER NOT NULL,
+    track_id INTEGER,
+    track_path TEXT,
+    position INTEGER NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (playlist_id) REFERENCES playlists(id) ON DELETE CASCADE,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE,
+    UNIQUE(playlist_id, track_path)
+  );
+
+  CREATE TABLE favorites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    track_id INTEGER NOT NULL,
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE,
+    UNIQUE(track_id)
+  );
+
+  INSERT INTO tracks (path, filename, title, artist, album, genre, play_count)
+  VALUES ('/music/Blue in Green.flac', 'Blue in Green.flac', 'Blue in Green', 'Miles Davis',
+          'Kind of Blue', 'Jazz', 7);
+  INSERT INTO playlists (name) VALUES ('Late Night');
+  INSERT INTO playlist_tracks (playlist_id, track_id, position) VALUES (1, 1, 1);
+  INSERT INTO favorites (track_id) VALUES (1);
+`;
+
+let dir;
+let dbPath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'que-music-test-'));
+  dbPath = path.join(dir, 'music-library.db');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a library from before schema versions is backed up and upgraded with its data', async (t) => {
+  // The database logs every step it takes; the test output is for the results
+  t.mock.method(console, 'log', () => {});
+  const baseline = new Database(dbPath);
+  baseline.exec(BASELINE_SCHEMA);
+  baseline.close();
+
+  const db = new MusicDatabase(dbPath);
+  try {
+    assert.deepEqual(db.schema, {
+      from: 0,
+      to: SchemaMigrator.LATEST_VERSION,
+      backupPath: `${dbPath}.v0.bak`,
+    });
+
+    const track = await db.getTrackByPath('/music/Blue in Green.flac');
+    assert.equal(track.title, 'Blue in Green');
+    assert.equal(track.play_count, 7);
+    assert.ok(await db.isFavoriteByPath(track.path));
+    const [playlist] = await db.getAllPlaylists();
+    assert.equal(playlist.name, 'Late Night');
+    assert.deepEqual(
+      (await db.getPlaylistById(playlist.id)).tracks.map((t) => t.path),
+      [track.path]
+    );
+    assert.equal(await db.getSchemaVersion(), SchemaMigrator.LATEST_VERSION);
+  } finally {
+    db.close();
+  }
+
+  // The copy is the library as it was before the upgrade
+  const backup = new Database(`${dbPath}.v0.bak`, { readonly: true });
+  try {
+    assert.equal(backup.prepare('SELECT title FROM tracks').get().title, 'Blue in Green');
+    assert.equal(backup.prepare('SELECT COUNT(*) AS count FROM schema_version').get().count, 0);
+  } finally {
+    backup.close();
+  }
+});
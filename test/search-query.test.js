@@ -0,0 +1,168 @@
+// test/search-query.test.js - Search box queries turned into SQL, and run against a library
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MusicDatabase = require('../server/database');
+const SearchQuery = require('../server/search-query');
+
+const FTS = 't.id IN (SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH ?)';
+
+// The error compile throws for text, as { message, position }
+function syntaxError(text) {
+  try {
+    SearchQuery.compile(text);
+  } catch (error) {
+    return { message: error.message, position: error.position };
+  }
+  assert.fail(`"${text}" compiled without an error`);
+}
+
+test('plain words are searched as prefixes in every indexed column', () => {
+  assert.deepEqual(SearchQuery.compile('kind blue'), {
+    match: '"kind"* "blue"*',
+    where: '1',
+    params: [],
+  });
+  assert.equal(SearchQuery.compile('   '), null);
+});
+
+test('field terms search their column, or compare it with the value', () => {
+  assert.deepEqual(SearchQuery.compile('genre:jazz year:1959 path:live'), {
+    match: 'genre : "jazz"*',
+    where: "t.year = ? AND t.path LIKE ? ESCAPE '\\'",
+    params: [1959, '%live%'],
+  });
+  assert.deepEqual(SearchQuery.compile('albumartist:="Various Artists"'), {
+    match: null,
+    where: 't.album_artist = ? COLLATE NOCASE',
+    params: ['Various Artists'],
+  });
+  assert.deepEqual(SearchQuery.compile('is:favorite stars:>=4 bitrate:>=256'), {
+    match: null,
+    where:
+      'EXISTS (SELECT 1 FROM favorites f WHERE f.track_id = t.id) AND t.rating >= ? AND ' +
+      't.bitrate >= ?',
+    params: [4, 256000],
+  });
+});
+
+test('quoted values are searched as one phrase', () => {
+  assert.equal(SearchQuery.compile('"blue in green"').match, '"blue in green"');
+  assert.equal(SearchQuery.compile('artist:"Miles Davis"').match, 'artist : "Miles Davis"');
+  // Still being typed, so the last word is a prefix
+  assert.equal(SearchQuery.compile('"kind of').match, '"kind of"*');
+});
+
+test('- excludes a term or group and OR combines the terms around it', () => {
+  assert.deepEqual(SearchQuery.compile('genre:jazz -live'), {
+    match: 'genre : "jazz"*',
+    where: `NOT coalesce(${FTS}, 0)`,
+    params: ['"live"*'],
+  });
+  assert.deepEqual(SearchQuery.compile('rubber OR soul'), {
+    match: null,
+    where: `(${FTS} OR ${FTS})`,
+    params: ['"rubber"*', '"soul"*'],
+  });
+  assert.deepEqual(SearchQuery.compile('-(live OR demo) rating:>=4'), {
+    match: null,
+    where: `NOT coalesce((${FTS} OR ${FTS}), 0) AND t.rating >= ?`,
+    params: ['"live"*', '"demo"*', 4],
+  });
+});
+
+test('ranges, durations and dates cover the whole span they name', () => {
+  assert.deepEqual(SearchQuery.compile('year:1955..1965'), {
+    match: null,
+    where: 't.year >= ? AND t.year <= ?',
+    params: [1955, 1965],
+  });
+  assert.deepEqual(SearchQuery.compile('duration:3:00..5:00').params, [180, 300]);
+  assert.deepEqual(SearchQuery.compile('bpm:..90'), {
+    match: null,
+    where: 't.bpm <= ?',
+    params: [90],
+  });
+  assert.deepEqual(SearchQuery.compile('added:2024-02'), {
+    match: null,
+    where: 't.date_added >= ? AND t.date_added < ?',
+    params: ['2024-02-01', '2024-03-01'],
+  });
+  assert.deepEqual(SearchQuery.compile('added:>2024').params, ['2025-01-01']);
+  assert.deepEqual(SearchQuery.compile('played:never').where, 't.last_played IS NULL');
+});
+
+test('relative dates compare against now, in days for d and w', () => {
+  assert.deepEqual(SearchQuery.compile('added:<30d'), {
+    match: null,
+    where: "t.date_added >= datetime('now', ?)",
+    params: ['-30 days'],
+  });
+  assert.deepEqual(SearchQuery.compile('played:>2w'), {
+    match: null,
+    where: "t.last_played < datetime('now', ?)",
+    params: ['-14 days'],
+  });
+  assert.deepEqual(SearchQuery.compile('added:<6m').params, ['-6 months']);
+});
+
+test('syntax errors say what is wrong and where', () => {
+  assert.deepEqual(syntaxError('artst:miles'), {
+    message: 'Unknown field "artst:", did you mean artist:?',
+    position: 0,
+  });
+  assert.deepEqual(syntaxError('jazz year:abc'), {
+    message: 'year: takes a number, not "abc"',
+    position: 10,
+  });
+  assert.deepEqual(syntaxError('year:1990..x'), {
+    message: 'year: takes a number, not "x"',
+    position: 11,
+  });
+  assert.deepEqual(syntaxError('jazz OR'), {
+    message: 'OR needs a search term after it',
+    position: 5,
+  });
+  assert.deepEqual(syntaxError('(live OR demo'), { message: '"(" is never closed', position: 0 });
+  assert.deepEqual(syntaxError('jazz)'), { message: '")" has no "(" to close', position: 4 });
+  assert.deepEqual(syntaxError('year:'), {
+    message: 'year: needs a value, e.g. year:1955..1965',
+    position: 5,
+  });
+  assert.deepEqual(syntaxError('added:30d..1y'), {
+    message: 'added: ranges take dates, use added:<30d or added:>6m for ages',
+    position: 6,
+  });
+  assert.equal(syntaxError('added:2024-02-30').position, 6);
+});
+
+test('words keep their accents in the match string, for the index to fold', () => {
+  assert.equal(SearchQuery.compile('Café Sigur-Rós').match, '"Café"* "Sigur"* "Rós"*');
+  // A combining accent belongs to its word
+  assert.equal(SearchQuery.compile('cafe\u0301').match, '"cafe\u0301"*');
+  assert.equal(SearchQuery.compile('title:"Cafe Déjà Vu"').match, 'title : "Cafe Déjà Vu"');
+});
+
+test('searches with or without accents find the same tracks', (t) => {
+  // The database logs every step it takes; the test output is for the results
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'que-music-test-'));
+  const db = new MusicDatabase(path.join(dir, 'library.db'));
+  try {
+    db.addTracks([
+      { path: '/music/Café del Mar.mp3', filename: 'Café del Mar.mp3', title: 'Café del Mar' },
+      { path: '/music/Hoppípolla.mp3', filename: 'Hoppípolla.mp3', title: 'Hoppípolla' },
+    ]);
+    const titles = (query) => db.queryTracks(query).map((track) => track.title);
+
+    assert.deepEqual(titles('cafe'), ['Café del Mar']);
+    assert.deepEqual(titles('CAFÉ'), ['Café del Mar']);
+    assert.deepEqual(titles('title:hoppipolla'), ['Hoppípolla']);
+    assert.deepEqual(titles('-cafe'), ['Hoppípolla']);
+  } finally {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
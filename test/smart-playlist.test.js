@@ -0,0 +1,126 @@
+// test/smart-playlist.test.js - Smart playlist rules, checked and evaluated against a library
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MusicDatabase = require('../server/database');
+const SmartPlaylist = require('../server/smart-playlist');
+
+let dir;
+let db;
+
+beforeEach((t) => {
+  // The database logs every step it takes; the test output is for the results
+  t.mock.method(console, 'log', () => {});
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'que-music-test-'));
+  db = new MusicDatabase(path.join(dir, 'library.db'));
+  db.addTracks(
+    [
+      { title: 'So What', genre: 'Jazz', year: 1959, rating: 5 },
+      { title: 'Take Five', genre: 'Jazz', year: 1959, rating: 4 },
+      { title: 'Round Midnight', genre: 'Jazz', year: 1957, rating: 3 },
+      { title: 'Paranoid Android', genre: 'Rock', year: 1997, rating: 4 },
+      { title: 'Windowlicker', genre: 'Electronic', year: 1999 },
+    ].map((track) => ({ ...track, path: `/music/${track.title}.flac`, filename: track.title }))
+  );
+});
+
+afterEach(() => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Titles of the tracks a definition finds, in playlist order
+function titles(definition) {
+  const rules = SmartPlaylist.normalize(definition);
+  return db.getSmartPlaylistTracks(rules).map((track) => track.title);
+}
+
+test('all needs every rule to match, any just one', () => {
+  const rules = [
+    { field: 'genre', operator: 'is', value: 'jazz' },
+    { field: 'rating', operator: '>=', value: '4' },
+  ];
+
+  assert.deepEqual(titles({ match: 'all', rules, sort: 'title' }), ['So What', 'Take Five']);
+  assert.deepEqual(titles({ match: 'any', rules, sort: 'title' }), [
+    'Paranoid Android',
+    'Round Midnight',
+    'So What',
+    'Take Five',
+  ]);
+  assert.equal(titles({ match: 'all', rules: [] }).length, 5);
+});
+
+test('a limit keeps the first tracks in the sort order', () => {
+  const definition = {
+    rules: [{ field: 'year', operator: 'between', value: ['1950', '1999'] }],
+    limit: 2,
+    sort: 'rating',
+  };
+
+  assert.deepEqual(titles(definition), ['So What', 'Paranoid Android']);
+  assert.equal(db.countSmartPlaylistTracks(SmartPlaylist.normalize(definition)), 2);
+  assert.deepEqual(titles({ ...definition, sort: 'year' }), ['Windowlicker', 'Paranoid Android']);
+});
+
+test('not in the last keeps tracks that were never played', () => {
+  db.addToRecentlyPlayedByPath('/music/So What.flac');
+  db.addToRecentlyPlayedByPath('/music/Take Five.flac');
+  db.db
+    .prepare("UPDATE tracks SET last_played = datetime('now', '-1 years') WHERE title = ?")
+    .run('Take Five');
+  const rules = [
+    { field: 'genre', operator: 'is', value: 'Jazz' },
+    { field: 'played', operator: 'not-in-last', value: '6m' },
+  ];
+
+  assert.deepEqual(titles({ rules, sort: 'title' }), ['Round Midnight', 'Take Five']);
+  assert.deepEqual(
+    titles({ rules: [{ field: 'played', operator: 'in-last', value: '2w' }], sort: 'title' }),
+    ['So What']
+  );
+});
+
+test('the track limit has to be a whole number above 0', () => {
+  for (const limit of [2.5, '10', 0, -3, NaN]) {
+    assert.throws(() => SmartPlaylist.normalize({ rules: [], limit }), {
+      message: 'The track limit must be a whole number above 0',
+    });
+  }
+  assert.equal(SmartPlaylist.normalize({ rules: [], limit: null }).limit, null);
+  assert.equal(SmartPlaylist.normalize({ rules: [], limit: 25 }).limit, 25);
+});
+
+test('a rule that cannot be evaluated is named in the error', () => {
+  assert.throws(
+    () =>
+      SmartPlaylist.normalize({
+        rules: [
+          { field: 'genre', operator: 'is', value: 'Jazz' },
+          { field: 'played', operator: 'not-in-last', value: '2024-05-17' },
+        ],
+      }),
+    { message: 'Rule 2: played is not in the last takes an age like 30d, 2w, 6m or 1y' }
+  );
+  assert.throws(() => SmartPlaylist.normalize({ match: 'some', rules: [] }), {
+    message: 'A smart playlist matches all or any of its rules',
+  });
+});
+
+test('an exported snapshot does not turn the smart playlist back into chosen tracks', async () => {
+  const rules = { rules: [{ field: 'genre', operator: 'is', value: 'Jazz' }], sort: 'title' };
+  const playlist = db.createPlaylist({ name: 'All Jazz', rules });
+  await db.setPlaylistFolder(dir);
+  await db.exportPlaylistToM3U(playlist.id);
+
+  await db.importExistingM3UFiles();
+
+  const reloaded = db.getPlaylistById(playlist.id);
+  assert.deepEqual(reloaded.rules, SmartPlaylist.normalize(rules));
+  assert.equal(reloaded.tracks.length, 3);
+  assert.throws(() => db.addTrackToPlaylist(playlist.id, reloaded.tracks[0].id), {
+    message: '"All Jazz" is a smart playlist, its rules choose the tracks',
+  });
+});